@@ -0,0 +1,208 @@
+const express = require('express');
+const helmet = require('helmet');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const path = require('path');
+
+const createWeatherRouter = require('./routes/weather');
+const createAlertSubscriptionsRouter = require('./routes/alerts');
+const createAdminRouter = require('./routes/admin');
+const createGraphqlRouter = require('./routes/graphql');
+const createHealthRouter = require('./routes/health');
+const createTilesRouter = require('./routes/tiles');
+const createBulkJobsRouter = require('./routes/jobs');
+const { createProvider, instrumentProvider, resilientProvider } = require('./providers');
+const { createCache } = require('./lib/cache');
+const { CACHE_TTL, STALE_TTL } = require('./lib/weatherData');
+const { createSubscriptionStore } = require('./lib/subscriptionStore');
+const { createAlertPoller } = require('./lib/alertPoller');
+const { createWebhookGuard } = require('./lib/webhooks');
+const { createObservationStore } = require('./lib/observationStore');
+const { createObservationRecorder } = require('./lib/observationRecorder');
+const { parseObservationLocations } = require('./lib/observations');
+const { createLiveUpdates } = require('./lib/liveUpdates');
+const { createBulkJobs } = require('./lib/bulkJobs');
+const { createClientStore } = require('./lib/clientStore');
+const { createUsageTracker } = require('./lib/usage');
+const { QUOTA_WINDOW_MS, quotaFor, quotaKey, createQuotaCharger } = require('./lib/quotas');
+const { numberFromEnv, booleanFromEnv, listFromEnv } = require('./lib/config');
+const { logger: defaultLogger } = require('./lib/logger');
+const { CONTENT_TYPE, createMetrics } = require('./lib/metrics');
+const { registerServerMetrics } = require('./lib/serverMetrics');
+const { createHealthCheck } = require('./lib/health');
+const requestId = require('./middleware/requestId');
+const captureRoute = require('./middleware/captureRoute');
+const observeRequests = require('./middleware/observeRequests');
+const createCors = require('./middleware/cors');
+const { authenticate } = require('./middleware/apiKey');
+const trackUsage = require('./middleware/trackUsage');
+const validateRequest = require('./middleware/validateRequest');
+const openapi = require('./lib/openapi');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { ApiError } = require('./lib/errors');
+
+// Build the Express app. The alert poller and observation recorder are created but not
+// started, so tests and embedders decide when background work runs (server.js starts them).
+// Live updates poll only while at least one stream is open; bulk jobs run once submitted.
+// Upstream metrics, retries and circuit breakers come with the default provider; pass a
+// provider wrapped with instrumentProvider and resilientProvider to keep them.
+const createApp = ({
+  metrics = createMetrics(),
+  logger = defaultLogger,
+  provider = resilientProvider(instrumentProvider(createProvider(), { metrics, logger }), { metrics, logger }),
+  cache = createCache({ maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 500), staleTtl: STALE_TTL }),
+  cacheTtl = CACHE_TTL,
+  alertStore = createSubscriptionStore({ file: process.env.ALERT_SUBSCRIPTIONS_FILE }),
+  webhookGuard = createWebhookGuard({ allowedHosts: listFromEnv('WEBHOOK_ALLOWED_HOSTS') }),
+  alertPoller = createAlertPoller({
+    provider,
+    store: alertStore,
+    guard: webhookGuard,
+    interval: numberFromEnv('ALERT_POLL_INTERVAL_MS', 5 * 60 * 1000)
+  }),
+  recorder = createObservationRecorder({
+    provider,
+    store: createObservationStore({
+      file: process.env.OBSERVATIONS_FILE,
+      retention: numberFromEnv('OBSERVATION_RETENTION_MS', 30 * 24 * 60 * 60 * 1000)
+    }),
+    enabled: booleanFromEnv('RECORD_OBSERVATIONS', false),
+    locations: parseObservationLocations(process.env.OBSERVATION_LOCATIONS),
+    interval: numberFromEnv('OBSERVATION_INTERVAL_MS', 10 * 60 * 1000)
+  }),
+  liveUpdates = createLiveUpdates({
+    provider,
+    cache,
+    cacheTtl,
+    interval: numberFromEnv('LIVE_POLL_INTERVAL_MS', 60 * 1000),
+    maxSubscribers: numberFromEnv('LIVE_MAX_STREAMS', 100)
+  }),
+  bulkJobs = createBulkJobs({
+    provider,
+    cache,
+    cacheTtl,
+    recorder,
+    concurrency: numberFromEnv('BULK_CONCURRENCY', 4),
+    maxActiveJobs: numberFromEnv('BULK_MAX_ACTIVE_JOBS', 10),
+    maxJobsPerOwner: numberFromEnv('BULK_MAX_JOBS_PER_KEY', 5),
+    maxLocationsPerOwner: numberFromEnv('BULK_MAX_LOCATIONS_PER_KEY', 2000),
+    retention: numberFromEnv('BULK_JOB_RETENTION_MS', 60 * 60 * 1000)
+  }),
+  clients = createClientStore({ file: process.env.API_CLIENTS_FILE }),
+  usage = createUsageTracker(),
+  requireApiKey = booleanFromEnv('REQUIRE_API_KEY', false),
+  adminToken = process.env.ADMIN_TOKEN,
+  healthCheck = createHealthCheck({ provider, interval: numberFromEnv('HEALTH_CHECK_INTERVAL_MS', 60 * 1000) }),
+  corsOrigins = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+  ...options
+} = {}) => {
+  const app = express();
+  app.locals.alertPoller = alertPoller;
+  app.locals.observationRecorder = recorder;
+  app.locals.liveUpdates = liveUpdates;
+  app.locals.bulkJobs = bulkJobs;
+  app.locals.metrics = metrics;
+  registerServerMetrics(metrics, { cache, liveUpdates, bulkJobs });
+
+  // Request ID middleware (first, so every response and log line carries it)
+  app.use(requestId);
+
+  // Request logs and metrics, labelled with the matched route template
+  app.use(captureRoute);
+  app.use(observeRequests({ metrics, logger }));
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        // Map tiles are proxied through /tiles; only weather icons load from elsewhere
+        imgSrc: ["'self'", "data:", "https://openweathermap.org"],
+        // The service worker fetches weather icons to cache them for offline use
+        connectSrc: ["'self'", "https://openweathermap.org"],
+      },
+    },
+  }));
+
+  // CORS middleware (per API client origin allowlists)
+  app.use(createCors({ clients, origins: corsOrigins }));
+
+  // Admin API for issuing client keys and reading usage (admin token, no client quota)
+  app.use('/api/admin', createAdminRouter({ clients, usage, token: adminToken }));
+
+  // Client authentication and rate limiting: each API key has its own quota,
+  // anonymous requests share a per-IP limit
+  const quotaStore = new MemoryStore();
+  const limiter = rateLimit({
+    windowMs: QUOTA_WINDOW_MS,
+    max: (req) => quotaFor(req.apiClient),
+    keyGenerator: quotaKey,
+    store: quotaStore,
+    handler: (req, res, next, options) => {
+      const code = req.apiClient ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED';
+      next(new ApiError(code, undefined, { retryAfter: Math.ceil(options.windowMs / 1000) }));
+    }
+  });
+  app.use(['/api/', '/graphql'], trackUsage(usage), authenticate({ clients, requireKey: requireApiKey }), limiter);
+
+  // Body parsing middleware
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Serve static files from public directory
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // API contract: the OpenAPI document, its docs page, and request validation against it
+  app.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+  });
+
+  app.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'docs.html'));
+  });
+
+  app.use(validateRequest(openapi));
+
+  // API routes
+  app.use('/api/weather/alerts/subscriptions', createAlertSubscriptionsRouter({
+    provider,
+    store: alertStore,
+    cache,
+    cacheTtl,
+    guard: webhookGuard,
+    maxPerOwner: numberFromEnv('ALERT_MAX_SUBSCRIPTIONS_PER_KEY', 10)
+  }));
+  app.use('/api/weather/jobs', createBulkJobsRouter({ provider, jobs: bulkJobs, quota: createQuotaCharger(quotaStore) }));
+  app.use('/api/weather', createWeatherRouter({ provider, cache, cacheTtl, recorder, liveUpdates, ...options }));
+
+  // GraphQL, also answered under /api/graphql where it was first served
+  app.use(['/graphql', '/api/graphql'], createGraphqlRouter({ provider, cache, cacheTtl, recorder }));
+
+  // Map tiles for the demo (own cache and per-IP limit, no API key)
+  app.use('/tiles', createTilesRouter({ provider }));
+
+  // Serve demo page
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
+
+  // Readiness (/health, /health/ready) and liveness (/health/live) checks
+  app.use('/health', createHealthRouter({ healthCheck }));
+
+  // Prometheus metrics
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(metrics.render());
+  });
+
+  // 404 handler
+  app.use('*', notFoundHandler);
+
+  // Error handling middleware
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = createApp;
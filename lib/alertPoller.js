@@ -0,0 +1,124 @@
+const { fetchActiveAlerts } = require('./alerts');
+const { createWebhookGuard, deliverWebhook } = require('./webhooks');
+const { logger } = require('./logger');
+
+// Periodically checks every subscribed location for active alerts and POSTs each
+// alert to each subscriber once. An alert only counts as delivered after the
+// webhook answers 2xx, so failed deliveries are retried on the next poll. Webhook URLs are
+// checked by `guard` on every delivery.
+const createAlertPoller = ({
+  provider,
+  store,
+  interval = 5 * 60 * 1000,
+  deliver = deliverWebhook,
+  guard = createWebhookGuard(),
+  now = () => Date.now()
+}) => {
+  let timer = null;
+  let polling = null;
+
+  const notify = async (subscription, alerts) => {
+    const delivered = { ...subscription.deliveredAlerts };
+    const result = { delivered: 0, failed: 0, lastError: null };
+
+    for (const alert of alerts) {
+      if (delivered[alert.id]) continue;
+
+      try {
+        await deliver({
+          url: subscription.url,
+          secret: subscription.secret,
+          event: 'weather.alert',
+          payload: {
+            event: 'weather.alert',
+            subscriptionId: subscription.id,
+            location: subscription.location,
+            alert,
+            sentAt: new Date(now()).toISOString()
+          },
+          guard
+        });
+        delivered[alert.id] = alert.end;
+        result.delivered++;
+      } catch (error) {
+        // Subscribers see a generic error; the cause may describe the network behind the URL
+        result.failed++;
+        result.lastError = 'Webhook delivery failed';
+        logger.warn('Webhook delivery failed', { subscriptionId: subscription.id, error: error.message });
+      }
+    }
+
+    // Forget alerts that have ended; they can no longer be returned as active
+    const activeIds = new Set(alerts.map(alert => alert.id));
+    Object.keys(delivered).forEach(id => {
+      if (!activeIds.has(id) && Date.parse(delivered[id]) <= now()) delete delivered[id];
+    });
+
+    store.update(subscription.id, {
+      deliveredAlerts: delivered,
+      lastPolledAt: new Date(now()).toISOString(),
+      lastError: result.lastError
+    });
+
+    return result;
+  };
+
+  const pollOnce = async () => {
+    // Subscribers to the same location share one upstream call
+    const byLocation = new Map();
+    store.list().forEach(subscription => {
+      const key = `${subscription.location.lat},${subscription.location.lon}`;
+      byLocation.set(key, [...(byLocation.get(key) || []), subscription]);
+    });
+
+    const summary = { locations: byLocation.size, delivered: 0, failed: 0 };
+
+    for (const subscriptions of byLocation.values()) {
+      let alerts;
+      try {
+        alerts = await fetchActiveAlerts(provider, subscriptions[0].location, now());
+      } catch (error) {
+        subscriptions.forEach(subscription => store.update(subscription.id, {
+          lastPolledAt: new Date(now()).toISOString(),
+          lastError: `Failed to fetch alerts: ${error.message}`
+        }));
+        continue;
+      }
+
+      for (const subscription of subscriptions) {
+        const result = await notify(subscription, alerts);
+        summary.delivered += result.delivered;
+        summary.failed += result.failed;
+      }
+    }
+
+    return summary;
+  };
+
+  // Run one polling pass; callers arriving mid-pass share the pass in progress
+  const poll = () => {
+    if (!polling) {
+      polling = pollOnce().finally(() => {
+        polling = null;
+      });
+    }
+    return polling;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      poll().catch(error => logger.error('Alert polling failed', { error }));
+    }, interval);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { poll, start, stop };
+};
+
+module.exports = { createAlertPoller };
@@ -0,0 +1,12 @@
+const { formatAlerts } = require('./formatters');
+
+// Alerts ride along with One Call data; exclude everything else to keep the payload small
+const ALERTS_ONLY = 'current,minutely,hourly,daily';
+
+// Fetch the normalized alerts for a location that have not yet ended
+const fetchActiveAlerts = async (provider, { lat, lon }, now = Date.now()) => {
+  const data = await provider.getOneCall({ lat, lon, units: 'metric', exclude: ALERTS_ONLY });
+  return formatAlerts(data.alerts).filter(alert => Date.parse(alert.end) > now);
+};
+
+module.exports = { fetchActiveAlerts };
@@ -0,0 +1,254 @@
+const { createTranslator } = require('./i18n');
+
+// Sun and moon times computed locally from coordinates, so no provider call is needed. The
+// formulas are the low-precision ones from Astronomy Answers (as used by e.g. suncalc): good
+// to a minute or two for the sun and a few minutes for the moon, plenty for planning.
+
+const RAD = Math.PI / 180;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397;
+const SUN_DISTANCE_KM = 149598000;
+
+// Sun altitudes in degrees that start or end each part of the day
+const ALTITUDES = {
+  sunrise: -0.833, // upper limb on the horizon, with refraction
+  civil: -6,
+  nautical: -12,
+  astronomical: -18,
+  blueHourLow: -6,
+  blueHourHigh: -4,
+  goldenHourHigh: 6
+};
+
+// Moon phase names by phase (0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter)
+const PHASES = [
+  'New Moon',
+  'Waxing Crescent',
+  'First Quarter',
+  'Waxing Gibbous',
+  'Full Moon',
+  'Waning Gibbous',
+  'Last Quarter',
+  'Waning Crescent'
+];
+
+// Days since J2000 of a time in ms, and back
+const toDays = (ms) => ms / DAY_MS - 0.5 + J1970 - J2000;
+const fromJulian = (julian) => (julian + 0.5 - J1970) * DAY_MS;
+
+const rightAscension = (l, b) =>
+  Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+const declination = (l, b) =>
+  Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+const altitude = (hourAngle, phi, dec) =>
+  Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+const siderealTime = (days, lw) => RAD * (280.16 + 360.9856235 * days) - lw;
+
+const solarMeanAnomaly = (days) => RAD * (357.5291 + 0.98560028 * days);
+
+const eclipticLongitude = (anomaly) => {
+  const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  return anomaly + center + RAD * 102.9372 + Math.PI;
+};
+
+const sunCoords = (days) => {
+  const longitude = eclipticLongitude(solarMeanAnomaly(days));
+  return { dec: declination(longitude, 0), ra: rightAscension(longitude, 0) };
+};
+
+const moonCoords = (days) => {
+  const meanLongitude = RAD * (218.316 + 13.176396 * days);
+  const anomaly = RAD * (134.963 + 13.064993 * days);
+  const node = RAD * (93.272 + 13.229350 * days);
+  const longitude = meanLongitude + RAD * 6.289 * Math.sin(anomaly);
+  const latitude = RAD * 5.128 * Math.sin(node);
+
+  return {
+    ra: rightAscension(longitude, latitude),
+    dec: declination(longitude, latitude),
+    distance: 385001 - 20905 * Math.cos(anomaly)
+  };
+};
+
+// Atmospheric refraction in radians at an apparent altitude (Sæmundsson)
+const refraction = (h) => {
+  const above = Math.max(h, 0);
+  return 0.0002967 / Math.tan(above + 0.00312536 / (above + 0.08901179));
+};
+
+const moonAltitude = (ms, phi, lw) => {
+  const days = toDays(ms);
+  const { ra, dec } = moonCoords(days);
+  const h = altitude(siderealTime(days, lw) - ra, phi, dec);
+  return h + refraction(h);
+};
+
+// Solar noon of the solar day around `ms`, and the times the sun passes each altitude that day.
+// `crossing(degrees)` gives { rise, set } in ms, or `always: 'above' | 'below'` when the sun
+// stays on one side of that altitude all day.
+const solarDay = (ms, lat, lon) => {
+  const lw = RAD * -lon;
+  const phi = RAD * lat;
+  const cycle = Math.round(toDays(ms) - J0 - lw / (2 * Math.PI));
+  const transit = (hourAngle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+
+  const approxNoon = transit(0);
+  const anomaly = solarMeanAnomaly(approxNoon);
+  const longitude = eclipticLongitude(anomaly);
+  const dec = declination(longitude, 0);
+  const julianTransit = (days) => J2000 + days + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * longitude);
+  const noon = julianTransit(approxNoon);
+
+  const crossing = (degrees) => {
+    const cosHourAngle = (Math.sin(RAD * degrees) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosHourAngle < -1) return { rise: null, set: null, always: 'above' };
+    if (cosHourAngle > 1) return { rise: null, set: null, always: 'below' };
+
+    const set = julianTransit(transit(Math.acos(cosHourAngle)));
+    return { rise: fromJulian(noon - (set - noon)), set: fromJulian(set) };
+  };
+
+  return { noon: fromJulian(noon), crossing };
+};
+
+// Moonrise and moonset within 24 hours of `start`: the moon's altitude is sampled hourly and
+// a parabola through each three samples finds where it crosses the horizon
+const moonTimes = (start, lat, lon) => {
+  const phi = RAD * lat;
+  const lw = RAD * -lon;
+  const horizon = RAD * 0.133; // the moon's apparent radius
+  const heightAt = (hours) => moonAltitude(start + hours * HOUR_MS, phi, lw) - horizon;
+
+  let rise;
+  let set;
+  let peak;
+  let h0 = heightAt(0);
+
+  for (let hour = 1; hour <= 24 && (rise === undefined || set === undefined); hour += 2) {
+    const h1 = heightAt(hour);
+    const h2 = heightAt(hour + 1);
+    const a = (h0 + h2) / 2 - h1;
+    const b = (h2 - h0) / 2;
+    const vertex = -b / (2 * a);
+    const discriminant = b * b - 4 * a * h1;
+    peak = (a * vertex + b) * vertex + h1;
+
+    const roots = [];
+    if (discriminant >= 0) {
+      const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+      roots.push(vertex - dx, vertex + dx);
+    }
+    const within = roots.filter(x => Math.abs(x) <= 1);
+
+    if (within.length === 1) {
+      if (h0 < 0) rise = rise ?? hour + within[0];
+      else set = set ?? hour + within[0];
+    } else if (within.length === 2) {
+      rise = rise ?? hour + (peak < 0 ? within[1] : within[0]);
+      set = set ?? hour + (peak < 0 ? within[0] : within[1]);
+    }
+
+    h0 = h2;
+  }
+
+  const at = (hours) => (hours === undefined ? null : start + hours * HOUR_MS);
+  const result = { rise: at(rise), set: at(set) };
+  if (rise === undefined && set === undefined) {
+    result.always = peak > 0 ? 'above' : 'below';
+  }
+  return result;
+};
+
+// Illuminated fraction of the moon and its phase (0 new, 0.5 full, back to 1) at `ms`
+const moonIllumination = (ms) => {
+  const days = toDays(ms);
+  const sun = sunCoords(days);
+  const moon = moonCoords(days);
+
+  const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+    Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+  const inclination = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.distance - SUN_DISTANCE_KM * Math.cos(elongation));
+  const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+    Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+  return {
+    fraction: (1 + Math.cos(inclination)) / 2,
+    phase: 0.5 + (0.5 * inclination * (angle < 0 ? -1 : 1)) / Math.PI
+  };
+};
+
+const phaseName = (phase) => PHASES[Math.round(phase * PHASES.length) % PHASES.length];
+
+const toIso = (ms) => (ms === null ? null : new Date(Math.round(ms / 1000) * 1000).toISOString());
+
+// Start of a calendar date at a location, by local mean solar time (from the longitude, as
+// there is no time zone without a provider)
+const localDayStart = (date, lon) => Date.parse(`${date}T00:00:00Z`) - (lon / 15) * HOUR_MS;
+
+// Today's date at a location, by local mean solar time
+const localDate = (lon, now = Date.now()) => new Date(now + (lon / 15) * HOUR_MS).toISOString().slice(0, 10);
+
+// Sun, twilight, golden and blue hours, and moon data for a YYYY-MM-DD date at a location.
+// Times are ISO 8601 in UTC, null where the sun or moon does not cross the altitude that day
+// (polar day and night, or a moon that rises but does not set within the day). The phase name
+// is in the language of `translator`.
+const computeAstronomy = ({ lat, lon, date }, translator = createTranslator()) => {
+  const start = localDayStart(date, lon);
+  const { noon, crossing } = solarDay(start + DAY_MS / 2, lat, lon);
+
+  const horizon = crossing(ALTITUDES.sunrise);
+  const polar = horizon.always === 'above' ? 'day' : horizon.always === 'below' ? 'night' : null;
+  const dayLength = polar === 'day' ? 86400 : polar === 'night' ? 0 : Math.round((horizon.set - horizon.rise) / 1000);
+
+  const twilight = (degrees) => {
+    const { rise, set } = crossing(degrees);
+    return { dawn: toIso(rise), dusk: toIso(set) };
+  };
+
+  // The morning and evening spans while the sun is between two altitudes
+  const band = (low, high) => {
+    const lower = crossing(low);
+    const upper = crossing(high);
+    return {
+      morning: { start: toIso(lower.rise), end: toIso(upper.rise) },
+      evening: { start: toIso(upper.set), end: toIso(lower.set) }
+    };
+  };
+
+  const moon = moonTimes(start, lat, lon);
+  const { fraction, phase } = moonIllumination(start + DAY_MS / 2);
+
+  return {
+    coordinates: { lat, lon },
+    date,
+    sun: {
+      sunrise: toIso(horizon.rise),
+      sunset: toIso(horizon.set),
+      solarNoon: toIso(noon),
+      dayLength,
+      polar,
+      twilight: {
+        civil: twilight(ALTITUDES.civil),
+        nautical: twilight(ALTITUDES.nautical),
+        astronomical: twilight(ALTITUDES.astronomical)
+      },
+      goldenHour: band(ALTITUDES.blueHourHigh, ALTITUDES.goldenHourHigh),
+      blueHour: band(ALTITUDES.blueHourLow, ALTITUDES.blueHourHigh)
+    },
+    moon: {
+      moonrise: toIso(moon.rise),
+      moonset: toIso(moon.set),
+      alwaysUp: moon.always === 'above',
+      alwaysDown: moon.always === 'below',
+      phase: Math.round(phase * 1000) / 1000,
+      phaseName: translator.moonPhase(phaseName(phase)),
+      illumination: Math.round(fraction * 1000) / 1000
+    }
+  };
+};
+
+module.exports = { localDate, computeAstronomy };
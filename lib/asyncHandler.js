@@ -0,0 +1,5 @@
+// Forward rejections from async route handlers to Express error handling
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { numberFromEnv } = require('./config');
+const { ApiError, toApiError } = require('./errors');
+const { logger } = require('./logger');
+const { createTranslator } = require('./i18n');
+const { CACHE_TTL, createWeatherData, entryFailure } = require('./weatherData');
+
+// Most locations a single job may list
+const MAX_JOB_LOCATIONS = numberFromEnv('BULK_MAX_LOCATIONS', 1000);
+
+// Failures that mean the provider wants us to slow down. The whole queue waits before the
+// location is tried again, rather than failing every location behind it the same way.
+const BACKOFF_CODES = ['UPSTREAM_RATE_LIMITED', 'UPSTREAM_UNAVAILABLE'];
+
+// Job as shown to clients: progress counts without the locations, results or internals
+const toPublicJob = ({ id, status, total, processed, succeeded, failed, createdAt, startedAt, finishedAt, expiresAt }) => ({
+  id,
+  status,
+  total,
+  processed,
+  succeeded,
+  failed,
+  progress: total === 0 ? 1 : Math.round((processed / total) * 1000) / 1000,
+  createdAt: new Date(createdAt).toISOString(),
+  startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+  finishedAt: finishedAt ? new Date(finishedAt).toISOString() : null,
+  expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+});
+
+// Background jobs fetching current weather for long location lists through the shared
+// response cache. Locations of every job share one pool of `concurrency` workers, taken from
+// the oldest job first, so the load on the provider stays bounded however many jobs are
+// queued. Finished jobs and their results are kept in memory for `retention` ms; each owner
+// may hold at most `maxJobsPerOwner` jobs and `maxLocationsPerOwner` locations among them.
+const createBulkJobs = ({
+  provider,
+  cache,
+  cacheTtl = CACHE_TTL,
+  recorder,
+  concurrency = 4,
+  maxActiveJobs = 10,
+  maxJobsPerOwner = 5,
+  maxLocationsPerOwner = 2000,
+  retention = 60 * 60 * 1000,
+  maxAttempts = 3,
+  backoffMs = 30 * 1000,
+  now = () => Date.now()
+}) => {
+  const { fetchEntry } = createWeatherData({ provider, cache, cacheTtl, recorder });
+  const jobs = new Map();
+  const active = []; // unfinished jobs, oldest first
+  let running = 0;
+  let pausedUntil = 0;
+  let resumeTimer = null;
+
+  const prune = () => {
+    jobs.forEach((job, id) => {
+      if (job.expiresAt && job.expiresAt <= now()) jobs.delete(id);
+    });
+  };
+
+  const deactivate = (job) => {
+    const index = active.indexOf(job);
+    if (index !== -1) active.splice(index, 1);
+  };
+
+  const finish = (job) => {
+    job.status = 'completed';
+    job.finishedAt = now();
+    job.expiresAt = job.finishedAt + retention;
+    deactivate(job);
+  };
+
+  // Wait before taking more work, e.g. for the provider's Retry-After
+  const pause = (ms) => {
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+    clearTimeout(resumeTimer);
+    resumeTimer = setTimeout(pump, pausedUntil - now());
+    resumeTimer.unref();
+    logger.warn('Bulk jobs paused by the weather provider', { pauseMs: ms });
+  };
+
+  const runItem = async (job, index) => {
+    const entry = job.locations[index];
+
+    try {
+      job.results[index] = await fetchEntry(entry, job.units, job.translator);
+      job.succeeded++;
+    } catch (error) {
+      const apiError = toApiError(error);
+      job.attempts[index] = (job.attempts[index] || 0) + 1;
+
+      if (BACKOFF_CODES.includes(apiError.code) && job.attempts[index] < maxAttempts) {
+        job.pending.unshift(index);
+        pause(Number(apiError.retryAfter) > 0 ? Number(apiError.retryAfter) * 1000 : backoffMs);
+        return;
+      }
+
+      job.results[index] = entryFailure(entry, apiError, job.translator);
+      job.failed++;
+    }
+
+    job.processed++;
+    if (job.processed === job.total) finish(job);
+  };
+
+  // Start locations until the pool is full, the queue is empty or the queue is paused
+  const pump = () => {
+    while (running < concurrency && now() >= pausedUntil) {
+      const job = active.find(candidate => candidate.pending.length > 0);
+      if (!job) return;
+
+      if (job.status === 'queued') {
+        job.status = 'running';
+        job.startedAt = now();
+      }
+
+      running++;
+      runItem(job, job.pending.shift())
+        .catch(error => logger.error('Bulk job item failed', { jobId: job.id, error }))
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  };
+
+  // Queue a job for a list of locations (city names or { lat, lon }) in the given units and
+  // language (a translator from lib/i18n.js, English by default) for the API client `owner`
+  const create = ({ locations, units, translator = createTranslator(), owner }) => {
+    prune();
+    const owned = [...jobs.values()].filter(job => job.owner === owner);
+    const ownedLocations = owned.reduce((total, job) => total + job.total, 0);
+    if (owned.length >= maxJobsPerOwner || ownedLocations + locations.length > maxLocationsPerOwner) {
+      throw new ApiError('JOB_LIMIT_REACHED');
+    }
+
+    if (active.length >= maxActiveJobs) {
+      throw new ApiError('TOO_MANY_JOBS');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      owner,
+      status: 'queued',
+      locations,
+      units,
+      translator,
+      total: locations.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      pending: locations.map((entry, index) => index),
+      attempts: [],
+      results: new Array(locations.length),
+      createdAt: now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null
+    };
+
+    jobs.set(job.id, job);
+    active.push(job);
+    process.nextTick(pump);
+    return toPublicJob(job);
+  };
+
+  // Jobs are only visible to the client that created them
+  const find = (id, owner) => {
+    prune();
+    const job = jobs.get(id);
+    if (!job || job.owner !== owner) {
+      throw new ApiError('JOB_NOT_FOUND');
+    }
+    return job;
+  };
+
+  // Cancel or discard a job; locations not yet started are dropped with it
+  const remove = (id, owner) => {
+    const job = find(id, owner);
+    jobs.delete(id);
+    deactivate(job);
+  };
+
+  return {
+    create,
+    get: (id, owner) => toPublicJob(find(id, owner)),
+
+    // Results in submission order, once every location is done
+    results: (id, owner) => {
+      const job = find(id, owner);
+      if (job.status !== 'completed') {
+        throw new ApiError('JOB_NOT_FINISHED');
+      }
+      return job.results;
+    },
+
+    remove,
+
+    // { queued, running, completed } job counts
+    counts: () => {
+      prune();
+      const counts = { queued: 0, running: 0, completed: 0 };
+      jobs.forEach(job => { counts[job.status]++; });
+      return counts;
+    }
+  };
+};
+
+module.exports = { MAX_JOB_LOCATIONS, createBulkJobs };
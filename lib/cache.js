@@ -0,0 +1,101 @@
+// In-process TTL cache that also coalesces concurrent fetches for the same key. Expired
+// entries are kept for another `staleTtl` seconds to answer for a fetch that fails.
+const createCache = ({ maxEntries = 500, staleTtl = 0, now = () => Date.now() } = {}) => {
+  const entries = new Map();
+  const inFlight = new Map();
+
+  // Hit, miss and stale counts per key prefix, i.e. the kind of data in keys like
+  // "current|city=london"
+  const lookups = new Map();
+  const countLookup = (key, result) => {
+    const kind = key.split('|')[0];
+    const counts = lookups.get(kind) || { hits: 0, misses: 0, stale: 0 };
+    counts[result]++;
+    lookups.set(kind, counts);
+  };
+
+  // Return an entry that is live, or with `stale` one past its TTL but still kept,
+  // dropping entries that are past both
+  const get = (key, { stale = false } = {}) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (now() >= entry.expiresAt + staleTtl * 1000) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    return stale || now() < entry.expiresAt ? entry : undefined;
+  };
+
+  const ageOf = (entry) => Math.floor((now() - entry.storedAt) / 1000);
+
+  const set = (key, value, ttlSeconds) => {
+    const storedAt = now();
+    entries.delete(key);
+    entries.set(key, { value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 });
+
+    // Map preserves insertion order, so the first key is the oldest entry
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  // Resolve key from the cache, or run fetcher once for all concurrent callers.
+  // Resolves to { value, hit, age } where age is in whole seconds. A caller that needs
+  // fresher data than the TTL gives passes `maxAge` (seconds) to refetch older entries.
+  // When the fetch fails with an error `staleIfError` accepts, an expired entry is
+  // returned instead as { value, hit: true, age, stale: { storedAt, error } }.
+  const wrap = async (key, ttlSeconds, fetcher, { staleIfError, maxAge } = {}) => {
+    const entry = get(key);
+
+    if (entry && (maxAge === undefined || now() - entry.storedAt < maxAge * 1000)) {
+      countLookup(key, 'hits');
+      return { value: entry.value, hit: true, age: ageOf(entry) };
+    }
+
+    try {
+      return await load(key, ttlSeconds, fetcher);
+    } catch (error) {
+      const stale = staleIfError && staleIfError(error) ? get(key, { stale: true }) : undefined;
+      if (!stale) throw error;
+
+      countLookup(key, 'stale');
+      return { value: stale.value, hit: true, age: ageOf(stale), stale: { storedAt: stale.storedAt, error } };
+    }
+  };
+
+  const load = async (key, ttlSeconds, fetcher) => {
+    if (inFlight.has(key)) {
+      countLookup(key, 'hits');
+      return { value: await inFlight.get(key), hit: true, age: 0 };
+    }
+
+    countLookup(key, 'misses');
+    const pending = Promise.resolve()
+      .then(fetcher)
+      .then(value => {
+        if (ttlSeconds > 0) {
+          set(key, value, ttlSeconds);
+        }
+        return value;
+      })
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, pending);
+    return { value: await pending, hit: false, age: 0 };
+  };
+
+  return {
+    wrap,
+    clear: () => entries.clear(),
+    // { [kind]: { hits, misses, stale } } since the cache was created, where stale counts
+    // the misses answered from an expired entry
+    stats: () => Object.fromEntries([...lookups].map(([kind, counts]) => [kind, { ...counts }])),
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = { createCache };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const KEY_PREFIX = 'wk_';
+
+// API keys are only stored as SHA-256 hashes; the plain key is shown once when issued
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+// API client storage: in memory, optionally persisted to a JSON file
+const createClientStore = ({ file } = {}) => {
+  const clients = new Map();
+  const byKeyHash = new Map();
+
+  const index = (client) => {
+    clients.set(client.id, client);
+    byKeyHash.set(client.keyHash, client);
+  };
+
+  if (file && fs.existsSync(file)) {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(index);
+  }
+
+  // Saving runs off the request path, one write at a time: changes made while a write is
+  // in progress are picked up by the next one. Each write replaces the file atomically.
+  let dirty = false;
+  let writing = null;
+
+  const write = async () => {
+    while (dirty) {
+      dirty = false;
+      try {
+        const temporary = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify([...clients.values()], null, 2));
+        await fs.promises.rename(temporary, file);
+      } catch (error) {
+        logger.error('Failed to save API clients', { error });
+      }
+    }
+    writing = null;
+  };
+
+  const save = () => {
+    if (!file) return;
+    dirty = true;
+    if (!writing) writing = write();
+  };
+
+  return {
+    list: () => [...clients.values()],
+
+    get: (id) => clients.get(id),
+
+    findByKey: (key) => (typeof key === 'string' && key ? byKeyHash.get(hashKey(key)) : undefined),
+
+    // Store a new client and return it with its plain API key
+    create: (client) => {
+      const key = generateKey();
+      const created = { ...client, keyHash: hashKey(key), keyPreview: `${key.slice(0, 7)}…` };
+      index(created);
+      save();
+      return { client: created, key };
+    },
+
+    update: (id, changes) => {
+      const client = clients.get(id);
+      if (!client) return undefined;
+
+      Object.assign(client, changes);
+      save();
+      return client;
+    },
+
+    // Replace a client's key, invalidating the old one immediately
+    rotateKey: (id) => {
+      const client = clients.get(id);
+      if (!client) return undefined;
+
+      const key = generateKey();
+      byKeyHash.delete(client.keyHash);
+      Object.assign(client, { keyHash: hashKey(key), keyPreview: `${key.slice(0, 7)}…` });
+      byKeyHash.set(client.keyHash, client);
+      save();
+      return { client, key };
+    },
+
+    remove: (id) => {
+      const client = clients.get(id);
+      if (!client) return false;
+
+      clients.delete(id);
+      byKeyHash.delete(client.keyHash);
+      save();
+      return true;
+    },
+
+    // Resolves once every change so far is on disk
+    flush: () => writing || Promise.resolve()
+  };
+};
+
+module.exports = { createClientStore };
@@ -0,0 +1,18 @@
+// Read a numeric setting from the environment, falling back when unset or invalid
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && !isNaN(value) ? value : fallback;
+};
+
+// Read a boolean setting ("true"/"1"/"yes" or "false"/"0"/"no") from the environment
+const booleanFromEnv = (name, fallback) => {
+  const value = (process.env[name] || '').trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(value)) return true;
+  if (['false', '0', 'no'].includes(value)) return false;
+  return fallback;
+};
+
+// Read a comma-separated list from the environment
+const listFromEnv = (name) => (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+
+module.exports = { numberFromEnv, booleanFromEnv, listFromEnv };
@@ -0,0 +1,127 @@
+// Error taxonomy shared by every route: machine-readable code -> HTTP status and default message
+const ERROR_TYPES = {
+  INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+  MISSING_LOCATION: { status: 400, message: 'Please provide either city name or coordinates (lat, lon)' },
+  INVALID_COORDINATES: {
+    status: 400,
+    message: 'Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180.'
+  },
+  QUERY_TOO_COMPLEX: { status: 400, message: 'GraphQL query is too deep or too costly' },
+  API_KEY_REQUIRED: { status: 401, message: 'An API key is required. Pass it in the X-API-Key header.' },
+  INVALID_API_KEY: { status: 401, message: 'Invalid or revoked API key' },
+  ADMIN_UNAUTHORIZED: { status: 401, message: 'A valid admin token is required' },
+  ORIGIN_NOT_ALLOWED: { status: 403, message: 'This API key may not be used from this origin' },
+  LOCATION_NOT_FOUND: { status: 404, message: 'Location not found. Please check the city name and try again.' },
+  ROUTE_NOT_FOUND: { status: 404, message: 'Route not found' },
+  SUBSCRIPTION_NOT_FOUND: { status: 404, message: 'Alert subscription not found' },
+  CLIENT_NOT_FOUND: { status: 404, message: 'API client not found' },
+  TILE_NOT_FOUND: { status: 404, message: 'Map tile not found' },
+  JOB_NOT_FOUND: { status: 404, message: 'Bulk job not found' },
+  JOB_NOT_FINISHED: { status: 409, message: 'Bulk job is still running. Poll its status until it is completed.' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests from this IP, please try again later.' },
+  QUOTA_EXCEEDED: { status: 429, message: 'API key quota exceeded. Please try again later.' },
+  JOB_LIMIT_REACHED: {
+    status: 429,
+    message: 'This API key holds too many bulk jobs. Delete finished jobs or wait for them to expire.'
+  },
+  UPSTREAM_RATE_LIMITED: { status: 429, message: 'Weather provider rate limit exceeded. Please try again later.' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
+  UPSTREAM_UNAUTHORIZED: {
+    status: 502,
+    message: 'Weather provider rejected the API key. Please check your OpenWeatherMap API key or subscription.'
+  },
+  UPSTREAM_ERROR: { status: 502, message: 'Failed to fetch data from the weather provider' },
+  WEBHOOK_DELIVERY_FAILED: { status: 502, message: 'Webhook delivery failed' },
+  PROVIDER_NOT_CONFIGURED: { status: 503, message: 'OpenWeatherMap API key not configured' },
+  ADMIN_NOT_CONFIGURED: { status: 503, message: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.' },
+  RECORDER_DISABLED: {
+    status: 503,
+    message: 'Observation recording is not enabled. Set RECORD_OBSERVATIONS=true to enable it.'
+  },
+  TOO_MANY_STREAMS: { status: 503, message: 'Too many live update streams are open. Please try again later.' },
+  TOO_MANY_JOBS: { status: 503, message: 'Too many bulk jobs are queued. Please try again later.' },
+  UPSTREAM_UNAVAILABLE: {
+    status: 503,
+    message: 'Weather provider is failing and requests to it are paused. Please try again later.'
+  },
+  UPSTREAM_TIMEOUT: { status: 504, message: 'Weather provider did not respond in time' }
+};
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+class ApiError extends Error {
+  constructor(code, message, { status, retryAfter, details, cause } = {}) {
+    const type = ERROR_TYPES[code] || ERROR_TYPES.INTERNAL_ERROR;
+    super(message || type.message, { cause });
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status || type.status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+// Translate a provider/axios failure into an ApiError
+const mapUpstreamError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  const status = error.response?.status;
+  const options = { cause: error };
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new ApiError('UPSTREAM_TIMEOUT', undefined, options);
+  }
+
+  if (status === 404) {
+    return new ApiError('LOCATION_NOT_FOUND', undefined, options);
+  }
+
+  if (status === 401 || status === 403) {
+    return new ApiError('UPSTREAM_UNAUTHORIZED', undefined, options);
+  }
+
+  if (status === 429) {
+    const retryAfter = error.response.headers?.['retry-after'];
+    return new ApiError('UPSTREAM_RATE_LIMITED', undefined, { ...options, retryAfter });
+  }
+
+  return new ApiError('UPSTREAM_ERROR', undefined, options);
+};
+
+const isUpstreamError = (error) =>
+  Boolean(error.response || error.isAxiosError || TIMEOUT_CODES.includes(error.code));
+
+// Normalize anything thrown inside a request into an ApiError
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (isUpstreamError(error)) return mapUpstreamError(error);
+
+  // Client errors raised by Express middleware such as body-parser
+  if (error.status >= 400 && error.status < 500 && error.expose) {
+    return new ApiError('INVALID_REQUEST', error.message, { status: error.status, cause: error });
+  }
+
+  return new ApiError('INTERNAL_ERROR', undefined, {
+    cause: error,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// JSON body shared by every failed response, with the message in the language of
+// `translator` (lib/i18n.js) when one is given
+const errorBody = (error, requestId, translator) => ({
+  success: false,
+  error: translator ? translator.error(error) : error.message,
+  code: error.code,
+  details: error.details,
+  requestId
+});
+
+module.exports = {
+  ERROR_TYPES,
+  ApiError,
+  mapUpstreamError,
+  toApiError,
+  errorBody
+};
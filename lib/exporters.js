@@ -0,0 +1,264 @@
+const { ApiError } = require('./errors');
+
+// Export formats and their media types. JSON stays the default; routes list which of the
+// others they can produce.
+const EXPORT_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ics: 'text/calendar',
+  geojson: 'application/geo+json',
+  ndjson: 'application/x-ndjson'
+};
+
+// Calendar clients should refresh a subscribed forecast feed this often
+const CALENDAR_REFRESH = 'PT3H';
+
+// Pick a route's response format from `format`, or else from the Accept header
+const negotiateFormat = (req, formats) => {
+  const { format } = req.query;
+  req.res.vary('Accept');
+
+  if (format !== undefined) {
+    if (!formats.includes(format)) {
+      throw new ApiError('INVALID_REQUEST', `format must be one of: ${formats.join(', ')}`);
+    }
+    return format;
+  }
+
+  const type = req.accepts(formats.map(name => EXPORT_FORMATS[name]));
+  return formats.find(name => EXPORT_FORMATS[name] === type) || 'json';
+};
+
+// Send an exported body. CSV is offered as a download; feeds and GeoJSON are shown inline.
+const sendExport = (res, format, body, filename) => {
+  res.type(`${EXPORT_FORMATS[format]}; charset=utf-8`);
+  if (format === 'csv') {
+    res.attachment(`${filename}.csv`);
+  }
+  res.send(format === 'geojson' ? JSON.stringify(body) : body);
+};
+
+// Newline-delimited JSON: one value per line, for streaming parsers and line-based tools
+const toNdjson = (values) => values.map(value => `${JSON.stringify(value)}\n`).join('');
+
+// Lowercase file name part for a location, e.g. "new-york-us"
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'weather';
+
+// --- CSV (RFC 4180) ---
+
+// Spreadsheets run cells starting with these characters as formulas, so text values
+// (descriptions and names come from upstream) get a leading apostrophe
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [[header, row => value], ...]
+const toCsv = (columns, rows) => [
+  columns.map(([header]) => csvField(header)).join(','),
+  ...rows.map(row => columns.map(([, value]) => csvField(value(row))).join(','))
+].join('\r\n') + '\r\n';
+
+const forecastToCsv = ({ location, forecast, units }) => toCsv([
+  ['location', () => location],
+  ['datetime (UTC)', step => step.datetime],
+  [`temperature (${units.temperature})`, step => step.temperature],
+  [`feels like (${units.temperature})`, step => step.feelsLike],
+  ['description', step => step.description],
+  ['humidity (%)', step => step.humidity],
+  [`pressure (${units.pressure})`, step => step.pressure],
+  [`wind speed (${units.speed})`, step => step.windSpeed],
+  ['wind direction (°)', step => step.windDirection],
+  ['cloudiness (%)', step => step.cloudiness],
+  ['precipitation probability (%)', step => step.precipitationProbability]
+], forecast);
+
+// One row per hourly step of a One Call response
+const oneCallToCsv = ({ coordinates, hourly, units }) => {
+  if (!hourly) {
+    throw new ApiError('INVALID_REQUEST', 'CSV export lists hourly steps; remove hourly from exclude');
+  }
+
+  return toCsv([
+    ['lat', () => coordinates.lat],
+    ['lon', () => coordinates.lon],
+    ['datetime (UTC)', hour => hour.datetime],
+    [`temperature (${units.temperature})`, hour => hour.temperature],
+    [`feels like (${units.temperature})`, hour => hour.feelsLike],
+    ['description', hour => hour.weather.description],
+    ['humidity (%)', hour => hour.humidity],
+    [`pressure (${units.pressure})`, hour => hour.pressure],
+    [`dew point (${units.temperature})`, hour => hour.dewPoint],
+    ['uv index', hour => hour.uvIndex],
+    ['clouds (%)', hour => hour.clouds],
+    [`visibility (${units.distance})`, hour => hour.visibility],
+    [`wind speed (${units.speed})`, hour => hour.windSpeed],
+    ['wind direction (°)', hour => hour.windDirection],
+    ['precipitation probability (%)', hour => hour.pop]
+  ], hourly);
+};
+
+// One row per /multiple entry; failed entries keep their error and code
+const multipleToCsv = (results) => {
+  const units = results.find(result => result.success)?.data.units;
+  const unit = (quantity) => (units ? ` (${units[quantity]})` : '');
+  const data = (field) => result => result.data?.[field];
+
+  return toCsv([
+    ['query', result => result.city ?? `${result.coordinates.lat},${result.coordinates.lon}`],
+    ['success', result => result.success],
+    ['location', data('location')],
+    ['lat', result => result.data?.coordinates.lat],
+    ['lon', result => result.data?.coordinates.lon],
+    [`temperature${unit('temperature')}`, data('temperature')],
+    [`feels like${unit('temperature')}`, data('feelsLike')],
+    ['description', data('description')],
+    ['humidity (%)', data('humidity')],
+    [`pressure${unit('pressure')}`, data('pressure')],
+    [`wind speed${unit('speed')}`, data('windSpeed')],
+    ['wind direction (°)', data('windDirection')],
+    [`visibility${unit('distance')}`, data('visibility')],
+    ['cloudiness (%)', data('cloudiness')],
+    ['error', result => result.error],
+    ['code', result => result.code]
+  ], results);
+};
+
+// --- iCalendar (RFC 5545) ---
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets, without splitting a UTF-8 character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const icsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const icsTimestamp = (date) => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+// Calendar with one all-day event per daily forecast, on the location's local date. Event
+// UIDs depend only on the date and place, so a refreshed feed updates events in place.
+const oneCallToIcs = ({ coordinates, timezoneOffset, daily, units }, now = Date.now()) => {
+  if (!daily) {
+    throw new ApiError('INVALID_REQUEST', 'iCalendar export lists daily forecasts; remove daily from exclude');
+  }
+
+  const place = `${coordinates.lat}, ${coordinates.lon}`;
+  const stamp = icsTimestamp(new Date(now));
+  const degrees = units.temperature;
+
+  const events = daily.flatMap(day => {
+    const localDay = new Date(Date.parse(day.datetime) + timezoneOffset * 1000);
+    const nextDay = new Date(localDay.getTime() + 24 * 60 * 60 * 1000);
+    const { min, max } = day.temperature;
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${icsDate(localDay)}-${coordinates.lat},${coordinates.lon}@weather-api`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(localDay)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay)}`,
+      `SUMMARY:${escapeText(`${min}–${max}${degrees}, ${day.weather.description}`)}`,
+      `DESCRIPTION:${escapeText([
+        day.summary,
+        `Temperature: ${min}${degrees} to ${max}${degrees} (day ${day.temperature.day}${degrees})`,
+        `Precipitation probability: ${day.pop}%`,
+        `Humidity: ${day.humidity}%`,
+        `Wind: ${day.windSpeed} ${units.speed}`,
+        `UV index: ${day.uvIndex}`
+      ].filter(Boolean).join('\n'))}`,
+      `LOCATION:${escapeText(place)}`,
+      `GEO:${coordinates.lat};${coordinates.lon}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ];
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Weather API//Daily forecast//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Weather: ${place}`)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_REFRESH}`,
+    `X-PUBLISHED-TTL:${CALENDAR_REFRESH}`,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+// --- GeoJSON (RFC 7946) ---
+
+const pointFeature = ({ lat, lon }, properties) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties
+});
+
+// The location of a One Call response with its current conditions
+const oneCallToGeoJson = ({ coordinates, timezone, current, units }) => {
+  const { weather, ...conditions } = current;
+
+  return {
+    type: 'FeatureCollection',
+    features: [pointFeature(coordinates, {
+      timezone,
+      ...conditions,
+      description: weather.description,
+      icon: weather.icon,
+      units
+    })]
+  };
+};
+
+// Each /multiple entry with its current conditions. Failed entries keep their place in the
+// collection with no geometry, so clients can still report them.
+const multipleToGeoJson = (results) => ({
+  type: 'FeatureCollection',
+  features: results.map(({ success, data, ...request }) => {
+    if (!success) {
+      return { type: 'Feature', geometry: null, properties: request };
+    }
+
+    const { coordinates, ...conditions } = data;
+    return pointFeature(coordinates, { ...conditions, query: request.city ?? request.coordinates });
+  })
+});
+
+module.exports = {
+  EXPORT_FORMATS,
+  negotiateFormat,
+  sendExport,
+  slugify,
+  toNdjson,
+  toCsv,
+  forecastToCsv,
+  oneCallToCsv,
+  multipleToCsv,
+  oneCallToIcs,
+  oneCallToGeoJson,
+  multipleToGeoJson
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const { createConverter } = require('./units');
+const { createTranslator } = require('./i18n');
+
+// Formatters that turn raw OpenWeatherMap-shaped payloads into API responses. Upstream
+// values are metric and English; `units` is a converter from lib/units.js for the requested
+// units and `translator` one from lib/i18n.js for the requested language.
+
+// Upstream condition ({ id, main, description, icon }) with its description translated
+const localizeCondition = (condition, translator) => ({
+  ...condition,
+  description: translator.condition(condition)
+});
+
+// Helper function to format weather data
+const formatWeatherData = (data, units = createConverter(), translator = createTranslator()) => {
+  return {
+    location: `${data.name}, ${data.sys.country}`,
+    coordinates: {
+      lat: data.coord.lat,
+      lon: data.coord.lon
+    },
+    temperature: Math.round(units.temperature(data.main.temp)),
+    feelsLike: Math.round(units.temperature(data.main.feels_like)),
+    description: translator.condition(data.weather[0]),
+    icon: data.weather[0].icon,
+    humidity: data.main.humidity,
+    pressure: units.pressure(data.main.pressure),
+    windSpeed: units.speed(data.wind.speed),
+    windDirection: data.wind.deg,
+    visibility: units.distance(data.visibility / 1000),
+    cloudiness: data.clouds.all,
+    sunrise: new Date(data.sys.sunrise * 1000).toISOString(),
+    sunset: new Date(data.sys.sunset * 1000).toISOString(),
+    timezone: data.timezone,
+    units: units.labels
+  };
+};
+
+// Helper function to format forecast data
+const formatForecastData = (data, units = createConverter(), translator = createTranslator()) => {
+  return {
+    location: `${data.city.name}, ${data.city.country}`,
+    coordinates: {
+      lat: data.city.coord.lat,
+      lon: data.city.coord.lon
+    },
+    forecast: data.list.map(item => ({
+      datetime: item.dt_txt,
+      timestamp: item.dt,
+      temperature: Math.round(units.temperature(item.main.temp)),
+      feelsLike: Math.round(units.temperature(item.main.feels_like)),
+      description: translator.condition(item.weather[0]),
+      icon: item.weather[0].icon,
+      humidity: item.main.humidity,
+      pressure: units.pressure(item.main.pressure),
+      windSpeed: units.speed(item.wind.speed),
+      windDirection: item.wind.deg,
+      cloudiness: item.clouds.all,
+      precipitationProbability: item.pop * 100
+    })),
+    units: units.labels
+  };
+};
+
+// Helper function to format weather alerts. Upstream alerts carry no ID, so one is derived
+// from the issuer, event and start time to recognise the same alert across polls.
+const formatAlerts = (alerts = []) => {
+  return alerts.map(alert => ({
+    id: crypto.createHash('sha1')
+      .update(`${alert.sender_name}|${alert.event}|${alert.start}`)
+      .digest('hex')
+      .slice(0, 16),
+    sender: alert.sender_name,
+    event: alert.event,
+    start: new Date(alert.start * 1000).toISOString(),
+    end: new Date(alert.end * 1000).toISOString(),
+    description: alert.description,
+    tags: alert.tags || []
+  }));
+};
+
+// Helper function to format One Call data
+const formatOneCallData = (data, units = createConverter(), translator = createTranslator()) => {
+  const formattedData = {
+    coordinates: { lat: data.lat, lon: data.lon },
+    timezone: data.timezone,
+    timezoneOffset: data.timezone_offset,
+    units: units.labels,
+    current: {
+      datetime: new Date(data.current.dt * 1000).toISOString(),
+      sunrise: new Date(data.current.sunrise * 1000).toISOString(),
+      sunset: new Date(data.current.sunset * 1000).toISOString(),
+      temperature: Math.round(units.temperature(data.current.temp)),
+      feelsLike: Math.round(units.temperature(data.current.feels_like)),
+      pressure: units.pressure(data.current.pressure),
+      humidity: data.current.humidity,
+      dewPoint: Math.round(units.temperature(data.current.dew_point)),
+      uvIndex: data.current.uvi,
+      clouds: data.current.clouds,
+      visibility: units.distance(data.current.visibility / 1000),
+      windSpeed: units.speed(data.current.wind_speed),
+      windDirection: data.current.wind_deg,
+      weather: localizeCondition(data.current.weather[0], translator),
+    }
+  };
+  
+  // Add hourly forecast if available
+  if (data.hourly) {
+    formattedData.hourly = data.hourly.slice(0, 24).map(hour => ({
+      datetime: new Date(hour.dt * 1000).toISOString(),
+      temperature: Math.round(units.temperature(hour.temp)),
+      feelsLike: Math.round(units.temperature(hour.feels_like)),
+      pressure: units.pressure(hour.pressure),
+      humidity: hour.humidity,
+      dewPoint: Math.round(units.temperature(hour.dew_point)),
+      uvIndex: hour.uvi,
+      clouds: hour.clouds,
+      visibility: units.distance(hour.visibility / 1000),
+      windSpeed: units.speed(hour.wind_speed),
+      windDirection: hour.wind_deg,
+      weather: localizeCondition(hour.weather[0], translator),
+      pop: Math.round(hour.pop * 100)
+    }));
+  }
+  
+  // Add daily forecast if available
+  if (data.daily) {
+    formattedData.daily = data.daily.slice(0, 7).map(day => ({
+      datetime: new Date(day.dt * 1000).toISOString(),
+      sunrise: new Date(day.sunrise * 1000).toISOString(),
+      sunset: new Date(day.sunset * 1000).toISOString(),
+      moonrise: new Date(day.moonrise * 1000).toISOString(),
+      moonset: new Date(day.moonset * 1000).toISOString(),
+      moonPhase: day.moon_phase,
+      summary: day.summary,
+      temperature: {
+        day: Math.round(units.temperature(day.temp.day)),
+        min: Math.round(units.temperature(day.temp.min)),
+        max: Math.round(units.temperature(day.temp.max)),
+        night: Math.round(units.temperature(day.temp.night)),
+        evening: Math.round(units.temperature(day.temp.eve)),
+        morning: Math.round(units.temperature(day.temp.morn))
+      },
+      feelsLike: {
+        day: Math.round(units.temperature(day.feels_like.day)),
+        night: Math.round(units.temperature(day.feels_like.night)),
+        evening: Math.round(units.temperature(day.feels_like.eve)),
+        morning: Math.round(units.temperature(day.feels_like.morn))
+      },
+      pressure: units.pressure(day.pressure),
+      humidity: day.humidity,
+      dewPoint: Math.round(units.temperature(day.dew_point)),
+      windSpeed: units.speed(day.wind_speed),
+      windDirection: day.wind_deg,
+      weather: localizeCondition(day.weather[0], translator),
+      clouds: day.clouds,
+      pop: Math.round(day.pop * 100),
+      uvIndex: day.uvi
+    }));
+  }
+  
+  // Add government weather alerts if available
+  if (data.alerts) {
+    formattedData.alerts = formatAlerts(data.alerts);
+  }
+  
+  return formattedData;
+};
+
+// Helper function to format geocoding candidates, named in the requested language where
+// upstream knows the place's local name in it
+const formatGeocodeData = (data, translator = createTranslator()) => {
+  return data.map(place => {
+    const name = place.local_names?.[translator.lang] || place.name;
+
+    return {
+      name,
+      state: place.state,
+      country: place.country,
+      label: [name, place.state, place.country].filter(Boolean).join(', '),
+      coordinates: {
+        lat: place.lat,
+        lon: place.lon
+      }
+    };
+  });
+};
+
+// OpenWeatherMap air quality index levels
+const AQI_CATEGORIES = {
+  1: 'Good',
+  2: 'Fair',
+  3: 'Moderate',
+  4: 'Poor',
+  5: 'Very Poor'
+};
+
+// Helper function to format air pollution data (current reading plus hourly forecast)
+const formatAirQualityData = (current, forecast, translator = createTranslator()) => {
+  const reading = current.list[0];
+
+  return {
+    coordinates: {
+      lat: current.coord.lat,
+      lon: current.coord.lon
+    },
+    current: {
+      datetime: new Date(reading.dt * 1000).toISOString(),
+      aqi: reading.main.aqi,
+      category: translator.airQuality(AQI_CATEGORIES[reading.main.aqi]),
+      pollutants: {
+        pm2_5: reading.components.pm2_5,
+        pm10: reading.components.pm10,
+        o3: reading.components.o3,
+        no2: reading.components.no2,
+        so2: reading.components.so2,
+        co: reading.components.co
+      },
+      units: 'μg/m³'
+    },
+    forecast: forecast.list.map(hour => ({
+      datetime: new Date(hour.dt * 1000).toISOString(),
+      aqi: hour.main.aqi,
+      category: translator.airQuality(AQI_CATEGORIES[hour.main.aqi])
+    }))
+  };
+};
+
+// Helper function to format daily history aggregates and their summary (metric inputs)
+const formatHistoryData = (days, summary, units = createConverter()) => {
+  const temperature = (value) => Number(units.temperature(value).toFixed(1));
+  const millimetres = (value) => Number(value.toFixed(1));
+  const temperatures = ({ min, max, mean }) => ({
+    min: temperature(min),
+    max: temperature(max),
+    mean: temperature(mean)
+  });
+
+  return {
+    days: days.map(day => (day.samples === 0 ? { date: day.date, samples: 0, ...(day.unavailable && { unavailable: true }) } : {
+      date: day.date,
+      samples: day.samples,
+      temperature: temperatures(day.temperature),
+      precipitation: millimetres(day.precipitation),
+      windSpeed: units.speed(day.windSpeed)
+    })),
+    summary: summary.daysWithData === 0 ? summary : {
+      ...summary,
+      temperature: temperatures(summary.temperature),
+      precipitation: {
+        total: millimetres(summary.precipitation.total),
+        wetDays: summary.precipitation.wetDays
+      },
+      windSpeed: units.speed(summary.windSpeed)
+    },
+    units: { ...units.labels, precipitation: 'mm' }
+  };
+};
+
+// Helper function to format recorded observations, either as stored or downsampled buckets
+const formatObservationData = (points, units = createConverter(), translator = createTranslator()) => {
+  const temperature = (value) => Number(units.temperature(value).toFixed(1));
+
+  return points.map(point => {
+    const formatted = {
+      observedAt: point.observedAt,
+      ...(point.samples !== undefined && { samples: point.samples }),
+      temperature: temperature(point.temperature),
+      ...(point.samples !== undefined && {
+        temperatureMin: temperature(point.temperatureMin),
+        temperatureMax: temperature(point.temperatureMax)
+      }),
+      feelsLike: temperature(point.feelsLike),
+      humidity: Math.round(point.humidity),
+      pressure: units.pressure(point.pressure),
+      windSpeed: units.speed(point.windSpeed),
+      cloudiness: Math.round(point.cloudiness),
+      visibility: units.distance(point.visibility)
+    };
+
+    // Only individual observations have a direction, description and source
+    if (point.samples === undefined) {
+      Object.assign(formatted, {
+        windDirection: point.windDirection,
+        description: translator.condition({ id: point.conditionId, description: point.description }),
+        icon: point.icon,
+        source: point.source
+      });
+    }
+
+    return formatted;
+  });
+};
+
+module.exports = {
+  formatWeatherData,
+  formatForecastData,
+  formatOneCallData,
+  formatAlerts,
+  formatGeocodeData,
+  formatAirQualityData,
+  formatHistoryData,
+  formatObservationData
+};
@@ -0,0 +1,279 @@
+const { buildSchema } = require('graphql');
+const { ApiError } = require('./errors');
+const { resolveLocation } = require('./location');
+const { resolveUnits, createConverter } = require('./units');
+const { resolveLanguage, createTranslator } = require('./i18n');
+const { UPSTREAM_UNITS } = require('./weatherData');
+const { formatWeatherData, formatForecastData, formatOneCallData } = require('./formatters');
+
+// Same batch size as POST /api/weather/multiple
+const MAX_LOCATIONS = 10;
+
+// hourly and daily share one One Call request; the exclude list matches what
+// GET /onecall?exclude=minutely,alerts normalizes to, so both use the same cache entry
+const ONECALL_EXCLUDE = 'alerts,minutely';
+
+const schema = buildSchema(`
+  "Weather for one location. Each field is fetched from upstream only when it is selected."
+  type Location {
+    "Display name such as \\"London, GB\\" (geocoded)"
+    name: String
+    coordinates: Coordinates!
+    units: Units!
+    "Current conditions (as GET /current)"
+    current: CurrentWeather!
+    "5-day forecast in 3-hour steps (as GET /forecast)"
+    forecast(limit: Int = 40): [ForecastEntry!]!
+    "Next hours from One Call (as GET /onecall)"
+    hourly(limit: Int = 24): [HourlyWeather!]!
+    "Next days from One Call (as GET /onecall)"
+    daily(limit: Int = 7): [DailyWeather!]!
+  }
+
+  input LocationInput {
+    city: String
+    lat: Float
+    lon: Float
+  }
+
+  type Coordinates {
+    lat: Float!
+    lon: Float!
+  }
+
+  type Units {
+    temperature: String!
+    speed: String!
+    pressure: String!
+    distance: String!
+  }
+
+  type Condition {
+    id: Int
+    main: String
+    description: String
+    icon: String
+  }
+
+  type CurrentWeather {
+    temperature: Int
+    feelsLike: Int
+    description: String
+    icon: String
+    humidity: Int
+    pressure: Float
+    windSpeed: Float
+    windDirection: Int
+    visibility: Float
+    cloudiness: Int
+    sunrise: String
+    sunset: String
+    timezone: Int
+  }
+
+  type ForecastEntry {
+    datetime: String
+    timestamp: Int
+    temperature: Int
+    feelsLike: Int
+    description: String
+    icon: String
+    humidity: Int
+    pressure: Float
+    windSpeed: Float
+    windDirection: Int
+    cloudiness: Int
+    precipitationProbability: Float
+  }
+
+  type HourlyWeather {
+    datetime: String
+    temperature: Int
+    feelsLike: Int
+    pressure: Float
+    humidity: Int
+    dewPoint: Int
+    uvIndex: Float
+    clouds: Int
+    visibility: Float
+    windSpeed: Float
+    windDirection: Int
+    weather: Condition
+    pop: Int
+  }
+
+  type DailyTemperature {
+    day: Int
+    min: Int
+    max: Int
+    night: Int
+    evening: Int
+    morning: Int
+  }
+
+  type DailyFeelsLike {
+    day: Int
+    night: Int
+    evening: Int
+    morning: Int
+  }
+
+  type DailyWeather {
+    datetime: String
+    sunrise: String
+    sunset: String
+    moonrise: String
+    moonset: String
+    moonPhase: Float
+    summary: String
+    temperature: DailyTemperature
+    feelsLike: DailyFeelsLike
+    pressure: Float
+    humidity: Int
+    dewPoint: Int
+    windSpeed: Float
+    windDirection: Int
+    weather: Condition
+    clouds: Int
+    pop: Int
+    uvIndex: Float
+  }
+
+  type Query {
+    "Weather for a city or coordinates, in metric unless units or a per-quantity unit is given, in English unless lang is"
+    location(
+      city: String
+      lat: Float
+      lon: Float
+      units: String
+      temperatureUnit: String
+      speedUnit: String
+      pressureUnit: String
+      distanceUnit: String
+      lang: String
+    ): Location
+
+    "Weather for up to ${MAX_LOCATIONS} locations; a failing entry is null with its own error"
+    locations(
+      inputs: [LocationInput!]!
+      units: String
+      temperatureUnit: String
+      speedUnit: String
+      pressureUnit: String
+      distanceUnit: String
+      lang: String
+    ): [Location]!
+  }
+`);
+
+// Upstream-backed fields cost more than plain fields when checking query cost (see lib/queryLimits.js)
+const FIELD_COSTS = {
+  'Location.name': 10,
+  'Location.current': 10,
+  'Location.forecast': 10,
+  'Location.hourly': 10,
+  'Location.daily': 10
+};
+
+// Fields whose selections are resolved once per entry of a list argument
+const LIST_ARGUMENTS = {
+  'Query.locations': 'inputs'
+};
+
+// Helper function to validate the optional item limit of a list field
+const checkLimit = (field, limit, max) => {
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    throw new ApiError('INVALID_REQUEST', `${field} limit must be an integer between 1 and ${max}`);
+  }
+  return limit;
+};
+
+// Build the resolvers of one location. Upstream calls go through the shared weather data
+// access and are started at most once per location, whichever fields ask for them.
+const createLocation = ({ provider, data, recorder }, input, units, translator) => {
+  const location = resolveLocation(input);
+
+  const once = (load) => {
+    let pending;
+    return () => {
+      pending = pending || load();
+      return pending;
+    };
+  };
+
+  const coordinates = once(() => data.resolveCoordinates(location));
+
+  const oneCall = once(async () => {
+    const { lat, lon } = await coordinates();
+    const query = { lat, lon, units: UPSTREAM_UNITS, exclude: ONECALL_EXCLUDE };
+    return formatOneCallData(await data.fetchCached(null, 'onecall', query, provider.getOneCall), units, translator);
+  });
+
+  return {
+    name: async () => {
+      if (location.city) {
+        const { name, country } = await coordinates();
+        return `${name}, ${country}`;
+      }
+
+      const [place] = await data.fetchCached(null, 'geocode', { ...location, limit: 1 }, provider.reverseGeocode);
+      return place ? `${place.name}, ${place.country}` : null;
+    },
+
+    coordinates: async () => {
+      const { lat, lon } = await coordinates();
+      return { lat, lon };
+    },
+
+    units: units.labels,
+
+    current: async () => {
+      const query = { ...location, units: UPSTREAM_UNITS };
+      const weather = await data.fetchCached(null, 'current', query, provider.getCurrentWeather);
+      recorder.record(weather, 'request');
+      return formatWeatherData(weather, units, translator);
+    },
+
+    forecast: async ({ limit }) => {
+      checkLimit('forecast', limit, 40);
+      const query = { ...location, units: UPSTREAM_UNITS };
+      const forecast = await data.fetchCached(null, 'forecast', query, provider.getForecast);
+      return formatForecastData(forecast, units, translator).forecast.slice(0, limit);
+    },
+
+    hourly: async ({ limit }) => {
+      checkLimit('hourly', limit, 24);
+      return (await oneCall()).hourly.slice(0, limit);
+    },
+
+    daily: async ({ limit }) => {
+      checkLimit('daily', limit, 7);
+      return (await oneCall()).daily.slice(0, limit);
+    }
+  };
+};
+
+// Root resolvers over a provider, its cached data access and the observation recorder
+const createRootValue = (context) => ({
+  location: (args) =>
+    createLocation(context, args, createConverter(resolveUnits(args)), createTranslator(resolveLanguage(args))),
+
+  locations: ({ inputs, lang, ...unitArgs }) => {
+    if (inputs.length > MAX_LOCATIONS) {
+      throw new ApiError('INVALID_REQUEST', `Maximum ${MAX_LOCATIONS} locations allowed per request`);
+    }
+
+    const units = createConverter(resolveUnits(unitArgs));
+    const translator = createTranslator(resolveLanguage({ lang }));
+
+    // Each entry resolves on its own, so one invalid location does not fail the batch
+    return inputs.map(async (input) => createLocation(context, input, units, translator));
+  }
+});
+
+module.exports = {
+  schema,
+  FIELD_COSTS,
+  LIST_ARGUMENTS,
+  createRootValue
+};
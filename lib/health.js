@@ -0,0 +1,64 @@
+const { ERROR_TYPES, mapUpstreamError } = require('./errors');
+
+// Current weather lookup used to check the provider answers (central London)
+const PROBE_QUERY = { lat: 51.51, lon: -0.13, units: 'metric' };
+
+// Readiness of the weather provider: it has an API key and answers a request. The upstream
+// probe result is reused for `interval` ms, so however often a load balancer asks, the
+// check costs at most one upstream call per interval.
+const createHealthCheck = ({ provider, interval = 60 * 1000, now = () => Date.now() }) => {
+  let last = null;
+  let probing = null;
+
+  const probe = async () => {
+    const startedAt = now();
+    const timing = () => ({ checkedAt: new Date(startedAt).toISOString(), latencyMs: now() - startedAt });
+
+    try {
+      await provider.getCurrentWeather(PROBE_QUERY);
+      return { status: 'pass', ...timing() };
+    } catch (error) {
+      const apiError = mapUpstreamError(error);
+      return { status: 'fail', code: apiError.code, message: apiError.message, ...timing() };
+    }
+  };
+
+  // Concurrent checks share one probe
+  const checkUpstream = () => {
+    if (last && now() - last.at < interval) return Promise.resolve(last.result);
+
+    if (!probing) {
+      probing = probe()
+        .then(result => {
+          last = { at: now(), result };
+          return result;
+        })
+        .finally(() => {
+          probing = null;
+        });
+    }
+    return probing;
+  };
+
+  // Resolves to { ready, provider, checks: { apiKey, upstream } }
+  const check = async () => {
+    const configured = provider.isConfigured();
+    const checks = {
+      apiKey: configured
+        ? { status: 'pass' }
+        : { status: 'fail', code: 'PROVIDER_NOT_CONFIGURED', message: ERROR_TYPES.PROVIDER_NOT_CONFIGURED.message },
+      // Without a key every upstream call fails, so there is nothing to probe
+      upstream: configured ? await checkUpstream() : { status: 'skipped' }
+    };
+
+    return {
+      ready: Object.values(checks).every(({ status }) => status === 'pass'),
+      provider: provider.name,
+      checks
+    };
+  };
+
+  return { check };
+};
+
+module.exports = { createHealthCheck };
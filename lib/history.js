@@ -0,0 +1,181 @@
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest date range a single history request may cover
+const MAX_HISTORY_DAYS = 31;
+
+// The OpenWeatherMap History API returns at most one week of hourly data per call
+const UPSTREAM_CHUNK_DAYS = 7;
+
+// A day is stored once it has this many of its 24 hourly samples and ended long enough ago
+// for upstream to have caught up; anything less is served but fetched again next time
+const COMPLETE_DAY_SAMPLES = 20;
+const SETTLE_MS = 3 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Helper function to parse a YYYY-MM-DD date as UTC midnight
+const parseDate = (value, name) => {
+  const time = DATE_PATTERN.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+
+  if (isNaN(time) || toDateString(time) !== value) {
+    throw new ApiError('INVALID_REQUEST', `${name} must be a date in YYYY-MM-DD format`);
+  }
+
+  return time;
+};
+
+// Validate a start/end query and return every UTC date in the range
+const parseDateRange = ({ start, end }, now = Date.now()) => {
+  if (!start || !end) {
+    throw new ApiError('INVALID_REQUEST', 'Please provide a start and end date (YYYY-MM-DD)');
+  }
+
+  const from = parseDate(start, 'start');
+  const to = parseDate(end, 'end');
+
+  if (to < from) {
+    throw new ApiError('INVALID_REQUEST', 'end must not be before start');
+  }
+
+  if (to >= Math.floor(now / DAY_MS) * DAY_MS) {
+    throw new ApiError('INVALID_REQUEST', 'History is only available for completed days (end must be before today, UTC)');
+  }
+
+  const count = (to - from) / DAY_MS + 1;
+  if (count > MAX_HISTORY_DAYS) {
+    throw new ApiError('INVALID_REQUEST', `A history range can span at most ${MAX_HISTORY_DAYS} days`);
+  }
+
+  return Array.from({ length: count }, (_, index) => toDateString(from + index * DAY_MS));
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => sum(values) / values.length;
+
+const precipitationOf = (observation) =>
+  ((observation.rain && observation.rain['1h']) || 0) + ((observation.snow && observation.snow['1h']) || 0);
+
+// Aggregate one UTC day of metric hourly observations
+const aggregateDay = (date, observations) => {
+  const temperatures = observations.map(observation => observation.main.temp);
+
+  return {
+    date,
+    samples: observations.length,
+    temperature: {
+      min: Math.min(...temperatures),
+      max: Math.max(...temperatures),
+      mean: mean(temperatures)
+    },
+    precipitation: sum(observations.map(precipitationOf)),
+    windSpeed: mean(observations.map(observation => observation.wind.speed))
+  };
+};
+
+// Split dates into runs of consecutive days no longer than one upstream call can cover
+const chunkDates = (dates) => dates.reduce((chunks, date) => {
+  const chunk = chunks[chunks.length - 1];
+  const previous = chunk && chunk[chunk.length - 1];
+
+  if (previous && Date.parse(date) - Date.parse(previous) === DAY_MS && chunk.length < UPSTREAM_CHUNK_DAYS) {
+    chunk.push(date);
+  } else {
+    chunks.push([date]);
+  }
+  return chunks;
+}, []);
+
+const isComplete = (day) => Boolean(day) && day.samples >= COMPLETE_DAY_SAMPLES;
+
+// Return daily aggregates for the dates, fetching only the days not complete in the store.
+// Days without upstream observations come back with `samples: 0`. When upstream fails, the
+// stored days are still returned and the others are marked `unavailable`; only a request
+// with nothing to return fails.
+const fetchHistory = async (provider, store, { lat, lon }, dates, { now = Date.now() } = {}) => {
+  const location = { lat, lon };
+  const fetched = new Map();
+  let failure = null;
+
+  await Promise.all(chunkDates(dates.filter(date => !isComplete(store.get(location, date)))).map(async (chunk) => {
+    let data;
+    try {
+      data = await provider.getHistory({
+        lat,
+        lon,
+        start: Date.parse(chunk[0]) / 1000,
+        end: (Date.parse(chunk[chunk.length - 1]) + DAY_MS) / 1000 - 1,
+        units: 'metric'
+      });
+    } catch (error) {
+      logger.warn('Weather history unavailable', { lat, lon, start: chunk[0], end: chunk[chunk.length - 1], error: error.message });
+      failure = failure || error;
+      return;
+    }
+
+    const byDate = new Map(chunk.map(date => [date, []]));
+    (data.list || []).forEach(observation => {
+      const observations = byDate.get(toDateString(observation.dt * 1000));
+      if (observations) observations.push(observation);
+    });
+
+    const days = [...byDate].map(([date, observations]) =>
+      (observations.length > 0 ? aggregateDay(date, observations) : { date, samples: 0 }));
+    days.forEach(day => fetched.set(day.date, day));
+
+    store.setMany(location, days.filter(day => isComplete(day) && Date.parse(day.date) + DAY_MS + SETTLE_MS <= now));
+  }));
+
+  const days = dates.map(date => fetched.get(date) || store.get(location, date) || { date, samples: 0, unavailable: true });
+
+  if (failure && days.every(day => day.unavailable)) {
+    throw failure;
+  }
+
+  return days;
+};
+
+// Summary statistics over the days that have data
+const summarizeHistory = (days) => {
+  const observed = days.filter(day => day.samples > 0);
+  if (observed.length === 0) {
+    return { days: days.length, daysWithData: 0 };
+  }
+
+  const pick = (compare) => observed.reduce((best, day) => (compare(day, best) ? day : best));
+  const warmest = pick((day, best) => day.temperature.max > best.temperature.max);
+  const coldest = pick((day, best) => day.temperature.min < best.temperature.min);
+  const wettest = pick((day, best) => day.precipitation > best.precipitation);
+
+  return {
+    days: days.length,
+    daysWithData: observed.length,
+    temperature: {
+      min: coldest.temperature.min,
+      max: warmest.temperature.max,
+      mean: mean(observed.map(day => day.temperature.mean))
+    },
+    precipitation: {
+      total: sum(observed.map(day => day.precipitation)),
+      // Days with at least 1 mm, the usual threshold for a "rain day"
+      wetDays: observed.filter(day => day.precipitation >= 1).length
+    },
+    windSpeed: mean(observed.map(day => day.windSpeed)),
+    warmestDay: warmest.date,
+    coldestDay: coldest.date,
+    wettestDay: wettest.precipitation > 0 ? wettest.date : null
+  };
+};
+
+module.exports = {
+  MAX_HISTORY_DAYS,
+  parseDate,
+  parseDateRange,
+  aggregateDay,
+  fetchHistory,
+  summarizeHistory
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Daily history aggregates keyed by location and UTC date: in memory, optionally persisted
+// to a JSON file. Only complete past days are stored, and they never change, so they do not
+// expire; instead at most `maxLocations` locations are kept, dropping the least recently
+// used one first.
+const createHistoryStore = ({ file, maxLocations = 1000 } = {}) => {
+  let days = {};
+
+  if (file && fs.existsSync(file)) {
+    days = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Saving runs off the request path, one write at a time: changes made while a write is
+  // in progress are picked up by the next one. Each write replaces the file atomically.
+  let dirty = false;
+  let writing = null;
+
+  const write = async () => {
+    while (dirty) {
+      dirty = false;
+      try {
+        const temporary = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify(days));
+        await fs.promises.rename(temporary, file);
+      } catch (error) {
+        logger.error('Failed to save weather history', { error });
+      }
+    }
+    writing = null;
+  };
+
+  const save = () => {
+    if (!file) return;
+    dirty = true;
+    if (!writing) writing = write();
+  };
+
+  const locationKey = ({ lat, lon }) => `${lat},${lon}`;
+
+  // Locations are kept in order of use (object keys keep insertion order), oldest first
+  const touch = (key) => {
+    const dates = days[key];
+    delete days[key];
+    days[key] = dates;
+  };
+
+  const evict = () => {
+    const keys = Object.keys(days);
+    keys.slice(0, Math.max(0, keys.length - maxLocations)).forEach(key => {
+      delete days[key];
+    });
+    return keys.length > maxLocations;
+  };
+
+  if (evict()) save();
+
+  return {
+    get: (location, date) => {
+      const key = locationKey(location);
+      if (!days[key]) return undefined;
+
+      touch(key);
+      return days[key][date];
+    },
+
+    setMany: (location, entries) => {
+      if (entries.length === 0) return;
+
+      const key = locationKey(location);
+      days[key] = { ...days[key] };
+      touch(key);
+      entries.forEach(entry => {
+        days[key][entry.date] = entry;
+      });
+      evict();
+      save();
+    },
+
+    // Resolves once every change so far is on disk
+    flush: () => writing || Promise.resolve(),
+
+    size: () => Object.values(days).reduce((total, dates) => total + Object.keys(dates).length, 0)
+  };
+};
+
+module.exports = { createHistoryStore };
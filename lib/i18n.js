@@ -0,0 +1,53 @@
+const { ApiError, ERROR_TYPES } = require('./errors');
+
+// Upstream data is always fetched in English and localized per request here, by condition ID
+// rather than by text, so one cached upstream response can serve every language (like units).
+const CATALOGUES = {
+  hi: require('./locales/hi'),
+  ar: require('./locales/ar')
+};
+
+// Languages selectable with the `lang` parameter; English needs no catalogue
+const LANGUAGES = ['en', ...Object.keys(CATALOGUES)];
+
+// Validate `lang` and return the chosen language
+const resolveLanguage = (params = {}) => {
+  const { lang = 'en' } = params;
+
+  if (!LANGUAGES.includes(lang)) {
+    throw new ApiError('INVALID_REQUEST', `lang must be one of: ${LANGUAGES.join(', ')}`);
+  }
+
+  return lang;
+};
+
+// Language for an error response: a supported `lang` in the query or JSON body, else English.
+// Unlike resolveLanguage this never throws, as the error may be about `lang` itself.
+const languageOf = (req) => [req.query?.lang, req.body?.lang].find(lang => LANGUAGES.includes(lang)) || 'en';
+
+// Build translators into a language. Anything without a translation stays in English.
+const createTranslator = (lang = 'en') => {
+  const catalogue = CATALOGUES[lang] || {};
+  const lookup = (group, key, fallback) => catalogue[group]?.[key] ?? fallback;
+
+  return {
+    lang,
+    // A weather condition ({ id, description }) as OWM sends it
+    condition: ({ id, description }) => lookup('conditions', id, description),
+    airQuality: (category) => lookup('airQuality', category, category),
+    moonPhase: (name) => lookup('moonPhases', name, name),
+    indexCategory: (name) => lookup('indexCategories', name, name),
+    // Only an error's default message is translated; messages written for one request (such
+    // as which parameter failed validation) stay in English
+    error: (error) => (error.message === ERROR_TYPES[error.code]?.message
+      ? lookup('errors', error.code, error.message)
+      : error.message)
+  };
+};
+
+module.exports = {
+  LANGUAGES,
+  resolveLanguage,
+  languageOf,
+  createTranslator
+};
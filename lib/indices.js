@@ -0,0 +1,295 @@
+const { createConverter } = require('./units');
+const { createTranslator } = require('./i18n');
+
+// Derived comfort and activity indices. Every calculation takes metric values (°C, m/s, %)
+// as upstream sends them; buildIndices converts the results into the requested units and
+// names each category in the requested language next to its code.
+
+// OWM `weather.main` groups that mean it is raining or snowing now
+const PRECIPITATING = ['Rain', 'Drizzle', 'Thunderstorm', 'Snow'];
+
+// Growing degree days count mean temperature above this base, in °C
+const GDD_BASE = 10;
+
+// Forecast steps are three hours apart, so a whole day has eight of them
+const STEPS_PER_DAY = 8;
+
+const toFahrenheit = (celsius) => celsius * 9 / 5 + 32;
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+
+// English names of the category and rating codes; catalogues translate these
+const CATEGORY_NAMES = {
+  caution: 'Caution',
+  extremeCaution: 'Extreme caution',
+  danger: 'Danger',
+  extremeDanger: 'Extreme danger',
+  low: 'Low',
+  moderate: 'Moderate',
+  high: 'High',
+  veryHigh: 'Very high',
+  extreme: 'Extreme',
+  comfortable: 'Comfortable',
+  someDiscomfort: 'Some discomfort',
+  greatDiscomfort: 'Great discomfort',
+  dangerous: 'Dangerous',
+  poor: 'Poor',
+  fair: 'Fair',
+  good: 'Good',
+  excellent: 'Excellent'
+};
+
+// Category of `value` from [upper bound, category] pairs in ascending order
+const categorize = (value, bands, top) => {
+  const band = bands.find(([upper]) => value < upper);
+  return band ? band[1] : top;
+};
+
+// Dew point in °C (Magnus formula)
+const dewPoint = (temperature, humidity) => {
+  const gamma = Math.log(Math.max(humidity, 1) / 100) + (17.625 * temperature) / (243.04 + temperature);
+  return (243.04 * gamma) / (17.625 - gamma);
+};
+
+// NWS heat index in °C (Rothfusz regression with its low and high humidity adjustments).
+// Only defined from 80 °F (26.7 °C); null below.
+const heatIndex = (temperature, humidity) => {
+  const t = toFahrenheit(temperature);
+  const rh = humidity;
+  if (t < 80) return null;
+
+  let index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+    0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+    0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+  if (rh < 13 && t <= 112) {
+    index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t <= 87) {
+    index += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+
+  return toCelsius(index);
+};
+
+// NWS heat index categories, by heat index in °F
+const heatIndexCategory = (celsius) => categorize(toFahrenheit(celsius), [
+  [90, 'caution'],
+  [103, 'extremeCaution'],
+  [125, 'danger']
+], 'extremeDanger');
+
+// Wind chill in °C (Environment Canada / NWS formula). Only defined at or below 10 °C with
+// wind above 4.8 km/h; null otherwise.
+const windChill = (temperature, windSpeed) => {
+  const kmh = windSpeed * 3.6;
+  if (temperature > 10 || kmh <= 4.8) return null;
+
+  const v = kmh ** 0.16;
+  return 13.12 + 0.6215 * temperature - 11.37 * v + 0.3965 * temperature * v;
+};
+
+// Environment Canada frostbite and hypothermia risk, by wind chill in °C
+const windChillCategory = (celsius) => categorize(celsius, [
+  [-48, 'extreme'],
+  [-40, 'veryHigh'],
+  [-28, 'high'],
+  [-10, 'moderate']
+], 'low');
+
+// Canadian humidex, a dimensionless number on roughly the °C scale. Environment Canada only
+// reports it from 20 °C; null below.
+const humidex = (temperature, dew) => {
+  if (temperature < 20) return null;
+
+  const vapourPressure = 6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / (273.15 + dew)));
+  return temperature + 0.5555 * (vapourPressure - 10);
+};
+
+const humidexCategory = (value) => categorize(value, [
+  [30, 'comfortable'],
+  [40, 'someDiscomfort'],
+  [46, 'greatDiscomfort']
+], 'dangerous');
+
+// WHO UV index exposure categories
+const uvCategory = (uvi) => categorize(Math.round(uvi), [
+  [3, 'low'],
+  [6, 'moderate'],
+  [8, 'high'],
+  [11, 'veryHigh']
+], 'extreme');
+
+// Points off a perfect 10 per input for each activity. Each rule takes the period's metric
+// conditions and returns its penalty; uvIndex is null when One Call is unavailable.
+const outside = (value, min, max) => Math.max(0, min - value, value - max);
+
+const ACTIVITIES = {
+  running: {
+    feelsLike: ({ feelsLike }) => outside(feelsLike, 5, 18) * 0.4,
+    humidity: ({ humidity }) => Math.max(0, humidity - 70) / 10,
+    windSpeed: ({ windSpeed }) => Math.max(0, windSpeed - 8) * 0.7,
+    precipitationProbability: ({ pop }) => pop * 5,
+    uvIndex: ({ uvi }) => Math.max(0, (uvi ?? 0) - 5) * 0.7
+  },
+  cycling: {
+    feelsLike: ({ feelsLike }) => outside(feelsLike, 10, 25) * 0.4,
+    windSpeed: ({ windSpeed }) => Math.max(0, windSpeed - 4),
+    precipitationProbability: ({ pop }) => pop * 7,
+    uvIndex: ({ uvi }) => Math.max(0, (uvi ?? 0) - 5) * 0.35
+  },
+  laundryDrying: {
+    temperature: ({ temperature }) => Math.max(0, 15 - temperature) * 0.3,
+    humidity: ({ humidity }) => Math.max(0, humidity - 50) / 8,
+    windSpeed: ({ windSpeed }) => Math.max(0, 1.5 - windSpeed) * 1.5 + Math.max(0, windSpeed - 12) * 0.8,
+    precipitationProbability: ({ pop }) => pop * 10,
+    cloudiness: ({ clouds }) => (clouds / 100) * 3,
+    daylight: ({ daylight }) => (daylight ? 0 : 5)
+  }
+};
+
+const rating = (score) => categorize(score, [
+  [4, 'poor'],
+  [6, 'fair'],
+  [8, 'good']
+], 'excellent');
+
+// Score an activity from 0 (unsuitable) to 10 (ideal). `limitedBy` names the inputs that
+// cost at least a point, worst first; `inputs` shows every value the score was based on.
+const scoreActivity = (rules, conditions, shown, labelOf) => {
+  const penalties = Object.entries(rules).map(([input, rule]) => [input, rule(conditions)]);
+  const score = Math.max(0, Math.round(10 - penalties.reduce((sum, [, penalty]) => sum + penalty, 0)));
+
+  return {
+    score,
+    rating: rating(score),
+    label: labelOf(rating(score)),
+    limitedBy: penalties.filter(([, penalty]) => penalty >= 1).sort((a, b) => b[1] - a[1]).map(([input]) => input),
+    inputs: Object.fromEntries(Object.keys(rules).map(input => [input, shown[input]]))
+  };
+};
+
+// Indices for one period from its metric conditions:
+// { temperature, feelsLike, humidity, windSpeed, clouds, pop (0-1), daylight, dewPoint?, uvi? }
+const periodIndices = (conditions, units, translator) => {
+  const { temperature, feelsLike, humidity, windSpeed, clouds, pop, daylight } = conditions;
+  const uvi = conditions.uvi ?? null;
+  const dew = conditions.dewPoint ?? dewPoint(temperature, humidity);
+  const heat = heatIndex(temperature, humidity);
+  const chill = windChill(temperature, windSpeed);
+  const humid = humidex(temperature, dew);
+  const temperatureIn = (celsius) => Math.round(units.temperature(celsius));
+  const labelOf = (category) => translator.indexCategory(CATEGORY_NAMES[category]);
+  const index = (value, category) => (value === null
+    ? { value: null, category: null, label: null }
+    : { value, category, label: labelOf(category) });
+
+  const shown = {
+    temperature: temperatureIn(temperature),
+    feelsLike: temperatureIn(feelsLike),
+    humidity,
+    windSpeed: units.speed(windSpeed),
+    cloudiness: clouds,
+    precipitationProbability: Math.round(pop * 100),
+    uvIndex: uvi,
+    daylight
+  };
+
+  return {
+    conditions: shown,
+    dewPoint: {
+      value: temperatureIn(dew),
+      source: conditions.dewPoint === undefined ? 'calculated' : 'upstream'
+    },
+    heatIndex: heat === null ? index(null) : index(temperatureIn(heat), heatIndexCategory(heat)),
+    windChill: chill === null ? index(null) : index(temperatureIn(chill), windChillCategory(chill)),
+    humidex: humid === null ? index(null) : index(Math.round(humid), humidexCategory(humid)),
+    uv: uvi === null ? null : { index: uvi, category: uvCategory(uvi), label: labelOf(uvCategory(uvi)) },
+    activities: Object.fromEntries(Object.entries(ACTIVITIES).map(([activity, rules]) =>
+      [activity, scoreActivity(rules, { ...conditions, uvi }, shown, labelOf)]))
+  };
+};
+
+// Growing degree days per whole local day of the forecast: the day's mean of its highest and
+// lowest temperature above GDD_BASE. Degree days are a temperature difference, so they are
+// converted without the unit's offset.
+const growingDegreeDays = (forecast, units) => {
+  const days = new Map();
+  forecast.list.forEach(item => {
+    const date = new Date((item.dt + forecast.city.timezone) * 1000).toISOString().slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(item.main.temp);
+  });
+
+  const degrees = (celsius) => Math.round((units.temperature(celsius) - units.temperature(0)) * 10) / 10;
+  const whole = [...days].filter(([, temps]) => temps.length === STEPS_PER_DAY).map(([date, temps]) => {
+    const min = Math.min(...temps);
+    const max = Math.max(...temps);
+    return {
+      date,
+      min: Math.round(units.temperature(min)),
+      max: Math.round(units.temperature(max)),
+      value: degrees(Math.max(0, (min + max) / 2 - GDD_BASE))
+    };
+  });
+
+  return {
+    base: Math.round(units.temperature(GDD_BASE)),
+    days: whole,
+    total: Math.round(whole.reduce((sum, day) => sum + day.value, 0) * 10) / 10
+  };
+};
+
+// Build the /indices response from raw current weather and forecast payloads, plus One Call
+// data for UV and upstream dew points when available (null otherwise)
+const buildIndices = (current, forecast, oneCall, units = createConverter(), translator = createTranslator()) => {
+  const hourly = new Map((oneCall?.hourly || []).map(hour => [hour.dt, hour]));
+  const [next] = forecast.list;
+  const precipitating = PRECIPITATING.includes(current.weather[0].main);
+
+  return {
+    location: `${current.name}, ${current.sys.country}`,
+    coordinates: { lat: current.coord.lat, lon: current.coord.lon },
+    current: {
+      datetime: new Date(current.dt * 1000).toISOString(),
+      // Current conditions carry no probability: 100% while it rains, else the next step's
+      ...periodIndices({
+        temperature: current.main.temp,
+        feelsLike: current.main.feels_like,
+        humidity: current.main.humidity,
+        windSpeed: current.wind.speed,
+        clouds: current.clouds.all,
+        pop: precipitating ? 1 : next?.pop ?? 0,
+        daylight: current.dt >= current.sys.sunrise && current.dt < current.sys.sunset,
+        dewPoint: oneCall?.current?.dew_point,
+        uvi: oneCall?.current?.uvi
+      }, units, translator)
+    },
+    forecast: forecast.list.map(item => ({
+      datetime: item.dt_txt,
+      timestamp: item.dt,
+      ...periodIndices({
+        temperature: item.main.temp,
+        feelsLike: item.main.feels_like,
+        humidity: item.main.humidity,
+        windSpeed: item.wind.speed,
+        clouds: item.clouds.all,
+        pop: item.pop,
+        daylight: item.sys?.pod === 'd',
+        dewPoint: hourly.get(item.dt)?.dew_point,
+        uvi: hourly.get(item.dt)?.uvi
+      }, units, translator)
+    })),
+    growingDegreeDays: growingDegreeDays(forecast, units),
+    units: units.labels
+  };
+};
+
+module.exports = {
+  ACTIVITIES,
+  CATEGORY_NAMES,
+  dewPoint,
+  heatIndex,
+  windChill,
+  humidex,
+  uvCategory,
+  buildIndices
+};
@@ -0,0 +1,159 @@
+// Validator for the JSON Schema subset used by the OpenAPI document (lib/openapi.js):
+// $ref, type, nullable, enum, minimum/maximum, minLength, pattern, format (date),
+// items, minItems/maxItems, properties, required, additionalProperties: false and oneOf.
+//
+// Schemas may set the error reported when they fail with two extensions, each either a
+// value or an object of values per keyword (plus an optional `default`):
+// `x-error-code`, an ERROR_TYPES code (default INVALID_REQUEST), and `x-error-message`.
+// A schema that sets its own code but no message reports no message, so the code's default
+// message applies.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Formats that are checked; any other format is documentation only
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+// Helper function to follow a local "#/components/..." reference
+const resolveRef = (schema, root) => {
+  if (!schema.$ref) return schema;
+  return schema.$ref.slice(2).split('/').reduce((node, key) => node[key], root);
+};
+
+// Helper function to describe the allowed range of a number
+const describeRange = (schema) => {
+  const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `must be ${kind} between ${schema.minimum} and ${schema.maximum}`;
+  }
+  return schema.minimum !== undefined
+    ? `must be at least ${schema.minimum}`
+    : `must be at most ${schema.maximum}`;
+};
+
+// Helper function to name a property of the value at `path` ("" is the top level)
+const propertyPath = (path, name) => (path ? `${path}.${name}` : name);
+
+// Helper function to read an x-error-* extension for a keyword
+const extension = (schema, name, keyword) => {
+  const value = schema[name];
+  return value && typeof value === 'object' ? value[keyword] || value.default : value;
+};
+
+// Build the reported error, preferring the schema's own code and message
+const failure = (schema, keyword, path, message) => {
+  const code = extension(schema, 'x-error-code', keyword);
+  const custom = extension(schema, 'x-error-message', keyword);
+
+  return {
+    path,
+    keyword,
+    code: code || 'INVALID_REQUEST',
+    message: custom || (code ? undefined : `${path} ${message}`)
+  };
+};
+
+// Validate `value` and return the first error found ({ path, keyword, code, message }),
+// or null when it is valid. `path` names the value in messages, e.g. "cities[2]"; properties
+// of a top-level object (path "") are named on their own.
+const validateSchema = (schemaOrRef, value, { root = {}, path = 'value' } = {}) => {
+  const schema = resolveRef(schemaOrRef, root);
+  const options = { root };
+
+  if (value === null && schema.nullable) return null;
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => !validateSchema(option, value, { root, path }));
+    return matches.length === 1 ? null : failure(schema, 'oneOf', path, 'does not match any allowed shape');
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return failure(schema, 'type', path, `must be ${TYPE_NAMES[schema.type]}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return failure(schema, 'enum', path, `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if ((schema.minimum !== undefined && value < schema.minimum) ||
+      (schema.maximum !== undefined && value > schema.maximum)) {
+    return failure(schema, 'range', path, describeRange(schema));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return failure(schema, 'minLength', path, `must be at least ${schema.minLength} characters long`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return failure(schema, 'pattern', path, 'has an invalid format');
+    }
+
+    if (FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      return failure(schema, 'format', path, `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return failure(schema, 'minItems', path, `must have at least ${schema.minItems} items`);
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return failure(schema, 'maxItems', path, `must have at most ${schema.maxItems} items`);
+    }
+
+    if (schema.items) {
+      for (let index = 0; index < value.length; index += 1) {
+        const error = validateSchema(schema.items, value[index], { ...options, path: `${path}[${index}]` });
+        if (error) return error;
+      }
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        const property = resolveRef(properties[name] || {}, root);
+        return failure(property, 'required', propertyPath(path, name), 'is required');
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      const extra = Object.keys(value).find(name => !properties[name]);
+      if (extra !== undefined) {
+        return failure(schema, 'additionalProperties', propertyPath(path, extra), 'is not allowed');
+      }
+    }
+
+    for (const [name, property] of Object.entries(properties)) {
+      if (value[name] === undefined) continue;
+
+      const error = validateSchema(property, value[name], { ...options, path: propertyPath(path, name) });
+      if (error) return error;
+    }
+  }
+
+  return null;
+};
+
+module.exports = { validateSchema, resolveRef };
@@ -0,0 +1,136 @@
+const { ApiError, toApiError } = require('./errors');
+const { formatWeatherData } = require('./formatters');
+const { logger } = require('./logger');
+const { CACHE_TTL, UPSTREAM_UNITS, createWeatherData } = require('./weatherData');
+
+const locationKey = ({ city, lat, lon }) => (city ? `city:${city}` : `${lat},${lon}`);
+
+// Pushes current conditions to live update subscribers. Each followed location is polled
+// once per interval through the shared response cache, however many subscribers follow it,
+// and subscribers only hear about a location again when its conditions change. Polls
+// refetch cached data older than half the interval, so each pass sees fresh conditions
+// rather than waiting out the cache TTL, and the refreshed entry serves /current too.
+const createLiveUpdates = ({
+  provider,
+  cache,
+  cacheTtl = CACHE_TTL,
+  interval = 60 * 1000,
+  maxSubscribers = 100
+}) => {
+  const { fetchCached } = createWeatherData({ provider, cache, cacheTtl });
+  const maxAge = interval / 2 / 1000;
+  const entries = new Map();
+  let subscribers = 0;
+  let timer = null;
+  let polling = null;
+
+  // Fetch one location and notify its listeners if the result differs from the last one.
+  // Updates carry metric data (or an ApiError); subscribers format it in their own units.
+  const fetchEntry = async (entry) => {
+    let update;
+    try {
+      const query = { ...entry.location, units: UPSTREAM_UNITS };
+      const data = await fetchCached(null, 'current', query, provider.getCurrentWeather, { maxAge });
+      update = { data, signature: JSON.stringify(formatWeatherData(data)) };
+    } catch (error) {
+      const apiError = toApiError(error);
+      update = { error: apiError, signature: `error:${apiError.code}` };
+    }
+
+    if (update.signature === entry.latest?.signature) return false;
+
+    entry.latest = update;
+    entry.listeners.forEach(listener => listener(update));
+    return true;
+  };
+
+  // Concurrent refreshes of the same location share one fetch
+  const refresh = (entry) => {
+    if (!entry.pending) {
+      entry.pending = fetchEntry(entry).finally(() => {
+        entry.pending = null;
+      });
+    }
+    return entry.pending;
+  };
+
+  // Run one polling pass; callers arriving mid-pass share the pass in progress
+  const poll = () => {
+    if (!polling) {
+      polling = Promise.all([...entries.values()].map(refresh))
+        .then(results => ({ locations: results.length, changed: results.filter(Boolean).length }))
+        .finally(() => {
+          polling = null;
+        });
+    }
+    return polling;
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Follow normalized locations; onUpdate(location, update) receives the latest known
+  // conditions on the next tick (so the caller can finish setting up first) and then
+  // every change. Returns the unsubscribe function.
+  const subscribe = (locations, onUpdate) => {
+    if (subscribers >= maxSubscribers) {
+      throw new ApiError('TOO_MANY_STREAMS');
+    }
+    subscribers++;
+
+    const followed = locations.map(location => {
+      const key = locationKey(location);
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = { location, listeners: new Set(), latest: null, pending: null };
+        entries.set(key, entry);
+        refresh(entry);
+      }
+
+      const listener = update => onUpdate(location, update);
+      entry.listeners.add(listener);
+      if (entry.latest) {
+        const { latest } = entry;
+        process.nextTick(() => entry.listeners.has(listener) && listener(latest));
+      }
+      return { key, entry, listener };
+    });
+
+    if (!timer) {
+      timer = setInterval(() => {
+        poll().catch(error => logger.error('Live update polling failed', { error }));
+      }, interval);
+      timer.unref();
+    }
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+      subscribers--;
+
+      followed.forEach(({ key, entry, listener }) => {
+        entry.listeners.delete(listener);
+        if (entry.listeners.size === 0 && entries.get(key) === entry) entries.delete(key);
+      });
+
+      if (entries.size === 0) stop();
+    };
+  };
+
+  return {
+    subscribe,
+    poll,
+    stop,
+    get subscribers() {
+      return subscribers;
+    },
+    get locations() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = { createLiveUpdates, locationKey };
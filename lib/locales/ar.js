@@ -0,0 +1,136 @@
+// Arabic (العربية)
+module.exports = {
+  // Weather condition descriptions by OpenWeatherMap condition ID
+  conditions: {
+    200: 'عاصفة رعدية مع مطر خفيف',
+    201: 'عاصفة رعدية مع مطر',
+    202: 'عاصفة رعدية مع مطر غزير',
+    210: 'عاصفة رعدية خفيفة',
+    211: 'عاصفة رعدية',
+    212: 'عاصفة رعدية شديدة',
+    221: 'عواصف رعدية متقطعة',
+    230: 'عاصفة رعدية مع رذاذ خفيف',
+    231: 'عاصفة رعدية مع رذاذ',
+    232: 'عاصفة رعدية مع رذاذ كثيف',
+    300: 'رذاذ خفيف',
+    301: 'رذاذ',
+    302: 'رذاذ كثيف',
+    310: 'رذاذ مع مطر خفيف',
+    311: 'رذاذ مع مطر',
+    312: 'رذاذ كثيف مع مطر',
+    313: 'زخات مطر ورذاذ',
+    314: 'زخات مطر غزيرة ورذاذ',
+    321: 'زخات رذاذ',
+    500: 'مطر خفيف',
+    501: 'مطر معتدل',
+    502: 'مطر غزير',
+    503: 'مطر غزير جداً',
+    504: 'مطر شديد الغزارة',
+    511: 'مطر متجمد',
+    520: 'زخات مطر خفيفة',
+    521: 'زخات مطر',
+    522: 'زخات مطر غزيرة',
+    531: 'زخات مطر متقطعة',
+    600: 'ثلوج خفيفة',
+    601: 'ثلوج',
+    602: 'ثلوج كثيفة',
+    611: 'مطر ثلجي',
+    612: 'زخات مطر ثلجي خفيفة',
+    613: 'زخات مطر ثلجي',
+    615: 'مطر خفيف وثلوج',
+    616: 'مطر وثلوج',
+    620: 'زخات ثلج خفيفة',
+    621: 'زخات ثلج',
+    622: 'زخات ثلج كثيفة',
+    701: 'شبورة',
+    711: 'دخان',
+    721: 'غبش',
+    731: 'زوابع رملية وترابية',
+    741: 'ضباب',
+    751: 'رمال',
+    761: 'غبار',
+    762: 'رماد بركاني',
+    771: 'هبات رياح شديدة',
+    781: 'إعصار',
+    800: 'سماء صافية',
+    801: 'غيوم قليلة',
+    802: 'غيوم متفرقة',
+    803: 'غائم جزئياً',
+    804: 'غائم كلياً'
+  },
+
+  // Default error messages by error code (see lib/errors.js)
+  errors: {
+    INVALID_REQUEST: 'طلب غير صالح',
+    MISSING_LOCATION: 'يرجى تقديم اسم المدينة أو الإحداثيات (lat, lon)',
+    INVALID_COORDINATES: 'إحداثيات غير صالحة. يجب أن يكون خط العرض بين -90 و90 وخط الطول بين -180 و180.',
+    QUERY_TOO_COMPLEX: 'استعلام GraphQL عميق جداً أو مكلف جداً',
+    API_KEY_REQUIRED: 'مفتاح API مطلوب. أرسله في الترويسة X-API-Key.',
+    INVALID_API_KEY: 'مفتاح API غير صالح أو ملغى',
+    ADMIN_UNAUTHORIZED: 'رمز مشرف صالح مطلوب',
+    ORIGIN_NOT_ALLOWED: 'لا يجوز استخدام مفتاح API هذا من هذا المصدر',
+    LOCATION_NOT_FOUND: 'لم يتم العثور على الموقع. يرجى التحقق من اسم المدينة والمحاولة مرة أخرى.',
+    ROUTE_NOT_FOUND: 'المسار غير موجود',
+    SUBSCRIPTION_NOT_FOUND: 'اشتراك التنبيهات غير موجود',
+    CLIENT_NOT_FOUND: 'عميل API غير موجود',
+    TILE_NOT_FOUND: 'بلاطة الخريطة غير موجودة',
+    JOB_NOT_FOUND: 'المهمة المجمعة غير موجودة',
+    JOB_NOT_FINISHED: 'المهمة المجمعة لا تزال قيد التشغيل. تابع حالتها حتى تكتمل.',
+    RATE_LIMITED: 'طلبات كثيرة جداً من عنوان IP هذا، يرجى المحاولة لاحقاً.',
+    QUOTA_EXCEEDED: 'تم تجاوز حصة مفتاح API. يرجى المحاولة لاحقاً.',
+    JOB_LIMIT_REACHED: 'لدى مفتاح API هذا عدد كبير جداً من المهام المجمعة. احذف المهام المكتملة أو انتظر انتهاء صلاحيتها.',
+    UPSTREAM_RATE_LIMITED: 'تم تجاوز حد الطلبات لدى مزود الطقس. يرجى المحاولة لاحقاً.',
+    INTERNAL_ERROR: 'خطأ داخلي في الخادم',
+    UPSTREAM_UNAUTHORIZED: 'رفض مزود الطقس مفتاح API. يرجى التحقق من مفتاح OpenWeatherMap أو من اشتراكك.',
+    UPSTREAM_ERROR: 'تعذر جلب البيانات من مزود الطقس',
+    WEBHOOK_DELIVERY_FAILED: 'فشل تسليم الويب هوك',
+    PROVIDER_NOT_CONFIGURED: 'مفتاح OpenWeatherMap API غير مُعد',
+    ADMIN_NOT_CONFIGURED: 'واجهة الإدارة معطلة. اضبط ADMIN_TOKEN لتفعيلها.',
+    RECORDER_DISABLED: 'تسجيل الأرصاد غير مفعل. اضبط RECORD_OBSERVATIONS=true لتفعيله.',
+    TOO_MANY_STREAMS: 'عدد كبير جداً من بثوث التحديثات المباشرة مفتوح. يرجى المحاولة لاحقاً.',
+    TOO_MANY_JOBS: 'عدد كبير جداً من المهام المجمعة في قائمة الانتظار. يرجى المحاولة لاحقاً.',
+    UPSTREAM_UNAVAILABLE: 'مزود الطقس يواجه أعطالاً والطلبات إليه متوقفة مؤقتاً. يرجى المحاولة لاحقاً.',
+    UPSTREAM_TIMEOUT: 'لم يستجب مزود الطقس في الوقت المحدد'
+  },
+
+  // Air quality index categories
+  airQuality: {
+    Good: 'جيد',
+    Fair: 'مقبول',
+    Moderate: 'متوسط',
+    Poor: 'سيئ',
+    'Very Poor': 'سيئ جداً'
+  },
+
+  moonPhases: {
+    'New Moon': 'محاق',
+    'Waxing Crescent': 'هلال متزايد',
+    'First Quarter': 'تربيع أول',
+    'Waxing Gibbous': 'أحدب متزايد',
+    'Full Moon': 'بدر',
+    'Waning Gibbous': 'أحدب متناقص',
+    'Last Quarter': 'تربيع أخير',
+    'Waning Crescent': 'هلال متناقص'
+  },
+
+  // Comfort index categories and activity ratings (/indices)
+  indexCategories: {
+    Caution: 'حذر',
+    'Extreme caution': 'حذر شديد',
+    Danger: 'خطر',
+    'Extreme danger': 'خطر شديد',
+    Low: 'منخفض',
+    Moderate: 'معتدل',
+    High: 'مرتفع',
+    'Very high': 'مرتفع جداً',
+    Extreme: 'شديد',
+    Comfortable: 'مريح',
+    'Some discomfort': 'بعض الانزعاج',
+    'Great discomfort': 'انزعاج كبير',
+    Dangerous: 'خطير',
+    Poor: 'ضعيف',
+    Fair: 'مقبول',
+    Good: 'جيد',
+    Excellent: 'ممتاز'
+  }
+};
@@ -0,0 +1,136 @@
+// Hindi (हिन्दी)
+module.exports = {
+  // Weather condition descriptions by OpenWeatherMap condition ID
+  conditions: {
+    200: 'हल्की बारिश के साथ आंधी-तूफ़ान',
+    201: 'बारिश के साथ आंधी-तूफ़ान',
+    202: 'भारी बारिश के साथ आंधी-तूफ़ान',
+    210: 'हल्का आंधी-तूफ़ान',
+    211: 'आंधी-तूफ़ान',
+    212: 'भारी आंधी-तूफ़ान',
+    221: 'रुक-रुक कर आंधी-तूफ़ान',
+    230: 'हल्की फुहार के साथ आंधी-तूफ़ान',
+    231: 'फुहार के साथ आंधी-तूफ़ान',
+    232: 'तेज़ फुहार के साथ आंधी-तूफ़ान',
+    300: 'हल्की फुहार',
+    301: 'फुहार',
+    302: 'तेज़ फुहार',
+    310: 'हल्की फुहार और बारिश',
+    311: 'फुहार और बारिश',
+    312: 'तेज़ फुहार और बारिश',
+    313: 'बौछारें और फुहार',
+    314: 'तेज़ बौछारें और फुहार',
+    321: 'फुहार की बौछारें',
+    500: 'हल्की बारिश',
+    501: 'मध्यम बारिश',
+    502: 'भारी बारिश',
+    503: 'बहुत भारी बारिश',
+    504: 'अत्यधिक बारिश',
+    511: 'जमने वाली बारिश',
+    520: 'हल्की बौछारें',
+    521: 'बौछारें',
+    522: 'तेज़ बौछारें',
+    531: 'रुक-रुक कर बौछारें',
+    600: 'हल्की बर्फ़बारी',
+    601: 'बर्फ़बारी',
+    602: 'भारी बर्फ़बारी',
+    611: 'ओले मिली बारिश',
+    612: 'ओले मिली हल्की बौछारें',
+    613: 'ओले मिली बौछारें',
+    615: 'हल्की बारिश और बर्फ़',
+    616: 'बारिश और बर्फ़',
+    620: 'बर्फ़ की हल्की बौछारें',
+    621: 'बर्फ़ की बौछारें',
+    622: 'बर्फ़ की तेज़ बौछारें',
+    701: 'हल्का कोहरा',
+    711: 'धुआँ',
+    721: 'धुंध',
+    731: 'रेत और धूल के बवंडर',
+    741: 'कोहरा',
+    751: 'रेत',
+    761: 'धूल',
+    762: 'ज्वालामुखीय राख',
+    771: 'अंधड़',
+    781: 'बवंडर',
+    800: 'साफ़ आसमान',
+    801: 'कुछ बादल',
+    802: 'छितरे हुए बादल',
+    803: 'आंशिक रूप से बादल',
+    804: 'घने बादल'
+  },
+
+  // Default error messages by error code (see lib/errors.js)
+  errors: {
+    INVALID_REQUEST: 'अमान्य अनुरोध',
+    MISSING_LOCATION: 'कृपया शहर का नाम या निर्देशांक (lat, lon) दें',
+    INVALID_COORDINATES: 'अमान्य निर्देशांक। अक्षांश -90 और 90 के बीच तथा देशांतर -180 और 180 के बीच होना चाहिए।',
+    QUERY_TOO_COMPLEX: 'GraphQL क्वेरी बहुत गहरी या बहुत महंगी है',
+    API_KEY_REQUIRED: 'API कुंजी आवश्यक है। इसे X-API-Key हेडर में भेजें।',
+    INVALID_API_KEY: 'अमान्य या रद्द की गई API कुंजी',
+    ADMIN_UNAUTHORIZED: 'मान्य एडमिन टोकन आवश्यक है',
+    ORIGIN_NOT_ALLOWED: 'इस API कुंजी का उपयोग इस ऑरिजिन से नहीं किया जा सकता',
+    LOCATION_NOT_FOUND: 'स्थान नहीं मिला। कृपया शहर का नाम जाँचें और फिर से प्रयास करें।',
+    ROUTE_NOT_FOUND: 'रूट नहीं मिला',
+    SUBSCRIPTION_NOT_FOUND: 'अलर्ट सदस्यता नहीं मिली',
+    CLIENT_NOT_FOUND: 'API क्लाइंट नहीं मिला',
+    TILE_NOT_FOUND: 'मानचित्र टाइल नहीं मिली',
+    JOB_NOT_FOUND: 'बल्क जॉब नहीं मिला',
+    JOB_NOT_FINISHED: 'बल्क जॉब अभी चल रहा है। पूरा होने तक इसकी स्थिति जाँचते रहें।',
+    RATE_LIMITED: 'इस IP से बहुत अधिक अनुरोध आए हैं, कृपया बाद में फिर से प्रयास करें।',
+    QUOTA_EXCEEDED: 'API कुंजी का कोटा समाप्त हो गया है। कृपया बाद में फिर से प्रयास करें।',
+    JOB_LIMIT_REACHED: 'इस API कुंजी के पास बहुत अधिक बल्क जॉब हैं। पूरे हो चुके जॉब हटाएँ या उनके समाप्त होने की प्रतीक्षा करें।',
+    UPSTREAM_RATE_LIMITED: 'मौसम प्रदाता की अनुरोध सीमा पार हो गई है। कृपया बाद में फिर से प्रयास करें।',
+    INTERNAL_ERROR: 'आंतरिक सर्वर त्रुटि',
+    UPSTREAM_UNAUTHORIZED: 'मौसम प्रदाता ने API कुंजी अस्वीकार कर दी। कृपया अपनी OpenWeatherMap API कुंजी या सदस्यता जाँचें।',
+    UPSTREAM_ERROR: 'मौसम प्रदाता से डेटा प्राप्त नहीं हो सका',
+    WEBHOOK_DELIVERY_FAILED: 'वेबहुक डिलीवरी विफल रही',
+    PROVIDER_NOT_CONFIGURED: 'OpenWeatherMap API कुंजी कॉन्फ़िगर नहीं है',
+    ADMIN_NOT_CONFIGURED: 'एडमिन API बंद है। इसे चालू करने के लिए ADMIN_TOKEN सेट करें।',
+    RECORDER_DISABLED: 'अवलोकन रिकॉर्डिंग चालू नहीं है। इसे चालू करने के लिए RECORD_OBSERVATIONS=true सेट करें।',
+    TOO_MANY_STREAMS: 'बहुत अधिक लाइव अपडेट स्ट्रीम खुली हैं। कृपया बाद में फिर से प्रयास करें।',
+    TOO_MANY_JOBS: 'बहुत अधिक बल्क जॉब कतार में हैं। कृपया बाद में फिर से प्रयास करें।',
+    UPSTREAM_UNAVAILABLE: 'मौसम प्रदाता विफल हो रहा है और उसे अनुरोध भेजना रोका गया है। कृपया बाद में फिर से प्रयास करें।',
+    UPSTREAM_TIMEOUT: 'मौसम प्रदाता ने समय पर जवाब नहीं दिया'
+  },
+
+  // Air quality index categories
+  airQuality: {
+    Good: 'अच्छा',
+    Fair: 'संतोषजनक',
+    Moderate: 'मध्यम',
+    Poor: 'खराब',
+    'Very Poor': 'बहुत खराब'
+  },
+
+  moonPhases: {
+    'New Moon': 'अमावस्या',
+    'Waxing Crescent': 'शुक्ल पक्ष का नवचंद्र',
+    'First Quarter': 'शुक्ल पक्ष की अष्टमी',
+    'Waxing Gibbous': 'शुक्ल पक्ष का उन्नत चंद्र',
+    'Full Moon': 'पूर्णिमा',
+    'Waning Gibbous': 'कृष्ण पक्ष का उन्नत चंद्र',
+    'Last Quarter': 'कृष्ण पक्ष की अष्टमी',
+    'Waning Crescent': 'कृष्ण पक्ष का क्षीण चंद्र'
+  },
+
+  // Comfort index categories and activity ratings (/indices)
+  indexCategories: {
+    Caution: 'सावधानी',
+    'Extreme caution': 'अत्यधिक सावधानी',
+    Danger: 'खतरा',
+    'Extreme danger': 'अत्यधिक खतरा',
+    Low: 'कम',
+    Moderate: 'मध्यम',
+    High: 'अधिक',
+    'Very high': 'बहुत अधिक',
+    Extreme: 'अत्यधिक',
+    Comfortable: 'आरामदायक',
+    'Some discomfort': 'कुछ असुविधा',
+    'Great discomfort': 'बहुत असुविधा',
+    Dangerous: 'खतरनाक',
+    Poor: 'खराब',
+    Fair: 'ठीक-ठाक',
+    Good: 'अच्छा',
+    Excellent: 'उत्कृष्ट'
+  }
+};
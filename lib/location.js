@@ -0,0 +1,52 @@
+const { ApiError } = require('./errors');
+
+// Helper function to validate coordinates
+const validateCoordinates = (lat, lon) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+
+  return !isNaN(latitude) && !isNaN(longitude) &&
+         latitude >= -90 && latitude <= 90 &&
+         longitude >= -180 && longitude <= 180;
+};
+
+// Helper function to normalize a location so equivalent requests share a cache entry
+const normalizeLocation = ({ city, lat, lon }) => {
+  if (city) {
+    return { city: city.trim().toLowerCase().replace(/\s+/g, ' ').replace(/\s*,\s*/g, ',') };
+  }
+
+  return {
+    lat: Number(parseFloat(lat).toFixed(2)),
+    lon: Number(parseFloat(lon).toFixed(2))
+  };
+};
+
+// Query strings give '' for empty values; JSON bodies may send 0, which is a valid coordinate
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Helper function to validate a city or lat/lon query and return the normalized location
+const resolveLocation = ({ city, lat, lon }) => {
+  if (city) {
+    return normalizeLocation({ city });
+  }
+
+  if (isMissing(lat) || isMissing(lon)) {
+    throw new ApiError('MISSING_LOCATION');
+  }
+
+  if (!validateCoordinates(lat, lon)) {
+    throw new ApiError('INVALID_COORDINATES');
+  }
+
+  return normalizeLocation({ lat, lon });
+};
+
+// Helper function to check a location list entry (/multiple, bulk jobs) is a non-empty city
+// name or a coordinates object
+const isLocationEntry = (entry) => {
+  if (typeof entry === 'string') return entry.trim() !== '';
+  return entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+};
+
+module.exports = { validateCoordinates, normalizeLocation, resolveLocation, isLocationEntry };
@@ -0,0 +1,51 @@
+// Structured logging: one JSON object per line, so logs can be shipped and queried as-is
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Quiet under Jest unless LOG_LEVEL asks otherwise
+const DEFAULT_LEVEL = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+
+// Errors do not survive JSON.stringify; keep what helps when reading a log line
+const serialize = (value) => {
+  if (!(value instanceof Error)) return value;
+
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.code !== undefined && { code: value.code }),
+    stack: value.stack
+  };
+};
+
+const createLogger = ({
+  level = DEFAULT_LEVEL,
+  fields = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+  now = () => Date.now()
+} = {}) => {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const log = (name, msg, extra = {}) => {
+    if (LOG_LEVELS[name] < threshold) return;
+
+    const entry = { time: new Date(now()).toISOString(), level: name, msg, ...fields };
+    Object.entries(extra).forEach(([key, value]) => {
+      if (value !== undefined) entry[key] = serialize(value);
+    });
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    level,
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    // Logger that adds `extra` to every line, e.g. the request ID
+    child: (extra) => createLogger({ level, fields: { ...fields, ...extra }, write, now })
+  };
+};
+
+// Process-wide logger used by modules that are not handed one
+const logger = createLogger();
+
+module.exports = { LOG_LEVELS, createLogger, logger };
@@ -0,0 +1,109 @@
+// Minimal Prometheus metrics registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4)
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from a cache hit to a slow upstream call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+// Keep only the declared labels, so series never gain stray label names
+const pick = (names, labels) => Object.fromEntries(names.map(name => [name, labels[name] ?? '']));
+
+const createMetrics = () => {
+  const families = new Map();
+
+  const register = (name, type, help, family) => {
+    if (families.has(name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    families.set(name, { name, type, help, ...family });
+  };
+
+  // Series are keyed by their label values in the order the labels were declared
+  const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+  // Counters and gauges either keep their own series or read them from `collect` at scrape
+  // time, which returns a number or a list of { labels, value }
+  const collected = (name, collect, series) => () => {
+    const list = collect ? collect() : [...series.values()];
+    return (typeof list === 'number' ? [{ labels: {}, value: list }] : list)
+      .map(({ labels, value }) => ({ name, labels, value }));
+  };
+
+  const counter = ({ name, help, labelNames = [], collect }) => {
+    const series = new Map();
+    register(name, 'counter', help, { samples: collected(name, collect, series) });
+
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pick(labelNames, labels), value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      }
+    };
+  };
+
+  const gauge = ({ name, help, labelNames = [], collect }) => {
+    const series = new Map();
+    register(name, 'gauge', help, { samples: collected(name, collect, series) });
+
+    return {
+      set: (labels, value) => {
+        series.set(seriesKey(labelNames, labels), { labels: pick(labelNames, labels), value });
+      }
+    };
+  };
+
+  const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+    const series = new Map();
+    register(name, 'histogram', help, {
+      samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: bound }, value: counts[index] })),
+        { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count }
+      ])
+    });
+
+    return {
+      observe: (labels, value) => {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) ||
+          { labels: pick(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      }
+    };
+  };
+
+  const render = () => [...families.values()].map(({ name, type, help, samples }) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples().map(sample => `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`)
+  ].join('\n')).join('\n') + '\n';
+
+  return { counter, gauge, histogram, render };
+};
+
+// Seconds elapsed since a process.hrtime.bigint() start time
+const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createMetrics, secondsSince };
@@ -0,0 +1,65 @@
+const { createObservationStore } = require('./observationStore');
+const { normalizeLocation } = require('./location');
+const { toObservation } = require('./observations');
+const { logger } = require('./logger');
+
+// Records current conditions into the observation store: every /current and /multiple
+// response when enabled, plus scheduled samples of the configured locations.
+const createObservationRecorder = ({
+  provider,
+  now = () => Date.now(),
+  store = createObservationStore({ now }),
+  enabled = false,
+  locations = [],
+  interval = 10 * 60 * 1000
+} = {}) => {
+  let timer = null;
+
+  // Record a metric OpenWeatherMap-shaped current weather payload
+  const record = (data, source) => {
+    if (!enabled) return false;
+
+    try {
+      return store.append(toObservation(data, source, now()));
+    } catch (error) {
+      // Recording is a side effect; never fail the response that triggered it
+      logger.error('Failed to record observation', { error });
+      return false;
+    }
+  };
+
+  // Fetch and record every configured location once
+  const sample = async () => {
+    const summary = { recorded: 0, failed: 0 };
+
+    for (const location of locations) {
+      try {
+        const data = await provider.getCurrentWeather({ ...normalizeLocation(location), units: 'metric' });
+        if (record(data, 'schedule')) summary.recorded++;
+      } catch (error) {
+        summary.failed++;
+        logger.error('Failed to sample observation location', { location, error });
+      }
+    }
+
+    return summary;
+  };
+
+  // Take the first samples right away rather than one interval after startup
+  const start = () => {
+    if (timer || !enabled || locations.length === 0) return;
+    const run = () => sample().catch(error => logger.error('Observation sampling failed', { error }));
+    timer = setInterval(run, interval);
+    timer.unref();
+    run();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { enabled, store, record, sample, start, stop };
+};
+
+module.exports = { createObservationRecorder };
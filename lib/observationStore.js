@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Observations within this distance of a series belong to it. Recorded payloads carry the
+// weather station's coordinates and lookups by city use the geocoder's, which differ slightly.
+const MATCH_RADIUS_KM = 5;
+
+// Old observations are dropped at most this often
+const PRUNE_INTERVAL_MS = MINUTE_MS;
+
+// Equirectangular approximation, accurate enough at the scale of MATCH_RADIUS_KM
+const distanceKm = (a, b) => {
+  const rad = Math.PI / 180;
+  const dLon = ((b.lon - a.lon + 540) % 360) - 180;
+  const x = dLon * rad * Math.cos(((a.lat + b.lat) / 2) * rad);
+  const y = (b.lat - a.lat) * rad;
+  return Math.sqrt(x * x + y * y) * 6371;
+};
+
+// Time series of recorded observations per location, kept for `retention` milliseconds.
+// Observations are appended to a newline-delimited JSON file (one observation per line)
+// when `file` is set and loaded back into memory at startup. Writes are batched off the
+// request path, and the file is rewritten without expired lines once they outnumber the
+// live ones.
+const createObservationStore = ({ file, retention = 30 * DAY_MS, now = () => Date.now() } = {}) => {
+  const series = [];
+  const seen = new Set();
+  let expired = 0;
+  let lastPrune = 0;
+
+  const cutoff = () => new Date(now() - retention).toISOString();
+
+  // The series closest to a location, if one is within MATCH_RADIUS_KM
+  const find = (location) => series.reduce((best, entry) => {
+    const distance = distanceKm(entry, location);
+    return distance <= MATCH_RADIUS_KM && (!best || distance < best.distance) ? { entry, distance } : best;
+  }, null);
+
+  const idOf = (entry, observation) => `${entry.lat},${entry.lon}|${observation.observedAt}`;
+
+  // Keep each series ordered by observation time; upstream data usually arrives in order
+  const insert = (observation) => {
+    const match = find(observation);
+    const entry = match ? match.entry : { lat: observation.lat, lon: observation.lon, points: [] };
+    const id = idOf(entry, observation);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    if (!match) series.push(entry);
+
+    const { points } = entry;
+    let index = points.length;
+    while (index > 0 && points[index - 1].observedAt > observation.observedAt) index--;
+    points.splice(index, 0, observation);
+    return true;
+  };
+
+  // Pending lines are appended in one write; a rewrite replaces the file with what is in
+  // memory. One write runs at a time, and whatever arrives meanwhile goes in the next.
+  let pending = [];
+  let rewrite = false;
+  let writing = null;
+
+  const write = async () => {
+    while (pending.length > 0 || rewrite) {
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+        if (rewrite) {
+          rewrite = false;
+          pending = [];
+          const lines = series.flatMap(entry => entry.points).map(observation => `${JSON.stringify(observation)}\n`);
+          const temporary = `${file}.tmp`;
+          await fs.promises.writeFile(temporary, lines.join(''));
+          await fs.promises.rename(temporary, file);
+        } else {
+          const lines = pending.join('');
+          pending = [];
+          await fs.promises.appendFile(file, lines);
+        }
+      } catch (error) {
+        logger.error('Failed to save observations', { error });
+      }
+    }
+    writing = null;
+  };
+
+  const save = () => {
+    if (file && !writing) writing = write();
+  };
+
+  const prune = () => {
+    const oldest = cutoff();
+
+    series.forEach(entry => {
+      const count = entry.points.findIndex(observation => observation.observedAt >= oldest);
+      const removed = entry.points.splice(0, count === -1 ? entry.points.length : count);
+      removed.forEach(observation => seen.delete(idOf(entry, observation)));
+      expired += removed.length;
+    });
+
+    for (let index = series.length - 1; index >= 0; index--) {
+      if (series[index].points.length === 0) series.splice(index, 1);
+    }
+
+    if (file && expired > seen.size) {
+      expired = 0;
+      rewrite = true;
+      save();
+    }
+    lastPrune = now();
+  };
+
+  if (file && fs.existsSync(file)) {
+    const oldest = cutoff();
+    fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      const observation = JSON.parse(line);
+      if (observation.observedAt >= oldest) insert(observation);
+      else expired++;
+    });
+    prune();
+  }
+
+  return {
+    // Store an observation unless it has expired or the same series already has its time
+    append: (observation) => {
+      if (now() - lastPrune >= PRUNE_INTERVAL_MS) prune();
+      if (observation.observedAt < cutoff() || !insert(observation)) return false;
+
+      if (file) {
+        pending.push(`${JSON.stringify(observation)}\n`);
+        save();
+      }
+      return true;
+    },
+
+    // Observations near a location with from <= observedAt <= to (ISO strings)
+    query: (location, from, to) => {
+      const match = find(location);
+      return (match ? match.entry.points : [])
+        .filter(observation => observation.observedAt >= from && observation.observedAt <= to);
+    },
+
+    // Resolves once every observation so far is on disk
+    flush: () => writing || Promise.resolve(),
+
+    size: () => seen.size
+  };
+};
+
+module.exports = { createObservationStore };
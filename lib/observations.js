@@ -0,0 +1,135 @@
+const { ApiError } = require('./errors');
+const { normalizeLocation, validateCoordinates } = require('./location');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const INTERVAL_UNITS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: DAY_MS };
+
+// Series longer than this are downsampled automatically to the first interval that fits
+const MAX_OBSERVATION_POINTS = 500;
+const AUTO_INTERVALS = ['5m', '15m', '30m', '1h', '3h', '6h', '12h', '1d', '7d'];
+
+// Numeric fields averaged when several observations fall into one bucket
+const AVERAGED_FIELDS = ['temperature', 'feelsLike', 'humidity', 'pressure', 'windSpeed', 'cloudiness', 'visibility'];
+
+// Turn a metric OWM current weather payload into a stored observation
+const toObservation = (data, source, now = Date.now()) => ({
+  ...normalizeLocation({ lat: data.coord.lat, lon: data.coord.lon }),
+  location: `${data.name}, ${data.sys.country}`,
+  observedAt: new Date(data.dt * 1000).toISOString(),
+  recordedAt: new Date(now).toISOString(),
+  source,
+  temperature: data.main.temp,
+  feelsLike: data.main.feels_like,
+  humidity: data.main.humidity,
+  pressure: data.main.pressure,
+  windSpeed: data.wind.speed,
+  windDirection: data.wind.deg,
+  cloudiness: data.clouds.all,
+  visibility: data.visibility / 1000,
+  conditionId: data.weather[0].id,
+  description: data.weather[0].description,
+  icon: data.weather[0].icon
+});
+
+// Parse OBSERVATION_LOCATIONS: semicolon-separated city names or "lat,lon" pairs
+const parseObservationLocations = (value = '') => value.split(';')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [lat, lon, extra] = entry.split(',').map(part => part.trim());
+    const isCoordinates = extra === undefined && lon !== undefined &&
+      /^-?\d+(\.\d+)?$/.test(lat) && /^-?\d+(\.\d+)?$/.test(lon);
+
+    if (!isCoordinates) return { city: entry };
+    if (!validateCoordinates(lat, lon)) {
+      throw new Error(`Invalid coordinates in OBSERVATION_LOCATIONS: ${entry}`);
+    }
+    return { lat: Number(lat), lon: Number(lon) };
+  });
+
+const parseTime = (value, name) => {
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || isNaN(time)) {
+    throw new ApiError('INVALID_REQUEST', `${name} must be an ISO 8601 date or date-time`);
+  }
+  return time;
+};
+
+// Validate from/to (default: the last 24 hours) and return them as timestamps
+const parseTimeRange = ({ from, to }, now = Date.now()) => {
+  const end = to === undefined ? now : parseTime(to, 'to');
+  const start = from === undefined ? end - DAY_MS : parseTime(from, 'from');
+
+  if (end < start) {
+    throw new ApiError('INVALID_REQUEST', 'to must not be before from');
+  }
+
+  return { start, end };
+};
+
+// Parse an interval like "15m", "1h" or "1d" into milliseconds
+const parseInterval = (value) => {
+  const match = /^(\d+)([mhd])$/.exec(value);
+  const ms = match ? Number(match[1]) * INTERVAL_UNITS[match[2]] : 0;
+
+  if (ms === 0) {
+    throw new ApiError('INVALID_REQUEST', 'interval must be a number followed by m, h or d (e.g. 15m, 1h, 1d)');
+  }
+
+  return ms;
+};
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+// Average observations into buckets aligned to multiples of the interval since the epoch
+const downsample = (observations, intervalMs) => {
+  const buckets = new Map();
+
+  observations.forEach(observation => {
+    const time = Date.parse(observation.observedAt);
+    const bucket = Math.floor(time / intervalMs) * intervalMs;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(observation);
+  });
+
+  return [...buckets].map(([bucket, points]) => {
+    const temperatures = points.map(point => point.temperature);
+    const averaged = Object.fromEntries(AVERAGED_FIELDS.map(field =>
+      [field, mean(points.map(point => point[field]))]
+    ));
+
+    return {
+      observedAt: new Date(bucket).toISOString(),
+      samples: points.length,
+      ...averaged,
+      temperatureMin: Math.min(...temperatures),
+      temperatureMax: Math.max(...temperatures)
+    };
+  });
+};
+
+// Return the series as stored, or downsampled to the requested (or an automatic) interval
+const buildSeries = (observations, { interval, start, end }) => {
+  if (interval) {
+    return { interval, points: downsample(observations, parseInterval(interval)) };
+  }
+
+  if (observations.length <= MAX_OBSERVATION_POINTS) {
+    return { interval: null, points: observations };
+  }
+
+  const auto = AUTO_INTERVALS.find(candidate =>
+    (end - start) / parseInterval(candidate) < MAX_OBSERVATION_POINTS) || AUTO_INTERVALS[AUTO_INTERVALS.length - 1];
+  return { interval: auto, points: downsample(observations, parseInterval(auto)) };
+};
+
+module.exports = {
+  MAX_OBSERVATION_POINTS,
+  toObservation,
+  parseObservationLocations,
+  parseTimeRange,
+  parseInterval,
+  downsample,
+  buildSeries
+};
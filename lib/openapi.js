@@ -0,0 +1,1214 @@
+const { version } = require('../package.json');
+const { ERROR_TYPES } = require('./errors');
+const { LANGUAGES } = require('./i18n');
+const { UNIT_SYSTEMS } = require('./units');
+const { MAX_HISTORY_DAYS } = require('./history');
+const { MAP_LAYERS, MAX_ZOOM } = require('./tiles');
+const { MAX_JOB_LOCATIONS } = require('./bulkJobs');
+const { ACTIVITIES } = require('./indices');
+
+// OpenAPI 3.0 description of the /api/weather routes. It is served at /openapi.json, rendered
+// by /docs and used by middleware/validateRequest.js to check requests before they reach the
+// route handlers, which keep the checks a schema cannot express (e.g. city or coordinates).
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+// Set on data served from the cache because the weather provider failed
+const STALE = {
+  type: 'object',
+  required: ['since', 'reason'],
+  description: 'Present when the data is older than its cache TTL because the weather provider failed',
+  properties: {
+    since: { type: 'string', format: 'date-time', description: 'When the data was fetched' },
+    reason: { type: 'string', description: 'Error code of the failed fetch, e.g. UPSTREAM_TIMEOUT' }
+  }
+};
+
+// Success envelope around `data` (lib/response.js)
+const envelope = (data) => ({
+  type: 'object',
+  required: ['success', 'data', 'timestamp'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    data,
+    stale: STALE,
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+});
+
+const ok = (description, data, status = '200') => ({
+  [status]: { description, content: { 'application/json': { schema: envelope(data) } } }
+});
+
+// Non-JSON bodies a route can export instead (lib/exporters.js)
+const EXPORT_CONTENT = {
+  csv: { 'text/csv': { schema: { type: 'string' } } },
+  ics: { 'text/calendar': { schema: { type: 'string' } } },
+  geojson: { 'application/geo+json': { schema: { $ref: '#/components/schemas/FeatureCollection' } } },
+  ndjson: { 'application/x-ndjson': { schema: { type: 'string' } } }
+};
+
+// `format` parameter plus the matching 200 response bodies; without `format` the Accept
+// header picks the body
+const exportable = (formats, descriptions) => ({
+  parameter: {
+    name: 'format',
+    in: 'query',
+    description: `Response format (default json): ${formats.map(format => `${format}: ${descriptions[format]}`).join('; ')}`,
+    schema: { type: 'string', enum: ['json', ...formats] }
+  },
+  responses: (responses) => ({
+    ...responses,
+    200: {
+      ...responses[200],
+      content: Object.assign({}, responses[200].content, ...formats.map(format => EXPORT_CONTENT[format]))
+    }
+  })
+});
+
+const FORECAST_EXPORTS = exportable(['csv'], { csv: 'one row per 3-hour step' });
+const MULTIPLE_EXPORTS = exportable(['csv', 'geojson'], {
+  csv: 'one row per entry',
+  geojson: 'a FeatureCollection with a Point per location; failed entries have no geometry'
+});
+const JOB_RESULT_EXPORTS = exportable(['ndjson', 'csv', 'geojson'], {
+  ndjson: 'one result per line',
+  csv: 'one row per location',
+  geojson: 'a FeatureCollection with a Point per location; failed locations have no geometry'
+});
+const ONECALL_EXPORTS = exportable(['csv', 'ics', 'geojson'], {
+  csv: 'one row per hourly step',
+  ics: 'an iCalendar feed with an all-day event per daily forecast',
+  geojson: 'a FeatureCollection with the current conditions'
+});
+
+// Status of each shared error response in components.responses
+const ERROR_STATUSES = {
+  BadRequest: '400',
+  Unauthorized: '401',
+  NotFound: '404',
+  Conflict: '409',
+  RateLimited: '429',
+  UpstreamError: '502',
+  Unavailable: '503',
+  Timeout: '504'
+};
+
+const errors = (...names) => Object.fromEntries(names.map(name => [
+  ERROR_STATUSES[name],
+  { $ref: `#/components/responses/${name}` }
+]));
+
+// Errors every upstream-backed route can answer with
+const UPSTREAM_ERRORS = ['BadRequest', 'RateLimited', 'UpstreamError', 'Unavailable', 'Timeout'];
+
+// Operations that keep state per API client need a key even when keys are otherwise optional
+const KEY_REQUIRED = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+
+const latitude = {
+  type: 'number',
+  minimum: -90,
+  maximum: 90,
+  'x-error-code': 'INVALID_COORDINATES'
+};
+
+const longitude = {
+  type: 'number',
+  minimum: -180,
+  maximum: 180,
+  'x-error-code': 'INVALID_COORDINATES'
+};
+
+const LOCATION_PARAMS = ['City', 'Lat', 'Lon'].map(param);
+const UNIT_PARAMS = ['Units', 'TemperatureUnit', 'SpeedUnit', 'PressureUnit', 'DistanceUnit'].map(param);
+const LANG_PARAM = param('Lang');
+
+// Unit choices as JSON body properties (POST /multiple), matching the query parameters
+const UNIT_PROPERTIES = {
+  units: { type: 'string', enum: Object.keys(UNIT_SYSTEMS) },
+  temperatureUnit: { type: 'string' },
+  speedUnit: { type: 'string' },
+  pressureUnit: { type: 'string' },
+  distanceUnit: { type: 'string' }
+};
+
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableString = { type: 'string', nullable: true };
+const nullableDateTime = { ...dateTime, nullable: true };
+
+// A derived index with its category code and localized name; all null where the index is
+// not defined
+const comfortIndex = (description, categories) => ({
+  type: 'object',
+  required: ['value', 'category', 'label'],
+  description,
+  properties: {
+    value: { type: 'number', nullable: true },
+    category: { type: 'string', enum: categories, nullable: true },
+    label: nullableString
+  }
+});
+
+// Body of POST /multiple and bulk jobs: up to `max` city names or coordinates, units and language
+const locationList = (max, maxMessage) => ({
+  required: true,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['cities'],
+        properties: {
+          cities: {
+            type: 'array',
+            minItems: 1,
+            maxItems: max,
+            'x-error-message': {
+              maxItems: maxMessage,
+              default: 'Please provide an array of city names or coordinates'
+            },
+            items: {
+              'x-error-message': 'Each entry must be a city name or an object with lat and lon',
+              oneOf: [
+                { type: 'string', pattern: '\\S', example: 'London' },
+                {
+                  type: 'object',
+                  description: 'Coordinates; out of range or missing values fail only this entry',
+                  properties: { lat: number, lon: number }
+                }
+              ]
+            }
+          },
+          ...UNIT_PROPERTIES,
+          lang: { type: 'string', enum: LANGUAGES }
+        }
+      }
+    }
+  }
+});
+
+const schemas = {
+  FeatureCollection: {
+    type: 'object',
+    required: ['type', 'features'],
+    properties: {
+      type: { type: 'string', enum: ['FeatureCollection'] },
+      features: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'geometry', 'properties'],
+          properties: {
+            type: { type: 'string', enum: ['Feature'] },
+            geometry: {
+              type: 'object',
+              nullable: true,
+              description: 'A Point with [lon, lat] coordinates',
+              properties: { type: string, coordinates: { type: 'array', items: number } }
+            },
+            properties: { type: 'object' }
+          }
+        }
+      }
+    }
+  },
+
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code', 'requestId'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: string,
+      code: { type: 'string', enum: Object.keys(ERROR_TYPES) },
+      details: {},
+      requestId: string
+    }
+  },
+
+  Coordinates: {
+    type: 'object',
+    required: ['lat', 'lon'],
+    properties: { lat: number, lon: number }
+  },
+
+  Units: {
+    type: 'object',
+    required: ['temperature', 'speed', 'pressure', 'distance'],
+    properties: { temperature: string, speed: string, pressure: string, distance: string }
+  },
+
+  Condition: {
+    type: 'object',
+    properties: { id: integer, main: string, description: string, icon: string }
+  },
+
+  CurrentWeather: {
+    type: 'object',
+    required: ['location', 'coordinates', 'temperature', 'description', 'units'],
+    properties: {
+      location: { type: 'string', example: 'London, GB' },
+      coordinates: ref('Coordinates'),
+      temperature: number,
+      feelsLike: number,
+      description: string,
+      icon: string,
+      humidity: number,
+      pressure: number,
+      windSpeed: number,
+      windDirection: number,
+      visibility: number,
+      cloudiness: number,
+      sunrise: dateTime,
+      sunset: dateTime,
+      timezone: { type: 'integer', description: 'Offset from UTC in seconds' },
+      units: ref('Units')
+    }
+  },
+
+  Forecast: {
+    type: 'object',
+    required: ['location', 'coordinates', 'forecast', 'units'],
+    properties: {
+      location: string,
+      coordinates: ref('Coordinates'),
+      forecast: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['datetime', 'timestamp', 'temperature'],
+          properties: {
+            datetime: { type: 'string', example: '2024-06-01 12:00:00' },
+            timestamp: integer,
+            temperature: number,
+            feelsLike: number,
+            description: string,
+            icon: string,
+            humidity: number,
+            pressure: number,
+            windSpeed: number,
+            windDirection: number,
+            cloudiness: number,
+            precipitationProbability: number
+          }
+        }
+      },
+      units: ref('Units')
+    }
+  },
+
+  MultipleResult: {
+    type: 'object',
+    required: ['success'],
+    description: 'Echoes the entry as `city` or `coordinates`, with `data` or an `error` and `code`',
+    properties: {
+      city: string,
+      coordinates: { type: 'object' },
+      success: { type: 'boolean' },
+      data: ref('CurrentWeather'),
+      stale: STALE,
+      error: string,
+      code: string
+    }
+  },
+
+  LiveUpdate: {
+    type: 'object',
+    required: ['success'],
+    description: 'Data of a `weather` stream event: a `/multiple` result for one followed location',
+    properties: {
+      city: string,
+      coordinates: { type: 'object' },
+      success: { type: 'boolean' },
+      data: ref('CurrentWeather'),
+      timestamp: dateTime,
+      error: string,
+      code: string
+    }
+  },
+
+  OneCall: {
+    type: 'object',
+    required: ['coordinates', 'timezone', 'current', 'units'],
+    properties: {
+      coordinates: ref('Coordinates'),
+      timezone: string,
+      timezoneOffset: integer,
+      units: ref('Units'),
+      current: {
+        type: 'object',
+        properties: {
+          datetime: dateTime,
+          sunrise: dateTime,
+          sunset: dateTime,
+          temperature: number,
+          feelsLike: number,
+          pressure: number,
+          humidity: number,
+          dewPoint: number,
+          uvIndex: number,
+          clouds: number,
+          visibility: number,
+          windSpeed: number,
+          windDirection: number,
+          weather: ref('Condition')
+        }
+      },
+      hourly: {
+        type: 'array',
+        maxItems: 24,
+        items: {
+          type: 'object',
+          properties: {
+            datetime: dateTime,
+            temperature: number,
+            feelsLike: number,
+            pressure: number,
+            humidity: number,
+            dewPoint: number,
+            uvIndex: number,
+            clouds: number,
+            visibility: number,
+            windSpeed: number,
+            windDirection: number,
+            weather: ref('Condition'),
+            pop: { type: 'integer', description: 'Probability of precipitation in percent' }
+          }
+        }
+      },
+      daily: {
+        type: 'array',
+        maxItems: 7,
+        items: {
+          type: 'object',
+          properties: {
+            datetime: dateTime,
+            sunrise: dateTime,
+            sunset: dateTime,
+            moonrise: dateTime,
+            moonset: dateTime,
+            moonPhase: number,
+            summary: string,
+            temperature: {
+              type: 'object',
+              properties: { day: number, min: number, max: number, night: number, evening: number, morning: number }
+            },
+            feelsLike: {
+              type: 'object',
+              properties: { day: number, night: number, evening: number, morning: number }
+            },
+            pressure: number,
+            humidity: number,
+            dewPoint: number,
+            windSpeed: number,
+            windDirection: number,
+            weather: ref('Condition'),
+            clouds: number,
+            pop: integer,
+            uvIndex: number
+          }
+        }
+      },
+      alerts: { type: 'array', items: ref('Alert') }
+    }
+  },
+
+  Alert: {
+    type: 'object',
+    required: ['id', 'event', 'start', 'end'],
+    properties: {
+      id: string,
+      sender: string,
+      event: string,
+      start: dateTime,
+      end: dateTime,
+      description: string,
+      tags: { type: 'array', items: string }
+    }
+  },
+
+  Alerts: {
+    type: 'object',
+    required: ['coordinates', 'alerts'],
+    properties: {
+      location: string,
+      coordinates: ref('Coordinates'),
+      alerts: { type: 'array', items: ref('Alert') }
+    }
+  },
+
+  AirQuality: {
+    type: 'object',
+    required: ['coordinates', 'current', 'forecast'],
+    properties: {
+      location: string,
+      coordinates: ref('Coordinates'),
+      current: {
+        type: 'object',
+        required: ['aqi', 'category', 'pollutants'],
+        properties: {
+          datetime: dateTime,
+          aqi: { type: 'integer', minimum: 1, maximum: 5 },
+          category: {
+            type: 'string',
+            description: 'Good, Fair, Moderate, Poor or Very Poor, in the requested language',
+            example: 'Fair'
+          },
+          pollutants: {
+            type: 'object',
+            properties: { pm2_5: number, pm10: number, o3: number, no2: number, so2: number, co: number }
+          },
+          units: { type: 'string', example: 'μg/m³' }
+        }
+      },
+      forecast: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { datetime: dateTime, aqi: integer, category: string }
+        }
+      }
+    }
+  },
+
+  ActivityScore: {
+    type: 'object',
+    required: ['score', 'rating', 'label', 'limitedBy', 'inputs'],
+    properties: {
+      score: { type: 'integer', minimum: 0, maximum: 10 },
+      rating: { type: 'string', enum: ['poor', 'fair', 'good', 'excellent'] },
+      label: { type: 'string', description: 'The rating in the requested language' },
+      limitedBy: { type: 'array', items: string, description: 'Inputs that cost at least a point, worst first' },
+      inputs: { type: 'object', description: 'The conditions the score was based on' }
+    }
+  },
+
+  PeriodIndices: {
+    type: 'object',
+    required: ['conditions', 'dewPoint', 'heatIndex', 'windChill', 'humidex', 'uv', 'activities'],
+    properties: {
+      datetime: string,
+      timestamp: integer,
+      conditions: {
+        type: 'object',
+        properties: {
+          temperature: number,
+          feelsLike: number,
+          humidity: number,
+          windSpeed: number,
+          cloudiness: number,
+          precipitationProbability: number,
+          uvIndex: { type: 'number', nullable: true },
+          daylight: { type: 'boolean' }
+        }
+      },
+      dewPoint: {
+        type: 'object',
+        properties: { value: number, source: { type: 'string', enum: ['upstream', 'calculated'] } }
+      },
+      heatIndex: comfortIndex('NWS heat index, from 27 °C', ['caution', 'extremeCaution', 'danger', 'extremeDanger']),
+      windChill: comfortIndex('Wind chill, at 10 °C and below with wind', ['low', 'moderate', 'high', 'veryHigh', 'extreme']),
+      humidex: comfortIndex('Canadian humidex (unitless), from 20 °C', ['comfortable', 'someDiscomfort', 'greatDiscomfort', 'dangerous']),
+      uv: {
+        type: 'object',
+        nullable: true,
+        description: 'Null when One Call data is not available',
+        properties: {
+          index: number,
+          category: { type: 'string', enum: ['low', 'moderate', 'high', 'veryHigh', 'extreme'] },
+          label: string
+        }
+      },
+      activities: {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(ACTIVITIES).map(activity => [activity, ref('ActivityScore')]))
+      }
+    }
+  },
+
+  Indices: {
+    type: 'object',
+    required: ['location', 'coordinates', 'current', 'forecast', 'growingDegreeDays', 'units'],
+    properties: {
+      location: string,
+      coordinates: ref('Coordinates'),
+      current: ref('PeriodIndices'),
+      forecast: { type: 'array', items: ref('PeriodIndices') },
+      growingDegreeDays: {
+        type: 'object',
+        description: 'Per whole local day of the forecast, above a 10 °C base',
+        properties: {
+          base: number,
+          days: {
+            type: 'array',
+            items: { type: 'object', properties: { date: { type: 'string', format: 'date' }, min: number, max: number, value: number } }
+          },
+          total: number
+        }
+      },
+      units: ref('Units')
+    }
+  },
+
+  Astronomy: {
+    type: 'object',
+    required: ['coordinates', 'date', 'sun', 'moon'],
+    description: 'Times are UTC, and null where the sun or moon does not cross that altitude on the day',
+    properties: {
+      coordinates: ref('Coordinates'),
+      date: { type: 'string', format: 'date' },
+      sun: {
+        type: 'object',
+        properties: {
+          sunrise: nullableDateTime,
+          sunset: nullableDateTime,
+          solarNoon: dateTime,
+          dayLength: { type: 'integer', description: 'Seconds' },
+          polar: { type: 'string', enum: ['day', 'night'], nullable: true },
+          twilight: {
+            type: 'object',
+            properties: Object.fromEntries(['civil', 'nautical', 'astronomical'].map(kind => [kind, {
+              type: 'object',
+              properties: { dawn: nullableDateTime, dusk: nullableDateTime }
+            }]))
+          },
+          goldenHour: ref('DaySpans'),
+          blueHour: ref('DaySpans')
+        }
+      },
+      moon: {
+        type: 'object',
+        properties: {
+          moonrise: nullableDateTime,
+          moonset: nullableDateTime,
+          alwaysUp: { type: 'boolean' },
+          alwaysDown: { type: 'boolean' },
+          phase: { type: 'number', minimum: 0, maximum: 1, description: '0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter' },
+          phaseName: { type: 'string', description: 'In the requested language', example: 'Waxing Gibbous' },
+          illumination: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  },
+
+  DaySpans: {
+    type: 'object',
+    description: 'Morning and evening spans while the sun is between two altitudes',
+    properties: Object.fromEntries(['morning', 'evening'].map(part => [part, {
+      type: 'object',
+      properties: { start: nullableDateTime, end: nullableDateTime }
+    }]))
+  },
+
+  TemperatureRange: {
+    type: 'object',
+    required: ['min', 'max', 'mean'],
+    properties: { min: number, max: number, mean: number }
+  },
+
+  History: {
+    type: 'object',
+    required: ['coordinates', 'start', 'end', 'days', 'summary', 'units'],
+    properties: {
+      location: string,
+      coordinates: ref('Coordinates'),
+      start: { type: 'string', format: 'date' },
+      end: { type: 'string', format: 'date' },
+      days: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['date', 'samples'],
+          description: 'Days without upstream samples only have `date` and `samples: 0`, plus ' +
+            '`unavailable: true` when upstream could not be reached for them',
+          properties: {
+            date: { type: 'string', format: 'date' },
+            samples: integer,
+            unavailable: { type: 'boolean' },
+            temperature: ref('TemperatureRange'),
+            precipitation: { type: 'number', description: 'Millimetres' },
+            windSpeed: number
+          }
+        }
+      },
+      summary: {
+        type: 'object',
+        required: ['days', 'daysWithData'],
+        properties: {
+          days: integer,
+          daysWithData: integer,
+          temperature: ref('TemperatureRange'),
+          precipitation: {
+            type: 'object',
+            properties: { total: number, wetDays: integer }
+          },
+          windSpeed: number,
+          warmestDay: { type: 'string', format: 'date' },
+          coldestDay: { type: 'string', format: 'date' },
+          wettestDay: { type: 'string', format: 'date', nullable: true }
+        }
+      },
+      units: {
+        type: 'object',
+        required: ['temperature', 'speed', 'pressure', 'distance', 'precipitation'],
+        properties: {
+          temperature: string,
+          speed: string,
+          pressure: string,
+          distance: string,
+          precipitation: { type: 'string', enum: ['mm'] }
+        }
+      }
+    }
+  },
+
+  Observations: {
+    type: 'object',
+    required: ['coordinates', 'from', 'to', 'interval', 'count', 'observations', 'units'],
+    properties: {
+      location: string,
+      coordinates: ref('Coordinates'),
+      from: dateTime,
+      to: dateTime,
+      interval: { ...nullableString, description: 'Bucket size, or null for the observations as recorded' },
+      count: { type: 'integer', description: 'Recorded observations in the range' },
+      observations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['observedAt', 'temperature'],
+          description: 'Downsampled buckets add `samples`, `temperatureMin` and `temperatureMax`; ' +
+            'recorded observations add `windDirection`, `description`, `icon` and `source`',
+          properties: {
+            observedAt: dateTime,
+            samples: integer,
+            temperature: number,
+            temperatureMin: number,
+            temperatureMax: number,
+            feelsLike: number,
+            humidity: number,
+            pressure: number,
+            windSpeed: number,
+            cloudiness: number,
+            visibility: number,
+            windDirection: number,
+            description: string,
+            icon: string,
+            source: { type: 'string', enum: ['request', 'schedule'] }
+          }
+        }
+      },
+      units: ref('Units')
+    }
+  },
+
+  Place: {
+    type: 'object',
+    required: ['name', 'country', 'label', 'coordinates'],
+    properties: {
+      name: string,
+      state: string,
+      country: string,
+      label: { type: 'string', example: 'Springfield, Illinois, US' },
+      coordinates: ref('Coordinates')
+    }
+  },
+
+  BulkJob: {
+    type: 'object',
+    required: ['id', 'status', 'total', 'processed', 'succeeded', 'failed', 'progress', 'createdAt'],
+    properties: {
+      id: string,
+      status: { type: 'string', enum: ['queued', 'running', 'completed'] },
+      total: integer,
+      processed: { type: 'integer', description: 'Locations done, whether they succeeded or failed' },
+      succeeded: integer,
+      failed: integer,
+      progress: { type: 'number', minimum: 0, maximum: 1 },
+      createdAt: dateTime,
+      startedAt: { ...dateTime, nullable: true },
+      finishedAt: { ...dateTime, nullable: true },
+      expiresAt: { ...dateTime, nullable: true, description: 'When a completed job and its results are discarded' }
+    }
+  },
+
+  Subscription: {
+    type: 'object',
+    required: ['id', 'url', 'location', 'createdAt', 'deliveredAlertCount'],
+    properties: {
+      id: string,
+      url: string,
+      secret: { type: 'string', description: 'Only returned when the subscription is created' },
+      location: {
+        type: 'object',
+        required: ['lat', 'lon'],
+        properties: { name: string, lat: number, lon: number }
+      },
+      createdAt: dateTime,
+      lastPolledAt: { ...dateTime, nullable: true },
+      lastError: nullableString,
+      deliveredAlertCount: integer
+    }
+  }
+};
+
+const parameters = {
+  City: {
+    name: 'city',
+    in: 'query',
+    description: 'City name, optionally with a country code (e.g. "London,GB"). Either city or lat and lon is required.',
+    schema: string
+  },
+  Lat: { name: 'lat', in: 'query', description: 'Latitude', schema: latitude },
+  Lon: { name: 'lon', in: 'query', description: 'Longitude', schema: longitude },
+  Units: {
+    name: 'units',
+    in: 'query',
+    description: 'Unit system; the per-quantity parameters override it',
+    schema: { type: 'string', enum: Object.keys(UNIT_SYSTEMS), default: 'metric' }
+  },
+  TemperatureUnit: {
+    name: 'temperatureUnit',
+    in: 'query',
+    description: 'C, F or K (case-insensitive; names such as fahrenheit are accepted)',
+    schema: string
+  },
+  SpeedUnit: { name: 'speedUnit', in: 'query', description: 'm/s, km/h, mph or kn', schema: string },
+  PressureUnit: { name: 'pressureUnit', in: 'query', description: 'hPa, inHg or mmHg', schema: string },
+  DistanceUnit: { name: 'distanceUnit', in: 'query', description: 'km or mi', schema: string },
+  Lang: {
+    name: 'lang',
+    in: 'query',
+    description: 'Language of weather descriptions, category and place names, and default error messages',
+    schema: { type: 'string', enum: LANGUAGES, default: 'en' }
+  },
+  SubscriptionId: { name: 'id', in: 'path', required: true, schema: string },
+  JobId: { name: 'id', in: 'path', required: true, schema: string }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const responses = {
+  BadRequest: errorResponse('Invalid request, missing location or invalid coordinates'),
+  Unauthorized: errorResponse('An API key is missing or invalid'),
+  NotFound: errorResponse('Location, map tile or resource not found'),
+  Conflict: errorResponse('The resource is not ready yet, e.g. a bulk job that is still running'),
+  RateLimited: {
+    ...errorResponse('Rate limit or quota exceeded, here or at the weather provider'),
+    headers: { 'Retry-After': { schema: string, description: 'Seconds to wait before retrying' } }
+  },
+  UpstreamError: errorResponse('The weather provider failed or rejected the request'),
+  Unavailable: {
+    ...errorResponse('The provider (or the feature) is not configured, the server is at capacity, or calls to a ' +
+      'failing provider are paused'),
+    headers: { 'Retry-After': { schema: string, description: 'Seconds until calls to the provider resume' } }
+  },
+  Timeout: errorResponse('The weather provider did not respond in time')
+};
+
+// Date in a history range
+const historyDate = (name) => ({
+  name,
+  in: 'query',
+  required: true,
+  description: `${name === 'start' ? 'First' : 'Last'} day of the range (UTC)`,
+  schema: {
+    type: 'string',
+    format: 'date',
+    'x-error-message': {
+      required: 'Please provide a start and end date (YYYY-MM-DD)',
+      default: `${name} must be a date in YYYY-MM-DD format`
+    }
+  }
+});
+
+// lat and lon for routes that take coordinates only, with the message given when missing
+const requiredCoordinates = (message) => ['lat', 'lon'].map(name => ({
+  name,
+  in: 'query',
+  required: true,
+  schema: {
+    ...(name === 'lat' ? latitude : longitude),
+    'x-error-code': { required: 'MISSING_LOCATION', default: 'INVALID_COORDINATES' },
+    'x-error-message': { required: message }
+  }
+}));
+
+const ONECALL_EXCLUDABLE = ['minutely', 'hourly', 'daily', 'alerts'];
+
+const paths = {
+  '/api/weather/current': {
+    get: {
+      summary: 'Current weather',
+      operationId: 'getCurrentWeather',
+      parameters: [...LOCATION_PARAMS, ...UNIT_PARAMS, LANG_PARAM],
+      responses: { ...ok('Current conditions', ref('CurrentWeather')), ...errors('NotFound', ...UPSTREAM_ERRORS) }
+    }
+  },
+
+  '/api/weather/forecast': {
+    get: {
+      summary: '5-day forecast in 3-hour steps',
+      operationId: 'getForecast',
+      parameters: [...LOCATION_PARAMS, ...UNIT_PARAMS, LANG_PARAM, FORECAST_EXPORTS.parameter],
+      responses: FORECAST_EXPORTS.responses({ ...ok('Forecast', ref('Forecast')), ...errors('NotFound', ...UPSTREAM_ERRORS) })
+    }
+  },
+
+  '/api/weather/multiple': {
+    post: {
+      summary: 'Current weather for up to 10 locations',
+      operationId: 'getMultipleWeather',
+      parameters: [MULTIPLE_EXPORTS.parameter],
+      requestBody: locationList(10, 'Maximum 10 cities allowed per request'),
+      responses: MULTIPLE_EXPORTS.responses({
+        ...ok('One result per entry, in request order', { type: 'array', items: ref('MultipleResult') }),
+        ...errors('BadRequest', 'RateLimited', 'Unavailable')
+      })
+    }
+  },
+
+  '/api/weather/jobs': {
+    post: {
+      summary: `Start a background job fetching current weather for up to ${MAX_JOB_LOCATIONS} locations`,
+      description: 'Poll the job URL in the `Location` header until its status is `completed`, then ' +
+        'download the results. Each location counts as one request against the API key quota. Jobs ' +
+        'are only visible to the API key that submitted them.',
+      operationId: 'createBulkJob',
+      security: KEY_REQUIRED,
+      requestBody: locationList(MAX_JOB_LOCATIONS, `Maximum ${MAX_JOB_LOCATIONS} locations allowed per job`),
+      responses: {
+        202: {
+          description: 'Job queued',
+          headers: { Location: { schema: string, description: 'URL of the job status' } },
+          content: { 'application/json': { schema: envelope(ref('BulkJob')) } }
+        },
+        ...errors('BadRequest', 'Unauthorized', 'RateLimited', 'Unavailable')
+      }
+    }
+  },
+
+  '/api/weather/jobs/{id}': {
+    parameters: [param('JobId')],
+    get: {
+      summary: 'Bulk job status and progress',
+      operationId: 'getBulkJob',
+      security: KEY_REQUIRED,
+      responses: { ...ok('The job', ref('BulkJob')), ...errors('Unauthorized', 'NotFound') }
+    },
+    delete: {
+      summary: 'Cancel a bulk job, or discard a finished one',
+      operationId: 'deleteBulkJob',
+      security: KEY_REQUIRED,
+      responses: {
+        ...ok('Deleted', {
+          type: 'object',
+          required: ['id', 'deleted'],
+          properties: { id: string, deleted: { type: 'boolean' } }
+        }),
+        ...errors('Unauthorized', 'NotFound')
+      }
+    }
+  },
+
+  '/api/weather/jobs/{id}/results': {
+    parameters: [param('JobId')],
+    get: {
+      summary: 'Results of a completed bulk job',
+      operationId: 'getBulkJobResults',
+      security: KEY_REQUIRED,
+      parameters: [JOB_RESULT_EXPORTS.parameter],
+      responses: JOB_RESULT_EXPORTS.responses({
+        ...ok('One result per location, in submission order', { type: 'array', items: ref('MultipleResult') }),
+        ...errors('Unauthorized', 'NotFound', 'Conflict')
+      })
+    }
+  },
+
+  '/api/weather/stream': {
+    get: {
+      summary: 'Live current weather for up to 10 locations as Server-Sent Events',
+      description: 'Sends a `weather` event per location on connect and another whenever its ' +
+        'conditions change. Each event carries a LiveUpdate as JSON.',
+      operationId: 'streamWeather',
+      parameters: [
+        ...LOCATION_PARAMS,
+        {
+          name: 'locations',
+          in: 'query',
+          description: 'Semicolon-separated city names and "lat,lon" pairs, instead of city or lat and lon',
+          schema: { type: 'string', example: 'London,GB;48.85,2.35' }
+        },
+        ...UNIT_PARAMS,
+        LANG_PARAM
+      ],
+      responses: {
+        200: {
+          description: 'Event stream of `weather` events (LiveUpdate JSON) and heartbeat comments',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        ...errors('BadRequest', 'RateLimited', 'Unavailable')
+      }
+    }
+  },
+
+  '/api/weather/onecall': {
+    get: {
+      summary: 'Current, hourly and daily weather from One Call API 3.0',
+      operationId: 'getOneCall',
+      parameters: [
+        ...requiredCoordinates('Please provide coordinates (lat, lon) for One Call API'),
+        {
+          name: 'exclude',
+          in: 'query',
+          description: `Comma-separated parts to leave out: ${ONECALL_EXCLUDABLE.join(', ')}`,
+          schema: {
+            type: 'string',
+            pattern: `^\\s*(${ONECALL_EXCLUDABLE.join('|')})\\s*(,\\s*(${ONECALL_EXCLUDABLE.join('|')})\\s*)*$`,
+            'x-error-message': `exclude may only list: ${ONECALL_EXCLUDABLE.join(', ')}`
+          }
+        },
+        ...UNIT_PARAMS,
+        LANG_PARAM,
+        ONECALL_EXPORTS.parameter
+      ],
+      responses: ONECALL_EXPORTS.responses({ ...ok('One Call data', ref('OneCall')), ...errors(...UPSTREAM_ERRORS) })
+    }
+  },
+
+  '/api/weather/indices': {
+    get: {
+      summary: 'Comfort indices and activity scores for now and each forecast step',
+      operationId: 'getIndices',
+      parameters: [...LOCATION_PARAMS, ...UNIT_PARAMS, LANG_PARAM],
+      responses: { ...ok('Derived indices', ref('Indices')), ...errors('NotFound', ...UPSTREAM_ERRORS) }
+    }
+  },
+
+  '/api/weather/astronomy': {
+    get: {
+      summary: 'Sun, twilight and moon times for a date, computed without the weather provider',
+      operationId: 'getAstronomy',
+      parameters: [
+        ...requiredCoordinates('Please provide coordinates (lat, lon) for astronomy data'),
+        {
+          name: 'date',
+          in: 'query',
+          description: 'Day to compute, by local mean solar time (default today)',
+          schema: { type: 'string', format: 'date', 'x-error-message': 'date must be a date in YYYY-MM-DD format' }
+        },
+        LANG_PARAM
+      ],
+      responses: { ...ok('Astronomy data', ref('Astronomy')), ...errors('BadRequest') }
+    }
+  },
+
+  '/api/weather/air-quality': {
+    get: {
+      summary: 'Current air quality and hourly AQI forecast',
+      operationId: 'getAirQuality',
+      parameters: [...LOCATION_PARAMS, LANG_PARAM],
+      responses: { ...ok('Air quality', ref('AirQuality')), ...errors('NotFound', ...UPSTREAM_ERRORS) }
+    }
+  },
+
+  '/api/weather/alerts': {
+    get: {
+      summary: 'Active severe weather alerts',
+      operationId: 'getAlerts',
+      parameters: [...LOCATION_PARAMS, LANG_PARAM],
+      responses: { ...ok('Active alerts', ref('Alerts')), ...errors('NotFound', ...UPSTREAM_ERRORS) }
+    }
+  },
+
+  '/api/weather/alerts/subscriptions': {
+    post: {
+      summary: 'Subscribe a webhook to alerts at a location',
+      description: 'The webhook host must resolve to a public address. Subscriptions belong to ' +
+        'the API key that created them, and each key may hold a limited number of them.',
+      operationId: 'createAlertSubscription',
+      security: KEY_REQUIRED,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['url'],
+              properties: {
+                url: {
+                  type: 'string',
+                  pattern: '^https?://',
+                  example: 'https://example.com/hook',
+                  'x-error-message': 'Please provide an http(s) webhook url'
+                },
+                secret: {
+                  type: 'string',
+                  minLength: 16,
+                  'x-error-message': 'secret must be a string of at least 16 characters'
+                },
+                city: { type: 'string', example: 'Delhi' },
+                lat: latitude,
+                lon: longitude
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        ...ok('The subscription, including its signing secret', ref('Subscription'), '201'),
+        ...errors('Unauthorized', 'NotFound', ...UPSTREAM_ERRORS)
+      }
+    }
+  },
+
+  '/api/weather/alerts/subscriptions/{id}': {
+    parameters: [param('SubscriptionId')],
+    get: {
+      summary: 'Subscription status',
+      operationId: 'getAlertSubscription',
+      security: KEY_REQUIRED,
+      responses: { ...ok('The subscription', ref('Subscription')), ...errors('Unauthorized', 'NotFound') }
+    },
+    delete: {
+      summary: 'Cancel a subscription',
+      operationId: 'deleteAlertSubscription',
+      security: KEY_REQUIRED,
+      responses: {
+        ...ok('Deleted', {
+          type: 'object',
+          required: ['id', 'deleted'],
+          properties: { id: string, deleted: { type: 'boolean' } }
+        }),
+        ...errors('Unauthorized', 'NotFound')
+      }
+    }
+  },
+
+  '/api/weather/alerts/subscriptions/{id}/test': {
+    parameters: [param('SubscriptionId')],
+    post: {
+      summary: 'Send a signed ping to the webhook',
+      operationId: 'testAlertSubscription',
+      security: KEY_REQUIRED,
+      responses: {
+        ...ok('Delivered', {
+          type: 'object',
+          required: ['delivered', 'deliveryId'],
+          properties: { delivered: { type: 'boolean' }, deliveryId: string }
+        }),
+        ...errors('Unauthorized', 'NotFound', 'UpstreamError')
+      }
+    }
+  },
+
+  '/api/weather/history': {
+    get: {
+      summary: `Daily aggregates and summary for up to ${MAX_HISTORY_DAYS} past days`,
+      operationId: 'getHistory',
+      parameters: [...LOCATION_PARAMS, historyDate('start'), historyDate('end'), ...UNIT_PARAMS, LANG_PARAM],
+      responses: { ...ok('Daily history', ref('History')), ...errors('NotFound', ...UPSTREAM_ERRORS) }
+    }
+  },
+
+  '/api/weather/observations': {
+    get: {
+      summary: 'Recorded observation series, optionally downsampled',
+      operationId: 'getObservations',
+      parameters: [
+        ...LOCATION_PARAMS,
+        { name: 'from', in: 'query', description: 'ISO 8601 date or date-time (default 24 hours ago)', schema: string },
+        { name: 'to', in: 'query', description: 'ISO 8601 date or date-time (default now)', schema: string },
+        {
+          name: 'interval',
+          in: 'query',
+          description: 'Bucket size such as 15m, 1h or 1d',
+          schema: {
+            type: 'string',
+            pattern: '^\\d+[mhd]$',
+            'x-error-message': 'interval must be a number followed by m, h or d (e.g. 15m, 1h, 1d)'
+          }
+        },
+        ...UNIT_PARAMS,
+        LANG_PARAM
+      ],
+      responses: { ...ok('Observation series', ref('Observations')), ...errors('NotFound', ...UPSTREAM_ERRORS) }
+    }
+  },
+
+  '/api/weather/geocode': {
+    get: {
+      summary: 'Search locations by name, or find the places nearest to coordinates',
+      operationId: 'geocode',
+      parameters: [
+        { name: 'q', in: 'query', description: 'Place name to search for', schema: string },
+        param('Lat'),
+        param('Lon'),
+        {
+          name: 'limit',
+          in: 'query',
+          schema: { type: 'integer', minimum: 1, maximum: 5, default: 5 }
+        },
+        LANG_PARAM
+      ],
+      responses: {
+        ...ok('Matching places', { type: 'array', items: ref('Place') }),
+        ...errors(...UPSTREAM_ERRORS)
+      }
+    }
+  },
+
+  '/tiles/{layer}/{z}/{x}/{y}.png': {
+    get: {
+      summary: 'Map tile for the demo map, proxied from the provider',
+      description: 'A 256px Web Mercator PNG tile. `base` is the background map; the weather ' +
+        'layers are translucent overlays. Tiles need no API key and have their own per-IP limit.',
+      operationId: 'getMapTile',
+      security: [],
+      parameters: [
+        { name: 'layer', in: 'path', required: true, schema: { type: 'string', enum: MAP_LAYERS } },
+        { name: 'z', in: 'path', required: true, description: 'Zoom level', schema: { type: 'integer', minimum: 0, maximum: MAX_ZOOM } },
+        { name: 'x', in: 'path', required: true, description: 'Tile column, below 2^z', schema: { type: 'integer', minimum: 0 } },
+        { name: 'y', in: 'path', required: true, description: 'Tile row, below 2^z', schema: { type: 'integer', minimum: 0 } }
+      ],
+      responses: {
+        200: {
+          description: 'Tile image',
+          headers: { 'Cache-Control': { schema: string, description: 'How long the tile may be reused' } },
+          content: { 'image/png': { schema: { type: 'string', format: 'binary' } } }
+        },
+        ...errors('BadRequest', 'NotFound', 'RateLimited', 'UpstreamError', 'Unavailable', 'Timeout')
+      }
+    }
+  }
+};
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Weather API',
+    version,
+    description: 'Current weather, forecasts, air quality, alerts and history. Every response is ' +
+      'wrapped in `{ success, data, timestamp }`; errors use `{ success: false, error, code, requestId }`.'
+  },
+  servers: [{ url: '/' }],
+  // Keys are optional unless the server sets REQUIRE_API_KEY
+  security: [{}, { ApiKeyHeader: [] }, { ApiKeyQuery: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+    },
+    parameters,
+    responses,
+    schemas
+  }
+};
+
+module.exports = spec;
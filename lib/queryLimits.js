@@ -0,0 +1,77 @@
+const { Kind, getNamedType } = require('graphql');
+
+// Helper function to count the entries a list argument will have once variables are applied.
+// GraphQL coerces a single value into a one-entry list, so anything else counts as one.
+const listLength = (node, variables) => {
+  if (!node) return 1;
+  if (node.kind === Kind.LIST) return node.values.length;
+  if (node.kind === Kind.VARIABLE) {
+    const value = variables[node.name.value];
+    return Array.isArray(value) ? value.length : 1;
+  }
+  return 1;
+};
+
+// Measure the depth and cost of the operation that will run. Every field costs 1 unless
+// `costs` (keyed "Type.field") says otherwise; fields listed in `listArguments` multiply the
+// cost of their selections by the length of that argument. Introspection fields are free,
+// so tools can still load the schema. Expects a document that already passed validation.
+const analyzeQuery = (schema, document, {
+  operationName,
+  variables = {},
+  costs = {},
+  listArguments = {}
+} = {}) => {
+  const fragments = {};
+  const operations = [];
+
+  document.definitions.forEach((definition) => {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  });
+
+  const operation = operationName
+    ? operations.find(candidate => candidate.name?.value === operationName)
+    : operations[0];
+  if (!operation) return { depth: 0, cost: 0 };
+
+  const measure = (selectionSet, type, depth) => selectionSet.selections.reduce((total, selection) => {
+    let result;
+
+    if (selection.kind === Kind.FIELD) {
+      const name = selection.name.value;
+      if (name.startsWith('__')) return total;
+
+      const key = `${type.name}.${name}`;
+      result = { depth, cost: costs[key] ?? 1 };
+
+      if (selection.selectionSet) {
+        const fieldType = getNamedType(type.getFields()[name].type);
+        const child = measure(selection.selectionSet, fieldType, depth + 1);
+        const argument = listArguments[key] &&
+          selection.arguments.find(arg => arg.name.value === listArguments[key]);
+        const entries = listArguments[key] ? listLength(argument?.value, variables) : 1;
+
+        result = { depth: child.depth, cost: result.cost + child.cost * entries };
+      }
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+        ? fragments[selection.name.value]
+        : selection;
+      const fragmentType = fragment.typeCondition
+        ? schema.getType(fragment.typeCondition.name.value)
+        : type;
+      result = measure(fragment.selectionSet, fragmentType, depth);
+    }
+
+    return { depth: Math.max(total.depth, result.depth), cost: total.cost + result.cost };
+  }, { depth: depth - 1, cost: 0 });
+
+  const result = measure(operation.selectionSet, schema.getRootType(operation.operation), 1);
+  return { depth: Math.max(result.depth, 0), cost: result.cost };
+};
+
+module.exports = { analyzeQuery };
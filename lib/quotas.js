@@ -0,0 +1,49 @@
+const { numberFromEnv } = require('./config');
+const { ApiError } = require('./errors');
+
+// Every quota counts requests in the same fixed window
+const QUOTA_WINDOW_MS = 15 * 60 * 1000;
+
+// Requests per window for each client tier; a client's own `quota` overrides its tier
+const TIERS = {
+  free: { quota: 100 },
+  standard: { quota: 1000 },
+  partner: { quota: 10000 }
+};
+
+// Requests without an API key share this per-IP limit
+const ANONYMOUS_QUOTA = numberFromEnv('ANONYMOUS_QUOTA', 100);
+
+const quotaFor = (client) => {
+  if (!client) return ANONYMOUS_QUOTA;
+  return client.quota !== undefined && client.quota !== null ? client.quota : TIERS[client.tier].quota;
+};
+
+// Rate limiter key: each API client has its own counter, anonymous requests share one per IP
+const quotaKey = (req) => (req.apiClient ? `client:${req.apiClient.id}` : req.ip);
+
+// Extra charges for requests that stand for several (a bulk job counts once per location), on
+// top of the one the rate limiter counted. `store` is the limiter's store; requests the
+// limiter did not see (no req.rateLimit) are not charged.
+const createQuotaCharger = (store) => ({
+  // Throw QUOTA_EXCEEDED unless `count` more requests fit in the client's current window
+  check: (req, count) => {
+    const info = req.rateLimit;
+    if (!info || info.used + count <= info.limit) return;
+
+    throw new ApiError(
+      'QUOTA_EXCEEDED',
+      `This request counts as ${count + 1} requests, but only ${info.remaining + 1} are left in the quota`,
+      { retryAfter: Math.max(1, Math.ceil((info.resetTime - Date.now()) / 1000)) }
+    );
+  },
+
+  charge: async (req, count) => {
+    if (!req.rateLimit) return;
+    for (let index = 0; index < count; index++) {
+      await store.increment(quotaKey(req));
+    }
+  }
+});
+
+module.exports = { QUOTA_WINDOW_MS, TIERS, ANONYMOUS_QUOTA, quotaFor, quotaKey, createQuotaCharger };
@@ -0,0 +1,12 @@
+// Success envelope shared by every route. Data served from the cache because the provider
+// failed carries `stale: { since, reason }` (see lib/weatherData.js).
+const sendData = (res, data, status = 200) => {
+  res.status(status).json({
+    success: true,
+    data,
+    ...(res.locals.stale && { stale: res.locals.stale }),
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = { sendData };
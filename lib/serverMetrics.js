@@ -0,0 +1,58 @@
+// Metrics read from the app's components when /metrics is scraped
+const registerServerMetrics = (metrics, { cache, liveUpdates, bulkJobs }) => {
+  const lookups = (result, field) => Object.entries(cache.stats())
+    .map(([kind, counts]) => ({ labels: { kind, result }, value: counts[field] }));
+
+  metrics.counter({
+    name: 'weather_cache_lookups_total',
+    help: 'Response cache lookups by kind of data and result (hit or miss)',
+    labelNames: ['kind', 'result'],
+    collect: () => [...lookups('hit', 'hits'), ...lookups('miss', 'misses')]
+  });
+
+  metrics.counter({
+    name: 'weather_cache_stale_responses_total',
+    help: 'Misses answered with expired data because the provider failed, by kind of data',
+    labelNames: ['kind'],
+    collect: () => Object.entries(cache.stats()).map(([kind, { stale }]) => ({ labels: { kind }, value: stale }))
+  });
+
+  metrics.gauge({
+    name: 'weather_cache_hit_ratio',
+    help: 'Share of response cache lookups answered from the cache, by kind of data',
+    labelNames: ['kind'],
+    collect: () => Object.entries(cache.stats())
+      .map(([kind, { hits, misses }]) => ({ labels: { kind }, value: hits / (hits + misses) }))
+  });
+
+  metrics.gauge({ name: 'weather_cache_entries', help: 'Entries in the response cache', collect: () => cache.size });
+
+  metrics.gauge({
+    name: 'weather_live_streams',
+    help: 'Open live update streams',
+    collect: () => liveUpdates.subscribers
+  });
+
+  metrics.gauge({
+    name: 'weather_live_locations',
+    help: 'Locations polled for live update streams',
+    collect: () => liveUpdates.locations
+  });
+
+  metrics.gauge({
+    name: 'weather_bulk_jobs',
+    help: 'Bulk jobs by status (queued, running or completed and not yet discarded)',
+    labelNames: ['status'],
+    collect: () => Object.entries(bulkJobs.counts()).map(([status, value]) => ({ labels: { status }, value }))
+  });
+
+  metrics.gauge({ name: 'process_uptime_seconds', help: 'Process uptime in seconds', collect: () => process.uptime() });
+
+  metrics.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: () => process.memoryUsage().rss
+  });
+};
+
+module.exports = { registerServerMetrics };
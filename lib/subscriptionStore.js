@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Alert subscription storage: in memory, optionally persisted to a JSON file so
+// delivered alert IDs survive restarts and alerts are not sent twice
+const createSubscriptionStore = ({ file } = {}) => {
+  const subscriptions = new Map();
+
+  if (file && fs.existsSync(file)) {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(subscription => {
+      subscriptions.set(subscription.id, subscription);
+    });
+  }
+
+  // Saving runs off the request and poll path, one write at a time: changes made while a
+  // write is in progress (a poll updates every subscription) are picked up by the next one.
+  // Each write replaces the file atomically.
+  let dirty = false;
+  let writing = null;
+
+  const write = async () => {
+    while (dirty) {
+      dirty = false;
+      try {
+        const temporary = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify([...subscriptions.values()], null, 2));
+        await fs.promises.rename(temporary, file);
+      } catch (error) {
+        logger.error('Failed to save alert subscriptions', { error });
+      }
+    }
+    writing = null;
+  };
+
+  const save = () => {
+    if (!file) return;
+    dirty = true;
+    if (!writing) writing = write();
+  };
+
+  return {
+    list: () => [...subscriptions.values()],
+
+    get: (id) => subscriptions.get(id),
+
+    create: (subscription) => {
+      subscriptions.set(subscription.id, subscription);
+      save();
+      return subscription;
+    },
+
+    update: (id, changes) => {
+      const subscription = subscriptions.get(id);
+      if (!subscription) return undefined;
+
+      Object.assign(subscription, changes);
+      save();
+      return subscription;
+    },
+
+    remove: (id) => {
+      const removed = subscriptions.delete(id);
+      save();
+      return removed;
+    },
+
+    // Resolves once every change so far is on disk
+    flush: () => writing || Promise.resolve()
+  };
+};
+
+module.exports = { createSubscriptionStore };
@@ -0,0 +1,46 @@
+const { numberFromEnv } = require('./config');
+const { ApiError } = require('./errors');
+
+// Map layers served by /tiles: a base map and weather overlays drawn on top of it
+const MAP_LAYERS = ['base', 'temperature', 'precipitation', 'clouds'];
+const MAX_ZOOM = 18;
+const TILE_SIZE = 256;
+
+// Cache TTLs in seconds; the base map rarely changes, weather layers follow the data
+const TILE_TTL = {
+  base: numberFromEnv('CACHE_TTL_TILE_BASE', 86400),
+  weather: numberFromEnv('CACHE_TTL_TILE_WEATHER', 600)
+};
+
+const tileTtl = (layer) => (layer === 'base' ? TILE_TTL.base : TILE_TTL.weather);
+
+const isInteger = (value, min, max) => /^\d+$/.test(String(value)) && Number(value) >= min && Number(value) <= max;
+
+// Validate a tile address from the route parameters
+const parseTile = ({ layer, z, x, y }) => {
+  if (!MAP_LAYERS.includes(layer)) {
+    throw new ApiError('INVALID_REQUEST', `layer must be one of: ${MAP_LAYERS.join(', ')}`);
+  }
+
+  if (!isInteger(z, 0, MAX_ZOOM)) {
+    throw new ApiError('INVALID_REQUEST', `z must be an integer between 0 and ${MAX_ZOOM}`);
+  }
+
+  const last = 2 ** Number(z) - 1;
+  if (!isInteger(x, 0, last) || !isInteger(y, 0, last)) {
+    throw new ApiError('INVALID_REQUEST', `x and y must be between 0 and ${last} at zoom ${z}`);
+  }
+
+  return { layer, z: Number(z), x: Number(x), y: Number(y) };
+};
+
+// Web Mercator: the latitude and longitude of a point in tile coordinates at zoom z
+const tileToLatLon = (z, x, y) => {
+  const n = 2 ** z;
+  return {
+    lat: (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n))) * 180) / Math.PI,
+    lon: (x / n) * 360 - 180
+  };
+};
+
+module.exports = { MAP_LAYERS, MAX_ZOOM, TILE_SIZE, TILE_TTL, tileTtl, parseTile, tileToLatLon };
@@ -0,0 +1,96 @@
+const { ApiError } = require('./errors');
+
+// Every quantity is fetched from upstream in metric and converted here, so one
+// cached upstream response can serve every unit combination.
+const QUANTITIES = {
+  temperature: {
+    param: 'temperatureUnit',
+    units: {
+      C: { label: '°C', aliases: ['c', 'celsius', '°c'], convert: (celsius) => celsius },
+      F: { label: '°F', aliases: ['f', 'fahrenheit', '°f'], convert: (celsius) => celsius * 9 / 5 + 32 },
+      K: { label: 'K', aliases: ['k', 'kelvin'], convert: (celsius) => celsius + 273.15 }
+    }
+  },
+  speed: {
+    param: 'speedUnit',
+    units: {
+      'm/s': { label: 'm/s', aliases: ['m/s', 'ms', 'mps'], precision: 2, convert: (ms) => ms },
+      'km/h': { label: 'km/h', aliases: ['km/h', 'kmh', 'kph'], precision: 1, convert: (ms) => ms * 3.6 },
+      mph: { label: 'mph', aliases: ['mph'], precision: 1, convert: (ms) => ms * 2.236936 },
+      kn: { label: 'kn', aliases: ['kn', 'kt', 'knots'], precision: 1, convert: (ms) => ms * 1.943844 }
+    }
+  },
+  pressure: {
+    param: 'pressureUnit',
+    units: {
+      hPa: { label: 'hPa', aliases: ['hpa', 'mb', 'mbar'], precision: 0, convert: (hpa) => hpa },
+      inHg: { label: 'inHg', aliases: ['inhg'], precision: 2, convert: (hpa) => hpa * 0.02953 },
+      mmHg: { label: 'mmHg', aliases: ['mmhg'], precision: 0, convert: (hpa) => hpa * 0.750062 }
+    }
+  },
+  distance: {
+    param: 'distanceUnit',
+    units: {
+      km: { label: 'km', aliases: ['km'], precision: 2, convert: (km) => km },
+      mi: { label: 'mi', aliases: ['mi', 'miles'], precision: 2, convert: (km) => km * 0.621371 }
+    }
+  }
+};
+
+// Unit systems selectable with the `units` parameter; per-quantity parameters override them
+const UNIT_SYSTEMS = {
+  metric: { temperature: 'C', speed: 'm/s', pressure: 'hPa', distance: 'km' },
+  imperial: { temperature: 'F', speed: 'mph', pressure: 'hPa', distance: 'mi' },
+  standard: { temperature: 'K', speed: 'm/s', pressure: 'hPa', distance: 'km' }
+};
+
+const round = (value, precision) =>
+  precision === undefined ? value : Number(value.toFixed(precision));
+
+const findUnit = (quantity, value) => {
+  const { units } = QUANTITIES[quantity];
+  const name = String(value).trim().toLowerCase();
+  return Object.keys(units).find(unit => units[unit].aliases.includes(name));
+};
+
+// Validate `units` plus any per-quantity overrides and return the chosen unit per quantity
+const resolveUnits = (params = {}) => {
+  const { units = 'metric' } = params;
+
+  if (typeof units !== 'string' || !UNIT_SYSTEMS[units]) {
+    throw new ApiError('INVALID_REQUEST', `units must be one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}`);
+  }
+
+  const selection = { ...UNIT_SYSTEMS[units] };
+
+  Object.entries(QUANTITIES).forEach(([quantity, { param, units: choices }]) => {
+    if (params[param] === undefined) return;
+
+    const unit = findUnit(quantity, params[param]);
+    if (!unit) {
+      throw new ApiError('INVALID_REQUEST', `${param} must be one of: ${Object.keys(choices).join(', ')}`);
+    }
+    selection[quantity] = unit;
+  });
+
+  return selection;
+};
+
+// Build converters from metric values (°C, m/s, hPa, km) into the selected units
+const createConverter = (selection = UNIT_SYSTEMS.metric) => {
+  const converter = { labels: {} };
+
+  Object.entries(QUANTITIES).forEach(([quantity, { units }]) => {
+    const unit = units[selection[quantity]];
+    converter[quantity] = (value) => round(unit.convert(value), unit.precision);
+    converter.labels[quantity] = unit.label;
+  });
+
+  return converter;
+};
+
+module.exports = {
+  UNIT_SYSTEMS,
+  resolveUnits,
+  createConverter
+};
@@ -0,0 +1,56 @@
+// In-memory request counters per client and per route, reset when the process restarts
+const createUsageTracker = ({ now = () => Date.now() } = {}) => {
+  let since = now();
+  let counters = new Map();
+
+  const emptyCounts = () => ({ requests: 0, errors: 0, rejected: 0 });
+
+  const bump = (counts, status) => {
+    counts.requests++;
+    if (status >= 400) counts.errors++;
+    if (status === 401 || status === 403 || status === 429) counts.rejected++;
+  };
+
+  return {
+    // Count one finished request; clientId is null for anonymous requests
+    record: (clientId, route, status) => {
+      const key = clientId || 'anonymous';
+      const entry = counters.get(key) || { totals: emptyCounts(), routes: {}, lastRequestAt: null };
+
+      bump(entry.totals, status);
+      entry.routes[route] = entry.routes[route] || emptyCounts();
+      bump(entry.routes[route], status);
+      entry.lastRequestAt = new Date(now()).toISOString();
+
+      counters.set(key, entry);
+    },
+
+    // Counts for one client, or undefined if it has made no requests
+    get: (clientId) => counters.get(clientId || 'anonymous'),
+
+    report: () => {
+      const routes = {};
+      counters.forEach(entry => {
+        Object.entries(entry.routes).forEach(([route, counts]) => {
+          routes[route] = routes[route] || emptyCounts();
+          Object.keys(counts).forEach(name => {
+            routes[route][name] += counts[name];
+          });
+        });
+      });
+
+      return {
+        since: new Date(since).toISOString(),
+        clients: Object.fromEntries(counters),
+        routes
+      };
+    },
+
+    reset: () => {
+      since = now();
+      counters = new Map();
+    }
+  };
+};
+
+module.exports = { createUsageTracker };
@@ -0,0 +1,115 @@
+const { numberFromEnv } = require('./config');
+const { ApiError, toApiError } = require('./errors');
+const { formatWeatherData } = require('./formatters');
+const { createTranslator } = require('./i18n');
+const { normalizeLocation, resolveLocation } = require('./location');
+
+// Cache TTLs in seconds per kind of upstream data (0 disables caching)
+const CACHE_TTL = {
+  current: numberFromEnv('CACHE_TTL_CURRENT', 600),
+  forecast: numberFromEnv('CACHE_TTL_FORECAST', 1800),
+  onecall: numberFromEnv('CACHE_TTL_ONECALL', 900),
+  geocode: numberFromEnv('CACHE_TTL_GEOCODE', 86400),
+  airQuality: numberFromEnv('CACHE_TTL_AIR_QUALITY', 1800),
+  alerts: numberFromEnv('CACHE_TTL_ALERTS', 300)
+};
+
+// How long expired data is kept to stand in for the provider when it fails
+const STALE_TTL = numberFromEnv('CACHE_STALE_TTL', 86400);
+
+// Provider failures a stale copy may answer for: the provider is down, slow, out of quota or
+// rejecting our keys. Errors about the request itself (e.g. LOCATION_NOT_FOUND) are passed on.
+const STALE_IF_ERROR_CODES = [
+  'UPSTREAM_TIMEOUT',
+  'UPSTREAM_ERROR',
+  'UPSTREAM_RATE_LIMITED',
+  'UPSTREAM_UNAUTHORIZED',
+  'UPSTREAM_UNAVAILABLE'
+];
+
+const canServeStale = (error) => STALE_IF_ERROR_CODES.includes(toApiError(error).code);
+
+// A location list entry as echoed back in its result: `city` or `coordinates`
+const entryRequest = (entry) =>
+  (typeof entry === 'string' ? { city: entry } : { coordinates: { lat: entry.lat, lon: entry.lon } });
+
+// Result of a location list entry that failed, e.g. { city, success: false, error, code }
+const entryFailure = (entry, error, translator = createTranslator()) => {
+  const apiError = toApiError(error);
+  return { ...entryRequest(entry), success: false, error: translator.error(apiError), code: apiError.code };
+};
+
+// Upstream data is always fetched in metric and converted per request (see lib/units.js)
+const UPSTREAM_UNITS = 'metric';
+
+// Cached access to provider data, shared by the REST and GraphQL APIs so both make the
+// same upstream calls under the same cache keys
+const createWeatherData = ({ provider, cache, cacheTtl = CACHE_TTL, recorder }) => {
+  // Fetch upstream data through the response cache and report cache status headers.
+  // When the provider fails, the last good data is served instead if the caller can say so:
+  // on `res` (X-Cache: STALE and `stale` in the envelope) or through `onStale`. `maxAge`
+  // (seconds) refetches cached data older than that; see cache.wrap.
+  const fetchCached = async (res, kind, query, fetcher, { onStale, maxAge } = {}) => {
+    const key = [kind, ...Object.entries(query)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => `${name}=${value}`)].join('|');
+
+    const options = { ...((res || onStale) && { staleIfError: canServeStale }), maxAge };
+    const { value, hit, age, stale } = await cache.wrap(key, cacheTtl[kind], () => fetcher(query), options);
+    const staleInfo = stale && { since: new Date(stale.storedAt).toISOString(), reason: toApiError(stale.error).code };
+
+    if (staleInfo && onStale) {
+      onStale(staleInfo);
+    }
+
+    if (res) {
+      res.set('X-Cache', stale ? 'STALE' : hit ? 'HIT' : 'MISS');
+      res.set('Age', String(age));
+
+      // A response built from several fetches is as stale as its oldest part
+      if (staleInfo && !(res.locals.stale && res.locals.stale.since < staleInfo.since)) {
+        res.locals.stale = staleInfo;
+      }
+    }
+
+    return value;
+  };
+
+  // Turn a city or lat/lon query into coordinates, geocoding cities. Places do not move, so
+  // an expired geocode is used without marking the response while the provider fails.
+  const resolveCoordinates = async (query) => {
+    const location = resolveLocation(query);
+    if (!location.city) return location;
+
+    const [place] = await fetchCached(null, 'geocode', { query: location.city, limit: 1 }, provider.geocode, {
+      onStale: () => {}
+    });
+    if (!place) {
+      throw new ApiError('LOCATION_NOT_FOUND');
+    }
+
+    return { ...normalizeLocation(place), name: place.name, country: place.country };
+  };
+
+  // Current weather for a location list entry (a city name or { lat, lon }) in the units of
+  // `units` and language of `translator`, as { city | coordinates, success: true, data, stale? }.
+  // Fresh data is passed to the observation recorder. Failures are thrown; see entryFailure.
+  const fetchEntry = async (entry, units, translator) => {
+    const location = typeof entry === 'string'
+      ? normalizeLocation({ city: entry })
+      : resolveLocation({ lat: entry.lat, lon: entry.lon });
+    const query = { ...location, units: UPSTREAM_UNITS };
+
+    let stale;
+    const data = await fetchCached(null, 'current', query, provider.getCurrentWeather, {
+      onStale: (info) => { stale = info; }
+    });
+    if (recorder && !stale) recorder.record(data, 'request');
+
+    return { ...entryRequest(entry), success: true, data: formatWeatherData(data, units, translator), ...(stale && { stale }) };
+  };
+
+  return { fetchCached, resolveCoordinates, fetchEntry };
+};
+
+module.exports = { CACHE_TTL, STALE_TTL, UPSTREAM_UNITS, createWeatherData, entryFailure };
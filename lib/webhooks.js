@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Addresses webhooks are never sent to: loopback, private, link-local (which includes cloud
+// metadata services such as 169.254.169.254), carrier-grade NAT, multicast, reserved and NAT64
+// ranges. BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the
+// IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Checks webhook URLs so subscriptions cannot be used to reach the server's own network: the
+// host must resolve only to public addresses. Hosts in `allowedHosts` (e.g. a receiver on
+// localhost during development) skip the address check.
+const createWebhookGuard = ({
+  allowedHosts = [],
+  resolve = (hostname) => dns.promises.lookup(hostname, { all: true })
+} = {}) => {
+  const allowed = new Set(allowedHosts.map(host => host.toLowerCase()));
+
+  // Addresses a URL host name may be reached at; rejects when any of them is internal
+  const lookup = async (hostname) => {
+    const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await resolve(host);
+
+    if (!allowed.has(host) && (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address)))) {
+      throw new Error(`${host} does not resolve to a public address`);
+    }
+    return addresses;
+  };
+
+  // Reject URLs that are not http(s) or whose host is internal
+  const check = async (url) => {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error('Webhook urls must use http or https');
+    }
+    await lookup(hostname);
+  };
+
+  return { check, lookup };
+};
+
+const defaultGuard = createWebhookGuard();
+
+// HMAC-SHA256 signature over "<timestamp>.<body>", sent as "t=<timestamp>,v1=<hex>"
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// Check a signature header against the raw request body (for webhook receivers)
+const verifySignature = (secret, header, body, toleranceSeconds = 300, now = Date.now()) => {
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+
+  if (!timestamp || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(header));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// POST a signed JSON event to a webhook URL; rejects unless the receiver answers 2xx.
+// The URL is checked again at delivery and the connection made to the checked address, so
+// a host that changes its DNS after subscribing still cannot reach internal addresses, and
+// redirects are not followed.
+const deliverWebhook = async ({ url, secret, event, payload, timeout = 5000, guard = defaultGuard }) => {
+  const body = JSON.stringify(payload);
+  const deliveryId = crypto.randomUUID();
+
+  await guard.check(url);
+  await axios.post(url, body, {
+    timeout,
+    maxRedirects: 0,
+    lookup: async (hostname) => (await guard.lookup(hostname))[0],
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'weather-api-webhooks/1.0',
+      'X-Weather-Event': event,
+      'X-Weather-Delivery': deliveryId,
+      'X-Weather-Signature': signPayload(secret, Math.floor(Date.now() / 1000), body)
+    }
+  });
+
+  return deliveryId;
+};
+
+module.exports = { signPayload, verifySignature, isBlockedAddress, createWebhookGuard, deliverWebhook };
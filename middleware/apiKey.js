@@ -0,0 +1,43 @@
+const { ApiError } = require('../lib/errors');
+
+// Read a client API key from the X-API-Key header or the api_key query parameter
+const readApiKey = (req) => {
+  const key = req.get('X-API-Key') || req.query.api_key;
+  return typeof key === 'string' ? key : undefined;
+};
+
+// Whether a browser origin may use a client's key ('*' allows every origin)
+const isOriginAllowed = (allowedOrigins, origin) =>
+  allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+
+// Identify the API client making the request and set req.apiClient. Requests without a key
+// stay anonymous unless requireKey is set; keys used from a browser origin outside the
+// client's allowlist are rejected so a leaked key cannot be used by other websites.
+const authenticate = ({ clients, requireKey = false }) => (req, res, next) => {
+  const key = readApiKey(req);
+
+  if (!key) {
+    return next(requireKey ? new ApiError('API_KEY_REQUIRED') : undefined);
+  }
+
+  const client = clients.findByKey(key);
+  if (!client || client.disabled) {
+    return next(new ApiError('INVALID_API_KEY'));
+  }
+
+  const origin = req.get('Origin');
+  if (origin && !isOriginAllowed(client.allowedOrigins, origin)) {
+    return next(new ApiError('ORIGIN_NOT_ALLOWED'));
+  }
+
+  req.apiClient = client;
+  next();
+};
+
+// For routes that keep server-side state per client (webhooks, bulk jobs): requests must
+// carry an API key even when anonymous access is otherwise allowed
+const requireClient = (req, res, next) => {
+  next(req.apiClient ? undefined : new ApiError('API_KEY_REQUIRED'));
+};
+
+module.exports = { readApiKey, isOriginAllowed, authenticate, requireClient };
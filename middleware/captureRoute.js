@@ -0,0 +1,22 @@
+// Record the template of the matched route (e.g. /api/weather/alerts/subscriptions/:id) on
+// req.routePath the moment Express matches it. Express restores req.baseUrl when an error
+// leaves a router, so the template cannot be rebuilt once the response finishes.
+// Requests that match no route keep null.
+const captureRoute = (req, res, next) => {
+  let route;
+  req.routePath = null;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      // A router's own root reads as its mount path: /health rather than /health/
+      req.routePath = value.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${value.path}`;
+    }
+  });
+  next();
+};
+
+module.exports = captureRoute;
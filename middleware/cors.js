@@ -0,0 +1,40 @@
+const cors = require('cors');
+const { readApiKey, isOriginAllowed } = require('./apiKey');
+
+const ALLOWED_HEADERS = ['Content-Type', 'X-API-Key', 'X-Request-Id'];
+const EXPOSED_HEADERS = [
+  'X-Request-Id', 'X-Cache', 'Age', 'Retry-After',
+  'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'
+];
+
+// CORS per API client: requests with a key are allowed from that client's origins, anonymous
+// requests from `origins` (default every origin). Preflights carry no key, so they pass for
+// any origin some client allows; the key's own allowlist is enforced on the actual request.
+const createCors = ({ clients, origins = ['*'] }) => cors((req, callback) => {
+  const origin = req.get('Origin');
+  const client = clients.findByKey(readApiKey(req));
+
+  let allowed;
+  if (client) {
+    allowed = isOriginAllowed(client.allowedOrigins, origin);
+  } else if (req.method === 'OPTIONS') {
+    allowed = isOriginAllowed(origins, origin) ||
+      clients.list().some(candidate => isOriginAllowed(candidate.allowedOrigins, origin));
+  } else {
+    allowed = isOriginAllowed(origins, origin);
+  }
+
+  // Reflect the origin (true) unless anonymous access is open to every origin
+  let allowOrigin = false;
+  if (allowed) {
+    allowOrigin = client || !origins.includes('*') ? true : '*';
+  }
+
+  callback(null, {
+    origin: allowOrigin,
+    allowedHeaders: ALLOWED_HEADERS,
+    exposedHeaders: EXPOSED_HEADERS
+  });
+});
+
+module.exports = createCors;
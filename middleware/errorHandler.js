@@ -0,0 +1,35 @@
+const { ApiError, toApiError, errorBody } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { languageOf, createTranslator } = require('../lib/i18n');
+
+// Catch-all for requests that did not match a route
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError('ROUTE_NOT_FOUND'));
+};
+
+// Log server-side and upstream failures with the request ID; client errors are not logged
+const logApiError = (req, error, original) => {
+  if (error.status >= 500 || error.code.startsWith('UPSTREAM_')) {
+    const cause = error.cause || original;
+    (req.log || logger.child({ requestId: req.id })).error('request failed', {
+      code: error.code,
+      status: error.status,
+      error: cause,
+      upstreamResponse: cause.response?.data
+    });
+  }
+};
+
+// Render every error through the shared error model, in the request's language if it has one
+const errorHandler = (err, req, res, next) => {
+  const error = toApiError(err);
+  logApiError(req, error, err);
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json(errorBody(error, req.id, createTranslator(languageOf(req))));
+};
+
+module.exports = { notFoundHandler, errorHandler, logApiError };
@@ -0,0 +1,47 @@
+const { logger: defaultLogger } = require('../lib/logger');
+const { secondsSince } = require('../lib/metrics');
+
+// Log one JSON line per request and record request counts and latency per route template.
+// Runs after requestId and captureRoute; also gives every request a logger (req.log) that
+// tags its lines with the request ID.
+const observeRequests = ({ metrics, logger = defaultLogger }) => {
+  const requests = metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route template and status',
+    labelNames: ['method', 'route', 'status']
+  });
+  const duration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds by method and route template',
+    labelNames: ['method', 'route']
+  });
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    req.log = logger.child({ requestId: req.id });
+
+    // 'close' also fires for streams and requests the client abandoned, unlike 'finish'
+    res.on('close', () => {
+      const seconds = secondsSince(start);
+      const labels = { method: req.method, route: req.routePath || 'unmatched' };
+
+      requests.inc({ ...labels, status: res.statusCode });
+      duration.observe(labels, seconds);
+
+      // The query string is left out: it may carry an API key
+      req.log.info('request', {
+        ...labels,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 10000) / 10,
+        clientId: req.apiClient?.id,
+        aborted: res.writableFinished ? undefined : true,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    });
+    next();
+  };
+};
+
+module.exports = observeRequests;
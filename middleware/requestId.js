@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Accept a caller-supplied ID only if it is short and free of odd characters
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tag every request with an ID that is echoed back in the X-Request-Id header
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
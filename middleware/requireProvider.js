@@ -0,0 +1,11 @@
+const { ApiError } = require('../lib/errors');
+
+// Middleware to check if the weather provider is configured
+const requireProvider = (provider) => (req, res, next) => {
+  if (!provider.isConfigured()) {
+    return next(new ApiError('PROVIDER_NOT_CONFIGURED'));
+  }
+  next();
+};
+
+module.exports = requireProvider;
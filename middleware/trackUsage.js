@@ -0,0 +1,11 @@
+// Count every finished API request per client and route template (e.g. GET /api/weather/current).
+// Relies on middleware/captureRoute.js running first.
+const trackUsage = (usage) => (req, res, next) => {
+  res.on('finish', () => {
+    const label = req.routePath ? `${req.method} ${req.routePath}` : 'unmatched';
+    usage.record(req.apiClient ? req.apiClient.id : null, label, res.statusCode);
+  });
+  next();
+};
+
+module.exports = trackUsage;
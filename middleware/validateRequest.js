@@ -0,0 +1,98 @@
+const { ApiError } = require('../lib/errors');
+const { validateSchema, resolveRef } = require('../lib/jsonSchema');
+
+// Helper function to turn an OpenAPI path such as /subscriptions/{id} into a matcher
+const pathMatcher = (template) => {
+  const names = [];
+  const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  const regex = new RegExp(`^${pattern}/?$`);
+
+  return (path) => {
+    const match = regex.exec(path);
+    return match && Object.fromEntries(names.map((name, index) => [name, match[index + 1]]));
+  };
+};
+
+// Query and path values are strings; convert them to the schema's type where they parse,
+// leaving anything else for the validator to reject. Empty values count as absent.
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') return value;
+  if (value === '') return undefined;
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    const number = Number(value);
+    return value.trim() !== '' && !Number.isNaN(number) ? number : value;
+  }
+
+  if (schema.type === 'boolean') {
+    return { true: true, false: false }[value] ?? value;
+  }
+
+  return value;
+};
+
+// Collect the parameters of one `in` location as an object schema, so a missing required
+// parameter is reported like any other validation failure
+const parameterSchema = (parameters, location) => {
+  const matching = parameters.filter(parameter => parameter.in === location);
+
+  return {
+    names: matching.map(parameter => parameter.name),
+    schema: {
+      type: 'object',
+      required: matching.filter(parameter => parameter.required).map(parameter => parameter.name),
+      properties: Object.fromEntries(matching.map(parameter => [parameter.name, parameter.schema]))
+    }
+  };
+};
+
+// Validate requests against the OpenAPI document before they reach the route handlers.
+// Requests that match no documented operation pass through untouched (and usually 404).
+const validateRequest = (spec) => {
+  const operations = Object.entries(spec.paths).flatMap(([template, item]) => {
+    const match = pathMatcher(template);
+    const shared = (item.parameters || []).map(parameter => resolveRef(parameter, spec));
+
+    return Object.entries(item)
+      .filter(([method]) => method !== 'parameters')
+      .map(([method, operation]) => {
+        const parameters = [...shared, ...(operation.parameters || []).map(parameter => resolveRef(parameter, spec))];
+        const body = operation.requestBody?.content?.['application/json']?.schema;
+
+        return {
+          method: method.toUpperCase(),
+          match,
+          query: parameterSchema(parameters, 'query'),
+          path: parameterSchema(parameters, 'path'),
+          body
+        };
+      });
+  });
+
+  const check = (schema, value) => validateSchema(schema, value, { root: spec, path: '' });
+
+  // Coerce the documented parameters only; undocumented ones (e.g. api_key) are left alone
+  const collect = ({ names, schema }, values) => Object.fromEntries(names
+    .map(name => [name, coerce(resolveRef(schema.properties[name], spec), values[name])])
+    .filter(([, value]) => value !== undefined));
+
+  return (req, res, next) => {
+    const path = req.baseUrl + req.path;
+    let params;
+    const operation = operations.find(candidate =>
+      candidate.method === req.method && (params = candidate.match(path)));
+
+    if (!operation) return next();
+
+    const error = check(operation.path.schema, collect(operation.path, params)) ||
+      check(operation.query.schema, collect(operation.query, req.query)) ||
+      (operation.body && check(operation.body, req.body));
+
+    next(error ? new ApiError(error.code, error.message) : undefined);
+  };
+};
+
+module.exports = validateRequest;
@@ -0,0 +1,22 @@
+const createOpenWeatherMapProvider = require('./openweathermap');
+const createMockProvider = require('./mock');
+const instrumentProvider = require('./instrument');
+const resilientProvider = require('./resilient');
+
+const providers = {
+  openweathermap: createOpenWeatherMapProvider,
+  mock: createMockProvider
+};
+
+// Create the weather provider selected by name (defaults to WEATHER_PROVIDER)
+const createProvider = (name = process.env.WEATHER_PROVIDER || 'openweathermap', options) => {
+  const factory = providers[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown weather provider "${name}". Available providers: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return factory(options);
+};
+
+module.exports = { createProvider, providers, instrumentProvider, resilientProvider };
@@ -0,0 +1,44 @@
+const { mapUpstreamError } = require('../lib/errors');
+const { logger: defaultLogger } = require('../lib/logger');
+const { secondsSince } = require('../lib/metrics');
+
+// Provider members that are not upstream calls
+const UNTIMED = ['name', 'isConfigured'];
+
+// Wrap every upstream call of a provider to count it, time it and record its outcome:
+// "OK" or the error code it maps to (UPSTREAM_TIMEOUT, LOCATION_NOT_FOUND, ...)
+const instrumentProvider = (provider, { metrics, logger = defaultLogger }) => {
+  const calls = metrics.counter({
+    name: 'weather_upstream_requests_total',
+    help: 'Weather provider calls by operation and outcome code',
+    labelNames: ['provider', 'operation', 'code']
+  });
+  const duration = metrics.histogram({
+    name: 'weather_upstream_request_duration_seconds',
+    help: 'Weather provider call latency in seconds',
+    labelNames: ['provider', 'operation']
+  });
+
+  const wrap = (operation, call) => async (...args) => {
+    const start = process.hrtime.bigint();
+    let code = 'OK';
+
+    try {
+      return await call(...args);
+    } catch (error) {
+      code = mapUpstreamError(error).code;
+      throw error;
+    } finally {
+      const seconds = secondsSince(start);
+      const labels = { provider: provider.name, operation };
+      calls.inc({ ...labels, code });
+      duration.observe(labels, seconds);
+      logger.debug('upstream call', { ...labels, code, durationMs: Math.round(seconds * 10000) / 10 });
+    }
+  };
+
+  return Object.fromEntries(Object.entries(provider).map(([key, value]) =>
+    [key, typeof value === 'function' && !UNTIMED.includes(key) ? wrap(key, value) : value]));
+};
+
+module.exports = instrumentProvider;
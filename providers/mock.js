@@ -0,0 +1,517 @@
+const locations = require('./fixtures/locations.json');
+const { encodePng } = require('../lib/png');
+const { TILE_SIZE, tileToLatLon } = require('../lib/tiles');
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const FORECAST_STEP = 3 * HOUR;
+const SYNODIC_MONTH = 29.530588853;
+const KNOWN_NEW_MOON = 947182440; // 2000-01-06 18:14 UTC
+
+// Upper bounds (μg/m³) of OWM air quality index levels 1-4 per pollutant; above is level 5
+const AQI_BREAKPOINTS = {
+  so2: [20, 80, 250, 350],
+  no2: [40, 70, 150, 200],
+  pm10: [20, 50, 100, 200],
+  pm2_5: [10, 25, 50, 75],
+  o3: [60, 100, 140, 180],
+  co: [4400, 9400, 12400, 15400]
+};
+
+// Build an error shaped like an axios upstream failure so routes can map it
+const upstreamError = (status, message) => {
+  const error = new Error(message);
+  error.response = { status, data: { cod: String(status), message } };
+  return error;
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Start of the local day containing ts, as a UTC unix timestamp
+const localMidnight = (location, ts) =>
+  Math.floor((ts + location.timezone) / DAY) * DAY - location.timezone;
+
+const findByCity = (city) => {
+  const [name, country] = city.split(',').map(part => part.trim().toLowerCase());
+  return locations.find(location =>
+    location.name.toLowerCase() === name &&
+    (!country || country.length !== 2 || location.country.toLowerCase() === country)
+  );
+};
+
+const searchByName = (query) => {
+  const [name, country] = query.split(',').map(part => part.trim().toLowerCase());
+  return locations.filter(location =>
+    location.name.toLowerCase().startsWith(name) &&
+    (!country || country.length !== 2 || location.country.toLowerCase() === country)
+  );
+};
+
+const byDistance = (lat, lon) => {
+  const distance = (location) =>
+    (location.coord.lat - lat) ** 2 + (location.coord.lon - lon) ** 2;
+  return [...locations].sort((a, b) => distance(a) - distance(b));
+};
+
+const findNearest = (lat, lon) => byDistance(lat, lon)[0];
+
+// Shape a fixture location like an OWM geocoding result
+const toGeocodeResult = (location) => ({
+  name: location.name,
+  lat: location.coord.lat,
+  lon: location.coord.lon,
+  country: location.country,
+  state: location.state,
+  local_names: location.local_names
+});
+
+// Deterministic metric conditions for a fixture location at a unix timestamp
+const sample = (location, ts) => {
+  const { climate, conditions } = location;
+  const localSeconds = ts + location.timezone;
+  const dayNumber = Math.floor(localSeconds / DAY);
+  const hour = (localSeconds - dayNumber * DAY) / HOUR;
+  const midnight = localMidnight(location, ts);
+  const sinceSunrise = ts - midnight - location.sunrise;
+  const dayLength = location.sunset - location.sunrise;
+  const isDay = sinceSunrise >= 0 && sinceSunrise < dayLength;
+  const condition = conditions[(dayNumber + (hour >= 12 ? 1 : 0)) % conditions.length];
+
+  const mean = (climate.tempMin + climate.tempMax) / 2 + Math.sin(dayNumber * 1.3) * 1.5;
+  const amplitude = (climate.tempMax - climate.tempMin) / 2;
+  const temp = mean + amplitude * Math.cos((2 * Math.PI * (hour - 15)) / 24);
+  const humidity = Math.round(climate.humidity - (temp - mean) * 2);
+  const windSpeed = climate.windSpeed * (1 + 0.25 * Math.sin(dayNumber + hour / 4));
+  const daylight = isDay ? Math.sin((Math.PI * sinceSunrise) / dayLength) : 0;
+
+  return {
+    dt: ts,
+    temp,
+    feels_like: temp + (humidity - 60) / 20 - windSpeed / 4,
+    humidity,
+    dew_point: temp - (100 - humidity) / 5,
+    pressure: climate.pressure + Math.round(Math.sin(dayNumber) * 4),
+    wind_speed: windSpeed,
+    wind_deg: (climate.windDeg + dayNumber * 15) % 360,
+    clouds: condition.clouds,
+    visibility: condition.pop > 0.5 ? Math.min(climate.visibility, 6000) : climate.visibility,
+    uvi: round(climate.uvi * daylight * (1 - condition.clouds / 200)),
+    pop: condition.pop,
+    pod: isDay ? 'd' : 'n',
+    weather: {
+      id: condition.id,
+      main: condition.main,
+      description: condition.description,
+      icon: `${condition.icon}${isDay ? 'd' : 'n'}`
+    }
+  };
+};
+
+// Deterministic pollutant concentrations, peaking with rush hour (ozone in the afternoon)
+const sampleAir = (location, ts) => {
+  const localSeconds = ts + location.timezone;
+  const dayNumber = Math.floor(localSeconds / DAY);
+  const hour = (localSeconds - dayNumber * DAY) / HOUR;
+  const cycle = (peakHour) => 1 + 0.25 * Math.cos((2 * Math.PI * (hour - peakHour)) / 24);
+  const drift = 1 + 0.1 * Math.sin(dayNumber * 0.7);
+
+  const components = Object.fromEntries(Object.entries(location.air).map(([name, base]) =>
+    [name, round(base * drift * cycle(name === 'o3' ? 15 : 8))]
+  ));
+
+  const aqi = Math.max(...Object.entries(AQI_BREAKPOINTS).map(([name, limits]) => {
+    const level = limits.findIndex(limit => components[name] < limit);
+    return level === -1 ? 5 : level + 1;
+  }));
+
+  return { dt: ts, main: { aqi }, components };
+};
+
+// Convert a metric sample into the requested OWM units system
+const convert = (values, units) => {
+  const temperature = (celsius) => {
+    if (units === 'metric') return round(celsius);
+    if (units === 'imperial') return round(celsius * 9 / 5 + 32);
+    return round(celsius + 273.15);
+  };
+  const speed = (metresPerSecond) =>
+    round(units === 'imperial' ? metresPerSecond * 2.23694 : metresPerSecond);
+
+  return {
+    ...values,
+    temp: temperature(values.temp),
+    feels_like: temperature(values.feels_like),
+    dew_point: temperature(values.dew_point),
+    wind_speed: speed(values.wind_speed)
+  };
+};
+
+const sunTimes = (location, ts) => {
+  const midnight = localMidnight(location, ts);
+  return { sunrise: midnight + location.sunrise, sunset: midnight + location.sunset };
+};
+
+const moonPhase = (ts) => {
+  const age = ((ts - KNOWN_NEW_MOON) / DAY / SYNODIC_MONTH) % 1;
+  return round(age < 0 ? age + 1 : age);
+};
+
+const buildCurrent = (location, coord, ts, units) => {
+  const now = convert(sample(location, ts), units);
+  return {
+    coord: { lon: coord.lon, lat: coord.lat },
+    weather: [now.weather],
+    base: 'stations',
+    main: {
+      temp: now.temp,
+      feels_like: now.feels_like,
+      temp_min: now.temp,
+      temp_max: now.temp,
+      pressure: now.pressure,
+      humidity: now.humidity
+    },
+    visibility: now.visibility,
+    wind: { speed: now.wind_speed, deg: now.wind_deg },
+    clouds: { all: now.clouds },
+    dt: ts,
+    sys: { country: location.country, ...sunTimes(location, ts) },
+    timezone: location.timezone,
+    id: location.id,
+    name: location.name,
+    cod: 200
+  };
+};
+
+const buildForecast = (location, coord, ts, units) => {
+  const start = Math.ceil(ts / FORECAST_STEP) * FORECAST_STEP;
+  const list = Array.from({ length: 40 }, (_, index) => {
+    const step = convert(sample(location, start + index * FORECAST_STEP), units);
+    return {
+      dt: step.dt,
+      main: {
+        temp: step.temp,
+        feels_like: step.feels_like,
+        temp_min: step.temp,
+        temp_max: step.temp,
+        pressure: step.pressure,
+        humidity: step.humidity
+      },
+      weather: [step.weather],
+      clouds: { all: step.clouds },
+      wind: { speed: step.wind_speed, deg: step.wind_deg },
+      visibility: step.visibility,
+      pop: step.pop,
+      sys: { pod: step.pod },
+      dt_txt: new Date(step.dt * 1000).toISOString().slice(0, 19).replace('T', ' ')
+    };
+  });
+
+  return {
+    cod: '200',
+    message: 0,
+    cnt: list.length,
+    list,
+    city: {
+      id: location.id,
+      name: location.name,
+      coord: { lat: coord.lat, lon: coord.lon },
+      country: location.country,
+      timezone: location.timezone,
+      ...sunTimes(location, ts)
+    }
+  };
+};
+
+const PRECIPITATING = ['Rain', 'Drizzle', 'Thunderstorm'];
+
+// Hourly observations shaped like the OWM History API, with rain for wet conditions
+const buildHistory = (location, coord, start, end, units) => {
+  const firstHour = Math.ceil(start / HOUR) * HOUR;
+  const count = Math.max(0, Math.floor((end - firstHour) / HOUR) + 1);
+  const list = Array.from({ length: count }, (_, index) => {
+    const hour = convert(sample(location, firstHour + index * HOUR), units);
+    const observation = {
+      dt: hour.dt,
+      main: {
+        temp: hour.temp,
+        feels_like: hour.feels_like,
+        pressure: hour.pressure,
+        humidity: hour.humidity,
+        temp_min: hour.temp,
+        temp_max: hour.temp
+      },
+      wind: { speed: hour.wind_speed, deg: hour.wind_deg },
+      clouds: { all: hour.clouds },
+      weather: [hour.weather]
+    };
+
+    if (PRECIPITATING.includes(hour.weather.main)) {
+      observation.rain = { '1h': round(hour.pop * hour.pop * 2) };
+    }
+    return observation;
+  });
+
+  return {
+    message: `Count: ${list.length}`,
+    cod: '200',
+    city_id: location.id,
+    calctime: 0.01,
+    cnt: list.length,
+    list,
+    coord: { lat: coord.lat, lon: coord.lon }
+  };
+};
+
+const pickWeatherFields = (values) => ({
+  dt: values.dt,
+  temp: values.temp,
+  feels_like: values.feels_like,
+  pressure: values.pressure,
+  humidity: values.humidity,
+  dew_point: values.dew_point,
+  uvi: values.uvi,
+  clouds: values.clouds,
+  visibility: values.visibility,
+  wind_speed: values.wind_speed,
+  wind_deg: values.wind_deg,
+  weather: [values.weather]
+});
+
+const buildDaily = (location, ts, units) => {
+  const midnight = localMidnight(location, ts);
+  const at = (hour) => convert(sample(location, midnight + hour * HOUR), units);
+  const noon = at(12);
+  const hours = Array.from({ length: 24 }, (_, hour) => at(hour).temp);
+  const phase = moonPhase(midnight + 12 * HOUR);
+  const moonrise = midnight + Math.round((6 + phase * 24) % 24 * HOUR);
+
+  return {
+    dt: noon.dt,
+    ...sunTimes(location, ts),
+    moonrise,
+    moonset: moonrise + 12 * HOUR + 25 * 60,
+    moon_phase: phase,
+    summary: `Expect a day of ${noon.weather.description}`,
+    temp: {
+      day: noon.temp,
+      min: Math.min(...hours),
+      max: Math.max(...hours),
+      night: at(0).temp,
+      eve: at(18).temp,
+      morn: at(6).temp
+    },
+    feels_like: {
+      day: noon.feels_like,
+      night: at(0).feels_like,
+      eve: at(18).feels_like,
+      morn: at(6).feels_like
+    },
+    pressure: noon.pressure,
+    humidity: noon.humidity,
+    dew_point: noon.dew_point,
+    wind_speed: noon.wind_speed,
+    wind_deg: noon.wind_deg,
+    weather: [noon.weather],
+    clouds: noon.clouds,
+    pop: noon.pop,
+    uvi: noon.uvi
+  };
+};
+
+// Fixture alerts recur daily, anchored to the local day containing ts
+const buildAlerts = (location, ts) => (location.alerts || []).map(alert => {
+  const start = localMidnight(location, ts) + alert.startHour * HOUR;
+  return {
+    sender_name: alert.sender_name,
+    event: alert.event,
+    start,
+    end: start + alert.durationHours * HOUR,
+    description: alert.description,
+    tags: alert.tags
+  };
+});
+
+const buildOneCall = (location, coord, ts, units, exclude) => {
+  const sun = sunTimes(location, ts);
+  const firstHour = Math.floor(ts / HOUR) * HOUR;
+  const data = {
+    lat: coord.lat,
+    lon: coord.lon,
+    timezone: location.timezoneName,
+    timezone_offset: location.timezone,
+    current: { ...pickWeatherFields(convert(sample(location, ts), units)), ...sun },
+    hourly: Array.from({ length: 48 }, (_, index) => {
+      const hour = convert(sample(location, firstHour + index * HOUR), units);
+      return { ...pickWeatherFields(hour), pop: hour.pop };
+    }),
+    daily: Array.from({ length: 8 }, (_, index) => buildDaily(location, ts + index * DAY, units))
+  };
+
+  const alerts = buildAlerts(location, ts);
+  if (alerts.length > 0) {
+    data.alerts = alerts;
+  }
+
+  exclude.forEach(part => delete data[part]);
+  return data;
+};
+
+// --- Map tiles ---
+
+const TILE_CELL = 16; // weather layers are painted in square cells of this many pixels
+const BASE_COLOUR = [232, 238, 243, 255];
+const GRID_COLOUR = [200, 210, 220, 255];
+const PLACE_COLOUR = [90, 100, 140, 255];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// RGBA of a weather layer cell from the interpolated conditions there
+const LAYER_COLOURS = {
+  temperature: ({ temp }) => {
+    const t = clamp((temp + 20) / 60, 0, 1); // -20°C blue to 40°C red
+    return [Math.round(255 * t), Math.round(180 - 120 * Math.abs(t - 0.5)), Math.round(255 * (1 - t)), 110];
+  },
+  precipitation: ({ pop }) => [40, 90, 220, Math.round(pop * 170)],
+  clouds: ({ clouds }) => [245, 245, 250, Math.round(clouds * 1.7)]
+};
+
+// Inverse distance weighted conditions from every fixture location
+const interpolate = (samples, { lat, lon }) => {
+  let total = 0;
+  const sums = { temp: 0, pop: 0, clouds: 0 };
+
+  samples.forEach(({ location, values }) => {
+    const dLon = Math.abs(location.coord.lon - lon) % 360;
+    const distance = (location.coord.lat - lat) ** 2 + Math.min(dLon, 360 - dLon) ** 2;
+    const weight = 1 / (distance + 1);
+    total += weight;
+    Object.keys(sums).forEach(name => { sums[name] += values[name] * weight; });
+  });
+
+  return Object.fromEntries(Object.entries(sums).map(([name, sum]) => [name, sum / total]));
+};
+
+// The base map is a graticule with a dot per fixture location; weather layers shade cells
+// by the conditions interpolated between the fixtures
+const buildTile = ({ layer, z, x, y }, ts) => {
+  const pixels = Buffer.alloc(TILE_SIZE * TILE_SIZE * 4);
+  const paint = (px, py, colour) => pixels.set(colour, (py * TILE_SIZE + px) * 4);
+  const pointAt = (px, py) => tileToLatLon(z, x + px / TILE_SIZE, y + py / TILE_SIZE);
+
+  if (layer === 'base') {
+    const spacing = z < 3 ? 30 : z < 6 ? 10 : z < 9 ? 1 : 0.1;
+    const cellOf = (degrees) => Math.floor(degrees / spacing);
+
+    for (let py = 0; py < TILE_SIZE; py++) {
+      for (let px = 0; px < TILE_SIZE; px++) {
+        const here = pointAt(px, py);
+        const left = pointAt(px - 1, py);
+        const above = pointAt(px, py - 1);
+        const onGrid = cellOf(here.lon) !== cellOf(left.lon) || cellOf(here.lat) !== cellOf(above.lat);
+        paint(px, py, onGrid ? GRID_COLOUR : BASE_COLOUR);
+      }
+    }
+
+    const n = 2 ** z;
+    locations.forEach(({ coord }) => {
+      const cx = Math.round(((coord.lon + 180) / 360 * n - x) * TILE_SIZE);
+      const latRad = coord.lat * Math.PI / 180;
+      const cy = Math.round(((1 - Math.asinh(Math.tan(latRad)) / Math.PI) / 2 * n - y) * TILE_SIZE);
+
+      for (let py = cy - 3; py <= cy + 3; py++) {
+        for (let px = cx - 3; px <= cx + 3; px++) {
+          if (px >= 0 && py >= 0 && px < TILE_SIZE && py < TILE_SIZE && (px - cx) ** 2 + (py - cy) ** 2 <= 9) {
+            paint(px, py, PLACE_COLOUR);
+          }
+        }
+      }
+    });
+  } else {
+    const samples = locations.map(location => ({ location, values: sample(location, ts) }));
+
+    for (let cy = 0; cy < TILE_SIZE; cy += TILE_CELL) {
+      for (let cx = 0; cx < TILE_SIZE; cx += TILE_CELL) {
+        const colour = LAYER_COLOURS[layer](interpolate(samples, pointAt(cx + TILE_CELL / 2, cy + TILE_CELL / 2)));
+        for (let py = cy; py < cy + TILE_CELL; py++) {
+          for (let px = cx; px < cx + TILE_CELL; px++) {
+            paint(px, py, colour);
+          }
+        }
+      }
+    }
+  }
+
+  return { data: encodePng(TILE_SIZE, TILE_SIZE, pixels), contentType: 'image/png' };
+};
+
+// Offline weather provider serving deterministic data generated from local fixtures
+const createMockProvider = ({ now = () => Date.now() } = {}) => {
+  const resolve = ({ city, lat, lon }) => {
+    if (city) {
+      const location = findByCity(city);
+      if (!location) {
+        throw upstreamError(404, 'city not found');
+      }
+      return { location, coord: location.coord };
+    }
+
+    const coord = { lat: Number(lat), lon: Number(lon) };
+    return { location: findNearest(coord.lat, coord.lon), coord };
+  };
+
+  const timestamp = () => Math.floor(now() / 1000);
+
+  return {
+    name: 'mock',
+
+    isConfigured: () => true,
+
+    getCurrentWeather: async ({ units, ...query }) => {
+      const { location, coord } = resolve(query);
+      return buildCurrent(location, coord, timestamp(), units);
+    },
+
+    getForecast: async ({ units, ...query }) => {
+      const { location, coord } = resolve(query);
+      return buildForecast(location, coord, timestamp(), units);
+    },
+
+    getOneCall: async ({ lat, lon, units, exclude }) => {
+      const { location, coord } = resolve({ lat, lon });
+      const excluded = exclude ? exclude.split(',').map(part => part.trim()) : [];
+      return buildOneCall(location, coord, timestamp(), units, excluded);
+    },
+
+    getHistory: async ({ lat, lon, start, end, units }) => {
+      const { location, coord } = resolve({ lat, lon });
+      if (Number(start) > timestamp()) {
+        throw upstreamError(400, 'requested time is in the future');
+      }
+      return buildHistory(location, coord, Number(start), Math.min(Number(end), timestamp()), units);
+    },
+
+    getAirQuality: async ({ lat, lon }) => {
+      const { location, coord } = resolve({ lat, lon });
+      return { coord: { lon: coord.lon, lat: coord.lat }, list: [sampleAir(location, timestamp())] };
+    },
+
+    getAirQualityForecast: async ({ lat, lon }) => {
+      const { location, coord } = resolve({ lat, lon });
+      const firstHour = Math.ceil(timestamp() / HOUR) * HOUR;
+      return {
+        coord: { lon: coord.lon, lat: coord.lat },
+        list: Array.from({ length: 96 }, (_, index) => sampleAir(location, firstHour + index * HOUR))
+      };
+    },
+
+    geocode: async ({ query, limit }) =>
+      searchByName(query).slice(0, limit).map(toGeocodeResult),
+
+    reverseGeocode: async ({ lat, lon, limit }) =>
+      byDistance(Number(lat), Number(lon)).slice(0, limit).map(toGeocodeResult),
+
+    getMapTile: async (tile) => buildTile(tile, timestamp())
+  };
+};
+
+module.exports = createMockProvider;
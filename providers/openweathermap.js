@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { name, version } = require('../package.json');
+const { numberFromEnv } = require('../lib/config');
+const { logger: defaultLogger } = require('../lib/logger');
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const ONE_CALL_URL = 'https://api.openweathermap.org/data/3.0/onecall';
+const GEO_URL = 'https://api.openweathermap.org/geo/1.0';
+const HISTORY_URL = 'https://history.openweathermap.org/data/2.5/history/city';
+const TILE_URL = 'https://tile.openweathermap.org/map';
+
+// OWM weather map layer names for the /tiles layers
+const TILE_LAYERS = {
+  temperature: 'temp_new',
+  precipitation: 'precipitation_new',
+  clouds: 'clouds_new'
+};
+
+// OWM products, each with its own subscription: a key can be rejected by one and not another
+const API_BASES = {
+  onecall: ONE_CALL_URL,
+  history: HISTORY_URL,
+  geocoding: GEO_URL,
+  tiles: TILE_URL,
+  weather: BASE_URL
+};
+
+const apiOf = (url) => Object.keys(API_BASES).find(api => url.startsWith(API_BASES[api]));
+
+// Tile servers such as OpenStreetMap's ask clients to identify themselves
+const USER_AGENT = `${name}/${version}`;
+
+// How long a key rests after OWM rejects it, and after a rate limit without Retry-After
+const REJECTED_KEY_REST_MS = 10 * 60 * 1000;
+const RATE_LIMITED_KEY_REST_MS = 60 * 1000;
+
+// Keys from OPENWEATHER_API_KEYS (comma-separated), else the single OPENWEATHER_API_KEY
+const keysFromEnv = () => (process.env.OPENWEATHER_API_KEYS || process.env.OPENWEATHER_API_KEY || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+
+// Rotate through several API keys. A key OWM rate-limits or rejects rests for a while and
+// the next one is used; when every key is resting, the one that recovers first is tried.
+// Keys are logged by position only.
+const createKeyRing = (keys, { api, logger, now = () => Date.now() }) => {
+  const restingUntil = keys.map(() => 0);
+
+  const pick = () => {
+    const index = restingUntil.findIndex(until => until <= now());
+    return index !== -1 ? index : restingUntil.indexOf(Math.min(...restingUntil));
+  };
+
+  const rest = (index, status, retryAfter) => {
+    const ms = status === 429 && Number(retryAfter) > 0
+      ? Number(retryAfter) * 1000
+      : status === 429 ? RATE_LIMITED_KEY_REST_MS : REJECTED_KEY_REST_MS;
+    restingUntil[index] = now() + ms;
+    logger.warn('upstream API key resting', { api, key: index + 1, of: keys.length, status, restMs: ms });
+  };
+
+  // Run request(key), moving on to the next key while keys are rate-limited or rejected
+  const withKey = async (request) => {
+    for (let attempt = 0; ; attempt++) {
+      const index = pick();
+
+      try {
+        const result = await request(keys[index]);
+        restingUntil[index] = 0;
+        return result;
+      } catch (error) {
+        const status = error.response?.status;
+        if (![401, 403, 429].includes(status)) throw error;
+
+        rest(index, status, error.response.headers?.['retry-after']);
+        if (attempt + 1 >= keys.length) throw error;
+      }
+    }
+  };
+
+  return { withKey };
+};
+
+// Weather provider backed by the live OpenWeatherMap REST API
+const createOpenWeatherMapProvider = ({
+  apiKey,
+  apiKeys = apiKey !== undefined ? [apiKey].filter(Boolean) : keysFromEnv(),
+  timeout = numberFromEnv('UPSTREAM_TIMEOUT_MS', 5000),
+  baseTileUrl = process.env.MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  logger = defaultLogger,
+  now
+} = {}) => {
+  // One ring per OWM API, so a key without a One Call subscription still serves the rest
+  const keyRings = new Map();
+  const keyRingFor = (url) => {
+    const api = apiOf(url);
+    if (!keyRings.has(api)) keyRings.set(api, createKeyRing(apiKeys, { api, logger, now }));
+    return keyRings.get(api);
+  };
+
+  // Build the location part of the query from a city name or coordinates
+  const locationParams = ({ city, lat, lon }) => (city ? { q: city } : { lat, lon });
+
+  const get = async (url, params) => {
+    // The API key is added to the request only, never to the log line
+    logger.debug('upstream request', { url, params });
+    const response = await keyRingFor(url).withKey(appid => axios.get(url, { params: { ...params, appid }, timeout }));
+    return response.data;
+  };
+
+  // Fetch an image; weather layers need the API key, the base map must not be sent it
+  const getImage = async (url, { withKey = false } = {}) => {
+    logger.debug('upstream request', { url });
+    const request = (appid) => axios.get(url, {
+      params: appid ? { appid } : undefined,
+      headers: { 'User-Agent': USER_AGENT },
+      responseType: 'arraybuffer',
+      timeout
+    });
+    const response = await (withKey ? keyRingFor(url).withKey(request) : request());
+    return { data: Buffer.from(response.data), contentType: response.headers['content-type'] || 'image/png' };
+  };
+
+  return {
+    name: 'openweathermap',
+
+    isConfigured: () => apiKeys.length > 0,
+
+    getCurrentWeather: ({ units, ...location }) =>
+      get(`${BASE_URL}/weather`, { ...locationParams(location), units }),
+
+    getForecast: ({ units, ...location }) =>
+      get(`${BASE_URL}/forecast`, { ...locationParams(location), units }),
+
+    getOneCall: ({ lat, lon, units, exclude }) =>
+      get(ONE_CALL_URL, { lat, lon, units, ...(exclude && { exclude }) }),
+
+    // Hourly observations between two unix timestamps (at most one week per call)
+    getHistory: ({ lat, lon, start, end, units }) =>
+      get(HISTORY_URL, { lat, lon, type: 'hour', start, end, units }),
+
+    getAirQuality: ({ lat, lon }) =>
+      get(`${BASE_URL}/air_pollution`, { lat, lon }),
+
+    getAirQualityForecast: ({ lat, lon }) =>
+      get(`${BASE_URL}/air_pollution/forecast`, { lat, lon }),
+
+    geocode: ({ query, limit }) =>
+      get(`${GEO_URL}/direct`, { q: query, limit }),
+
+    reverseGeocode: ({ lat, lon, limit }) =>
+      get(`${GEO_URL}/reverse`, { lat, lon, limit }),
+
+    // A 256px PNG map tile: the base map from MAP_TILE_URL, weather layers from OWM
+    getMapTile: ({ layer, z, x, y }) => (layer === 'base'
+      ? getImage(baseTileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y))
+      : getImage(`${TILE_URL}/${TILE_LAYERS[layer]}/${z}/${x}/${y}.png`, { withKey: true }))
+  };
+};
+
+module.exports = createOpenWeatherMapProvider;
@@ -0,0 +1,138 @@
+const { ApiError, mapUpstreamError } = require('../lib/errors');
+const { numberFromEnv } = require('../lib/config');
+const { logger: defaultLogger } = require('../lib/logger');
+
+// Provider members that are not upstream calls
+const PASSTHROUGH = ['name', 'isConfigured'];
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+// Failures worth trying again: timeouts, dropped connections, 5xx and rate limits. A 4xx
+// such as an unknown city or a rejected key will fail the same way every time.
+const isTransient = (error) => {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return mapUpstreamError(error).code === 'UPSTREAM_TIMEOUT' || Boolean(error.isAxiosError);
+};
+
+// Wrap every upstream call of a provider with bounded retries and a circuit breaker.
+// Transient failures are retried with full-jitter exponential backoff (a 429 waits for its
+// Retry-After if that fits within retryMaxMs). Each operation has its own breaker: after
+// failureThreshold calls in a row fail transiently it opens and calls fail fast with
+// UPSTREAM_UNAVAILABLE for resetMs, then a single trial call decides whether it closes.
+const resilientProvider = (provider, {
+  metrics,
+  logger = defaultLogger,
+  retries = numberFromEnv('UPSTREAM_RETRIES', 2),
+  retryBaseMs = numberFromEnv('UPSTREAM_RETRY_BASE_MS', 200),
+  retryMaxMs = numberFromEnv('UPSTREAM_RETRY_MAX_MS', 2000),
+  failureThreshold = numberFromEnv('CIRCUIT_FAILURE_THRESHOLD', 5),
+  resetMs = numberFromEnv('CIRCUIT_RESET_MS', 30000),
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  now = () => Date.now(),
+  random = Math.random
+}) => {
+  const circuits = new Map();
+
+  const retried = metrics.counter({
+    name: 'weather_upstream_retries_total',
+    help: 'Weather provider calls retried after a transient failure, by operation',
+    labelNames: ['provider', 'operation']
+  });
+  metrics.gauge({
+    name: 'weather_upstream_circuit_state',
+    help: 'Circuit breaker state by operation: 0 closed, 1 half-open, 2 open',
+    labelNames: ['provider', 'operation'],
+    collect: () => [...circuits].map(([operation, circuit]) => ({
+      labels: { provider: provider.name, operation },
+      value: CIRCUIT_STATES[circuit.state]
+    }))
+  });
+
+  const circuitFor = (operation) => {
+    if (!circuits.has(operation)) {
+      circuits.set(operation, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+    }
+    return circuits.get(operation);
+  };
+
+  const transition = (operation, circuit, state) => {
+    if (circuit.state === state) return;
+    logger.warn('upstream circuit state changed', { provider: provider.name, operation, from: circuit.state, to: state });
+    circuit.state = state;
+  };
+
+  // Let a call through, or refuse it while the circuit is open or a trial call is running
+  const admit = (operation, circuit) => {
+    if (circuit.state === 'open' && now() - circuit.openedAt >= resetMs) {
+      transition(operation, circuit, 'half-open');
+    }
+
+    if (circuit.state === 'closed' || (circuit.state === 'half-open' && !circuit.trial)) {
+      circuit.trial = circuit.state === 'half-open';
+      return;
+    }
+
+    const wait = circuit.state === 'open' ? resetMs - (now() - circuit.openedAt) : resetMs;
+    throw new ApiError('UPSTREAM_UNAVAILABLE', undefined, { retryAfter: Math.max(1, Math.ceil(wait / 1000)) });
+  };
+
+  const record = (operation, circuit, error) => {
+    circuit.trial = false;
+
+    if (!error || !isTransient(error)) {
+      circuit.failures = 0;
+      transition(operation, circuit, 'closed');
+      return;
+    }
+
+    circuit.failures++;
+    if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+      circuit.openedAt = now();
+      transition(operation, circuit, 'open');
+    }
+  };
+
+  // Delay before retry number `attempt` (0-based), or undefined when it should not be retried
+  const retryDelay = (error, attempt) => {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (error.response?.status === 429 && retryAfter > 0) {
+      return retryAfter * 1000 <= retryMaxMs ? retryAfter * 1000 : undefined;
+    }
+    return random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+  };
+
+  const callWithRetries = async (operation, call, args) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await call(...args);
+      } catch (error) {
+        const delay = attempt < retries && isTransient(error) ? retryDelay(error, attempt) : undefined;
+        if (delay === undefined) throw error;
+
+        retried.inc({ provider: provider.name, operation });
+        logger.debug('upstream call retried', { provider: provider.name, operation, attempt: attempt + 1, delayMs: Math.round(delay) });
+        await sleep(delay);
+      }
+    }
+  };
+
+  const wrap = (operation, call) => async (...args) => {
+    const circuit = circuitFor(operation);
+    admit(operation, circuit);
+
+    try {
+      const result = await callWithRetries(operation, call, args);
+      record(operation, circuit);
+      return result;
+    } catch (error) {
+      record(operation, circuit, error);
+      throw error;
+    }
+  };
+
+  return Object.fromEntries(Object.entries(provider).map(([key, value]) =>
+    [key, typeof value === 'function' && !PASSTHROUGH.includes(key) ? wrap(key, value) : value]));
+};
+
+module.exports = resilientProvider;
@@ -0,0 +1,338 @@
+// API reference rendered from /openapi.json, with a request form per operation. Everything is
+// served from this origin, so the page works under the app's Content Security Policy.
+const API_KEY_STORAGE = 'weather-docs-api-key';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const MAX_SCHEMA_DEPTH = 8;
+
+class ApiDocs {
+    constructor() {
+        this.spec = null;
+        this.apiKeyInput = document.getElementById('apiKeyInput');
+        this.init();
+    }
+
+    async init() {
+        this.apiKeyInput.value = sessionStorage.getItem(API_KEY_STORAGE) || '';
+        this.apiKeyInput.addEventListener('input', () => {
+            sessionStorage.setItem(API_KEY_STORAGE, this.apiKeyInput.value.trim());
+        });
+
+        try {
+            const response = await fetch('/openapi.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.spec = await response.json();
+            this.render();
+        } catch (error) {
+            document.getElementById('docsStatus').textContent = `Could not load the API description: ${error.message}`;
+        }
+    }
+
+    // Follow a local "#/components/..." reference
+    resolve(node) {
+        if (!node || !node.$ref) return node;
+        return node.$ref.slice(2).split('/').reduce((parent, key) => parent[key], this.spec);
+    }
+
+    operations() {
+        return Object.entries(this.spec.paths).flatMap(([path, item]) => METHODS
+            .filter((method) => item[method])
+            .map((method) => ({
+                id: item[method].operationId || `${method}-${path}`,
+                method,
+                path,
+                operation: item[method],
+                parameters: [...(item.parameters || []), ...(item[method].parameters || [])]
+                    .map((parameter) => this.resolve(parameter))
+            })));
+    }
+
+    render() {
+        const { info } = this.spec;
+        document.title = `${info.title} ${info.version} Reference`;
+        document.getElementById('docsTitle').textContent = `${info.title} ${info.version}`;
+        document.getElementById('docsDescription').textContent = info.description || '';
+
+        const list = document.getElementById('operationList');
+        const container = document.getElementById('operations');
+        container.innerHTML = '';
+
+        this.operations().forEach((entry) => {
+            list.appendChild(this.createNavItem(entry));
+            container.appendChild(this.createOperation(entry));
+        });
+    }
+
+    createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    createMethodBadge(method) {
+        return this.createElement('span', `method method-${method}`, method.toUpperCase());
+    }
+
+    createNavItem({ id, method, path }) {
+        const item = document.createElement('li');
+        const link = this.createElement('a');
+        link.href = `#${id}`;
+        link.append(this.createMethodBadge(method), this.createElement('span', 'nav-path', path.replace('/api/weather', '') || '/'));
+        item.appendChild(link);
+        return item;
+    }
+
+    createOperation(entry) {
+        const { id, method, path, operation, parameters } = entry;
+        const article = this.createElement('article', 'operation');
+        article.id = id;
+
+        const heading = this.createElement('h2');
+        heading.append(this.createMethodBadge(method), this.createElement('code', null, path));
+        article.append(heading, this.createElement('p', 'summary', operation.summary || ''));
+        if (operation.description) {
+            article.appendChild(this.createElement('p', 'description', operation.description));
+        }
+
+        if (parameters.length > 0) {
+            article.append(this.createElement('h3', null, 'Parameters'), this.createParameterTable(parameters));
+        }
+
+        const body = operation.requestBody?.content?.['application/json']?.schema;
+        if (body) {
+            article.append(
+                this.createElement('h3', null, 'Request body'),
+                this.createElement('pre', 'schema', this.describeSchema(body))
+            );
+        }
+
+        article.append(this.createElement('h3', null, 'Responses'), this.createResponses(operation.responses));
+        article.appendChild(this.createTryIt(entry, body));
+        return article;
+    }
+
+    createParameterTable(parameters) {
+        const table = this.createElement('table', 'parameters');
+        const header = table.createTHead().insertRow();
+        ['Name', 'In', 'Type', 'Description'].forEach((title) => header.appendChild(this.createElement('th', null, title)));
+
+        const rows = table.createTBody();
+        parameters.forEach((parameter) => {
+            const row = rows.insertRow();
+            const name = this.createElement('code', null, parameter.name);
+            row.insertCell().append(name, parameter.required ? this.createElement('span', 'required', ' required') : '');
+            row.insertCell().textContent = parameter.in;
+            row.insertCell().textContent = this.describeSchema(parameter.schema);
+            row.insertCell().textContent = [parameter.description, this.describeConstraints(this.resolve(parameter.schema))]
+                .filter(Boolean)
+                .join(' ');
+        });
+
+        return table;
+    }
+
+    describeConstraints(schema) {
+        const notes = [];
+        if (schema.minimum !== undefined) notes.push(`min ${schema.minimum}`);
+        if (schema.maximum !== undefined) notes.push(`max ${schema.maximum}`);
+        if (schema.pattern) notes.push(`pattern ${schema.pattern}`);
+        if (schema.default !== undefined) notes.push(`default ${schema.default}`);
+        return notes.length > 0 ? `(${notes.join(', ')})` : '';
+    }
+
+    createResponses(responses) {
+        const list = this.createElement('div', 'responses');
+
+        Object.entries(responses).forEach(([status, node]) => {
+            const response = this.resolve(node);
+            const details = this.createElement('details', `response status-${status[0]}xx`);
+            const summary = this.createElement('summary');
+            summary.append(this.createElement('strong', null, status), document.createTextNode(` ${response.description}`));
+            details.appendChild(summary);
+
+            const schema = response.content?.['application/json']?.schema;
+            if (schema) {
+                details.appendChild(this.createElement('pre', 'schema', this.describeSchema(schema)));
+            }
+            list.appendChild(details);
+        });
+
+        return list;
+    }
+
+    // Render a schema as an indented, TypeScript-like outline
+    describeSchema(node, indent = '', depth = 0) {
+        const schema = this.resolve(node) || {};
+        if (depth > MAX_SCHEMA_DEPTH) return '…';
+
+        let text;
+        if (schema.oneOf) {
+            text = schema.oneOf.map((option) => this.describeSchema(option, indent, depth + 1)).join(' | ');
+        } else if (schema.type === 'array') {
+            const items = this.describeSchema(schema.items || {}, indent, depth + 1);
+            text = schema.items?.oneOf ? `(${items})[]` : `${items}[]`;
+        } else if (schema.properties) {
+            const inner = `${indent}  `;
+            const required = schema.required || [];
+            const lines = Object.entries(schema.properties).map(([name, property]) => {
+                const optional = required.includes(name) ? '' : '?';
+                const description = this.resolve(property).description;
+                const comment = description ? `  // ${description}` : '';
+                return `${inner}${name}${optional}: ${this.describeSchema(property, inner, depth + 1)}${comment}`;
+            });
+            text = `{\n${lines.join('\n')}\n${indent}}`;
+        } else if (schema.enum) {
+            text = schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+        } else {
+            text = schema.type || 'any';
+            if (schema.format) text += ` (${schema.format})`;
+        }
+
+        return schema.nullable ? `${text} | null` : text;
+    }
+
+    // Build an example value from a schema: examples first, then required properties
+    exampleFor(node, depth = 0) {
+        const schema = this.resolve(node) || {};
+        if (depth > MAX_SCHEMA_DEPTH) return null;
+        if (schema.example !== undefined) return schema.example;
+        if (schema.oneOf) return this.exampleFor(schema.oneOf[0], depth + 1);
+        if (schema.enum) return schema.enum[0];
+        if (schema.type === 'array') return [this.exampleFor(schema.items || {}, depth + 1)];
+
+        if (schema.properties) {
+            const required = schema.required || [];
+            return Object.fromEntries(Object.entries(schema.properties)
+                .filter(([name, property]) => required.includes(name) || this.resolve(property).example !== undefined)
+                .map(([name, property]) => [name, this.exampleFor(property, depth + 1)]));
+        }
+
+        return { number: 0, integer: 0, boolean: false, string: '' }[schema.type] ?? null;
+    }
+
+    createTryIt({ method, path, parameters }, body) {
+        const form = this.createElement('form', 'try-it');
+        form.appendChild(this.createElement('h3', null, 'Try it'));
+
+        const inputs = parameters.map((parameter) => {
+            const schema = this.resolve(parameter.schema) || {};
+            const label = this.createElement('label', null, parameter.name);
+            let input;
+
+            if (schema.enum) {
+                input = document.createElement('select');
+                ['', ...schema.enum].forEach((value) => input.appendChild(this.createElement('option', null, value)));
+            } else {
+                input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = schema.type === 'string' ? '' : schema.type;
+            }
+
+            input.required = Boolean(parameter.required);
+            label.appendChild(input);
+            form.appendChild(label);
+            return { parameter, input };
+        });
+
+        let bodyInput = null;
+        if (body) {
+            bodyInput = this.createElement('textarea', 'body-input');
+            bodyInput.rows = 6;
+            bodyInput.spellcheck = false;
+            bodyInput.value = JSON.stringify(this.exampleFor(body), null, 2);
+            const label = this.createElement('label', null, 'JSON body');
+            label.appendChild(bodyInput);
+            form.appendChild(label);
+        }
+
+        const button = this.createElement('button', null, 'Send request');
+        button.type = 'submit';
+        const output = this.createElement('pre', 'try-output');
+        output.hidden = true;
+        form.append(button, output);
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.sendRequest({ method, path, inputs, bodyInput, button, output });
+        });
+
+        return form;
+    }
+
+    // Event streams never end, so show the stream up to its first event and disconnect
+    async readFirstEvent(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+
+        while (!/^event:.*\n(.+\n)*\n/m.test(text)) {
+            const { value, done } = await reader.read();
+            if (done) return text;
+            text += decoder.decode(value, { stream: true });
+        }
+
+        await reader.cancel();
+        return `${text}(stream closed after the first event)`;
+    }
+
+    async sendRequest({ method, path, inputs, bodyInput, button, output }) {
+        const query = new URLSearchParams();
+        let url = path;
+
+        inputs.forEach(({ parameter, input }) => {
+            const value = input.value.trim();
+            if (value === '') return;
+
+            if (parameter.in === 'path') {
+                url = url.replace(`{${parameter.name}}`, encodeURIComponent(value));
+            } else if (parameter.in === 'query') {
+                query.append(parameter.name, value);
+            }
+        });
+
+        const headers = {};
+        const apiKey = this.apiKeyInput.value.trim();
+        if (apiKey) headers['X-API-Key'] = apiKey;
+
+        const options = { method: method.toUpperCase(), headers };
+        if (bodyInput) {
+            headers['Content-Type'] = 'application/json';
+            options.body = bodyInput.value;
+        }
+
+        const search = query.toString();
+        button.disabled = true;
+        output.hidden = false;
+        output.textContent = `${options.method} ${url}${search ? `?${search}` : ''}\n\nSending…`;
+
+        try {
+            const response = await fetch(search ? `${url}?${search}` : url, options);
+            const type = response.headers.get('Content-Type') || '';
+            let text;
+            if (type.startsWith('text/event-stream')) {
+                text = await this.readFirstEvent(response);
+            } else if (type.startsWith('image/')) {
+                text = `(${type} image, ${(await response.blob()).size} bytes)`;
+            } else {
+                text = await response.text();
+            }
+            let pretty = text;
+            try {
+                pretty = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (error) {
+                // Not JSON; show the body as it is
+            }
+            output.textContent = `${options.method} ${url}${search ? `?${search}` : ''}\n\n${response.status} ${response.statusText}\n${pretty}`;
+        } catch (error) {
+            output.textContent = `Request failed: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new ApiDocs();
+});
@@ -0,0 +1,583 @@
+// Translations of the demo page and locale-aware formatting. Weather descriptions, air
+// quality categories, moon phases and API errors come translated from the API (`lang`);
+// everything the page writes itself is translated here. Missing keys fall back to English.
+
+const UI_LANGUAGES = {
+    en: {
+        name: 'English',
+        locale: 'en',
+        dir: 'ltr',
+        messages: {
+            'app.title': 'Weather API Demo',
+            'header.title': '🌤️ Weather API Demo',
+            'header.subtitle': 'Get current weather and forecast data for any location',
+            'language.label': 'Language',
+            'search.placeholder': 'Enter city name (e.g., London, New York)',
+            'search.button': 'Get Weather',
+            'search.myLocation': '📍 Use My Location',
+
+            'map.title': '🗺️ Map',
+            'map.layers': 'Weather layers',
+            'map.temperature': 'Temperature',
+            'map.precipitation': 'Precipitation',
+            'map.clouds': 'Clouds',
+            'map.label': 'Map. Click a point to load its weather; drag or use the arrow keys to pan.',
+            'map.zoomIn': 'Zoom in',
+            'map.zoomOut': 'Zoom out',
+            'map.hint': 'Click anywhere to load its weather · ⭐ favourites are shown as markers',
+            'map.attribution': 'Map data © OpenStreetMap contributors · Weather layers © OpenWeatherMap',
+
+            'dashboard.title': '⭐ Favourites',
+            'dashboard.refresh': '↻ Refresh all',
+            'dashboard.hint': 'Drag cards to reorder them',
+            'dashboard.refreshing': 'Refreshing…',
+            'dashboard.offline': 'Offline · showing data from {time}',
+            'dashboard.updated': 'Updated {time}',
+            'dashboard.failed': 'Refresh failed: {error}',
+            'dashboard.limit': 'You can save up to {max} favourites. Remove one to add another.',
+            'dashboard.show': 'Show weather for {label}',
+            'dashboard.remove': 'Remove {label} from favourites',
+            'favourite.add': 'Add to favourites',
+            'favourite.remove': 'Remove from favourites',
+
+            'loading': 'Fetching weather data...',
+            'stale.offline': 'You appear to be offline',
+            'stale.provider': 'The weather provider is not responding',
+            'stale.banner': '⚠️ {reason}. Showing saved weather from {time}.',
+
+            'weather.location': 'Location',
+            'weather.icon': 'Weather icon',
+            'weather.feelsLike': 'Feels like',
+            'weather.humidity': 'Humidity',
+            'weather.windSpeed': 'Wind Speed',
+            'weather.pressure': 'Pressure',
+            'weather.visibility': 'Visibility',
+            'weather.airQuality': 'Air Quality',
+            'weather.aqiScale': 'AQI {aqi} (1 = good, 5 = very poor)',
+            'weather.sunrise': '🌅 Sunrise:',
+            'weather.sunset': '🌇 Sunset:',
+
+            'live.on': 'Live updates on',
+            'live.updated': 'Live · updated {time}',
+            'live.paused': 'Live updates paused: {error}',
+            'live.unavailable': 'Live updates unavailable',
+            'live.reconnecting': 'Reconnecting to live updates…',
+
+            'indices.title': 'Comfort & Activities',
+            'indices.dewPoint': 'Dew point',
+            'indices.heatIndex': 'Heat index',
+            'indices.windChill': 'Wind chill',
+            'indices.humidex': 'Humidex',
+            'indices.uv': 'UV index',
+            'indices.calculated': 'calculated',
+            'indices.gdd': '🌱 {total} growing degree days over the next {days} days (base {base})',
+
+            'category.caution': 'caution',
+            'category.extremeCaution': 'extreme caution',
+            'category.danger': 'danger',
+            'category.extremeDanger': 'extreme danger',
+            'category.low': 'low',
+            'category.moderate': 'moderate',
+            'category.high': 'high',
+            'category.veryHigh': 'very high',
+            'category.extreme': 'extreme',
+            'category.comfortable': 'comfortable',
+            'category.someDiscomfort': 'some discomfort',
+            'category.greatDiscomfort': 'great discomfort',
+            'category.dangerous': 'dangerous',
+
+            'activity.running': '🏃 Running',
+            'activity.cycling': '🚴 Cycling',
+            'activity.laundryDrying': '👕 Laundry drying',
+            'activity.score': '{score}/10 · {rating}',
+            'activity.limitedBy': 'Held back by {inputs}',
+            'activity.unlimited': 'Nothing holding it back',
+            'activity.input': '{input}: {value}',
+            'rating.poor': 'poor',
+            'rating.fair': 'fair',
+            'rating.good': 'good',
+            'rating.excellent': 'excellent',
+            'input.temperature': 'temperature',
+            'input.feelsLike': 'feels-like temperature',
+            'input.humidity': 'humidity',
+            'input.windSpeed': 'wind',
+            'input.precipitationProbability': 'rain chance',
+            'input.uvIndex': 'UV',
+            'input.cloudiness': 'cloud cover',
+            'input.daylight': 'daylight',
+            'limit.daylight': 'darkness',
+            'value.yes': 'yes',
+            'value.no': 'no',
+            'value.none': 'n/a',
+
+            'astronomy.dayLength': 'Day length',
+            'astronomy.solarNoon': 'Solar noon',
+            'astronomy.goldenHour': 'Golden hour',
+            'astronomy.blueHour': 'Blue hour',
+            'astronomy.civilTwilight': 'Civil twilight',
+            'astronomy.moon': 'Moon',
+            'astronomy.moonTimes': 'Moonrise / moonset',
+            'astronomy.duration': '{hours}h {minutes}m',
+            'astronomy.polarDay': 'Polar day',
+            'astronomy.polarNight': 'Polar night',
+            'astronomy.moonUp': 'Up all day',
+            'astronomy.moonDown': 'Down all day',
+            'astronomy.lit': '{percent} lit',
+
+            'forecast.title': '5-Day Forecast',
+            'forecast.hint': 'Select a day to see its hourly breakdown',
+            'forecast.today': 'Today',
+            'hourly.title': 'Hourly forecast',
+            'hourly.titleFor': 'Hourly forecast · {date}',
+            'hourly.close': 'Close hourly forecast',
+            'hourly.detail': 'Feels {feelsLike} · 💧 {pop} · 💨 {wind}',
+            'chart.temperature': 'Temperature ({unit})',
+            'chart.precipitation': 'Precipitation probability (%)',
+            'chart.wind': 'Wind speed ({unit})',
+            'series.temperature': 'Temperature',
+            'series.feelsLike': 'Feels like',
+            'series.precipitation': 'Precipitation',
+            'series.wind': 'Wind',
+
+            'error.cityRequired': 'Please enter a city name',
+            'error.noMatches': 'No locations found matching "{city}"',
+            'error.geolocationUnsupported': 'Geolocation is not supported by this browser',
+            'error.locationFailed': 'Failed to get location',
+            'error.locationDenied': 'Location access denied. Please allow location access and try again.',
+            'error.locationUnavailable': 'Location information is unavailable.',
+            'error.locationTimeout': 'Location request timed out.',
+            'error.connection': 'Cannot connect to weather service. Please check if the server is running.',
+            'error.http': 'HTTP error! status: {status}',
+
+            'docs.title': 'API Endpoints',
+            'docs.current': 'Get current weather by city name',
+            'docs.coordinates': 'Get current weather by coordinates',
+            'docs.forecast': 'Get 5-day forecast by city name',
+            'docs.language': 'Get current weather with descriptions in Hindi (en, hi and ar are supported)',
+            'docs.geocode': 'Search locations by name (or reverse lookup with lat & lon)',
+            'docs.airQuality': 'Get current air quality index, pollutants and hourly AQI forecast',
+            'docs.astronomy': 'Get sun, twilight, golden and blue hour, and moon times, computed without a provider key',
+            'docs.indices': 'Get heat index, wind chill, humidex, dew point, UV and activity scores for now and each forecast step',
+            'docs.history': 'Get daily temperature, precipitation and wind aggregates with summary statistics',
+            'docs.multiple': 'Get weather for up to 10 locations (JSON body with a cities array of names or lat/lon objects)',
+            'docs.tiles': 'Map tiles (base, temperature, precipitation, clouds) proxied for the map above',
+            'docs.reference': 'Full reference with request forms:',
+            'docs.apiDocs': 'API docs',
+            'footer': '© 2025 Weather API Demo. Built with ❤️ and OpenWeatherMap API.'
+        }
+    },
+
+    hi: {
+        name: 'हिन्दी',
+        locale: 'hi-IN',
+        dir: 'ltr',
+        messages: {
+            'app.title': 'मौसम API डेमो',
+            'header.title': '🌤️ मौसम API डेमो',
+            'header.subtitle': 'किसी भी स्थान का वर्तमान मौसम और पूर्वानुमान देखें',
+            'language.label': 'भाषा',
+            'search.placeholder': 'शहर का नाम लिखें (जैसे दिल्ली, लंदन)',
+            'search.button': 'मौसम देखें',
+            'search.myLocation': '📍 मेरा स्थान',
+
+            'map.title': '🗺️ मानचित्र',
+            'map.layers': 'मौसम परतें',
+            'map.temperature': 'तापमान',
+            'map.precipitation': 'वर्षा',
+            'map.clouds': 'बादल',
+            'map.label': 'मानचित्र। किसी बिंदु का मौसम देखने के लिए उस पर क्लिक करें; खिसकाने के लिए खींचें या तीर कुंजियों का उपयोग करें।',
+            'map.zoomIn': 'ज़ूम इन',
+            'map.zoomOut': 'ज़ूम आउट',
+            'map.hint': 'मौसम देखने के लिए कहीं भी क्लिक करें · ⭐ पसंदीदा स्थान मार्कर के रूप में दिखते हैं',
+            'map.attribution': 'मानचित्र डेटा © OpenStreetMap योगदानकर्ता · मौसम परतें © OpenWeatherMap',
+
+            'dashboard.title': '⭐ पसंदीदा',
+            'dashboard.refresh': '↻ सभी ताज़ा करें',
+            'dashboard.hint': 'क्रम बदलने के लिए कार्ड खींचें',
+            'dashboard.refreshing': 'ताज़ा किया जा रहा है…',
+            'dashboard.offline': 'ऑफ़लाइन · {time} का डेटा दिखाया जा रहा है',
+            'dashboard.updated': '{time} पर अपडेट किया गया',
+            'dashboard.failed': 'ताज़ा नहीं हो सका: {error}',
+            'dashboard.limit': 'आप अधिकतम {max} पसंदीदा सहेज सकते हैं। नया जोड़ने के लिए कोई एक हटाएँ।',
+            'dashboard.show': '{label} का मौसम देखें',
+            'dashboard.remove': '{label} को पसंदीदा से हटाएँ',
+            'favourite.add': 'पसंदीदा में जोड़ें',
+            'favourite.remove': 'पसंदीदा से हटाएँ',
+
+            'loading': 'मौसम डेटा लाया जा रहा है...',
+            'stale.offline': 'आप ऑफ़लाइन लगते हैं',
+            'stale.provider': 'मौसम प्रदाता जवाब नहीं दे रहा है',
+            'stale.banner': '⚠️ {reason}। {time} का सहेजा गया मौसम दिखाया जा रहा है।',
+
+            'weather.location': 'स्थान',
+            'weather.icon': 'मौसम आइकन',
+            'weather.feelsLike': 'महसूस होता है',
+            'weather.humidity': 'आर्द्रता',
+            'weather.windSpeed': 'हवा की गति',
+            'weather.pressure': 'वायुदाब',
+            'weather.visibility': 'दृश्यता',
+            'weather.airQuality': 'वायु गुणवत्ता',
+            'weather.aqiScale': 'AQI {aqi} (1 = अच्छा, 5 = बहुत खराब)',
+            'weather.sunrise': '🌅 सूर्योदय:',
+            'weather.sunset': '🌇 सूर्यास्त:',
+
+            'live.on': 'लाइव अपडेट चालू हैं',
+            'live.updated': 'लाइव · {time} पर अपडेट',
+            'live.paused': 'लाइव अपडेट रुके हुए हैं: {error}',
+            'live.unavailable': 'लाइव अपडेट उपलब्ध नहीं हैं',
+            'live.reconnecting': 'लाइव अपडेट से फिर से जुड़ रहे हैं…',
+
+            'indices.title': 'आराम और गतिविधियाँ',
+            'indices.dewPoint': 'ओसांक',
+            'indices.heatIndex': 'ताप सूचकांक',
+            'indices.windChill': 'पवन शीतलता',
+            'indices.humidex': 'ह्यूमिडेक्स',
+            'indices.uv': 'UV सूचकांक',
+            'indices.calculated': 'गणना से',
+            'indices.gdd': '🌱 अगले {days} दिनों में {total} वृद्धि डिग्री दिवस (आधार {base})',
+
+            'category.caution': 'सावधानी',
+            'category.extremeCaution': 'अत्यधिक सावधानी',
+            'category.danger': 'ख़तरा',
+            'category.extremeDanger': 'अत्यधिक ख़तरा',
+            'category.low': 'कम',
+            'category.moderate': 'मध्यम',
+            'category.high': 'उच्च',
+            'category.veryHigh': 'बहुत उच्च',
+            'category.extreme': 'अत्यधिक',
+            'category.comfortable': 'आरामदायक',
+            'category.someDiscomfort': 'कुछ असुविधा',
+            'category.greatDiscomfort': 'बहुत असुविधा',
+            'category.dangerous': 'ख़तरनाक',
+
+            'activity.running': '🏃 दौड़ना',
+            'activity.cycling': '🚴 साइकिल चलाना',
+            'activity.laundryDrying': '👕 कपड़े सुखाना',
+            'activity.score': '{score}/10 · {rating}',
+            'activity.limitedBy': 'बाधा: {inputs}',
+            'activity.input': '{input}: {value}',
+            'activity.unlimited': 'कोई बाधा नहीं',
+            'rating.poor': 'खराब',
+            'rating.fair': 'ठीक',
+            'rating.good': 'अच्छा',
+            'rating.excellent': 'उत्कृष्ट',
+            'input.temperature': 'तापमान',
+            'input.feelsLike': 'महसूस होने वाला तापमान',
+            'input.humidity': 'आर्द्रता',
+            'input.windSpeed': 'हवा',
+            'input.precipitationProbability': 'बारिश की संभावना',
+            'input.uvIndex': 'UV',
+            'input.cloudiness': 'बादल',
+            'input.daylight': 'दिन का उजाला',
+            'limit.daylight': 'अंधेरा',
+            'value.yes': 'हाँ',
+            'value.no': 'नहीं',
+            'value.none': 'उपलब्ध नहीं',
+
+            'astronomy.dayLength': 'दिन की अवधि',
+            'astronomy.solarNoon': 'सौर मध्याह्न',
+            'astronomy.goldenHour': 'गोल्डन आवर',
+            'astronomy.blueHour': 'ब्लू आवर',
+            'astronomy.civilTwilight': 'नागरिक गोधूलि',
+            'astronomy.moon': 'चंद्रमा',
+            'astronomy.moonTimes': 'चंद्रोदय / चंद्रास्त',
+            'astronomy.duration': '{hours} घं {minutes} मि',
+            'astronomy.polarDay': 'ध्रुवीय दिन',
+            'astronomy.polarNight': 'ध्रुवीय रात',
+            'astronomy.moonUp': 'पूरे दिन आकाश में',
+            'astronomy.moonDown': 'पूरे दिन क्षितिज के नीचे',
+            'astronomy.lit': '{percent} प्रकाशित',
+
+            'forecast.title': '5 दिन का पूर्वानुमान',
+            'forecast.hint': 'घंटेवार विवरण देखने के लिए कोई दिन चुनें',
+            'forecast.today': 'आज',
+            'hourly.title': 'घंटेवार पूर्वानुमान',
+            'hourly.titleFor': 'घंटेवार पूर्वानुमान · {date}',
+            'hourly.close': 'घंटेवार पूर्वानुमान बंद करें',
+            'hourly.detail': 'महसूस {feelsLike} · 💧 {pop} · 💨 {wind}',
+            'chart.temperature': 'तापमान ({unit})',
+            'chart.precipitation': 'वर्षा की संभावना (%)',
+            'chart.wind': 'हवा की गति ({unit})',
+            'series.temperature': 'तापमान',
+            'series.feelsLike': 'महसूस होता है',
+            'series.precipitation': 'वर्षा',
+            'series.wind': 'हवा',
+
+            'error.cityRequired': 'कृपया शहर का नाम लिखें',
+            'error.noMatches': '"{city}" से मेल खाता कोई स्थान नहीं मिला',
+            'error.geolocationUnsupported': 'यह ब्राउज़र जियोलोकेशन का समर्थन नहीं करता',
+            'error.locationFailed': 'स्थान प्राप्त नहीं हो सका',
+            'error.locationDenied': 'स्थान की अनुमति नहीं दी गई। कृपया अनुमति दें और फिर से प्रयास करें।',
+            'error.locationUnavailable': 'स्थान की जानकारी उपलब्ध नहीं है।',
+            'error.locationTimeout': 'स्थान का अनुरोध समय सीमा में पूरा नहीं हुआ।',
+            'error.connection': 'मौसम सेवा से कनेक्ट नहीं हो सका। कृपया जाँचें कि सर्वर चल रहा है।',
+            'error.http': 'HTTP त्रुटि! स्थिति: {status}',
+
+            'docs.title': 'API एंडपॉइंट',
+            'docs.current': 'शहर के नाम से वर्तमान मौसम',
+            'docs.coordinates': 'निर्देशांक से वर्तमान मौसम',
+            'docs.forecast': 'शहर के नाम से 5 दिन का पूर्वानुमान',
+            'docs.language': 'हिन्दी विवरण के साथ वर्तमान मौसम (en, hi और ar समर्थित हैं)',
+            'docs.geocode': 'नाम से स्थान खोजें (या lat और lon से उल्टी खोज)',
+            'docs.airQuality': 'वर्तमान वायु गुणवत्ता सूचकांक, प्रदूषक और घंटेवार AQI पूर्वानुमान',
+            'docs.astronomy': 'सूर्य, गोधूलि, गोल्डन और ब्लू आवर तथा चंद्रमा के समय, बिना प्रदाता कुंजी के',
+            'docs.indices': 'ताप सूचकांक, पवन शीतलता, ह्यूमिडेक्स, ओसांक, UV और गतिविधि अंक, अभी और हर पूर्वानुमान चरण के लिए',
+            'docs.history': 'दैनिक तापमान, वर्षा और हवा के आँकड़े सारांश सहित',
+            'docs.multiple': 'अधिकतम 10 स्थानों का मौसम (नामों या lat/lon वस्तुओं की cities सूची वाला JSON)',
+            'docs.tiles': 'ऊपर के मानचित्र के लिए मानचित्र टाइलें (base, temperature, precipitation, clouds)',
+            'docs.reference': 'अनुरोध फ़ॉर्म सहित पूरा संदर्भ:',
+            'docs.apiDocs': 'API दस्तावेज़',
+            'footer': '© 2025 मौसम API डेमो। ❤️ और OpenWeatherMap API के साथ बनाया गया।'
+        }
+    },
+
+    ar: {
+        name: 'العربية',
+        locale: 'ar',
+        dir: 'rtl',
+        messages: {
+            'app.title': 'عرض واجهة الطقس',
+            'header.title': '🌤️ عرض واجهة الطقس',
+            'header.subtitle': 'الطقس الحالي والتوقعات لأي موقع',
+            'language.label': 'اللغة',
+            'search.placeholder': 'أدخل اسم المدينة (مثل القاهرة، لندن)',
+            'search.button': 'اعرض الطقس',
+            'search.myLocation': '📍 استخدم موقعي',
+
+            'map.title': '🗺️ الخريطة',
+            'map.layers': 'طبقات الطقس',
+            'map.temperature': 'الحرارة',
+            'map.precipitation': 'الهطول',
+            'map.clouds': 'الغيوم',
+            'map.label': 'خريطة. انقر على نقطة لعرض طقسها؛ اسحب أو استخدم مفاتيح الأسهم للتحريك.',
+            'map.zoomIn': 'تكبير',
+            'map.zoomOut': 'تصغير',
+            'map.hint': 'انقر في أي مكان لعرض طقسه · ⭐ تظهر المفضلة كعلامات',
+            'map.attribution': 'بيانات الخريطة © مساهمو OpenStreetMap · طبقات الطقس © OpenWeatherMap',
+
+            'dashboard.title': '⭐ المفضلة',
+            'dashboard.refresh': '↻ تحديث الكل',
+            'dashboard.hint': 'اسحب البطاقات لإعادة ترتيبها',
+            'dashboard.refreshing': 'جارٍ التحديث…',
+            'dashboard.offline': 'غير متصل · بيانات من {time}',
+            'dashboard.updated': 'تم التحديث {time}',
+            'dashboard.failed': 'فشل التحديث: {error}',
+            'dashboard.limit': 'يمكنك حفظ {max} مواقع مفضلة كحد أقصى. احذف واحداً لإضافة آخر.',
+            'dashboard.show': 'اعرض طقس {label}',
+            'dashboard.remove': 'احذف {label} من المفضلة',
+            'favourite.add': 'أضف إلى المفضلة',
+            'favourite.remove': 'احذف من المفضلة',
+
+            'loading': 'جارٍ جلب بيانات الطقس...',
+            'stale.offline': 'يبدو أنك غير متصل',
+            'stale.provider': 'مزود الطقس لا يستجيب',
+            'stale.banner': '⚠️ {reason}. يُعرض الطقس المحفوظ من {time}.',
+
+            'weather.location': 'الموقع',
+            'weather.icon': 'أيقونة الطقس',
+            'weather.feelsLike': 'الإحساس',
+            'weather.humidity': 'الرطوبة',
+            'weather.windSpeed': 'سرعة الرياح',
+            'weather.pressure': 'الضغط',
+            'weather.visibility': 'مدى الرؤية',
+            'weather.airQuality': 'جودة الهواء',
+            'weather.aqiScale': 'مؤشر جودة الهواء {aqi} (1 = جيد، 5 = سيئ جداً)',
+            'weather.sunrise': '🌅 الشروق:',
+            'weather.sunset': '🌇 الغروب:',
+
+            'live.on': 'التحديثات المباشرة مفعلة',
+            'live.updated': 'مباشر · آخر تحديث {time}',
+            'live.paused': 'التحديثات المباشرة متوقفة: {error}',
+            'live.unavailable': 'التحديثات المباشرة غير متاحة',
+            'live.reconnecting': 'جارٍ إعادة الاتصال بالتحديثات المباشرة…',
+
+            'indices.title': 'الراحة والأنشطة',
+            'indices.dewPoint': 'نقطة الندى',
+            'indices.heatIndex': 'مؤشر الحرارة',
+            'indices.windChill': 'برودة الرياح',
+            'indices.humidex': 'مؤشر الرطوبة الحرارية',
+            'indices.uv': 'مؤشر الأشعة فوق البنفسجية',
+            'indices.calculated': 'محسوب',
+            'indices.gdd': '🌱 {total} درجة نمو يومية خلال الأيام {days} القادمة (الأساس {base})',
+
+            'category.caution': 'حذر',
+            'category.extremeCaution': 'حذر شديد',
+            'category.danger': 'خطر',
+            'category.extremeDanger': 'خطر شديد',
+            'category.low': 'منخفض',
+            'category.moderate': 'معتدل',
+            'category.high': 'مرتفع',
+            'category.veryHigh': 'مرتفع جداً',
+            'category.extreme': 'شديد',
+            'category.comfortable': 'مريح',
+            'category.someDiscomfort': 'بعض الانزعاج',
+            'category.greatDiscomfort': 'انزعاج شديد',
+            'category.dangerous': 'خطير',
+
+            'activity.running': '🏃 الجري',
+            'activity.cycling': '🚴 ركوب الدراجة',
+            'activity.laundryDrying': '👕 تجفيف الغسيل',
+            'activity.score': '{score}/10 · {rating}',
+            'activity.limitedBy': 'يحدّ منه: {inputs}',
+            'activity.input': '{input}: {value}',
+            'activity.unlimited': 'لا شيء يحدّ منه',
+            'rating.poor': 'ضعيف',
+            'rating.fair': 'مقبول',
+            'rating.good': 'جيد',
+            'rating.excellent': 'ممتاز',
+            'input.temperature': 'الحرارة',
+            'input.feelsLike': 'الحرارة المحسوسة',
+            'input.humidity': 'الرطوبة',
+            'input.windSpeed': 'الرياح',
+            'input.precipitationProbability': 'احتمال المطر',
+            'input.uvIndex': 'الأشعة فوق البنفسجية',
+            'input.cloudiness': 'الغيوم',
+            'input.daylight': 'ضوء النهار',
+            'limit.daylight': 'الظلام',
+            'value.yes': 'نعم',
+            'value.no': 'لا',
+            'value.none': 'غير متاح',
+
+            'astronomy.dayLength': 'طول النهار',
+            'astronomy.solarNoon': 'الظهيرة الشمسية',
+            'astronomy.goldenHour': 'الساعة الذهبية',
+            'astronomy.blueHour': 'الساعة الزرقاء',
+            'astronomy.civilTwilight': 'الشفق المدني',
+            'astronomy.moon': 'القمر',
+            'astronomy.moonTimes': 'شروق القمر / غروبه',
+            'astronomy.duration': '{hours} س {minutes} د',
+            'astronomy.polarDay': 'نهار قطبي',
+            'astronomy.polarNight': 'ليل قطبي',
+            'astronomy.moonUp': 'ظاهر طوال اليوم',
+            'astronomy.moonDown': 'غائب طوال اليوم',
+            'astronomy.lit': 'مضاء بنسبة {percent}',
+
+            'forecast.title': 'توقعات 5 أيام',
+            'forecast.hint': 'اختر يوماً لعرض تفاصيله بالساعة',
+            'forecast.today': 'اليوم',
+            'hourly.title': 'التوقعات بالساعة',
+            'hourly.titleFor': 'التوقعات بالساعة · {date}',
+            'hourly.close': 'أغلق التوقعات بالساعة',
+            'hourly.detail': 'الإحساس {feelsLike} · 💧 {pop} · 💨 {wind}',
+            'chart.temperature': 'الحرارة ({unit})',
+            'chart.precipitation': 'احتمال الهطول (%)',
+            'chart.wind': 'سرعة الرياح ({unit})',
+            'series.temperature': 'الحرارة',
+            'series.feelsLike': 'الإحساس',
+            'series.precipitation': 'الهطول',
+            'series.wind': 'الرياح',
+
+            'error.cityRequired': 'يرجى إدخال اسم المدينة',
+            'error.noMatches': 'لم يتم العثور على مواقع تطابق "{city}"',
+            'error.geolocationUnsupported': 'هذا المتصفح لا يدعم تحديد الموقع',
+            'error.locationFailed': 'تعذر الحصول على الموقع',
+            'error.locationDenied': 'تم رفض الوصول إلى الموقع. يرجى السماح بالوصول والمحاولة مرة أخرى.',
+            'error.locationUnavailable': 'معلومات الموقع غير متاحة.',
+            'error.locationTimeout': 'انتهت مهلة طلب الموقع.',
+            'error.connection': 'تعذر الاتصال بخدمة الطقس. يرجى التحقق من أن الخادم يعمل.',
+            'error.http': 'خطأ HTTP! الحالة: {status}',
+
+            'docs.title': 'نقاط نهاية الواجهة',
+            'docs.current': 'الطقس الحالي حسب اسم المدينة',
+            'docs.coordinates': 'الطقس الحالي حسب الإحداثيات',
+            'docs.forecast': 'توقعات 5 أيام حسب اسم المدينة',
+            'docs.language': 'الطقس الحالي مع الأوصاف بالهندية (اللغات المدعومة en وhi وar)',
+            'docs.geocode': 'البحث عن المواقع بالاسم (أو البحث العكسي بـ lat وlon)',
+            'docs.airQuality': 'مؤشر جودة الهواء الحالي والملوثات وتوقعات المؤشر بالساعة',
+            'docs.astronomy': 'أوقات الشمس والشفق والساعتين الذهبية والزرقاء والقمر، محسوبة دون مفتاح مزود',
+            'docs.indices': 'مؤشر الحرارة وبرودة الرياح ومؤشر الرطوبة ونقطة الندى والأشعة فوق البنفسجية ودرجات الأنشطة، الآن ولكل خطوة توقع',
+            'docs.history': 'مجاميع يومية للحرارة والهطول والرياح مع إحصاءات موجزة',
+            'docs.multiple': 'الطقس لما يصل إلى 10 مواقع (JSON بقائمة cities من الأسماء أو كائنات lat/lon)',
+            'docs.tiles': 'بلاطات الخريطة (base وtemperature وprecipitation وclouds) للخريطة أعلاه',
+            'docs.reference': 'المرجع الكامل مع نماذج الطلبات:',
+            'docs.apiDocs': 'توثيق الواجهة',
+            'footer': '© 2025 عرض واجهة الطقس. صُنع بـ ❤️ وواجهة OpenWeatherMap.'
+        }
+    }
+};
+
+// Intl unit identifiers for the unit labels the API sends; the rest (K, kn, hPa, inHg, mmHg)
+// have none, so they are written as the number and the label
+const INTL_UNITS = {
+    '°C': 'celsius',
+    '°F': 'fahrenheit',
+    'm/s': 'meter-per-second',
+    'km/h': 'kilometer-per-hour',
+    mph: 'mile-per-hour',
+    km: 'kilometer',
+    mi: 'mile'
+};
+
+class Localizer {
+    constructor(lang) {
+        this.lang = UI_LANGUAGES[lang] ? lang : 'en';
+        const { locale, dir, messages } = UI_LANGUAGES[this.lang];
+        this.locale = locale;
+        this.dir = dir;
+        this.messages = messages;
+    }
+
+    // The translation of `key` with {placeholders} filled in from `params`
+    t(key, params = {}) {
+        const message = this.messages[key] || UI_LANGUAGES.en.messages[key] || key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    number(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    // 0-100 as a percentage, e.g. "45%" or "٤٥٪"
+    percent(value) {
+        return this.number(value / 100, { style: 'percent', maximumFractionDigits: 0 });
+    }
+
+    degrees(value) {
+        return `${this.number(value)}°`;
+    }
+
+    // A value in one of the API's units, e.g. quantity(4.1, 'm/s')
+    quantity(value, label) {
+        if (INTL_UNITS[label]) {
+            try {
+                return this.number(value, { style: 'unit', unit: INTL_UNITS[label], unitDisplay: 'short' });
+            } catch (error) {
+                // Browsers without unit formatting fall through to the plain label
+            }
+        }
+        return `${this.number(value)} ${label}`;
+    }
+
+    time(value) {
+        return new Date(value).toLocaleTimeString(this.locale, { hour: '2-digit', minute: '2-digit' });
+    }
+
+    date(value, options) {
+        return new Date(value).toLocaleDateString(this.locale, options);
+    }
+
+    dateTime(value, options) {
+        return new Date(value).toLocaleString(this.locale, options);
+    }
+
+    list(items) {
+        return 'ListFormat' in Intl
+            ? new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items)
+            : items.join(', ');
+    }
+
+    // Translate the static page: text from data-i18n, attributes from data-i18n-<attribute>
+    apply(root = document) {
+        document.documentElement.lang = this.lang;
+        document.documentElement.dir = this.dir;
+
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        ['placeholder', 'title', 'alt', 'aria-label'].forEach((attribute) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+                el.setAttribute(attribute, this.t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+}
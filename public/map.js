@@ -0,0 +1,272 @@
+// Slippy map drawn from the server's /tiles proxy. No map library, so the page stays within
+// the CSP and no tile server or API key is ever contacted from the browser.
+const TILE_SIZE = 256;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 12;
+const MAX_LATITUDE = 85.0511; // edge of the Web Mercator square
+const CLICK_TOLERANCE = 5; // pixels a pointer may move and still count as a click
+const WHEEL_PAUSE = 250; // ms between wheel zoom steps, so one flick is one step
+
+class WeatherMap {
+    constructor(container, { center = { lat: 30, lon: 0 }, zoom = 2, onSelect = () => {} } = {}) {
+        this.container = container;
+        this.zoom = zoom;
+        this.center = this.project(center);
+        this.onSelect = onSelect;
+        this.overlays = new Set();
+        this.tiles = new Map();
+        this.markers = [];
+        this.selected = null;
+        this.pointer = null;
+        this.lastWheel = 0;
+
+        this.tilePane = this.createElement('div', 'map-tiles');
+        this.markerPane = this.createElement('div', 'map-markers');
+        this.pin = this.createElement('div', 'map-pin', '📍');
+        this.pin.hidden = true;
+        this.markerPane.appendChild(this.pin);
+        container.prepend(this.tilePane, this.markerPane);
+
+        this.bindEvents();
+        this.render();
+    }
+
+    createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    get worldSize() {
+        return TILE_SIZE * 2 ** this.zoom;
+    }
+
+    // Latitude/longitude to world pixels at a zoom level, and back
+    project({ lat, lon }, zoom = this.zoom) {
+        const size = TILE_SIZE * 2 ** zoom;
+        const sin = Math.sin(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180);
+        return {
+            x: ((lon + 180) / 360) * size,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+        };
+    }
+
+    unproject({ x, y }) {
+        const size = this.worldSize;
+        const lon = ((((x / size) * 360) % 360) + 360) % 360 - 180;
+        const lat = Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / size))) * 180 / Math.PI;
+        return { lat, lon };
+    }
+
+    // World pixel under a point of the page
+    worldPointAt(clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: this.center.x + clientX - rect.left - rect.width / 2,
+            y: this.center.y + clientY - rect.top - rect.height / 2
+        };
+    }
+
+    bindEvents() {
+        const container = this.container;
+
+        container.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('.map-marker, .map-controls')) return;
+            this.pointer = { id: e.pointerId, x: e.clientX, y: e.clientY, center: { ...this.center }, dragging: false };
+            container.setPointerCapture(e.pointerId);
+        });
+
+        container.addEventListener('pointermove', (e) => {
+            const pointer = this.pointer;
+            if (!pointer || pointer.id !== e.pointerId) return;
+
+            const dx = e.clientX - pointer.x;
+            const dy = e.clientY - pointer.y;
+            if (!pointer.dragging && Math.hypot(dx, dy) < CLICK_TOLERANCE) return;
+
+            pointer.dragging = true;
+            container.classList.add('dragging');
+            this.moveTo({ x: pointer.center.x - dx, y: pointer.center.y - dy });
+        });
+
+        const release = (e, select) => {
+            const pointer = this.pointer;
+            if (!pointer || pointer.id !== e.pointerId) return;
+
+            this.pointer = null;
+            container.classList.remove('dragging');
+            if (select && !pointer.dragging) {
+                this.select(this.unproject(this.worldPointAt(e.clientX, e.clientY)));
+            }
+        };
+        container.addEventListener('pointerup', (e) => release(e, true));
+        container.addEventListener('pointercancel', (e) => release(e, false));
+
+        container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            if (e.timeStamp - this.lastWheel < WHEEL_PAUSE) return;
+
+            this.lastWheel = e.timeStamp;
+            this.setZoom(this.zoom + (e.deltaY < 0 ? 1 : -1), { x: e.clientX, y: e.clientY });
+        }, { passive: false });
+
+        container.addEventListener('keydown', (e) => {
+            const step = 64;
+            const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+
+            if (moves[e.key]) {
+                e.preventDefault();
+                const [dx, dy] = moves[e.key];
+                this.moveTo({ x: this.center.x + dx, y: this.center.y + dy });
+            } else if (e.key === '+' || e.key === '=') {
+                this.setZoom(this.zoom + 1);
+            } else if (e.key === '-') {
+                this.setZoom(this.zoom - 1);
+            } else if (e.key === 'Enter' && e.target === container) {
+                this.select(this.unproject(this.center));
+            }
+        });
+
+        if ('ResizeObserver' in window) {
+            new ResizeObserver(() => this.render()).observe(container);
+        } else {
+            window.addEventListener('resize', () => this.render());
+        }
+    }
+
+    select({ lat, lon }) {
+        const round = (value) => Math.round(value * 10000) / 10000;
+        this.onSelect({ lat: round(lat), lon: round(lon) });
+    }
+
+    // Keep the view on the map vertically; horizontally the world repeats
+    moveTo({ x, y }) {
+        const size = this.worldSize;
+        this.center = { x: ((x % size) + size) % size, y: Math.max(0, Math.min(size, y)) };
+        this.render();
+    }
+
+    // Zoom keeping the point under `anchor` (page coordinates, default the centre) in place
+    setZoom(zoom, anchor) {
+        const next = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+        if (next === this.zoom) return;
+
+        const focus = anchor ? this.worldPointAt(anchor.x, anchor.y) : this.center;
+        const scale = 2 ** (next - this.zoom);
+        this.zoom = next;
+        this.moveTo({
+            x: focus.x * scale - (focus.x - this.center.x),
+            y: focus.y * scale - (focus.y - this.center.y)
+        });
+    }
+
+    setOverlay(layer, visible) {
+        if (visible) {
+            this.overlays.add(layer);
+        } else {
+            this.overlays.delete(layer);
+        }
+        this.render();
+    }
+
+    // Markers: [{ lat, lon, label, title, onClick }]
+    setMarkers(markers) {
+        this.markers.forEach(({ element }) => element.remove());
+        this.markers = markers.map((marker) => {
+            const element = this.createElement('button', 'map-marker', marker.label);
+            element.type = 'button';
+            element.title = marker.title;
+            element.addEventListener('click', () => marker.onClick());
+            this.markerPane.appendChild(element);
+            return { ...marker, element };
+        });
+        this.renderMarkers();
+    }
+
+    // Pin the location on screen, bringing it into view if it is outside
+    setSelected(point) {
+        this.selected = point;
+        if (!point) {
+            this.renderMarkers();
+            return;
+        }
+
+        const { x, y } = this.screenPosition(point);
+        const { clientWidth: width, clientHeight: height } = this.container;
+        if (x < 0 || y < 0 || x > width || y > height) {
+            this.moveTo(this.project(point));
+        } else {
+            this.renderMarkers();
+        }
+    }
+
+    // Position of a point inside the container, on the copy of the world nearest the centre
+    screenPosition(point) {
+        const size = this.worldSize;
+        const { x, y } = this.project(point);
+        let dx = (x - this.center.x) % size;
+        if (dx > size / 2) dx -= size;
+        if (dx < -size / 2) dx += size;
+
+        return {
+            x: this.container.clientWidth / 2 + dx,
+            y: this.container.clientHeight / 2 + y - this.center.y
+        };
+    }
+
+    render() {
+        const { clientWidth: width, clientHeight: height } = this.container;
+        const left = this.center.x - width / 2;
+        const top = this.center.y - height / 2;
+        const count = 2 ** this.zoom;
+        const wanted = new Set();
+
+        ['base', ...this.overlays].forEach((layer) => {
+            for (let tx = Math.floor(left / TILE_SIZE); tx * TILE_SIZE < left + width; tx++) {
+                for (let ty = Math.max(0, Math.floor(top / TILE_SIZE)); ty < count && ty * TILE_SIZE < top + height; ty++) {
+                    // Columns left and right of the world show it again
+                    const key = `${layer}/${this.zoom}/${tx}/${ty}`;
+                    const column = ((tx % count) + count) % count;
+                    const tile = this.tiles.get(key) || this.createTile(key, `/tiles/${layer}/${this.zoom}/${column}/${ty}.png`, layer);
+
+                    tile.style.transform = `translate(${tx * TILE_SIZE - left}px, ${ty * TILE_SIZE - top}px)`;
+                    wanted.add(key);
+                }
+            }
+        });
+
+        this.tiles.forEach((tile, key) => {
+            if (!wanted.has(key)) {
+                tile.remove();
+                this.tiles.delete(key);
+            }
+        });
+
+        this.renderMarkers();
+    }
+
+    createTile(key, src, layer) {
+        const tile = this.createElement('img', `map-tile map-tile-${layer}`);
+        tile.alt = '';
+        tile.draggable = false;
+        // A missing tile leaves a gap rather than a broken image icon
+        tile.addEventListener('error', () => { tile.style.visibility = 'hidden'; });
+        tile.src = src;
+        this.tilePane.appendChild(tile);
+        this.tiles.set(key, tile);
+        return tile;
+    }
+
+    renderMarkers() {
+        // Markers are centred on their point; the pin stands on it
+        const place = (element, point, offsetY) => {
+            const { x, y } = this.screenPosition(point);
+            element.style.transform = `translate(${x}px, ${y}px) translate(-50%, ${offsetY})`;
+        };
+
+        this.markers.forEach((marker) => place(marker.element, marker, '-50%'));
+        this.pin.hidden = !this.selected;
+        if (this.selected) place(this.pin, this.selected, '-100%');
+    }
+}
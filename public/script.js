@@ -1,12 +1,42 @@
+// /multiple accepts at most 10 locations, so that is also the favourites limit
+const MAX_FAVOURITES = 10;
+const FAVOURITES_KEY = 'weather-favourites';
+const MAP_LAYERS_KEY = 'weather-map-layers';
+const LANGUAGE_KEY = 'weather-language';
+
+// Moon phase emoji from new moon round to waning crescent
+const MOON_EMOJI = ['🌑', '🌒', '🌓', '🌔', '🌕', '🌖', '🌗', '🌘'];
+
 class WeatherAPI {
     constructor() {
         this.baseURL = '/api/weather';
         this.units = 'metric';
+        this.lastLocation = null;
+        this.selectedPlace = null;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.suggestTimer = null;
+        this.forecastDays = [];
+        this.forecastUnits = null;
+        this.expandedDay = null;
+        this.currentWeather = null;
+        this.favourites = this.loadFavourites();
+        this.dashboardResults = [];
+        this.dragIndex = null;
+        this.staleSince = null;
+        this.staleOffline = false;
+        this.liveSource = null;
+        this.map = null;
+        this.i18n = new Localizer(this.loadLanguage());
         this.init();
     }
 
     init() {
+        this.i18n.apply();
+        this.initLanguages();
         this.bindEvents();
+        this.initMap();
+        this.refreshDashboard();
         this.updateTime();
         setInterval(() => this.updateTime(), 1000);
     }
@@ -18,22 +48,151 @@ class WeatherAPI {
         const unitToggle = document.getElementById('unitToggle');
 
         searchBtn.addEventListener('click', () => this.searchWeather());
-        cityInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.searchWeather();
+        cityInput.addEventListener('input', () => {
+            clearTimeout(this.suggestTimer);
+            this.suggestTimer = setTimeout(() => this.suggestLocations(cityInput.value.trim()), 300);
+        });
+        cityInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.highlightSuggestion(this.activeSuggestion + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.highlightSuggestion(this.activeSuggestion - 1);
+            } else if (e.key === 'Escape') {
+                this.hideSuggestions();
+            } else if (e.key === 'Enter') {
+                clearTimeout(this.suggestTimer);
+                if (this.activeSuggestion >= 0) {
+                    this.selectSuggestion(this.activeSuggestion);
+                } else {
+                    this.searchWeather();
+                }
+            }
         });
+        cityInput.addEventListener('blur', () => this.hideSuggestions());
         locationBtn.addEventListener('click', () => this.getCurrentLocation());
+        document.getElementById('hourlyClose').addEventListener('click', () => this.collapseDay());
+        document.getElementById('favouriteBtn').addEventListener('click', () => this.toggleFavourite());
+        document.getElementById('refreshDashboard').addEventListener('click', () => this.refreshDashboard());
         unitToggle.addEventListener('change', (e) => {
             this.units = e.target.checked ? 'imperial' : 'metric';
-            const currentCity = document.getElementById('locationName').textContent;
-            if (currentCity !== 'Location') {
-                this.searchWeather();
+            if (this.lastLocation) {
+                this.loadWeather(this.lastLocation);
             }
+            this.refreshDashboard();
+        });
+    }
+
+    // The saved language, else the browser's if the demo has it, else English
+    loadLanguage() {
+        try {
+            const saved = localStorage.getItem(LANGUAGE_KEY);
+            if (UI_LANGUAGES[saved]) return saved;
+        } catch (error) {
+            // Storage can be unavailable (e.g. private mode); fall back to the browser language
+        }
+        const browser = (navigator.language || 'en').split('-')[0];
+        return UI_LANGUAGES[browser] ? browser : 'en';
+    }
+
+    initLanguages() {
+        const select = document.getElementById('languageSelect');
+        Object.entries(UI_LANGUAGES).forEach(([code, { name }]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = this.i18n.lang;
+        select.addEventListener('change', () => this.setLanguage(select.value));
+    }
+
+    // Switch language: translate the page and reload everything the API describes
+    setLanguage(lang) {
+        this.i18n = new Localizer(lang);
+        try {
+            localStorage.setItem(LANGUAGE_KEY, lang);
+        } catch (error) {
+            console.error('Failed to save language:', error);
+        }
+
+        this.i18n.apply();
+        this.updateTime();
+        if (this.lastLocation) {
+            this.loadWeather(this.lastLocation);
+        }
+        this.refreshDashboard();
+    }
+
+    initMap() {
+        this.map = new WeatherMap(document.getElementById('map'), {
+            onSelect: (point) => {
+                document.getElementById('cityInput').value = '';
+                this.selectedPlace = null;
+                this.loadWeather(point);
+            }
+        });
+
+        document.getElementById('mapZoomIn').addEventListener('click', () => this.map.setZoom(this.map.zoom + 1));
+        document.getElementById('mapZoomOut').addEventListener('click', () => this.map.setZoom(this.map.zoom - 1));
+
+        // Weather layers stay switched on across visits
+        const saved = this.loadMapLayers();
+        document.querySelectorAll('.map-layers input').forEach((input) => {
+            input.checked = saved.includes(input.dataset.layer);
+            this.map.setOverlay(input.dataset.layer, input.checked);
+            input.addEventListener('change', () => {
+                this.map.setOverlay(input.dataset.layer, input.checked);
+                this.saveMapLayers();
+            });
+        });
+    }
+
+    loadMapLayers() {
+        try {
+            const layers = JSON.parse(localStorage.getItem(MAP_LAYERS_KEY));
+            return Array.isArray(layers) ? layers : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveMapLayers() {
+        const layers = [...document.querySelectorAll('.map-layers input:checked')].map((input) => input.dataset.layer);
+        try {
+            localStorage.setItem(MAP_LAYERS_KEY, JSON.stringify(layers));
+        } catch (error) {
+            console.error('Failed to save map layers:', error);
+        }
+    }
+
+    // Favourites with loaded weather are shown on the map, labelled with their temperature
+    updateMapMarkers() {
+        const markers = [];
+
+        this.favourites.forEach((favourite, index) => {
+            const result = this.dashboardResults[index];
+            if (!result || !result.success) return;
+
+            const { data } = result;
+            markers.push({
+                ...data.coordinates,
+                label: this.i18n.quantity(data.temperature, data.units.temperature),
+                title: `${favourite.label}: ${data.description}`,
+                onClick: () => {
+                    document.getElementById('cityInput').value = favourite.label;
+                    this.loadWeather(favourite.location);
+                }
+            });
         });
+
+        this.map.setMarkers(markers);
     }
 
     updateTime() {
-        const now = new Date();
-        const timeString = now.toLocaleString();
+        const timeString = this.i18n.dateTime(new Date());
         const currentTimeEl = document.getElementById('currentTime');
         if (currentTimeEl) {
             currentTimeEl.textContent = timeString;
@@ -42,62 +201,169 @@ class WeatherAPI {
 
     async searchWeather() {
         const cityInput = document.getElementById('cityInput');
-        let city = cityInput.value.trim();
+        const city = cityInput.value.trim();
         
         if (!city) {
-            this.showError('Please enter a city name');
+            this.showError(this.i18n.t('error.cityRequired'));
             return;
         }
 
-        // For Indian cities, try different formats to improve search accuracy
-        const cityFormats = [
-            city, // Original input
-        ];
-        
-        // If it's a single word and might be an Indian city, try adding ",India"
-        if (!city.includes(',') && city.split(' ').length <= 2) {
-            cityFormats.push(`${city},India`);
-            cityFormats.push(`${city},IN`);
+        this.hideSuggestions();
+
+        // Reuse the coordinates of the suggestion the user picked, otherwise take the best match
+        if (this.selectedPlace && this.selectedPlace.label === city) {
+            await this.loadWeather(this.selectedPlace.coordinates);
+            return;
         }
 
         try {
             this.showLoading();
-            
-            // Try different city formats until one works
-            let weatherData = null;
-            let forecastData = null;
-            let lastError = null;
-            
-            for (const cityFormat of cityFormats) {
-                try {
-                    console.log(`Trying city format: ${cityFormat}`);
-                    const results = await Promise.all([
-                        this.getCurrentWeather({ city: cityFormat }),
-                        this.getForecast({ city: cityFormat })
-                    ]);
-                    weatherData = results[0];
-                    forecastData = results[1];
-                    break; // Success! Break out of the loop
-                } catch (error) {
-                    lastError = error;
-                    console.log(`Failed with format "${cityFormat}":`, error.message);
-                    // Continue to next format
-                }
-            }
-            
-            if (!weatherData) {
-                throw lastError || new Error('City not found with any format');
+            const [place] = await this.geocode(city, 1);
+
+            if (!place) {
+                throw new Error(this.i18n.t('error.noMatches', { city }));
             }
-            
+
+            this.selectedPlace = place;
+            await this.loadWeather(place.coordinates);
         } catch (error) {
             console.error('Search weather error:', error);
             this.showError(error.message);
         }
     }
 
+    async loadWeather(params) {
+        try {
+            this.showLoading();
+            this.staleSince = null;
+            this.staleOffline = false;
+            const [current] = await Promise.all([
+                this.getCurrentWeather(params),
+                this.getForecast(params)
+            ]);
+            this.lastLocation = params;
+            this.map.setSelected(current.coordinates);
+            this.updateStaleBanner();
+            this.getAirQuality(current.coordinates);
+            this.getIndices(params);
+            this.getAstronomy(current.coordinates);
+            this.followLocation(params);
+        } catch (error) {
+            console.error('Load weather error:', error);
+            this.updateStaleBanner();
+            this.showError(error.message);
+        }
+    }
+
+    async geocode(query, limit = 5) {
+        const url = new URL(`${this.baseURL}/geocode`, window.location.origin);
+        url.searchParams.set('q', query);
+        url.searchParams.set('limit', limit);
+        url.searchParams.set('lang', this.i18n.lang);
+
+        const response = await fetch(url);
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || this.i18n.t('error.http', { status: response.status }));
+        }
+
+        return data.data;
+    }
+
+    async suggestLocations(query) {
+        if (query.length < 2) {
+            this.hideSuggestions();
+            return;
+        }
+
+        try {
+            const places = await this.geocode(query);
+
+            // Ignore responses that arrive after the user kept typing
+            if (document.getElementById('cityInput').value.trim() !== query) return;
+
+            this.renderSuggestions(places);
+        } catch (error) {
+            console.error('Location suggestions error:', error);
+            this.hideSuggestions();
+        }
+    }
+
+    renderSuggestions(places) {
+        const list = document.getElementById('suggestions');
+        list.innerHTML = '';
+        this.suggestions = places;
+        this.activeSuggestion = -1;
+
+        if (places.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        places.forEach((place, index) => {
+            const item = document.createElement('li');
+            item.className = 'suggestion';
+            item.id = `suggestion-${index}`;
+            item.setAttribute('role', 'option');
+
+            const name = document.createElement('span');
+            name.className = 'suggestion-name';
+            name.textContent = place.label;
+
+            const coords = document.createElement('span');
+            coords.className = 'suggestion-coords';
+            const coordinate = (value) => this.i18n.number(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            coords.textContent = `${coordinate(place.coordinates.lat)}, ${coordinate(place.coordinates.lon)}`;
+
+            item.append(name, coords);
+            // mousedown fires before the input loses focus and hides the list
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.selectSuggestion(index);
+            });
+            list.appendChild(item);
+        });
+
+        list.style.display = 'block';
+        document.getElementById('cityInput').setAttribute('aria-expanded', 'true');
+    }
+
+    highlightSuggestion(index) {
+        const items = document.querySelectorAll('#suggestions .suggestion');
+        if (items.length === 0) return;
+
+        this.activeSuggestion = (index + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle('active', i === this.activeSuggestion));
+        document.getElementById('cityInput')
+            .setAttribute('aria-activedescendant', `suggestion-${this.activeSuggestion}`);
+    }
+
+    selectSuggestion(index) {
+        const place = this.suggestions[index];
+        if (!place) return;
+
+        this.selectedPlace = place;
+        document.getElementById('cityInput').value = place.label;
+        this.hideSuggestions();
+        this.loadWeather(place.coordinates);
+    }
+
+    hideSuggestions() {
+        const list = document.getElementById('suggestions');
+        list.style.display = 'none';
+        list.innerHTML = '';
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+
+        const cityInput = document.getElementById('cityInput');
+        cityInput.setAttribute('aria-expanded', 'false');
+        cityInput.removeAttribute('aria-activedescendant');
+    }
+
     async getCurrentLocation() {
         if (!navigator.geolocation) {
-            this.showError('Geolocation is not supported by this browser');
+            this.showError(this.i18n.t('error.geolocationUnsupported'));
             return;
         }
 
@@ -114,27 +380,24 @@ class WeatherAPI {
             });
 
             const { latitude: lat, longitude: lon } = position.coords;
-            
-            await Promise.all([
-                this.getCurrentWeather({ lat, lon }),
-                this.getForecast({ lat, lon })
-            ]);
+            await this.loadWeather({ lat, lon });
         } catch (error) {
-            let message = 'Failed to get location';
+            let message = 'error.locationFailed';
             if (error.code === error.PERMISSION_DENIED) {
-                message = 'Location access denied. Please allow location access and try again.';
+                message = 'error.locationDenied';
             } else if (error.code === error.POSITION_UNAVAILABLE) {
-                message = 'Location information is unavailable.';
+                message = 'error.locationUnavailable';
             } else if (error.code === error.TIMEOUT) {
-                message = 'Location request timed out.';
+                message = 'error.locationTimeout';
             }
-            this.showError(message);
+            this.showError(this.i18n.t(message));
         }
     }
 
     async getCurrentWeather(params) {
         const url = new URL(`${this.baseURL}/current`, window.location.origin);
         url.searchParams.set('units', this.units);
+        url.searchParams.set('lang', this.i18n.lang);
         
         Object.keys(params).forEach(key => {
             url.searchParams.set(key, params[key]);
@@ -142,23 +405,19 @@ class WeatherAPI {
 
         try {
             const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
+            const data = await response.json().catch(() => ({}));
 
-            if (!data.success) {
-                throw new Error(data.error || 'Failed to fetch weather data');
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || this.i18n.t('error.http', { status: response.status }));
             }
 
+            this.trackStaleness(response, data);
             this.displayCurrentWeather(data.data);
             return data.data;
         } catch (error) {
             console.error('Weather fetch error:', error);
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Cannot connect to weather service. Please check if the server is running.');
+                throw new Error(this.i18n.t('error.connection'));
             }
             throw error;
         }
@@ -167,6 +426,7 @@ class WeatherAPI {
     async getForecast(params) {
         const url = new URL(`${this.baseURL}/forecast`, window.location.origin);
         url.searchParams.set('units', this.units);
+        url.searchParams.set('lang', this.i18n.lang);
         
         Object.keys(params).forEach(key => {
             url.searchParams.set(key, params[key]);
@@ -174,33 +434,329 @@ class WeatherAPI {
 
         try {
             const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
+            const data = await response.json().catch(() => ({}));
 
-            if (!data.success) {
-                throw new Error(data.error || 'Failed to fetch forecast data');
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || this.i18n.t('error.http', { status: response.status }));
             }
 
+            this.trackStaleness(response, data);
             this.displayForecast(data.data);
             return data.data;
         } catch (error) {
             console.error('Forecast fetch error:', error);
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Cannot connect to weather service. Please check if the server is running.');
+                throw new Error(this.i18n.t('error.connection'));
             }
             throw error;
         }
     }
 
+    // Keep the current conditions up to date from the server's live update stream
+    followLocation(params) {
+        this.stopFollowing();
+        if (!('EventSource' in window)) return;
+
+        const url = new URL(`${this.baseURL}/stream`, window.location.origin);
+        url.searchParams.set('units', this.units);
+        url.searchParams.set('lang', this.i18n.lang);
+
+        Object.keys(params).forEach(key => {
+            url.searchParams.set(key, params[key]);
+        });
+
+        const source = new EventSource(url);
+        source.addEventListener('weather', (event) => this.applyLiveUpdate(JSON.parse(event.data)));
+        source.addEventListener('error', () => {
+            // EventSource reconnects by itself unless the server refused the stream
+            const closed = source.readyState === EventSource.CLOSED;
+            this.setLiveStatus(this.i18n.t(closed ? 'live.unavailable' : 'live.reconnecting'), true);
+        });
+        this.liveSource = source;
+    }
+
+    stopFollowing() {
+        if (this.liveSource) {
+            this.liveSource.close();
+            this.liveSource = null;
+        }
+        document.getElementById('liveStatus').style.display = 'none';
+    }
+
+    applyLiveUpdate(update) {
+        if (!update.success) {
+            // Keep showing the last good conditions until the location recovers
+            this.setLiveStatus(this.i18n.t('live.paused', { error: update.error }), true);
+            return;
+        }
+
+        // The first event repeats the conditions already on screen
+        if (JSON.stringify(update.data) === JSON.stringify(this.currentWeather)) {
+            this.setLiveStatus(this.i18n.t('live.on'), false);
+            return;
+        }
+
+        this.setLiveStatus(this.i18n.t('live.updated', { time: this.i18n.time(update.timestamp) }), false);
+
+        this.displayCurrentWeather(update.data);
+
+        // Restart the highlight animation on the current conditions card
+        const card = document.querySelector('.current-weather');
+        card.classList.remove('updated');
+        void card.offsetWidth;
+        card.classList.add('updated');
+    }
+
+    setLiveStatus(message, paused) {
+        const status = document.getElementById('liveStatus');
+        status.textContent = message;
+        status.classList.toggle('paused', paused);
+        status.style.display = 'block';
+    }
+
+    async getAirQuality(coordinates) {
+        const url = new URL(`${this.baseURL}/air-quality`, window.location.origin);
+        url.searchParams.set('lat', coordinates.lat);
+        url.searchParams.set('lon', coordinates.lon);
+        url.searchParams.set('lang', this.i18n.lang);
+
+        try {
+            const response = await fetch(url);
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || this.i18n.t('error.http', { status: response.status }));
+            }
+
+            this.displayAirQuality(data.data);
+        } catch (error) {
+            // Air quality is supplementary, so a failure only hides its card
+            console.error('Air quality fetch error:', error);
+            document.getElementById('aqiStat').style.display = 'none';
+        }
+    }
+
+    displayAirQuality(data) {
+        const { aqi, category, pollutants } = data.current;
+        const aqiStat = document.getElementById('aqiStat');
+
+        aqiStat.className = `stat aqi-stat aqi-level-${aqi}`;
+        aqiStat.title = this.i18n.t('weather.aqiScale', { aqi: this.i18n.number(aqi) });
+        document.getElementById('aqiValue').textContent = `${this.i18n.number(aqi)} · ${category}`;
+        document.getElementById('aqiDetail').textContent =
+            `PM2.5 ${this.i18n.number(Math.round(pollutants.pm2_5))} · PM10 ${this.i18n.number(Math.round(pollutants.pm10))} μg/m³`;
+        aqiStat.style.display = 'block';
+    }
+
+    async getIndices(params) {
+        const url = new URL(`${this.baseURL}/indices`, window.location.origin);
+        url.searchParams.set('units', this.units);
+        url.searchParams.set('lang', this.i18n.lang);
+        Object.keys(params).forEach(key => url.searchParams.set(key, params[key]));
+
+        try {
+            const response = await fetch(url);
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || this.i18n.t('error.http', { status: response.status }));
+            }
+
+            this.displayIndices(data.data);
+        } catch (error) {
+            // Like air quality, the indices are supplementary: a failure only hides their card
+            console.error('Indices fetch error:', error);
+            document.getElementById('indicesSection').style.display = 'none';
+        }
+    }
+
+    // 'extremeCaution' -> 'extreme caution' (or its translation)
+    formatCategory(category) {
+        return this.i18n.t(`category.${category}`);
+    }
+
+    displayIndices(data) {
+        const { current, growingDegreeDays, units } = data;
+        const degrees = (value) => (units.temperature === 'K' ? this.i18n.quantity(value, 'K') : this.i18n.degrees(value));
+        const t = (key) => this.i18n.t(key);
+        const category = (name) => name && this.formatCategory(name);
+
+        // Heat index, wind chill and humidex are only defined in some weather; show those that are
+        const comfort = [
+            [t('indices.dewPoint'), degrees(current.dewPoint.value), current.dewPoint.source === 'calculated' ? t('indices.calculated') : ''],
+            [t('indices.heatIndex'), current.heatIndex.value !== null && degrees(current.heatIndex.value), category(current.heatIndex.category)],
+            [t('indices.windChill'), current.windChill.value !== null && degrees(current.windChill.value), category(current.windChill.category)],
+            [t('indices.humidex'), current.humidex.value !== null && this.i18n.number(current.humidex.value), category(current.humidex.category)],
+            [t('indices.uv'), current.uv && this.i18n.number(current.uv.index), current.uv && category(current.uv.category)]
+        ].filter(([, value]) => value);
+
+        const comfortContainer = document.getElementById('indicesComfort');
+        comfortContainer.replaceChildren(...comfort.map(([label, value, detailText]) => {
+            const stat = document.createElement('div');
+            stat.className = 'stat';
+
+            const name = document.createElement('span');
+            name.className = 'stat-label';
+            name.textContent = label;
+
+            const number = document.createElement('span');
+            number.className = 'stat-value';
+            number.textContent = value;
+
+            stat.append(name, number);
+            if (detailText) {
+                const detail = document.createElement('span');
+                detail.className = 'indices-category';
+                detail.textContent = detailText;
+                stat.appendChild(detail);
+            }
+            return stat;
+        }));
+
+        const activities = document.getElementById('indicesActivities');
+        activities.replaceChildren(...Object.entries(current.activities).map(([activity, result]) =>
+            this.createActivityElement(activity, result)));
+
+        const gdd = document.getElementById('indicesGdd');
+        gdd.textContent = growingDegreeDays.days.length > 0
+            ? this.i18n.t('indices.gdd', {
+                total: this.i18n.number(growingDegreeDays.total),
+                days: this.i18n.number(growingDegreeDays.days.length),
+                base: degrees(growingDegreeDays.base)
+            })
+            : '';
+
+        document.getElementById('indicesSection').style.display = 'block';
+    }
+
+    // One line of an activity's tooltip, e.g. 'humidity: 65' or 'daylight: no'
+    formatActivityInput(input, value) {
+        const shown = input === 'daylight' ? this.i18n.t(value ? 'value.yes' : 'value.no')
+            : value === null ? this.i18n.t('value.none')
+            : this.i18n.number(value);
+        return this.i18n.t('activity.input', { input: this.i18n.t(`input.${input}`), value: shown });
+    }
+
+    // How an input that limits a score is described; a lack of daylight is 'darkness'
+    formatLimit(input) {
+        return this.i18n.t(input === 'daylight' ? 'limit.daylight' : `input.${input}`);
+    }
+
+    createActivityElement(activity, { score, rating, limitedBy, inputs }) {
+        const item = document.createElement('li');
+        item.className = `indices-activity rating-${rating}`;
+        item.title = Object.entries(inputs).map(([input, value]) => this.formatActivityInput(input, value)).join('\n');
+
+        const name = document.createElement('span');
+        name.className = 'indices-activity-name';
+        name.textContent = this.i18n.t(`activity.${activity}`);
+
+        const meter = document.createElement('meter');
+        meter.min = 0;
+        meter.max = 10;
+        meter.low = 4;
+        meter.high = 7;
+        meter.optimum = 10;
+        meter.value = score;
+
+        const summary = document.createElement('span');
+        summary.className = 'indices-activity-score';
+        summary.textContent = this.i18n.t('activity.score', {
+            score: this.i18n.number(score),
+            rating: this.i18n.t(`rating.${rating}`)
+        });
+
+        const reason = document.createElement('span');
+        reason.className = 'indices-activity-reason';
+        reason.textContent = limitedBy.length > 0
+            ? this.i18n.t('activity.limitedBy', { inputs: this.i18n.list(limitedBy.map(input => this.formatLimit(input))) })
+            : this.i18n.t('activity.unlimited');
+
+        item.append(name, meter, summary, reason);
+        return item;
+    }
+
+    async getAstronomy(coordinates) {
+        const url = new URL(`${this.baseURL}/astronomy`, window.location.origin);
+        url.searchParams.set('lat', coordinates.lat);
+        url.searchParams.set('lon', coordinates.lon);
+        url.searchParams.set('lang', this.i18n.lang);
+
+        try {
+            const response = await fetch(url);
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || this.i18n.t('error.http', { status: response.status }));
+            }
+
+            this.displayAstronomy(data.data);
+        } catch (error) {
+            // Without it the panel falls back to the sunrise and sunset from current weather
+            console.error('Astronomy fetch error:', error);
+            document.getElementById('astronomyDetails').style.display = 'none';
+        }
+    }
+
+    formatClock(iso) {
+        return iso ? this.i18n.time(iso) : '--:--';
+    }
+
+    // A morning or evening span, or null when the sun does not pass through it that day
+    formatSpan({ start, end }) {
+        return start || end ? `${this.formatClock(start)}–${this.formatClock(end)}` : null;
+    }
+
+    displayAstronomy({ sun, moon }) {
+        const hours = Math.floor(sun.dayLength / 3600);
+        const minutes = Math.round((sun.dayLength % 3600) / 60);
+        const t = (key, params) => this.i18n.t(key, params);
+        const dayLength = sun.polar === 'day' ? t('astronomy.polarDay')
+            : sun.polar === 'night' ? t('astronomy.polarNight')
+            : t('astronomy.duration', { hours: this.i18n.number(hours), minutes: this.i18n.number(minutes) });
+
+        const spans = (band) => [band.morning, band.evening].map(span => this.formatSpan(span)).filter(Boolean).join(' · ') || '—';
+        const moonTimes = moon.alwaysUp ? t('astronomy.moonUp')
+            : moon.alwaysDown ? t('astronomy.moonDown')
+            : `↑ ${this.formatClock(moon.moonrise)} · ↓ ${this.formatClock(moon.moonset)}`;
+        const lit = t('astronomy.lit', { percent: this.i18n.percent(Math.round(moon.illumination * 100)) });
+
+        const rows = [
+            [t('astronomy.dayLength'), dayLength],
+            [t('astronomy.solarNoon'), this.formatClock(sun.solarNoon)],
+            [t('astronomy.goldenHour'), spans(sun.goldenHour)],
+            [t('astronomy.blueHour'), spans(sun.blueHour)],
+            [t('astronomy.civilTwilight'), sun.twilight.civil.dawn || sun.twilight.civil.dusk
+                ? `${this.formatClock(sun.twilight.civil.dawn)} / ${this.formatClock(sun.twilight.civil.dusk)}`
+                : '—'],
+            [t('astronomy.moon'), `${MOON_EMOJI[Math.round(moon.phase * 8) % 8]} ${moon.phaseName} · ${lit}`],
+            [t('astronomy.moonTimes'), moonTimes]
+        ];
+
+        const details = document.getElementById('astronomyDetails');
+        details.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('div');
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            row.append(term, description);
+            return row;
+        }));
+
+        // The computed times also cover polar day and night, which upstream sunrise/sunset do not
+        if (sun.polar) {
+            document.getElementById('sunrise').textContent = '—';
+            document.getElementById('sunset').textContent = '—';
+        }
+        details.style.display = 'grid';
+    }
+
     displayCurrentWeather(data) {
         // Update location and basic info
         document.getElementById('locationName').textContent = data.location;
-        document.getElementById('currentTemp').textContent = `${data.temperature}°`;
-        document.getElementById('feelsLike').textContent = `${data.feelsLike}°`;
+        document.getElementById('currentTemp').textContent = this.i18n.degrees(data.temperature);
+        document.getElementById('feelsLike').textContent = this.i18n.degrees(data.feelsLike);
         document.getElementById('weatherDescription').textContent = data.description;
         
         // Update weather icon
@@ -209,19 +765,19 @@ class WeatherAPI {
         weatherIcon.alt = data.description;
 
         // Update weather stats
-        document.getElementById('humidity').textContent = `${data.humidity}%`;
-        document.getElementById('pressure').textContent = `${data.pressure} hPa`;
-        document.getElementById('visibility').textContent = `${data.visibility} km`;
+        document.getElementById('humidity').textContent = this.i18n.percent(data.humidity);
+        document.getElementById('pressure').textContent = this.i18n.quantity(data.pressure, data.units.pressure);
+        document.getElementById('visibility').textContent = this.i18n.quantity(data.visibility, data.units.distance);
         
-        // Update wind speed with correct units
-        const windSpeedUnit = this.units === 'imperial' ? 'mph' : 'm/s';
-        document.getElementById('windSpeed').textContent = `${data.windSpeed} ${windSpeedUnit}`;
+        // Unit labels come from the API alongside the converted values
+        document.getElementById('windSpeed').textContent = this.i18n.quantity(data.windSpeed, data.units.speed);
 
         // Update sun times
-        const sunrise = new Date(data.sunrise);
-        const sunset = new Date(data.sunset);
-        document.getElementById('sunrise').textContent = sunrise.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-        document.getElementById('sunset').textContent = sunset.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+        document.getElementById('sunrise').textContent = this.i18n.time(data.sunrise);
+        document.getElementById('sunset').textContent = this.i18n.time(data.sunset);
+
+        this.currentWeather = data;
+        this.updateFavouriteButton();
 
         this.hideLoading();
         this.showWeatherContainer();
@@ -233,11 +789,21 @@ class WeatherAPI {
 
         // Group forecast by day (take one forecast per day, preferably around noon)
         const dailyForecasts = this.groupForecastByDay(data.forecast);
+        this.forecastDays = dailyForecasts;
+        this.forecastUnits = data.units;
 
         dailyForecasts.forEach(forecast => {
             const forecastEl = this.createForecastElement(forecast);
             forecastContainer.appendChild(forecastEl);
         });
+
+        // Keep the expanded day open across reloads (e.g. switching units)
+        const expanded = dailyForecasts.find(forecast => forecast.day === this.expandedDay);
+        if (expanded) {
+            this.expandDay(expanded);
+        } else {
+            this.collapseDay();
+        }
     }
 
     groupForecastByDay(forecasts) {
@@ -270,7 +836,8 @@ class WeatherAPI {
                 ...selectedForecast,
                 minTemp,
                 maxTemp,
-                day
+                day,
+                hours: dayForecasts
             });
         }
 
@@ -280,10 +847,15 @@ class WeatherAPI {
     createForecastElement(forecast) {
         const forecastEl = document.createElement('div');
         forecastEl.className = 'forecast-day';
+        forecastEl.dataset.day = forecast.day;
+        forecastEl.tabIndex = 0;
+        forecastEl.setAttribute('role', 'button');
+        forecastEl.setAttribute('aria-expanded', 'false');
+        forecastEl.setAttribute('aria-controls', 'hourlyPanel');
 
         const date = new Date(forecast.datetime);
         const isToday = date.toDateString() === new Date().toDateString();
-        const dayName = isToday ? 'Today' : date.toLocaleDateString([], { weekday: 'short' });
+        const dayName = isToday ? this.i18n.t('forecast.today') : this.i18n.date(date, { weekday: 'short' });
 
         forecastEl.innerHTML = `
             <div class="forecast-date">${dayName}</div>
@@ -291,16 +863,462 @@ class WeatherAPI {
                 <img src="https://openweathermap.org/img/wn/${forecast.icon}.png" alt="${forecast.description}" />
             </div>
             <div class="forecast-temps">
-                <span class="forecast-high">${forecast.maxTemp}°</span>
-                <span class="forecast-low">${forecast.minTemp}°</span>
+                <span class="forecast-high">${this.i18n.degrees(forecast.maxTemp)}</span>
+                <span class="forecast-low">${this.i18n.degrees(forecast.minTemp)}</span>
             </div>
             <div class="forecast-desc">${forecast.description}</div>
         `;
 
+        const toggle = () => {
+            if (this.expandedDay === forecast.day) {
+                this.collapseDay();
+            } else {
+                this.expandDay(forecast);
+            }
+        };
+        forecastEl.addEventListener('click', toggle);
+        forecastEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                toggle();
+            }
+        });
+
         return forecastEl;
     }
 
+    expandDay(forecast) {
+        const units = this.forecastUnits;
+        const hours = forecast.hours;
+        const labels = hours.map(hour => this.formatHour(hour.datetime));
+
+        this.expandedDay = forecast.day;
+        document.querySelectorAll('.forecast-day').forEach(el => {
+            const selected = el.dataset.day === forecast.day;
+            el.classList.toggle('selected', selected);
+            el.setAttribute('aria-expanded', String(selected));
+        });
+
+        const t = (key, params) => this.i18n.t(key, params);
+        document.getElementById('hourlyTitle').textContent = t('hourly.titleFor', {
+            date: this.i18n.date(forecast.datetime, { weekday: 'long', month: 'short', day: 'numeric' })
+        });
+
+        const charts = document.getElementById('hourlyCharts');
+        charts.innerHTML = '';
+        charts.appendChild(this.createChart({
+            title: t('chart.temperature', { unit: units.temperature }),
+            labels,
+            series: [
+                { name: t('series.temperature'), className: 'series-temp', values: hours.map(hour => hour.temperature) },
+                { name: t('series.feelsLike'), className: 'series-feels', values: hours.map(hour => hour.feelsLike) }
+            ]
+        }));
+        charts.appendChild(this.createChart({
+            title: t('chart.precipitation'),
+            labels,
+            type: 'bar',
+            min: 0,
+            max: 100,
+            series: [
+                { name: t('series.precipitation'), className: 'series-pop', values: hours.map(hour => Math.round(hour.precipitationProbability)) }
+            ]
+        }));
+        charts.appendChild(this.createChart({
+            title: t('chart.wind', { unit: units.speed }),
+            labels,
+            min: 0,
+            series: [
+                { name: t('series.wind'), className: 'series-wind', values: hours.map(hour => hour.windSpeed) }
+            ]
+        }));
+
+        const timeline = document.getElementById('hourlyTimeline');
+        timeline.innerHTML = '';
+        hours.forEach(hour => timeline.appendChild(this.createHourElement(hour, units)));
+
+        document.getElementById('hourlyPanel').style.display = 'block';
+    }
+
+    collapseDay() {
+        this.expandedDay = null;
+        document.querySelectorAll('.forecast-day').forEach(el => {
+            el.classList.remove('selected');
+            el.setAttribute('aria-expanded', 'false');
+        });
+        document.getElementById('hourlyPanel').style.display = 'none';
+    }
+
+    createHourElement(hour, units) {
+        const hourEl = document.createElement('li');
+        hourEl.className = 'hourly-step';
+
+        const time = document.createElement('span');
+        time.className = 'hourly-time';
+        time.textContent = this.formatHour(hour.datetime);
+
+        const icon = document.createElement('img');
+        icon.src = `https://openweathermap.org/img/wn/${hour.icon}.png`;
+        icon.alt = hour.description;
+
+        const temp = document.createElement('span');
+        temp.className = 'hourly-temp';
+        temp.textContent = this.i18n.degrees(hour.temperature);
+
+        const detail = document.createElement('span');
+        detail.className = 'hourly-detail';
+        detail.textContent = this.i18n.t('hourly.detail', {
+            feelsLike: this.i18n.degrees(hour.feelsLike),
+            pop: this.i18n.percent(Math.round(hour.precipitationProbability)),
+            wind: this.i18n.quantity(hour.windSpeed, units.speed)
+        });
+
+        hourEl.append(time, icon, temp, detail);
+        return hourEl;
+    }
+
+    formatHour(datetime) {
+        return this.i18n.time(datetime);
+    }
+
+    // Draw a small inline SVG chart; no chart library so the page stays within the CSP
+    createChart({ title, labels, series, type = 'line', min, max }) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const width = 320;
+        const height = 140;
+        const pad = { top: 12, right: 10, bottom: 22, left: 32 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+
+        const values = series.flatMap(s => s.values);
+        let low = min !== undefined ? min : Math.floor(Math.min(...values));
+        let high = max !== undefined ? max : Math.ceil(Math.max(...values));
+        if (high === low) {
+            high += 1;
+            low = min !== undefined ? low : low - 1;
+        }
+
+        const step = labels.length > 1 ? plotWidth / (labels.length - 1) : 0;
+        const barWidth = plotWidth / labels.length;
+        const x = (index) => type === 'bar'
+            ? pad.left + barWidth * index + barWidth / 2
+            : pad.left + (labels.length > 1 ? step * index : plotWidth / 2);
+        const y = (value) => pad.top + plotHeight - ((value - low) / (high - low)) * plotHeight;
+
+        const el = (name, attributes = {}, text) => {
+            const node = document.createElementNS(ns, name);
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        const figure = document.createElement('figure');
+        figure.className = 'hourly-chart';
+        const caption = document.createElement('figcaption');
+        caption.textContent = title;
+
+        const svg = el('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': title });
+
+        // Horizontal grid lines with value labels at the bottom, middle and top
+        [low, (low + high) / 2, high].forEach(value => {
+            svg.appendChild(el('line', {
+                class: 'chart-grid', x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value)
+            }));
+            svg.appendChild(el('text', {
+                class: 'chart-axis', x: pad.left - 4, y: y(value) + 3, 'text-anchor': 'end'
+            }, this.i18n.number(value, { maximumFractionDigits: 1 })));
+        });
+
+        labels.forEach((label, index) => {
+            svg.appendChild(el('text', {
+                class: 'chart-axis', x: x(index), y: height - 6, 'text-anchor': 'middle'
+            }, label));
+        });
+
+        series.forEach(({ name, className, values: points }) => {
+            if (type === 'bar') {
+                points.forEach((value, index) => {
+                    const bar = el('rect', {
+                        class: `chart-bar ${className}`,
+                        x: x(index) - barWidth * 0.3,
+                        y: y(value),
+                        width: barWidth * 0.6,
+                        height: pad.top + plotHeight - y(value)
+                    });
+                    bar.appendChild(el('title', {}, `${labels[index]}: ${this.i18n.number(value)}`));
+                    svg.appendChild(bar);
+                });
+                return;
+            }
+
+            svg.appendChild(el('polyline', {
+                class: `chart-line ${className}`,
+                points: points.map((value, index) => `${x(index)},${y(value)}`).join(' ')
+            }));
+            points.forEach((value, index) => {
+                const dot = el('circle', { class: `chart-dot ${className}`, cx: x(index), cy: y(value), r: 3 });
+                dot.appendChild(el('title', {}, `${name} ${labels[index]}: ${this.i18n.number(value)}`));
+                svg.appendChild(dot);
+            });
+        });
+
+        figure.append(caption, svg);
+
+        if (series.length > 1) {
+            const legend = document.createElement('div');
+            legend.className = 'chart-legend';
+            series.forEach(({ name, className }) => {
+                const item = document.createElement('span');
+                item.className = `legend-item ${className}`;
+                item.textContent = name;
+                legend.appendChild(item);
+            });
+            figure.appendChild(legend);
+        }
+
+        return figure;
+    }
+
+    loadFavourites() {
+        try {
+            const favourites = JSON.parse(localStorage.getItem(FAVOURITES_KEY));
+            return Array.isArray(favourites) ? favourites.slice(0, MAX_FAVOURITES) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveFavourites() {
+        try {
+            localStorage.setItem(FAVOURITES_KEY, JSON.stringify(this.favourites));
+        } catch (error) {
+            console.error('Failed to save favourites:', error);
+        }
+    }
+
+    findFavourite(label) {
+        return this.favourites.findIndex(favourite => favourite.label === label);
+    }
+
+    toggleFavourite() {
+        if (!this.currentWeather || !this.lastLocation) return;
+
+        const index = this.findFavourite(this.currentWeather.location);
+        if (index >= 0) {
+            this.removeFavourite(index);
+        } else if (this.favourites.length >= MAX_FAVOURITES) {
+            this.setDashboardStatus(this.i18n.t('dashboard.limit', { max: this.i18n.number(MAX_FAVOURITES) }));
+            return;
+        } else {
+            this.favourites.push({ label: this.currentWeather.location, location: this.lastLocation });
+            this.dashboardResults.push({ success: true, data: this.currentWeather });
+            this.saveFavourites();
+            this.renderDashboard();
+        }
+
+        this.updateFavouriteButton();
+    }
+
+    removeFavourite(index) {
+        this.favourites.splice(index, 1);
+        this.dashboardResults.splice(index, 1);
+        this.saveFavourites();
+        this.renderDashboard();
+        this.updateFavouriteButton();
+    }
+
+    moveFavourite(from, to) {
+        if (from === to) return;
+
+        const [favourite] = this.favourites.splice(from, 1);
+        this.favourites.splice(to, 0, favourite);
+        const [result] = this.dashboardResults.splice(from, 1);
+        this.dashboardResults.splice(to, 0, result);
+
+        this.saveFavourites();
+        this.renderDashboard();
+    }
+
+    updateFavouriteButton() {
+        const button = document.getElementById('favouriteBtn');
+        const saved = this.currentWeather && this.findFavourite(this.currentWeather.location) >= 0;
+
+        button.textContent = saved ? '★' : '☆';
+        button.setAttribute('aria-pressed', String(Boolean(saved)));
+        button.title = this.i18n.t(saved ? 'favourite.remove' : 'favourite.add');
+    }
+
+    // Fetch every favourite with a single /multiple request
+    async refreshDashboard() {
+        this.renderDashboard();
+        if (this.favourites.length === 0) return;
+
+        this.setDashboardStatus(this.i18n.t('dashboard.refreshing'));
+
+        try {
+            const response = await fetch(`${this.baseURL}/multiple`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    cities: this.favourites.map(({ location }) =>
+                        location.city ? location.city : { lat: location.lat, lon: location.lon }),
+                    units: this.units,
+                    lang: this.i18n.lang
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || this.i18n.t('error.http', { status: response.status }));
+            }
+
+            this.dashboardResults = data.data;
+            this.renderDashboard();
+
+            const cachedAt = this.cachedAt(response);
+            this.setDashboardStatus(cachedAt
+                ? this.i18n.t('dashboard.offline', { time: this.formatCachedAt(cachedAt) })
+                : this.i18n.t('dashboard.updated', { time: this.i18n.time(new Date()) }));
+        } catch (error) {
+            console.error('Dashboard refresh error:', error);
+            this.setDashboardStatus(this.i18n.t('dashboard.failed', { error: error.message }));
+        }
+    }
+
+    setDashboardStatus(message) {
+        document.getElementById('dashboardStatus').textContent = message;
+    }
+
+    renderDashboard() {
+        const dashboard = document.getElementById('dashboard');
+        const grid = document.getElementById('dashboardGrid');
+        grid.innerHTML = '';
+
+        this.favourites.forEach((favourite, index) => {
+            grid.appendChild(this.createDashboardCard(favourite, this.dashboardResults[index], index));
+        });
+
+        dashboard.style.display = this.favourites.length > 0 ? 'block' : 'none';
+        this.updateMapMarkers();
+    }
+
+    createDashboardCard(favourite, result, index) {
+        const card = document.createElement('li');
+        card.className = 'dashboard-card';
+        card.draggable = true;
+        card.tabIndex = 0;
+        card.title = this.i18n.t('dashboard.show', { label: favourite.label });
+
+        const name = document.createElement('span');
+        name.className = 'dashboard-name';
+        name.textContent = favourite.label;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'dashboard-remove';
+        remove.textContent = '✕';
+        remove.setAttribute('aria-label', this.i18n.t('dashboard.remove', { label: favourite.label }));
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.removeFavourite(index);
+        });
+
+        card.append(name, remove);
+
+        if (result && result.success) {
+            const { data } = result;
+            const icon = document.createElement('img');
+            icon.src = `https://openweathermap.org/img/wn/${data.icon}.png`;
+            icon.alt = data.description;
+
+            const temp = document.createElement('span');
+            temp.className = 'dashboard-temp';
+            temp.textContent = this.i18n.quantity(data.temperature, data.units.temperature);
+
+            const desc = document.createElement('span');
+            desc.className = 'dashboard-desc';
+            desc.textContent = `${data.description} · 💨 ${this.i18n.quantity(data.windSpeed, data.units.speed)}`;
+
+            card.append(icon, temp, desc);
+        } else {
+            const desc = document.createElement('span');
+            desc.className = 'dashboard-desc';
+            desc.textContent = result ? result.error : '--';
+            card.appendChild(desc);
+        }
+
+        card.addEventListener('click', () => {
+            document.getElementById('cityInput').value = favourite.label;
+            this.loadWeather(favourite.location);
+        });
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                card.click();
+            }
+        });
+
+        // Drag and drop to reorder
+        card.addEventListener('dragstart', (e) => {
+            this.dragIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => {
+            this.dragIndex = null;
+            card.classList.remove('dragging');
+        });
+        card.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            card.classList.add('drag-over');
+        });
+        card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+        card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            card.classList.remove('drag-over');
+            if (this.dragIndex !== null) {
+                this.moveFavourite(this.dragIndex, index);
+            }
+        });
+
+        return card;
+    }
+
+    // The service worker flags API responses it served from its cache when the network failed
+    cachedAt(response) {
+        if (response.headers.get('X-SW-Stale') !== 'true') return null;
+        return new Date(response.headers.get('X-SW-Cached-At'));
+    }
+
+    // Data is stale when the service worker answered offline, or when the server answered
+    // from its cache because the weather provider failed (`stale` in the envelope)
+    trackStaleness(response, body) {
+        const offlineAt = this.cachedAt(response);
+        const cachedAt = offlineAt || (body.stale ? new Date(body.stale.since) : null);
+        if (cachedAt && (!this.staleSince || cachedAt < this.staleSince)) {
+            this.staleSince = cachedAt;
+        }
+        this.staleOffline = this.staleOffline || Boolean(offlineAt);
+    }
+
+    formatCachedAt(date) {
+        return this.i18n.dateTime(date, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    }
+
+    updateStaleBanner() {
+        const banner = document.getElementById('staleBanner');
+
+        if (this.staleSince) {
+            const reason = this.i18n.t(this.staleOffline ? 'stale.offline' : 'stale.provider');
+            banner.textContent = this.i18n.t('stale.banner', { reason, time: this.formatCachedAt(this.staleSince) });
+            banner.style.display = 'block';
+        } else {
+            banner.style.display = 'none';
+        }
+    }
+
     showLoading() {
+        this.stopFollowing();
         document.getElementById('loading').style.display = 'block';
         document.getElementById('error').style.display = 'none';
         document.getElementById('weatherContainer').style.display = 'none';
@@ -311,6 +1329,7 @@ class WeatherAPI {
     }
 
     showError(message) {
+        this.stopFollowing();
         document.getElementById('loading').style.display = 'none';
         document.getElementById('error').style.display = 'block';
         document.getElementById('errorMessage').textContent = message;
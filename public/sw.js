@@ -1,26 +1,151 @@
-const CACHE_NAME = 'weather-api-v1';
-const urlsToCache = [
+// Bump VERSION whenever a static asset changes, together with the ?v= query strings in
+// index.html. Activating a new version deletes the caches of every older one. Saved API
+// responses do not depend on the assets, so their cache keeps its name across versions.
+const VERSION = 'v8';
+const STATIC_CACHE = `weather-static-${VERSION}`;
+const API_CACHE = 'weather-api';
+const ICON_CACHE = 'weather-icons';
+const TILE_CACHE = 'weather-map-tiles';
+const CURRENT_CACHES = [STATIC_CACHE, API_CACHE, ICON_CACHE, TILE_CACHE];
+
+const STATIC_ASSETS = [
     '/',
-    '/styles.css',
-    '/script.js',
-    'https://openweathermap.org/img/wn/01d@2x.png', // Sample weather icon
+    `/styles.css?v=${VERSION}`,
+    `/i18n.js?v=${VERSION}`,
+    `/map.js?v=${VERSION}`,
+    `/script.js?v=${VERSION}`,
+    '/manifest.webmanifest',
+    '/icons/icon.svg'
 ];
 
+const ICON_ORIGIN = 'https://openweathermap.org';
+const MAX_ICONS = 60;
+const MAX_TILES = 300;
+const MAX_API_RESPONSES = 100;
+
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                return cache.addAll(urlsToCache);
-            })
+        caches.open(STATIC_CACHE)
+            .then((cache) => cache.addAll(STATIC_ASSETS))
+            .then(() => self.skipWaiting())
     );
 });
 
-self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                // Return cached version or fetch from network
-                return response || fetch(event.request);
-            })
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(
+                names
+                    .filter((name) => !CURRENT_CACHES.includes(name))
+                    .map((name) => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
     );
-});
\ No newline at end of file
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/weather/')) {
+        // The live update stream never completes, so it cannot be cached; leave it to the browser.
+        // Bulk job status and results only make sense fresh, and place search results have no
+        // use offline, so they bypass the cache too.
+        if (url.pathname === '/api/weather/stream' || url.pathname === '/api/weather/geocode' ||
+            url.pathname.startsWith('/api/weather/jobs')) return;
+
+        if (request.method === 'GET' || url.pathname === '/api/weather/multiple') {
+            event.respondWith(networkFirst(request));
+        }
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (url.origin === ICON_ORIGIN && url.pathname.startsWith('/img/')) {
+        event.respondWith(cacheLimited(ICON_CACHE, MAX_ICONS, request));
+    } else if (url.origin === self.location.origin && url.pathname.startsWith('/tiles/base/')) {
+        // Base map tiles hardly change, so areas already seen stay visible offline.
+        // Weather layers are left to the HTTP cache, which expires them with the data.
+        event.respondWith(cacheLimited(TILE_CACHE, MAX_TILES, request));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match('/', { cacheName: STATIC_CACHE })));
+    } else if (url.origin === self.location.origin && STATIC_ASSETS.includes(url.pathname + url.search)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// The Cache API only stores GET requests, so POST /multiple is keyed by its body
+async function cacheKeyFor(request) {
+    if (request.method === 'GET') return request;
+
+    const body = await request.clone().text();
+    return new Request(`${request.url}?body=${encodeURIComponent(body)}`);
+}
+
+// Network first for API calls; fall back to the last good response, marked as stale.
+// Only the newest MAX_API_RESPONSES responses are kept.
+async function networkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+    const key = await cacheKeyFor(request);
+
+    try {
+        const response = await fetch(request.clone());
+
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set('X-SW-Cached-At', new Date().toISOString());
+            const body = await response.clone().blob();
+            await cache.put(key, new Response(body, { status: response.status, headers }));
+            await trimCache(cache, MAX_API_RESPONSES);
+        }
+
+        // Upstream outages (5xx) still fall through to the cached copy below
+        if (response.status < 500) return response;
+
+        const cached = await cache.match(key);
+        return cached ? markStale(cached) : response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return markStale(cached);
+        throw error;
+    }
+}
+
+async function markStale(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-SW-Stale', 'true');
+    return new Response(await response.blob(), { status: response.status, headers });
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(STATIC_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Images are cached as they are first displayed, keeping only the newest `limit`
+async function cacheLimited(cacheName, limit, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        await trimCache(cache, limit);
+    }
+    return response;
+}
+
+// Delete the oldest entries beyond `limit`; cache keys are listed in the order they were stored
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
@@ -0,0 +1,167 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ApiError } = require('../lib/errors');
+const { sendData } = require('../lib/response');
+const { TIERS, QUOTA_WINDOW_MS, quotaFor } = require('../lib/quotas');
+
+// Helper function to validate a CORS allowlist entry: '*' or a bare http(s) origin
+const validateOrigin = (origin) => {
+  if (origin === '*') return true;
+  try {
+    const url = new URL(origin);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.origin === origin;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate the writable client fields present in a request body
+const validateClientFields = ({ name, tier, quota, allowedOrigins, disabled }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    throw new ApiError('INVALID_REQUEST', 'name must be a non-empty string');
+  }
+
+  if (tier !== undefined && !Object.prototype.hasOwnProperty.call(TIERS, tier)) {
+    throw new ApiError('INVALID_REQUEST', `tier must be one of: ${Object.keys(TIERS).join(', ')}`);
+  }
+
+  if (quota !== undefined && quota !== null && (!Number.isInteger(quota) || quota < 1)) {
+    throw new ApiError('INVALID_REQUEST', 'quota must be a positive integer or null');
+  }
+
+  if (allowedOrigins !== undefined &&
+      (!Array.isArray(allowedOrigins) || !allowedOrigins.every(validateOrigin))) {
+    throw new ApiError('INVALID_REQUEST', 'allowedOrigins must be an array of origins like https://example.com, or "*"');
+  }
+
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    throw new ApiError('INVALID_REQUEST', 'disabled must be a boolean');
+  }
+};
+
+// Client as shown by the admin API; the key hash never leaves the server
+const toPublicClient = ({ keyHash, ...client }) => ({
+  ...client,
+  limits: { quota: quotaFor(client), windowSeconds: QUOTA_WINDOW_MS / 1000 }
+});
+
+// Create the admin router for issuing API keys and reading usage. Every request must send
+// `Authorization: Bearer <ADMIN_TOKEN>`; without a configured token the admin API is off.
+const createAdminRouter = ({ clients, usage, token }) => {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!token) {
+      return next(new ApiError('ADMIN_NOT_CONFIGURED'));
+    }
+
+    const [scheme, supplied = ''] = (req.get('Authorization') || '').split(' ');
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(supplied).digest();
+
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, actual)) {
+      return next(new ApiError('ADMIN_UNAUTHORIZED'));
+    }
+    next();
+  });
+
+  router.use(express.json());
+
+  // Look up a client or fail with CLIENT_NOT_FOUND
+  const findClient = (id) => {
+    const client = clients.get(id);
+    if (!client) {
+      throw new ApiError('CLIENT_NOT_FOUND');
+    }
+    return client;
+  };
+
+  // Issue an API key for a new client; the key is only returned here
+  router.post('/clients', (req, res) => {
+    const { name, tier = 'free', quota = null, allowedOrigins = [] } = req.body;
+
+    if (name === undefined) {
+      throw new ApiError('INVALID_REQUEST', 'Please provide a client name');
+    }
+    validateClientFields({ name, tier, quota, allowedOrigins });
+
+    const { client, key } = clients.create({
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      tier,
+      quota,
+      allowedOrigins,
+      disabled: false,
+      createdAt: new Date().toISOString()
+    });
+
+    sendData(res, { ...toPublicClient(client), apiKey: key }, 201);
+  });
+
+  router.get('/clients', (req, res) => {
+    sendData(res, clients.list().map(toPublicClient));
+  });
+
+  router.get('/clients/:id', (req, res) => {
+    const client = findClient(req.params.id);
+    sendData(res, { ...toPublicClient(client), usage: usage.get(client.id) || null });
+  });
+
+  // Change a client's name, tier, quota override, origin allowlist or disabled flag
+  router.patch('/clients/:id', (req, res) => {
+    findClient(req.params.id);
+
+    const { name, tier, quota, allowedOrigins, disabled } = req.body;
+    validateClientFields({ name, tier, quota, allowedOrigins, disabled });
+
+    const changes = Object.fromEntries(Object.entries({
+      name: typeof name === 'string' ? name.trim() : name,
+      tier,
+      quota,
+      allowedOrigins,
+      disabled
+    }).filter(([, value]) => value !== undefined));
+
+    sendData(res, toPublicClient(clients.update(req.params.id, changes)));
+  });
+
+  // Issue a new key for a client; the previous key stops working immediately
+  router.post('/clients/:id/rotate', (req, res) => {
+    findClient(req.params.id);
+
+    const { client, key } = clients.rotateKey(req.params.id);
+    sendData(res, { ...toPublicClient(client), apiKey: key });
+  });
+
+  router.delete('/clients/:id', (req, res) => {
+    findClient(req.params.id);
+    clients.remove(req.params.id);
+    sendData(res, { id: req.params.id, deleted: true });
+  });
+
+  // Request counts per client and per route since the server started
+  router.get('/usage', (req, res) => {
+    const { since, clients: counts, routes } = usage.report();
+
+    sendData(res, {
+      since,
+      clients: Object.entries(counts).map(([id, entry]) => {
+        const client = clients.get(id);
+        return {
+          id,
+          name: id === 'anonymous' ? 'Anonymous' : client?.name || null,
+          tier: client?.tier || null,
+          limits: id === 'anonymous' || client
+            ? { quota: quotaFor(client), windowSeconds: QUOTA_WINDOW_MS / 1000 }
+            : null,
+          ...entry
+        };
+      }),
+      routes
+    });
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
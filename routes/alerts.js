@@ -0,0 +1,122 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ApiError } = require('../lib/errors');
+const asyncHandler = require('../lib/asyncHandler');
+const { sendData } = require('../lib/response');
+const { createCache } = require('../lib/cache');
+const { numberFromEnv } = require('../lib/config');
+const { CACHE_TTL, STALE_TTL, createWeatherData } = require('../lib/weatherData');
+const { createWebhookGuard, deliverWebhook } = require('../lib/webhooks');
+const { logger } = require('../lib/logger');
+const requireProvider = require('../middleware/requireProvider');
+const { requireClient } = require('../middleware/apiKey');
+
+const MIN_SECRET_LENGTH = 16;
+
+// Subscription as shown to clients; the signing secret is only revealed on creation
+const toPublicSubscription = ({ secret, deliveredAlerts, owner, ...subscription }) => ({
+  ...subscription,
+  deliveredAlertCount: Object.keys(deliveredAlerts).length
+});
+
+// Create the router for alert webhook subscriptions. Subscriptions need an API key and
+// belong to the client that created them; `guard` decides which webhook URLs are allowed.
+// Every subscribed location is polled upstream, so each client may hold at most
+// `maxPerOwner` subscriptions.
+const createAlertSubscriptionsRouter = ({
+  provider,
+  store,
+  cache = createCache({ maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 500), staleTtl: STALE_TTL }),
+  cacheTtl = CACHE_TTL,
+  deliver = deliverWebhook,
+  guard = createWebhookGuard(),
+  maxPerOwner = 10
+}) => {
+  const router = express.Router();
+  const checkApiKey = requireProvider(provider);
+  const { resolveCoordinates } = createWeatherData({ provider, cache, cacheTtl });
+
+  // Look up one of the client's subscriptions or fail with SUBSCRIPTION_NOT_FOUND
+  const findSubscription = (id, owner) => {
+    const subscription = store.get(id);
+    if (!subscription || subscription.owner !== owner) {
+      throw new ApiError('SUBSCRIPTION_NOT_FOUND');
+    }
+    return subscription;
+  };
+
+  // Register a webhook for alerts at a city or coordinates
+  router.post('/', requireClient, checkApiKey, asyncHandler(async (req, res) => {
+    const { url, secret, city, lat, lon } = req.body;
+
+    // Internal hosts are refused with the same message as unresolvable ones, so the check
+    // cannot be used to probe the server's network
+    const allowed = typeof url === 'string' && await guard.check(url).then(() => true, () => false);
+    if (!allowed) {
+      throw new ApiError('INVALID_REQUEST', 'Please provide an http(s) webhook url on a public host');
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+      throw new ApiError('INVALID_REQUEST', `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    const owned = store.list().filter(subscription => subscription.owner === req.apiClient.id);
+    if (owned.length >= maxPerOwner) {
+      throw new ApiError('JOB_LIMIT_REACHED',
+        `This API key holds ${maxPerOwner} alert subscriptions, the most allowed. Delete one to add another.`);
+    }
+
+    const { name, country, ...coordinates } = await resolveCoordinates({ city, lat: lat?.toString(), lon: lon?.toString() });
+    const location = name ? { name: `${name}, ${country}`, ...coordinates } : coordinates;
+
+    const subscription = store.create({
+      id: crypto.randomUUID(),
+      owner: req.apiClient.id,
+      url,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      location,
+      createdAt: new Date().toISOString(),
+      lastPolledAt: null,
+      lastError: null,
+      deliveredAlerts: {}
+    });
+
+    sendData(res, { ...toPublicSubscription(subscription), secret: subscription.secret }, 201);
+  }));
+
+  // Get a subscription's status
+  router.get('/:id', requireClient, (req, res) => {
+    sendData(res, toPublicSubscription(findSubscription(req.params.id, req.apiClient.id)));
+  });
+
+  // Send a signed ping to check that the webhook receiver is reachable. Why delivery failed
+  // is only logged: connection errors would tell the caller about the network behind the URL.
+  router.post('/:id/test', requireClient, asyncHandler(async (req, res) => {
+    const subscription = findSubscription(req.params.id, req.apiClient.id);
+
+    try {
+      const deliveryId = await deliver({
+        url: subscription.url,
+        secret: subscription.secret,
+        event: 'ping',
+        payload: { event: 'ping', subscriptionId: subscription.id, sentAt: new Date().toISOString() },
+        guard
+      });
+      sendData(res, { delivered: true, deliveryId });
+    } catch (error) {
+      logger.warn('Webhook ping failed', { subscriptionId: subscription.id, error: error.message });
+      throw new ApiError('WEBHOOK_DELIVERY_FAILED');
+    }
+  }));
+
+  // Cancel a subscription
+  router.delete('/:id', requireClient, (req, res) => {
+    findSubscription(req.params.id, req.apiClient.id);
+    store.remove(req.params.id);
+    sendData(res, { id: req.params.id, deleted: true });
+  });
+
+  return router;
+};
+
+module.exports = createAlertSubscriptionsRouter;
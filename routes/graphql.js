@@ -0,0 +1,146 @@
+const express = require('express');
+const { GraphQLError, GraphQLString, Kind, parse, validate, execute, valueFromAST } = require('graphql');
+const { createProvider } = require('../providers');
+const { createCache } = require('../lib/cache');
+const { numberFromEnv } = require('../lib/config');
+const { ApiError, toApiError } = require('../lib/errors');
+const { LANGUAGES, languageOf, createTranslator } = require('../lib/i18n');
+const asyncHandler = require('../lib/asyncHandler');
+const { CACHE_TTL, STALE_TTL, createWeatherData } = require('../lib/weatherData');
+const { createObservationRecorder } = require('../lib/observationRecorder');
+const { schema, FIELD_COSTS, LIST_ARGUMENTS, createRootValue } = require('../lib/graphqlSchema');
+const { analyzeQuery } = require('../lib/queryLimits');
+const requireProvider = require('../middleware/requireProvider');
+const { logApiError } = require('../middleware/errorHandler');
+
+// Helper function to check `variables` is absent or a JSON object
+const isVariables = (variables) =>
+  variables === undefined || variables === null ||
+  (typeof variables === 'object' && !Array.isArray(variables));
+
+// The `lang` argument of each top-level field of the operation, by response key. Fields
+// spread from fragments are not looked at; their errors use the request's language.
+const fieldLanguages = (document, operationName, variables) => {
+  const operation = document.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION &&
+    (!operationName || definition.name?.value === operationName));
+
+  return new Map((operation ? operation.selectionSet.selections : [])
+    .filter(selection => selection.kind === Kind.FIELD)
+    .map(field => {
+      const lang = field.arguments.find(argument => argument.name.value === 'lang');
+      return [(field.alias || field.name).value, lang && valueFromAST(lang.value, GraphQLString, variables)];
+    }));
+};
+
+// Create the GraphQL router. It shares the provider, cache and recorder with the REST
+// routes. Queries are answered with the standard GraphQL { data, errors } body, each error
+// carrying the REST error code in its extensions; requests without a usable query body
+// get the REST error envelope like any other route.
+const createGraphqlRouter = ({
+  provider = createProvider(),
+  cache = createCache({ maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 500), staleTtl: STALE_TTL }),
+  cacheTtl = CACHE_TTL,
+  recorder = createObservationRecorder({ provider }),
+  maxDepth = numberFromEnv('GRAPHQL_MAX_DEPTH', 6),
+  maxCost = numberFromEnv('GRAPHQL_MAX_COST', 300)
+} = {}) => {
+  const router = express.Router();
+
+  const rootValue = createRootValue({ provider, data: createWeatherData({ provider, cache, cacheTtl }), recorder });
+
+  // Translate GraphQL errors into the shared error model; resolver errors keep their ApiError
+  // code. Messages are localized like REST errors, into the language of the field that failed
+  // when it has a supported `lang`.
+  const formatError = (req, error, code, languages = new Map()) => {
+    const apiError = error.originalError
+      ? toApiError(error.originalError)
+      : new ApiError(code, error.message);
+    logApiError(req, apiError, error.originalError || error);
+
+    const lang = languages.get(error.path?.[0]);
+    const translator = createTranslator(LANGUAGES.includes(lang) ? lang : languageOf(req));
+
+    return {
+      message: translator.error(apiError),
+      ...(error.locations && { locations: error.locations }),
+      ...(error.path && { path: error.path }),
+      extensions: {
+        code: apiError.code,
+        requestId: req.id,
+        ...(apiError.retryAfter !== undefined && { retryAfter: apiError.retryAfter })
+      }
+    };
+  };
+
+  // Reject a request that cannot run at all: 400 with errors and no data
+  const sendRequestErrors = (req, res, errors, code) => {
+    res.status(400).json({ errors: errors.map(error => formatError(req, error, code)) });
+  };
+
+  router.post('/', requireProvider(provider), asyncHandler(async (req, res) => {
+    const { query, variables, operationName } = req.body || {};
+
+    if (typeof query !== 'string' || query.trim() === '') {
+      throw new ApiError('INVALID_REQUEST', 'Please provide a GraphQL query');
+    }
+
+    if (!isVariables(variables)) {
+      throw new ApiError('INVALID_REQUEST', 'variables must be an object');
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return sendRequestErrors(req, res, [error], 'INVALID_REQUEST');
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return sendRequestErrors(req, res, validationErrors, 'INVALID_REQUEST');
+    }
+
+    const { depth, cost } = analyzeQuery(schema, document, {
+      operationName,
+      variables: variables || {},
+      costs: FIELD_COSTS,
+      listArguments: LIST_ARGUMENTS
+    });
+
+    if (depth > maxDepth) {
+      const error = new GraphQLError(`Query depth ${depth} exceeds the limit of ${maxDepth}`);
+      return sendRequestErrors(req, res, [error], 'QUERY_TOO_COMPLEX');
+    }
+
+    if (cost > maxCost) {
+      const error = new GraphQLError(`Query cost ${cost} exceeds the limit of ${maxCost}`);
+      return sendRequestErrors(req, res, [error], 'QUERY_TOO_COMPLEX');
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      rootValue,
+      variableValues: variables,
+      operationName
+    });
+
+    // Without data the operation never ran (unknown operation name or bad variables)
+    if (!('data' in result)) {
+      return sendRequestErrors(req, res, result.errors, 'INVALID_REQUEST');
+    }
+
+    const languages = fieldLanguages(document, operationName, variables || {});
+    const errors = (result.errors || []).map(error => formatError(req, error, 'INTERNAL_ERROR', languages));
+    const retryAfter = errors.find(error => error.extensions.retryAfter !== undefined);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter.extensions.retryAfter));
+    }
+
+    res.json({ data: result.data, ...(errors.length > 0 && { errors }) });
+  }));
+
+  return router;
+};
+
+module.exports = createGraphqlRouter;
@@ -0,0 +1,33 @@
+const express = require('express');
+const asyncHandler = require('../lib/asyncHandler');
+
+// Health endpoints for load balancers and orchestrators. Liveness only says the process
+// serves requests; readiness also needs a configured, reachable weather provider.
+const createHealthRouter = ({ healthCheck }) => {
+  const router = express.Router();
+
+  const status = (ok) => ({
+    status: ok ? 'OK' : 'UNAVAILABLE',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+
+  // Readiness: 503 until the provider is usable
+  const readiness = asyncHandler(async (req, res) => {
+    const { ready, ...report } = await healthCheck.check();
+    res.status(ready ? 200 : 503).json({ ...status(ready), ...report });
+  });
+
+  // /health keeps working for monitors set up before /health/ready existed
+  router.get('/', readiness);
+  router.get('/ready', readiness);
+
+  // Liveness: no dependencies, so a provider outage never gets the process restarted
+  router.get('/live', (req, res) => {
+    res.json(status(true));
+  });
+
+  return router;
+};
+
+module.exports = createHealthRouter;
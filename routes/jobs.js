@@ -0,0 +1,85 @@
+const express = require('express');
+const { ApiError } = require('../lib/errors');
+const { sendData } = require('../lib/response');
+const { isLocationEntry } = require('../lib/location');
+const { MAX_JOB_LOCATIONS } = require('../lib/bulkJobs');
+const { resolveUnits, createConverter } = require('../lib/units');
+const { resolveLanguage, createTranslator } = require('../lib/i18n');
+const { negotiateFormat, sendExport, toNdjson, multipleToCsv, multipleToGeoJson } = require('../lib/exporters');
+const asyncHandler = require('../lib/asyncHandler');
+const requireProvider = require('../middleware/requireProvider');
+const { requireClient } = require('../middleware/apiKey');
+
+// Create the router for bulk weather jobs: the same locations as POST /multiple, but
+// hundreds at a time, fetched in the background (see lib/bulkJobs.js). Jobs need an API key,
+// and each location counts against its quota (`quota` from lib/quotas.js).
+const createBulkJobsRouter = ({
+  provider,
+  jobs,
+  quota = { check: () => {}, charge: async () => {} },
+  maxLocations = MAX_JOB_LOCATIONS
+}) => {
+  const router = express.Router();
+  const checkApiKey = requireProvider(provider);
+
+  // Jobs belong to the API client that submitted them
+  const ownerOf = (req) => req.apiClient.id;
+
+  // Submit a job; poll the URL in the Location header for its progress
+  router.post('/', requireClient, checkApiKey, asyncHandler(async (req, res) => {
+    const { cities } = req.body;
+
+    if (!Array.isArray(cities) || cities.length === 0) {
+      throw new ApiError('INVALID_REQUEST', 'Please provide an array of city names or coordinates');
+    }
+
+    if (cities.length > maxLocations) {
+      throw new ApiError('INVALID_REQUEST', `Maximum ${maxLocations} locations allowed per job`);
+    }
+
+    if (!cities.every(isLocationEntry)) {
+      throw new ApiError('INVALID_REQUEST', 'Each entry must be a city name or an object with lat and lon');
+    }
+
+    // The submission itself was counted once already
+    quota.check(req, cities.length - 1);
+
+    const job = jobs.create({
+      locations: cities,
+      units: createConverter(resolveUnits(req.body)),
+      translator: createTranslator(resolveLanguage(req.body)),
+      owner: ownerOf(req)
+    });
+    await quota.charge(req, cities.length - 1);
+
+    res.location(`${req.baseUrl}/${job.id}`);
+    sendData(res, job, 202);
+  }));
+
+  // Get a job's status and progress
+  router.get('/:id', requireClient, (req, res) => {
+    sendData(res, jobs.get(req.params.id, ownerOf(req)));
+  });
+
+  // Download a finished job's results, one per location in submission order, shaped like
+  // POST /multiple results: as JSON, NDJSON (one result per line), CSV or GeoJSON
+  router.get('/:id/results', requireClient, (req, res) => {
+    const format = negotiateFormat(req, ['json', 'ndjson', 'csv', 'geojson']);
+    const results = jobs.results(req.params.id, ownerOf(req));
+
+    if (format === 'ndjson') return sendExport(res, format, toNdjson(results));
+    if (format === 'csv') return sendExport(res, format, multipleToCsv(results), `weather-job-${req.params.id}`);
+    if (format === 'geojson') return sendExport(res, format, multipleToGeoJson(results));
+    sendData(res, results);
+  });
+
+  // Cancel a job, or discard a finished one and its results
+  router.delete('/:id', requireClient, (req, res) => {
+    jobs.remove(req.params.id, ownerOf(req));
+    sendData(res, { id: req.params.id, deleted: true });
+  });
+
+  return router;
+};
+
+module.exports = createBulkJobsRouter;
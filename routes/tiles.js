@@ -0,0 +1,51 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { ApiError } = require('../lib/errors');
+const asyncHandler = require('../lib/asyncHandler');
+const { createCache } = require('../lib/cache');
+const { numberFromEnv } = require('../lib/config');
+const { QUOTA_WINDOW_MS } = require('../lib/quotas');
+const { parseTile, tileTtl } = require('../lib/tiles');
+const requireProvider = require('../middleware/requireProvider');
+
+// Map tiles proxied from the provider, so its API key stays on the server and pages only
+// load images from this origin. A map view needs dozens of tiles at a time, so tiles have
+// their own cache and per-IP limit instead of counting against API quotas.
+const createTilesRouter = ({
+  provider,
+  cache = createCache({ maxEntries: numberFromEnv('TILE_CACHE_MAX_ENTRIES', 300) }),
+  limit = numberFromEnv('TILE_RATE_LIMIT', 3000)
+}) => {
+  const router = express.Router();
+
+  router.use(rateLimit({
+    windowMs: QUOTA_WINDOW_MS,
+    max: limit,
+    handler: (req, res, next, options) => {
+      next(new ApiError('RATE_LIMITED', undefined, { retryAfter: Math.ceil(options.windowMs / 1000) }));
+    }
+  }));
+
+  router.get('/:layer/:z/:x/:y.png', requireProvider(provider), asyncHandler(async (req, res) => {
+    const tile = parseTile(req.params);
+    const ttl = tileTtl(tile.layer);
+    const key = ['tile', ...Object.entries(tile).map(([name, value]) => `${name}=${value}`)].join('|');
+
+    const { value, hit, age } = await cache.wrap(key, ttl, () => provider.getMapTile(tile)).catch(error => {
+      // Tile servers answer 404 outside their coverage, which is not a location lookup
+      throw error.response?.status === 404 ? new ApiError('TILE_NOT_FOUND', undefined, { cause: error }) : error;
+    });
+
+    res.set({
+      'Content-Type': value.contentType,
+      'Cache-Control': `public, max-age=${Math.max(0, ttl - age)}`,
+      'X-Cache': hit ? 'HIT' : 'MISS',
+      Age: String(age)
+    });
+    res.send(value.data);
+  }));
+
+  return router;
+};
+
+module.exports = createTilesRouter;
@@ -1,392 +1,402 @@
 const express = require('express');
-const axios = require('axios');
-const router = express.Router();
-
-const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
-const BASE_URL = 'https://api.openweathermap.org/data/2.5';
-const ONE_CALL_URL = 'https://api.openweathermap.org/data/3.0/onecall';
-
-// Middleware to check if API key is configured
-const checkApiKey = (req, res, next) => {
-  if (!OPENWEATHER_API_KEY) {
-    return res.status(500).json({
-      success: false,
-      error: 'OpenWeatherMap API key not configured'
-    });
+const { createProvider } = require('../providers');
+const { createCache } = require('../lib/cache');
+const { numberFromEnv } = require('../lib/config');
+const { ApiError } = require('../lib/errors');
+const asyncHandler = require('../lib/asyncHandler');
+const { sendData } = require('../lib/response');
+const { normalizeLocation, resolveLocation, isLocationEntry } = require('../lib/location');
+const { fetchActiveAlerts } = require('../lib/alerts');
+const { buildIndices } = require('../lib/indices');
+const { localDate, computeAstronomy } = require('../lib/astronomy');
+const { resolveUnits, createConverter } = require('../lib/units');
+const { resolveLanguage, createTranslator } = require('../lib/i18n');
+const { CACHE_TTL, STALE_TTL, UPSTREAM_UNITS, createWeatherData, entryFailure } = require('../lib/weatherData');
+const { createHistoryStore } = require('../lib/historyStore');
+const { parseDate, parseDateRange, fetchHistory, summarizeHistory } = require('../lib/history');
+const { createObservationRecorder } = require('../lib/observationRecorder');
+const { parseTimeRange, parseInterval, buildSeries } = require('../lib/observations');
+const { createLiveUpdates, locationKey } = require('../lib/liveUpdates');
+const {
+  negotiateFormat,
+  sendExport,
+  slugify,
+  forecastToCsv,
+  oneCallToCsv,
+  multipleToCsv,
+  oneCallToIcs,
+  oneCallToGeoJson,
+  multipleToGeoJson
+} = require('../lib/exporters');
+const requireProvider = require('../middleware/requireProvider');
+const {
+  formatWeatherData,
+  formatForecastData,
+  formatOneCallData,
+  formatGeocodeData,
+  formatAirQualityData,
+  formatHistoryData,
+  formatObservationData
+} = require('../lib/formatters');
+
+// OpenWeatherMap returns at most five geocoding candidates
+const MAX_GEOCODE_RESULTS = 5;
+
+// Helper function to validate the optional geocoding result limit
+const parseGeocodeLimit = (limit) => {
+  if (limit === undefined) return MAX_GEOCODE_RESULTS;
+
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_GEOCODE_RESULTS) {
+    throw new ApiError('INVALID_REQUEST', `limit must be an integer between 1 and ${MAX_GEOCODE_RESULTS}`);
   }
-  next();
-};
 
-// Helper function to validate coordinates
-const validateCoordinates = (lat, lon) => {
-  const latitude = parseFloat(lat);
-  const longitude = parseFloat(lon);
-  
-  return !isNaN(latitude) && !isNaN(longitude) && 
-         latitude >= -90 && latitude <= 90 && 
-         longitude >= -180 && longitude <= 180;
+  return value;
 };
 
-// Helper function to format weather data
-const formatWeatherData = (data) => {
-  return {
-    location: `${data.name}, ${data.sys.country}`,
-    coordinates: {
-      lat: data.coord.lat,
-      lon: data.coord.lon
-    },
-    temperature: Math.round(data.main.temp),
-    feelsLike: Math.round(data.main.feels_like),
-    description: data.weather[0].description,
-    icon: data.weather[0].icon,
-    humidity: data.main.humidity,
-    pressure: data.main.pressure,
-    windSpeed: data.wind.speed,
-    windDirection: data.wind.deg,
-    visibility: data.visibility / 1000, // Convert to km
-    cloudiness: data.clouds.all,
-    sunrise: new Date(data.sys.sunrise * 1000).toISOString(),
-    sunset: new Date(data.sys.sunset * 1000).toISOString(),
-    timezone: data.timezone
-  };
-};
+// Parts of the One Call payload that can be left out with `exclude`
+const ONECALL_PARTS = ['current', 'minutely', 'hourly', 'daily', 'alerts'];
+
+// Helper function to validate `exclude` and normalize it so equivalent lists share a cache entry
+const parseExclude = (exclude) => {
+  if (exclude === undefined || exclude === '') return undefined;
 
-// Helper function to format forecast data
-const formatForecastData = (data) => {
-  return {
-    location: `${data.city.name}, ${data.city.country}`,
-    coordinates: {
-      lat: data.city.coord.lat,
-      lon: data.city.coord.lon
-    },
-    forecast: data.list.map(item => ({
-      datetime: item.dt_txt,
-      timestamp: item.dt,
-      temperature: Math.round(item.main.temp),
-      feelsLike: Math.round(item.main.feels_like),
-      description: item.weather[0].description,
-      icon: item.weather[0].icon,
-      humidity: item.main.humidity,
-      pressure: item.main.pressure,
-      windSpeed: item.wind.speed,
-      windDirection: item.wind.deg,
-      cloudiness: item.clouds.all,
-      precipitationProbability: item.pop * 100
-    }))
-  };
+  const parts = String(exclude).split(',').map(part => part.trim()).filter(Boolean);
+  const invalid = parts.find(part => !ONECALL_PARTS.includes(part));
+  if (invalid !== undefined || parts.includes('current')) {
+    throw new ApiError('INVALID_REQUEST', `exclude may only list: ${ONECALL_PARTS.slice(1).join(', ')}`);
+  }
+
+  return [...new Set(parts)].sort().join(',') || undefined;
 };
 
-// Get current weather by city name or coordinates
-router.get('/current', checkApiKey, async (req, res) => {
-  try {
-    const { city, lat, lon, units = 'metric' } = req.query;
-    let url = `${BASE_URL}/weather?appid=${OPENWEATHER_API_KEY}&units=${units}`;
-    
-    if (city) {
-      url += `&q=${encodeURIComponent(city)}`;
-    } else if (lat && lon) {
-      if (!validateCoordinates(lat, lon)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180.'
-        });
-      }
-      url += `&lat=${lat}&lon=${lon}`;
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide either city name or coordinates (lat, lon)'
-      });
-    }
-    
-    console.log(`Fetching weather data from: ${url.replace(OPENWEATHER_API_KEY, '[API_KEY_HIDDEN]')}`);
-    
-    const response = await axios.get(url);
-    const weatherData = formatWeatherData(response.data);
-    
-    res.json({
-      success: true,
-      data: weatherData,
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    console.error('Weather API error:', error.response?.data || error.message);
-    console.error('Request URL:', error.config?.url?.replace(OPENWEATHER_API_KEY, '[API_KEY_HIDDEN]'));
-    
-    if (error.response?.status === 404) {
-      return res.status(404).json({
-        success: false,
-        error: 'Location not found. Please check the city name and try again.'
-      });
-    }
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({
-        success: false,
-        error: 'API key is invalid or not activated yet. Please check your OpenWeatherMap API key.'
-      });
-    }
-    
-    if (error.response?.status === 429) {
-      return res.status(429).json({
-        success: false,
-        error: 'API rate limit exceeded. Please try again later.'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch weather data',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+// One Call parts the indices do not use
+const INDICES_EXCLUDE = 'alerts,daily,minutely';
+
+// A stream follows at most as many locations as a /multiple request
+const MAX_STREAM_LOCATIONS = 10;
+
+// Keep idle streams open through proxies that drop silent connections
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Helper function to parse the locations a stream follows: `city` or `lat`/`lon`, or a
+// semicolon-separated `locations` list of city names and "lat,lon" pairs. Each entry keeps
+// the request shape used by /multiple results, so clients can tell the updates apart.
+const parseStreamLocations = ({ locations, city, lat, lon }) => {
+  if (locations === undefined) {
+    const location = resolveLocation({ city, lat, lon });
+    return [{ request: city ? { city } : { coordinates: location }, location }];
   }
-});
-
-// Get 5-day weather forecast
-router.get('/forecast', checkApiKey, async (req, res) => {
-  try {
-    const { city, lat, lon, units = 'metric' } = req.query;
-    let url = `${BASE_URL}/forecast?appid=${OPENWEATHER_API_KEY}&units=${units}`;
-    
-    if (city) {
-      url += `&q=${encodeURIComponent(city)}`;
-    } else if (lat && lon) {
-      if (!validateCoordinates(lat, lon)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180.'
-        });
-      }
-      url += `&lat=${lat}&lon=${lon}`;
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide either city name or coordinates (lat, lon)'
-      });
-    }
-    
-    const response = await axios.get(url);
-    const forecastData = formatForecastData(response.data);
-    
-    res.json({
-      success: true,
-      data: forecastData,
-      timestamp: new Date().toISOString()
-    });
-    
-  } catch (error) {
-    console.error('Forecast API error:', error.response?.data || error.message);
-    
-    if (error.response?.status === 404) {
-      return res.status(404).json({
-        success: false,
-        error: 'Location not found'
-      });
+
+  const entries = String(locations).split(';').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    throw new ApiError('MISSING_LOCATION');
+  }
+
+  if (entries.length > MAX_STREAM_LOCATIONS) {
+    throw new ApiError('INVALID_REQUEST', `Maximum ${MAX_STREAM_LOCATIONS} locations allowed per stream`);
+  }
+
+  const parsed = entries.map(entry => {
+    const match = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/.exec(entry);
+    if (!match) {
+      return { request: { city: entry }, location: normalizeLocation({ city: entry }) };
     }
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid API key'
-      });
+
+    const location = resolveLocation({ lat: match[1], lon: match[2] });
+    return { request: { coordinates: location }, location };
+  });
+
+  return parsed.filter((entry, index) =>
+    parsed.findIndex(other => locationKey(other.location) === locationKey(entry.location)) === index);
+};
+
+// Create the weather API router around a provider and response cache
+const createWeatherRouter = ({
+  provider = createProvider(),
+  cache = createCache({ maxEntries: numberFromEnv('CACHE_MAX_ENTRIES', 500), staleTtl: STALE_TTL }),
+  cacheTtl = CACHE_TTL,
+  historyStore = createHistoryStore({
+    file: process.env.HISTORY_FILE,
+    maxLocations: numberFromEnv('HISTORY_MAX_LOCATIONS', 1000)
+  }),
+  recorder = createObservationRecorder({ provider }),
+  liveUpdates = createLiveUpdates({ provider, cache, cacheTtl })
+} = {}) => {
+  const router = express.Router();
+
+  const checkApiKey = requireProvider(provider);
+
+  const { fetchCached, resolveCoordinates, fetchEntry } = createWeatherData({ provider, cache, cacheTtl, recorder });
+
+  // Get current weather by city name or coordinates
+  router.get('/current', checkApiKey, asyncHandler(async (req, res) => {
+    const units = createConverter(resolveUnits(req.query));
+    const translator = createTranslator(resolveLanguage(req.query));
+    const query = { ...resolveLocation(req.query), units: UPSTREAM_UNITS };
+
+    const data = await fetchCached(res, 'current', query, provider.getCurrentWeather);
+    recorder.record(data, 'request');
+    sendData(res, formatWeatherData(data, units, translator));
+  }));
+
+  // Get 5-day weather forecast, as JSON or CSV
+  router.get('/forecast', checkApiKey, asyncHandler(async (req, res) => {
+    const format = negotiateFormat(req, ['json', 'csv']);
+    const units = createConverter(resolveUnits(req.query));
+    const translator = createTranslator(resolveLanguage(req.query));
+    const query = { ...resolveLocation(req.query), units: UPSTREAM_UNITS };
+
+    const data = await fetchCached(res, 'forecast', query, provider.getForecast);
+    const forecast = formatForecastData(data, units, translator);
+
+    if (format === 'csv') {
+      return sendExport(res, format, forecastToCsv(forecast), `forecast-${slugify(forecast.location)}`);
     }
-    
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch forecast data'
-    });
-  }
-});
+    sendData(res, forecast);
+  }));
+
+  // Get weather for multiple locations, each a city name or { lat, lon } coordinates,
+  // as JSON, CSV or a GeoJSON FeatureCollection
+  router.post('/multiple', checkApiKey, asyncHandler(async (req, res) => {
+    const format = negotiateFormat(req, ['json', 'csv', 'geojson']);
+    const { cities } = req.body;
 
-// Get weather by multiple cities
-router.post('/multiple', checkApiKey, async (req, res) => {
-  try {
-    const { cities, units = 'metric' } = req.body;
-    
     if (!cities || !Array.isArray(cities) || cities.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide an array of city names'
-      });
+      throw new ApiError('INVALID_REQUEST', 'Please provide an array of city names or coordinates');
     }
-    
+
     if (cities.length > 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 10 cities allowed per request'
-      });
+      throw new ApiError('INVALID_REQUEST', 'Maximum 10 cities allowed per request');
+    }
+
+    if (!cities.every(isLocationEntry)) {
+      throw new ApiError('INVALID_REQUEST', 'Each entry must be a city name or an object with lat and lon');
     }
-    
-    const weatherPromises = cities.map(async (city) => {
-      try {
-        const url = `${BASE_URL}/weather?q=${encodeURIComponent(city)}&appid=${OPENWEATHER_API_KEY}&units=${units}`;
-        const response = await axios.get(url);
-        return {
-          city,
+
+    const units = createConverter(resolveUnits(req.body));
+    const translator = createTranslator(resolveLanguage(req.body));
+
+    const results = await Promise.all(cities.map(entry =>
+      fetchEntry(entry, units, translator).catch(error => entryFailure(entry, error, translator))));
+
+    if (format === 'csv') return sendExport(res, format, multipleToCsv(results), 'weather');
+    if (format === 'geojson') return sendExport(res, format, multipleToGeoJson(results));
+    sendData(res, results);
+  }));
+
+  // Stream current conditions as Server-Sent Events: a `weather` event per location on
+  // connect, then another whenever its conditions change
+  router.get('/stream', checkApiKey, (req, res) => {
+    const units = createConverter(resolveUnits(req.query));
+    const translator = createTranslator(resolveLanguage(req.query));
+    const followed = parseStreamLocations(req.query);
+
+    const send = (event, payload) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const requests = new Map(followed.map(({ request, location }) => [location, request]));
+    const unsubscribe = liveUpdates.subscribe(followed.map(({ location }) => location), (location, update) => {
+      const request = requests.get(location);
+      if (update.error) {
+        send('weather', { ...request, success: false, error: translator.error(update.error), code: update.error.code });
+      } else {
+        send('weather', {
+          ...request,
           success: true,
-          data: formatWeatherData(response.data)
-        };
-      } catch (error) {
-        return {
-          city,
-          success: false,
-          error: error.response?.status === 404 ? 'City not found' : 'Failed to fetch data'
-        };
+          data: formatWeatherData(update.data, units, translator),
+          timestamp: new Date().toISOString()
+        });
       }
     });
-    
-    const results = await Promise.all(weatherPromises);
-    
-    res.json({
-      success: true,
-      data: results,
-      timestamp: new Date().toISOString()
+
+    // Subscribing first lets a full server answer with a JSON error; updates only
+    // arrive from the next tick, after the stream headers are out
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
-    
-  } catch (error) {
-    console.error('Multiple cities API error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch weather data for multiple cities'
+    res.flushHeaders();
+    res.write('retry: 10000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
     });
-  }
-});
+  });
+
+  // Get comprehensive weather data using One Call API 3.0 (Premium), as JSON, hourly CSV,
+  // an iCalendar feed of the daily forecast, or GeoJSON of the current conditions
+  router.get('/onecall', checkApiKey, asyncHandler(async (req, res) => {
+    const format = negotiateFormat(req, ['json', 'csv', 'ics', 'geojson']);
+    const { lat, lon } = req.query;
+    const units = createConverter(resolveUnits(req.query));
+    const translator = createTranslator(resolveLanguage(req.query));
+    const exclude = parseExclude(req.query.exclude);
 
-// Get comprehensive weather data using One Call API 3.0 (Premium)
-router.get('/onecall', checkApiKey, async (req, res) => {
-  try {
-    const { lat, lon, units = 'metric', exclude } = req.query;
-    
     if (!lat || !lon) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide coordinates (lat, lon) for One Call API'
-      });
-    }
-    
-    if (!validateCoordinates(lat, lon)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180.'
-      });
+      throw new ApiError('MISSING_LOCATION', 'Please provide coordinates (lat, lon) for One Call API');
     }
-    
-    let url = `${ONE_CALL_URL}?lat=${lat}&lon=${lon}&appid=${OPENWEATHER_API_KEY}&units=${units}`;
-    
-    if (exclude) {
-      url += `&exclude=${exclude}`;
+
+    const query = { ...resolveLocation({ lat, lon }), units: UPSTREAM_UNITS, exclude };
+    const data = await fetchCached(res, 'onecall', query, provider.getOneCall);
+    const oneCall = formatOneCallData(data, units, translator);
+
+    if (format === 'csv') {
+      return sendExport(res, format, oneCallToCsv(oneCall), `onecall-${slugify(`${query.lat}-${query.lon}`)}`);
     }
-    
-    const response = await axios.get(url);
-    const data = response.data;
-    
-    // Format the comprehensive weather data
-    const formattedData = {
-      coordinates: { lat: data.lat, lon: data.lon },
-      timezone: data.timezone,
-      timezoneOffset: data.timezone_offset,
-      current: {
-        datetime: new Date(data.current.dt * 1000).toISOString(),
-        sunrise: new Date(data.current.sunrise * 1000).toISOString(),
-        sunset: new Date(data.current.sunset * 1000).toISOString(),
-        temperature: Math.round(data.current.temp),
-        feelsLike: Math.round(data.current.feels_like),
-        pressure: data.current.pressure,
-        humidity: data.current.humidity,
-        dewPoint: Math.round(data.current.dew_point),
-        uvIndex: data.current.uvi,
-        clouds: data.current.clouds,
-        visibility: data.current.visibility / 1000,
-        windSpeed: data.current.wind_speed,
-        windDirection: data.current.wind_deg,
-        weather: data.current.weather[0],
-      }
-    };
-    
-    // Add hourly forecast if available
-    if (data.hourly) {
-      formattedData.hourly = data.hourly.slice(0, 24).map(hour => ({
-        datetime: new Date(hour.dt * 1000).toISOString(),
-        temperature: Math.round(hour.temp),
-        feelsLike: Math.round(hour.feels_like),
-        pressure: hour.pressure,
-        humidity: hour.humidity,
-        dewPoint: Math.round(hour.dew_point),
-        uvIndex: hour.uvi,
-        clouds: hour.clouds,
-        visibility: hour.visibility / 1000,
-        windSpeed: hour.wind_speed,
-        windDirection: hour.wind_deg,
-        weather: hour.weather[0],
-        pop: Math.round(hour.pop * 100)
-      }));
+    if (format === 'ics') return sendExport(res, format, oneCallToIcs(oneCall));
+    if (format === 'geojson') return sendExport(res, format, oneCallToGeoJson(oneCall));
+    sendData(res, oneCall);
+  }));
+
+  // Get derived comfort indices (heat index, wind chill, humidex, dew point, UV) and activity
+  // scores for the current conditions and each forecast step, plus growing degree days.
+  // UV and upstream dew points come from One Call; without access to it they are left out.
+  router.get('/indices', checkApiKey, asyncHandler(async (req, res) => {
+    const units = createConverter(resolveUnits(req.query));
+    const translator = createTranslator(resolveLanguage(req.query));
+    const query = { ...resolveLocation(req.query), units: UPSTREAM_UNITS };
+
+    const [current, forecast] = await Promise.all([
+      fetchCached(res, 'current', query, provider.getCurrentWeather),
+      fetchCached(res, 'forecast', query, provider.getForecast)
+    ]);
+    recorder.record(current, 'request');
+
+    const oneCallQuery = { ...normalizeLocation(current.coord), units: UPSTREAM_UNITS, exclude: INDICES_EXCLUDE };
+    const oneCall = await fetchCached(null, 'onecall', oneCallQuery, provider.getOneCall).catch(() => null);
+
+    sendData(res, buildIndices(current, forecast, oneCall, units, translator));
+  }));
+
+  // Get sun, twilight and moon times for a date (default: today there), computed on the
+  // server from the coordinates, so no provider or provider API key is involved
+  router.get('/astronomy', (req, res) => {
+    const { lat, lon, date } = req.query;
+
+    if (!lat || !lon) {
+      throw new ApiError('MISSING_LOCATION', 'Please provide coordinates (lat, lon) for astronomy data');
     }
-    
-    // Add daily forecast if available
-    if (data.daily) {
-      formattedData.daily = data.daily.slice(0, 7).map(day => ({
-        datetime: new Date(day.dt * 1000).toISOString(),
-        sunrise: new Date(day.sunrise * 1000).toISOString(),
-        sunset: new Date(day.sunset * 1000).toISOString(),
-        moonrise: new Date(day.moonrise * 1000).toISOString(),
-        moonset: new Date(day.moonset * 1000).toISOString(),
-        moonPhase: day.moon_phase,
-        summary: day.summary,
-        temperature: {
-          day: Math.round(day.temp.day),
-          min: Math.round(day.temp.min),
-          max: Math.round(day.temp.max),
-          night: Math.round(day.temp.night),
-          evening: Math.round(day.temp.eve),
-          morning: Math.round(day.temp.morn)
-        },
-        feelsLike: {
-          day: Math.round(day.feels_like.day),
-          night: Math.round(day.feels_like.night),
-          evening: Math.round(day.feels_like.eve),
-          morning: Math.round(day.feels_like.morn)
-        },
-        pressure: day.pressure,
-        humidity: day.humidity,
-        dewPoint: Math.round(day.dew_point),
-        windSpeed: day.wind_speed,
-        windDirection: day.wind_deg,
-        weather: day.weather[0],
-        clouds: day.clouds,
-        pop: Math.round(day.pop * 100),
-        uvIndex: day.uvi
-      }));
+
+    const location = resolveLocation({ lat, lon });
+    if (date !== undefined) parseDate(date, 'date');
+    const translator = createTranslator(resolveLanguage(req.query));
+
+    sendData(res, computeAstronomy({ ...location, date: date ?? localDate(location.lon) }, translator));
+  });
+
+  // Get current air quality and hourly AQI forecast by city name or coordinates
+  router.get('/air-quality', checkApiKey, asyncHandler(async (req, res) => {
+    const translator = createTranslator(resolveLanguage(req.query));
+    const { name, country, ...coordinates } = await resolveCoordinates(req.query);
+
+    const [current, forecast] = await fetchCached(res, 'airQuality', coordinates, (query) => Promise.all([
+      provider.getAirQuality(query),
+      provider.getAirQualityForecast(query)
+    ]));
+
+    const data = formatAirQualityData(current, forecast, translator);
+    sendData(res, name ? { location: `${name}, ${country}`, ...data } : data);
+  }));
+
+  // Get active severe weather alerts by city name or coordinates
+  router.get('/alerts', checkApiKey, asyncHandler(async (req, res) => {
+    // Alert text is passed on as the issuing agency wrote it; lang still has to be valid
+    resolveLanguage(req.query);
+    const { name, country, ...coordinates } = await resolveCoordinates(req.query);
+
+    const alerts = await fetchCached(res, 'alerts', coordinates, (query) => fetchActiveAlerts(provider, query));
+
+    sendData(res, {
+      ...(name && { location: `${name}, ${country}` }),
+      coordinates,
+      alerts
+    });
+  }));
+
+  // Get daily aggregates and summary statistics for a past date range. Complete days are
+  // kept in the history store, so repeated ranges need no upstream calls.
+  router.get('/history', checkApiKey, asyncHandler(async (req, res) => {
+    const units = createConverter(resolveUnits(req.query));
+    resolveLanguage(req.query);
+    const dates = parseDateRange(req.query);
+    const { name, country, ...coordinates } = await resolveCoordinates(req.query);
+
+    const days = await fetchHistory(provider, historyStore, coordinates, dates);
+    const data = formatHistoryData(days, summarizeHistory(days), units);
+
+    sendData(res, {
+      ...(name && { location: `${name}, ${country}` }),
+      coordinates,
+      start: dates[0],
+      end: dates[dates.length - 1],
+      ...data
+    });
+  }));
+
+  // Get the recorded observation series for a location, optionally downsampled. Stored
+  // observations are read without upstream calls; only a city needs the provider to geocode.
+  const checkApiKeyForCity = (req, res, next) => (req.query.city ? checkApiKey(req, res, next) : next());
+
+  router.get('/observations', checkApiKeyForCity, asyncHandler(async (req, res) => {
+    if (!recorder.enabled) {
+      throw new ApiError('RECORDER_DISABLED');
     }
-    
-    res.json({
-      success: true,
-      data: formattedData,
-      timestamp: new Date().toISOString()
+
+    const units = createConverter(resolveUnits(req.query));
+    const translator = createTranslator(resolveLanguage(req.query));
+    const { start, end } = parseTimeRange(req.query);
+    const { interval } = req.query;
+    if (interval !== undefined) parseInterval(interval);
+
+    const { name, country, ...coordinates } = req.query.city
+      ? await resolveCoordinates(req.query)
+      : resolveLocation(req.query);
+
+    const from = new Date(start).toISOString();
+    const to = new Date(end).toISOString();
+    const observations = recorder.store.query(coordinates, from, to);
+    const series = buildSeries(observations, { interval, start, end });
+
+    sendData(res, {
+      ...(name && { location: `${name}, ${country}` }),
+      coordinates,
+      from,
+      to,
+      interval: series.interval,
+      count: observations.length,
+      observations: formatObservationData(series.points, units, translator),
+      units: units.labels
     });
-    
-  } catch (error) {
-    console.error('One Call API error:', error.response?.data || error.message);
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid API key or subscription required'
-      });
+  }));
+
+  // Search locations by name, or find the places nearest to coordinates
+  router.get('/geocode', checkApiKey, asyncHandler(async (req, res) => {
+    const { q, lat, lon } = req.query;
+    const limit = parseGeocodeLimit(req.query.limit);
+    const translator = createTranslator(resolveLanguage(req.query));
+
+    if (q && q.trim()) {
+      const query = { query: normalizeLocation({ city: q }).city, limit };
+      const data = await fetchCached(res, 'geocode', query, provider.geocode);
+      return sendData(res, formatGeocodeData(data, translator));
     }
-    
-    if (error.response?.status === 429) {
-      return res.status(429).json({
-        success: false,
-        error: 'API rate limit exceeded'
-      });
+
+    if (!lat || !lon) {
+      throw new ApiError('MISSING_LOCATION', 'Please provide a search query (q) or coordinates (lat, lon)');
     }
-    
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch One Call weather data'
-    });
-  }
-});
 
-module.exports = router;
\ No newline at end of file
+    const query = { ...resolveLocation({ lat, lon }), limit };
+    const data = await fetchCached(res, 'geocode', query, provider.reverseGeocode);
+    sendData(res, formatGeocodeData(data, translator));
+  }));
+
+  return router;
+};
+
+module.exports = createWeatherRouter;
@@ -1,89 +1,26 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const path = require('path');
 require('dotenv').config();
 
-const weatherRoutes = require('./routes/weather');
+const createApp = require('./app');
+const { logger } = require('./lib/logger');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const WEATHER_PROVIDER = (process.env.WEATHER_PROVIDER || 'openweathermap').toLowerCase();
 
-// Security middleware
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "https:"],
-    },
-  },
-}));
+const app = createApp();
 
-// CORS middleware
-app.use(cors());
+// Poll subscribed locations for new severe weather alerts
+app.locals.alertPoller.start();
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
-  }
-});
-app.use('/api/', limiter);
-
-// Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Serve static files from public directory
-app.use(express.static(path.join(__dirname, 'public')));
-
-// API routes
-app.use('/api/weather', weatherRoutes);
-
-// Serve demo page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Route not found'
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-  });
-});
+// Sample the configured locations into the observation store (when recording is enabled)
+app.locals.observationRecorder.start();
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🌤️  Weather API server running on http://localhost:${PORT}`);
-  console.log(`📊 Demo available at http://localhost:${PORT}`);
-  
-  if (!process.env.OPENWEATHER_API_KEY) {
-    console.log('⚠️  Warning: OPENWEATHER_API_KEY not set in environment variables');
-    console.log('   Please add your API key to .env file');
+  logger.info('Weather API server running', { url: `http://localhost:${PORT}`, provider: WEATHER_PROVIDER });
+
+  if (WEATHER_PROVIDER === 'openweathermap' && !process.env.OPENWEATHER_API_KEY && !process.env.OPENWEATHER_API_KEYS) {
+    logger.warn('OPENWEATHER_API_KEY is not set; add your API key to the .env file');
   }
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
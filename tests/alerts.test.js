@@ -0,0 +1,365 @@
+const http = require('http');
+const request = require('supertest');
+const createApp = require('../app');
+const { createSubscriptionStore } = require('../lib/subscriptionStore');
+const { createAlertPoller } = require('../lib/alertPoller');
+const { createClientStore } = require('../lib/clientStore');
+const { verifySignature, createWebhookGuard } = require('../lib/webhooks');
+const { FIXED_NOW, upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+// Local webhook receiver that records every delivery
+const startReceiver = async (status = 200) => {
+  const deliveries = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body, payload: JSON.parse(body) });
+      res.statusCode = receiver.status;
+      if (receiver.location) res.setHeader('Location', receiver.location);
+      res.end();
+    });
+  });
+  const receiver = { server, deliveries, status };
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hooks/weather`;
+  return receiver;
+};
+
+// Public host names resolve to a documentation address; internal.example to a private one
+const resolve = async (hostname) => [{ address: hostname === 'internal.example' ? '192.168.1.10' : '93.184.215.14', family: 4 }];
+
+describe('weather alerts', () => {
+  let provider;
+  let store;
+  let poller;
+  let guard;
+  let keys;
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    store = createSubscriptionStore();
+    // Test receivers listen on 127.0.0.1, which has to be allowed explicitly
+    guard = createWebhookGuard({ allowedHosts: ['127.0.0.1'], resolve });
+    poller = createAlertPoller({ provider, store, guard, now: () => FIXED_NOW });
+
+    const clients = createClientStore();
+    keys = ['team', 'other'].map(id => clients.create({ id, name: id, tier: 'free', allowedOrigins: [] }).key);
+    app = createApp({ provider, clients, alertStore: store, alertPoller: poller, webhookGuard: guard });
+  });
+
+  describe('GET /api/weather/alerts', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(FIXED_NOW);
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
+
+    test('returns normalized active alerts for coordinates', async () => {
+      const res = await request(app).get('/api/weather/alerts?lat=28.67&lon=77.22');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        coordinates: { lat: 28.67, lon: 77.22 },
+        alerts: [{
+          id: expect.stringMatching(/^[0-9a-f]{16}$/),
+          sender: 'India Meteorological Department',
+          event: 'Heat Wave Warning',
+          start: '2024-06-01T04:30:00.000Z',
+          end: '2024-06-02T14:30:00.000Z',
+          description: expect.stringContaining('Heat wave'),
+          tags: ['Extreme temperature value']
+        }]
+      });
+      expect(provider.getOneCall).toHaveBeenCalledWith({
+        lat: 28.67,
+        lon: 77.22,
+        units: 'metric',
+        exclude: 'current,minutely,hourly,daily'
+      });
+    });
+
+    test('geocodes a city and returns an empty list when there are no alerts', async () => {
+      const res = await request(app).get('/api/weather/alerts?city=London');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        location: 'London, GB',
+        coordinates: { lat: 51.51, lon: -0.13 },
+        alerts: []
+      });
+    });
+
+    test('leaves out alerts that have already ended', async () => {
+      Date.now.mockReturnValue(FIXED_NOW + 2 * 24 * 3600 * 1000);
+
+      const res = await request(app).get('/api/weather/alerts?lat=28.67&lon=77.22');
+
+      expect(res.body.data.alerts).toEqual([]);
+    });
+
+    test('requires a location', async () => {
+      const res = await request(app).get('/api/weather/alerts');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('MISSING_LOCATION');
+    });
+  });
+
+  describe('alert subscriptions', () => {
+    const subscribe = (body, key = keys[0]) =>
+      request(app).post('/api/weather/alerts/subscriptions').set('X-API-Key', key).send(body);
+
+    test('registers a webhook for coordinates and reveals the secret once', async () => {
+      const created = await subscribe({ url: 'https://example.com/hook', lat: 28.6667, lon: 77.2167 });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toEqual({
+        id: expect.any(String),
+        url: 'https://example.com/hook',
+        secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+        location: { lat: 28.67, lon: 77.22 },
+        createdAt: expect.any(String),
+        lastPolledAt: null,
+        lastError: null,
+        deliveredAlertCount: 0
+      });
+
+      const fetched = await request(app).get(`/api/weather/alerts/subscriptions/${created.body.data.id}`)
+        .set('X-API-Key', keys[0]);
+
+      expect(fetched.status).toBe(200);
+      expect(fetched.body.data).not.toHaveProperty('secret');
+      expect(fetched.body.data).not.toHaveProperty('owner');
+    });
+
+    test('requires an API key', async () => {
+      const res = await request(app).post('/api/weather/alerts/subscriptions')
+        .send({ url: 'https://example.com/hook', lat: 1, lon: 1 });
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('API_KEY_REQUIRED');
+    });
+
+    test('subscriptions are only visible to the client that created them', async () => {
+      const created = await subscribe({ url: 'https://example.com/hook', lat: 1, lon: 1 });
+      const path = `/api/weather/alerts/subscriptions/${created.body.data.id}`;
+
+      const fetched = await request(app).get(path).set('X-API-Key', keys[1]);
+      const deleted = await request(app).delete(path).set('X-API-Key', keys[1]);
+
+      expect(fetched.status).toBe(404);
+      expect(deleted.status).toBe(404);
+      expect(store.get(created.body.data.id)).toBeDefined();
+    });
+
+    test.each([
+      'http://127.0.0.2:1/internal',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+      'http://[::ffff:10.0.0.1]/hook',
+      'https://internal.example/hook'
+    ])('rejects the internal webhook url %s', async (url) => {
+      const res = await subscribe({ url, lat: 1, lon: 1 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Please provide an http(s) webhook url on a public host');
+    });
+
+    test('geocodes a city subscription', async () => {
+      const res = await subscribe({ url: 'https://example.com/hook', city: 'Tokyo', secret: 'a-long-shared-secret' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.location).toEqual({ name: 'Tokyo, JP', lat: 35.69, lon: 139.69 });
+      expect(res.body.data.secret).toBe('a-long-shared-secret');
+
+      await subscribe({ url: 'https://example.com/other', city: 'Tokyo' });
+      expect(provider.geocode).toHaveBeenCalledTimes(1);
+    });
+
+    test('limits how many subscriptions each API key holds', async () => {
+      for (let index = 0; index < 10; index++) {
+        expect((await subscribe({ url: 'https://example.com/hook', lat: index, lon: 1 })).status).toBe(201);
+      }
+
+      const refused = await subscribe({ url: 'https://example.com/hook', lat: 10, lon: 1 });
+      const other = await subscribe({ url: 'https://example.com/hook', lat: 10, lon: 1 }, keys[1]);
+
+      expect(refused.status).toBe(429);
+      expect(refused.body).toMatchObject({ code: 'JOB_LIMIT_REACHED', error: expect.stringMatching(/10 alert subscriptions/) });
+      expect(other.status).toBe(201);
+      expect(store.list()).toHaveLength(11);
+    });
+
+    test.each([
+      [{ lat: 1, lon: 1 }, 'INVALID_REQUEST'],
+      [{ url: 'ftp://example.com', lat: 1, lon: 1 }, 'INVALID_REQUEST'],
+      [{ url: 'https://example.com/hook', lat: 1, lon: 1, secret: 'short' }, 'INVALID_REQUEST'],
+      [{ url: 'https://example.com/hook' }, 'MISSING_LOCATION'],
+      [{ url: 'https://example.com/hook', lat: 95, lon: 1 }, 'INVALID_COORDINATES']
+    ])('rejects %j', async (body, code) => {
+      const res = await subscribe(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe(code);
+    });
+
+    test('rejects unknown cities', async () => {
+      const res = await subscribe({ url: 'https://example.com/hook', city: 'Atlantis' });
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('LOCATION_NOT_FOUND');
+    });
+
+    test('deletes a subscription', async () => {
+      const created = await subscribe({ url: 'https://example.com/hook', lat: 1, lon: 1 });
+      const path = `/api/weather/alerts/subscriptions/${created.body.data.id}`;
+
+      const deleted = await request(app).delete(path).set('X-API-Key', keys[0]);
+      const fetched = await request(app).get(path).set('X-API-Key', keys[0]);
+
+      expect(deleted.body.data).toEqual({ id: created.body.data.id, deleted: true });
+      expect(fetched.status).toBe(404);
+      expect(fetched.body.code).toBe('SUBSCRIPTION_NOT_FOUND');
+    });
+  });
+
+  describe('webhook delivery', () => {
+    let receiver;
+
+    beforeEach(async () => {
+      receiver = await startReceiver();
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => receiver.server.close(resolve));
+    });
+
+    const subscribe = async (body) => {
+      const res = await request(app).post('/api/weather/alerts/subscriptions')
+        .set('X-API-Key', keys[0])
+        .send({ url: receiver.url, ...body });
+      return res.body.data;
+    };
+    const ping = (subscription) =>
+      request(app).post(`/api/weather/alerts/subscriptions/${subscription.id}/test`).set('X-API-Key', keys[0]);
+
+    test('POSTs each new alert exactly once with a verifiable signature', async () => {
+      const subscription = await subscribe({ lat: 28.67, lon: 77.22 });
+
+      await expect(poller.poll()).resolves.toEqual({ locations: 1, delivered: 1, failed: 0 });
+      await expect(poller.poll()).resolves.toEqual({ locations: 1, delivered: 0, failed: 0 });
+
+      expect(receiver.deliveries).toHaveLength(1);
+      const [delivery] = receiver.deliveries;
+
+      expect(delivery.headers['x-weather-event']).toBe('weather.alert');
+      expect(delivery.headers['x-weather-delivery']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(verifySignature(subscription.secret, delivery.headers['x-weather-signature'], delivery.body)).toBe(true);
+      expect(verifySignature('some-other-secret', delivery.headers['x-weather-signature'], delivery.body)).toBe(false);
+      expect(delivery.payload).toMatchObject({
+        event: 'weather.alert',
+        subscriptionId: subscription.id,
+        location: { lat: 28.67, lon: 77.22 },
+        alert: { event: 'Heat Wave Warning' }
+      });
+
+      const status = await request(app).get(`/api/weather/alerts/subscriptions/${subscription.id}`)
+        .set('X-API-Key', keys[0]);
+      expect(status.body.data).toMatchObject({ deliveredAlertCount: 1, lastError: null });
+    });
+
+    test('retries deliveries the receiver rejected', async () => {
+      const subscription = await subscribe({ lat: 28.67, lon: 77.22 });
+      receiver.status = 500;
+
+      await expect(poller.poll()).resolves.toMatchObject({ delivered: 0, failed: 1 });
+      expect(store.get(subscription.id).lastError).toBe('Webhook delivery failed');
+
+      receiver.status = 204;
+      await expect(poller.poll()).resolves.toMatchObject({ delivered: 1, failed: 0 });
+      expect(receiver.deliveries).toHaveLength(2);
+      expect(store.get(subscription.id).lastError).toBeNull();
+    });
+
+    test('shares one upstream call between subscribers to the same location', async () => {
+      await subscribe({ lat: 35.69, lon: 139.69 });
+      await subscribe({ city: 'Tokyo' });
+      await subscribe({ lat: 51.51, lon: -0.13 });
+
+      await expect(poller.poll()).resolves.toEqual({ locations: 2, delivered: 2, failed: 0 });
+      expect(provider.getOneCall).toHaveBeenCalledTimes(2);
+    });
+
+    test('records upstream failures on the subscription', async () => {
+      const subscription = await subscribe({ lat: 28.67, lon: 77.22 });
+      provider.getOneCall.mockRejectedValue(upstreamError(503));
+
+      await poller.poll();
+
+      expect(receiver.deliveries).toHaveLength(0);
+      expect(store.get(subscription.id).lastError).toMatch(/Failed to fetch alerts/);
+    });
+
+    test('sends a signed ping on request', async () => {
+      const subscription = await subscribe({ lat: 1, lon: 1 });
+
+      const res = await ping(subscription);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ delivered: true, deliveryId: receiver.deliveries[0].headers['x-weather-delivery'] });
+      expect(receiver.deliveries[0].payload).toMatchObject({ event: 'ping', subscriptionId: subscription.id });
+    });
+
+    test('reports a failed ping', async () => {
+      const subscription = await subscribe({ lat: 1, lon: 1 });
+      receiver.status = 410;
+
+      const res = await ping(subscription);
+
+      expect(res.status).toBe(502);
+      expect(res.body.code).toBe('WEBHOOK_DELIVERY_FAILED');
+    });
+
+    test('does not reveal why a ping failed', async () => {
+      const subscription = await subscribe({ lat: 1, lon: 1 });
+      store.update(subscription.id, { url: 'http://127.0.0.1:1/internal' });
+
+      const res = await ping(subscription);
+
+      expect(res.status).toBe(502);
+      expect(res.body.error).toBe('Webhook delivery failed');
+    });
+
+    test('does not follow redirects', async () => {
+      const subscription = await subscribe({ lat: 1, lon: 1 });
+      receiver.status = 307;
+      receiver.location = `${receiver.url}/moved`;
+
+      const res = await ping(subscription);
+
+      expect(res.status).toBe(502);
+      expect(receiver.deliveries).toHaveLength(1);
+    });
+
+    test('checks the address again at delivery', async () => {
+      const subscription = await subscribe({ lat: 28.67, lon: 77.22 });
+      store.update(subscription.id, { url: 'http://169.254.169.254/latest/meta-data' });
+
+      await expect(poller.poll()).resolves.toMatchObject({ delivered: 0, failed: 1 });
+      expect(store.get(subscription.id).lastError).toBe('Webhook delivery failed');
+    });
+  });
+});
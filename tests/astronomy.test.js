@@ -0,0 +1,113 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { localDate, computeAstronomy } = require('../lib/astronomy');
+const { createStubProvider } = require('./helpers/stubProvider');
+
+// Expect an ISO time within `minutes` of another
+const near = (iso, expected, minutes = 2) => {
+  expect(Math.abs(Date.parse(iso) - Date.parse(expected))).toBeLessThanOrEqual(minutes * 60 * 1000);
+};
+
+describe('computeAstronomy', () => {
+  test('sun times in London at the summer solstice', () => {
+    const { sun } = computeAstronomy({ lat: 51.51, lon: -0.13, date: '2024-06-21' });
+
+    near(sun.sunrise, '2024-06-21T03:43:00Z');
+    near(sun.sunset, '2024-06-21T20:21:00Z');
+    near(sun.solarNoon, '2024-06-21T12:02:00Z');
+    near(sun.twilight.civil.dawn, '2024-06-21T02:56:00Z');
+    expect(sun.dayLength).toBeGreaterThan(16.5 * 3600);
+    expect(sun.polar).toBeNull();
+  });
+
+  test('twilight that does not end is null', () => {
+    const { sun } = computeAstronomy({ lat: 51.51, lon: -0.13, date: '2024-06-21' });
+
+    expect(sun.twilight.astronomical).toEqual({ dawn: null, dusk: null });
+    expect(sun.twilight.nautical.dawn).not.toBeNull();
+  });
+
+  test('golden hour follows the blue hour in the morning and precedes it in the evening', () => {
+    const { sun } = computeAstronomy({ lat: -33.87, lon: 151.21, date: '2024-04-08' });
+
+    expect(sun.blueHour.morning.end).toBe(sun.goldenHour.morning.start);
+    expect(sun.goldenHour.evening.end).toBe(sun.blueHour.evening.start);
+    expect(sun.goldenHour.morning.start < sun.sunrise && sun.sunrise < sun.goldenHour.morning.end).toBe(true);
+  });
+
+  test('polar day and polar night', () => {
+    const summer = computeAstronomy({ lat: 78.22, lon: 15.65, date: '2024-06-21' }).sun;
+    const winter = computeAstronomy({ lat: 78.22, lon: 15.65, date: '2024-12-21' }).sun;
+
+    expect(summer).toMatchObject({ sunrise: null, sunset: null, dayLength: 86400, polar: 'day' });
+    expect(winter).toMatchObject({ sunrise: null, sunset: null, dayLength: 0, polar: 'night' });
+    expect(winter.twilight.civil).toEqual({ dawn: null, dusk: null });
+    expect(winter.twilight.astronomical.dawn).not.toBeNull();
+  });
+
+  test('moon phase and illumination', () => {
+    const full = computeAstronomy({ lat: 51.51, lon: -0.13, date: '2024-06-22' }).moon;
+    const dark = computeAstronomy({ lat: -33.87, lon: 151.21, date: '2024-04-08' }).moon;
+
+    expect(full).toMatchObject({ phaseName: 'Full Moon' });
+    expect(full.illumination).toBeGreaterThan(0.98);
+    expect(dark).toMatchObject({ phaseName: 'New Moon' });
+    expect(dark.illumination).toBeLessThan(0.02);
+  });
+
+  test('moonrise and moonset', () => {
+    const { moon } = computeAstronomy({ lat: 51.51, lon: -0.13, date: '2024-06-21' });
+
+    near(moon.moonrise, '2024-06-21T20:38:00Z', 5);
+    near(moon.moonset, '2024-06-21T02:23:00Z', 5);
+    expect(moon).toMatchObject({ alwaysUp: false, alwaysDown: false });
+  });
+
+  test('the local date follows mean solar time', () => {
+    const now = Date.UTC(2024, 5, 1, 20, 0, 0);
+
+    expect(localDate(151.21, now)).toBe('2024-06-02');
+    expect(localDate(-0.13, now)).toBe('2024-06-01');
+  });
+});
+
+describe('GET /api/weather/astronomy', () => {
+  let provider;
+  let app;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    provider.isConfigured.mockReturnValue(false);
+    app = createApp({ provider });
+  });
+
+  test('works without a configured provider', async () => {
+    const res = await request(app).get('/api/weather/astronomy?lat=51.5074&lon=-0.1278&date=2024-06-21');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      coordinates: { lat: 51.51, lon: -0.13 },
+      date: '2024-06-21',
+      sun: { polar: null, sunrise: expect.any(String) },
+      moon: { phaseName: expect.any(String) }
+    });
+    expect(provider.getOneCall).not.toHaveBeenCalled();
+    expect(provider.reverseGeocode).not.toHaveBeenCalled();
+  });
+
+  test('defaults to today at the location', async () => {
+    const res = await request(app).get('/api/weather/astronomy?lat=35.68&lon=139.69');
+
+    expect(res.body.data.date).toBe(localDate(139.69));
+  });
+
+  test('validates the location and date', async () => {
+    const missing = await request(app).get('/api/weather/astronomy?city=London');
+    const invalid = await request(app).get('/api/weather/astronomy?lat=51.5&lon=-0.13&date=2024-02-30');
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.code).toBe('MISSING_LOCATION');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('date must be a date in YYYY-MM-DD format');
+  });
+});
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const createApp = require('../app');
+const { createClientStore } = require('../lib/clientStore');
+const { createUsageTracker } = require('../lib/usage');
+const { createStubProvider } = require('./helpers/stubProvider');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('API clients and quotas', () => {
+  let provider;
+  let app;
+
+  const admin = (method, url) => request(app)[method](`/api/admin${url}`)
+    .set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+
+  const createClient = async (body) => {
+    const res = await admin('post', '/clients').send(body);
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    app = createApp({ provider, adminToken: ADMIN_TOKEN });
+  });
+
+  describe('admin API', () => {
+    test('is disabled without an admin token', async () => {
+      const res = await request(createApp({ provider })).get('/api/admin/clients');
+
+      expect(res.status).toBe(503);
+      expect(res.body.code).toBe('ADMIN_NOT_CONFIGURED');
+    });
+
+    test.each([
+      [undefined],
+      ['Bearer wrong-token'],
+      [`Basic ${ADMIN_TOKEN}`]
+    ])('rejects Authorization %s', async (header) => {
+      const req = request(app).get('/api/admin/clients');
+      const res = await (header ? req.set('Authorization', header) : req);
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('ADMIN_UNAUTHORIZED');
+    });
+
+    test('issues a key once and never exposes its hash', async () => {
+      const client = await createClient({ name: ' Partner team ', tier: 'standard', allowedOrigins: ['https://partner.example'] });
+
+      expect(client).toEqual({
+        id: expect.any(String),
+        name: 'Partner team',
+        tier: 'standard',
+        quota: null,
+        allowedOrigins: ['https://partner.example'],
+        disabled: false,
+        createdAt: expect.any(String),
+        keyPreview: expect.stringMatching(/^wk_.{4}…$/),
+        limits: { quota: 1000, windowSeconds: 900 },
+        apiKey: expect.stringMatching(/^wk_[0-9a-f]{48}$/)
+      });
+
+      const list = await admin('get', '/clients');
+      expect(list.body.data).toEqual([expect.not.objectContaining({ apiKey: expect.anything() })]);
+      expect(list.body.data[0]).not.toHaveProperty('keyHash');
+    });
+
+    test.each([
+      [{}, 'Please provide a client name'],
+      [{ name: 'x', tier: 'gold' }, 'tier must be one of: free, standard, partner'],
+      [{ name: 'x', quota: 0 }, 'quota must be a positive integer or null'],
+      [{ name: 'x', allowedOrigins: ['https://example.com/path'] }, /allowedOrigins must be/],
+      [{ name: 'x', allowedOrigins: 'https://example.com' }, /allowedOrigins must be/]
+    ])('rejects invalid client %j', async (body, message) => {
+      const res = await admin('post', '/clients').send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(message);
+    });
+
+    test('updates, rotates and deletes clients', async () => {
+      const { id, apiKey } = await createClient({ name: 'Team' });
+
+      const updated = await admin('patch', `/clients/${id}`).send({ tier: 'partner', quota: 50 });
+      expect(updated.body.data).toMatchObject({ tier: 'partner', quota: 50, limits: { quota: 50 } });
+
+      const rotated = await admin('post', `/clients/${id}/rotate`);
+      expect(rotated.body.data.apiKey).not.toBe(apiKey);
+
+      const oldKey = await request(app).get('/api/weather/current?city=London').set('X-API-Key', apiKey);
+      expect(oldKey.status).toBe(401);
+      expect(oldKey.body.code).toBe('INVALID_API_KEY');
+
+      const deleted = await admin('delete', `/clients/${id}`);
+      expect(deleted.body.data).toEqual({ id, deleted: true });
+
+      const missing = await admin('get', `/clients/${id}`);
+      expect(missing.status).toBe(404);
+      expect(missing.body.code).toBe('CLIENT_NOT_FOUND');
+    });
+  });
+
+  describe('authentication', () => {
+    test('keeps anonymous access unless keys are required', async () => {
+      const anonymous = await request(app).get('/api/weather/current?city=London');
+      const required = await request(createApp({ provider, requireApiKey: true })).get('/api/weather/current?city=London');
+
+      expect(anonymous.status).toBe(200);
+      expect(required.status).toBe(401);
+      expect(required.body.code).toBe('API_KEY_REQUIRED');
+    });
+
+    test('accepts keys in the header or the api_key query parameter', async () => {
+      const { apiKey } = await createClient({ name: 'Team' });
+
+      const header = await request(app).get('/api/weather/current?city=London').set('X-API-Key', apiKey);
+      const query = await request(app).get(`/api/weather/current?city=London&api_key=${apiKey}`);
+
+      expect(header.status).toBe(200);
+      expect(query.status).toBe(200);
+    });
+
+    test('rejects unknown and disabled keys', async () => {
+      const { id, apiKey } = await createClient({ name: 'Team' });
+      await admin('patch', `/clients/${id}`).send({ disabled: true });
+
+      const unknown = await request(app).get('/api/weather/current?city=London').set('X-API-Key', 'wk_nope');
+      const disabled = await request(app).get('/api/weather/current?city=London').set('X-API-Key', apiKey);
+
+      expect(unknown.status).toBe(401);
+      expect(disabled.status).toBe(401);
+      expect(disabled.body.code).toBe('INVALID_API_KEY');
+    });
+  });
+
+  describe('quotas', () => {
+    test('limits each key separately from anonymous traffic', async () => {
+      const { apiKey } = await createClient({ name: 'Small', quota: 2 });
+      const call = () => request(app).get('/api/weather/current?city=London').set('X-API-Key', apiKey);
+
+      const first = await call();
+      await call();
+      const third = await call();
+      const anonymous = await request(app).get('/api/weather/current?city=London');
+
+      expect(first.headers['x-ratelimit-limit']).toBe('2');
+      expect(third.status).toBe(429);
+      expect(third.body.code).toBe('QUOTA_EXCEEDED');
+      expect(third.headers['retry-after']).toBe('900');
+      expect(anonymous.status).toBe(200);
+      expect(anonymous.headers['x-ratelimit-limit']).toBe('100');
+    });
+
+    test('applies keys and quotas to GraphQL at /graphql and /api/graphql', async () => {
+      const { apiKey } = await createClient({ name: 'Small', quota: 2 });
+      const query = { query: '{ location(city: "London") { current { temperature } } }' };
+
+      const required = await request(createApp({ provider, requireApiKey: true })).post('/graphql').send(query);
+      const first = await request(app).post('/graphql').set('X-API-Key', apiKey).send(query);
+      await request(app).post('/api/graphql').set('X-API-Key', apiKey).send(query);
+      const third = await request(app).post('/graphql').set('X-API-Key', apiKey).send(query);
+
+      expect(required.status).toBe(401);
+      expect(first.status).toBe(200);
+      expect(first.headers['x-ratelimit-limit']).toBe('2');
+      expect(third.status).toBe(429);
+      expect(third.body.code).toBe('QUOTA_EXCEEDED');
+    });
+  });
+
+  describe('CORS', () => {
+    test('allows every origin for anonymous requests by default', async () => {
+      const res = await request(app).get('/api/weather/current?city=London').set('Origin', 'https://any.example');
+
+      expect(res.headers['access-control-allow-origin']).toBe('*');
+    });
+
+    test('restricts anonymous origins when CORS_ORIGINS is set', async () => {
+      const restricted = createApp({ provider, corsOrigins: ['https://demo.example'] });
+
+      const allowed = await request(restricted).get('/api/weather/current?city=London').set('Origin', 'https://demo.example');
+      const other = await request(restricted).get('/api/weather/current?city=London').set('Origin', 'https://other.example');
+
+      expect(allowed.headers['access-control-allow-origin']).toBe('https://demo.example');
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    test('enforces the origin allowlist of each key', async () => {
+      const { apiKey } = await createClient({ name: 'Web', allowedOrigins: ['https://partner.example'] });
+      const call = (origin) => request(app).get('/api/weather/current?city=London')
+        .set('X-API-Key', apiKey)
+        .set('Origin', origin);
+
+      const allowed = await call('https://partner.example');
+      const other = await call('https://evil.example');
+
+      expect(allowed.status).toBe(200);
+      expect(allowed.headers['access-control-allow-origin']).toBe('https://partner.example');
+      expect(other.status).toBe(403);
+      expect(other.body.code).toBe('ORIGIN_NOT_ALLOWED');
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    test('answers preflights for origins that a client allows', async () => {
+      const clients = createClientStore();
+      clients.create({ name: 'Web', allowedOrigins: ['https://partner.example'] });
+      const restricted = createApp({ provider, clients, corsOrigins: [] });
+
+      const res = await request(restricted)
+        .options('/api/weather/current')
+        .set('Origin', 'https://partner.example')
+        .set('Access-Control-Request-Headers', 'x-api-key');
+
+      expect(res.status).toBe(204);
+      expect(res.headers['access-control-allow-origin']).toBe('https://partner.example');
+      expect(res.headers['access-control-allow-headers']).toMatch(/X-API-Key/);
+    });
+  });
+
+  describe('usage report', () => {
+    test('counts requests per key and per route', async () => {
+      const { id, apiKey } = await createClient({ name: 'Team' });
+
+      await request(app).get('/api/weather/current?city=London').set('X-API-Key', apiKey);
+      await request(app).get('/api/weather/current?city=Atlantis').set('X-API-Key', apiKey);
+      await request(app).get('/api/weather/forecast?city=London');
+      await request(app).get('/api/unknown');
+
+      const res = await admin('get', '/usage');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.clients).toEqual(expect.arrayContaining([
+        {
+          id,
+          name: 'Team',
+          tier: 'free',
+          limits: { quota: 100, windowSeconds: 900 },
+          totals: { requests: 2, errors: 1, rejected: 0 },
+          routes: { 'GET /api/weather/current': { requests: 2, errors: 1, rejected: 0 } },
+          lastRequestAt: expect.any(String)
+        },
+        expect.objectContaining({
+          id: 'anonymous',
+          totals: { requests: 2, errors: 1, rejected: 0 },
+          routes: {
+            'GET /api/weather/forecast': { requests: 1, errors: 0, rejected: 0 },
+            unmatched: { requests: 1, errors: 1, rejected: 0 }
+          }
+        })
+      ]));
+      expect(res.body.data.routes['GET /api/weather/current']).toEqual({ requests: 2, errors: 1, rejected: 0 });
+
+      const detail = await admin('get', `/clients/${id}`);
+      expect(detail.body.data.usage.totals.requests).toBe(2);
+    });
+  });
+});
+
+describe('client store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-clients-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('persists clients with hashed keys only, in the background', async () => {
+    const file = path.join(dir, 'clients.json');
+    const store = createClientStore({ file });
+    const { key } = store.create({ id: 'a', name: 'Team' });
+    store.create({ id: 'b', name: 'Other' });
+    store.remove('b');
+    await store.flush();
+
+    expect(fs.readdirSync(dir)).toEqual(['clients.json']);
+    expect(fs.readFileSync(file, 'utf8')).not.toContain(key);
+    expect(createClientStore({ file }).list().map(client => client.id)).toEqual(['a']);
+    expect(createClientStore({ file }).findByKey(key)).toMatchObject({ id: 'a', name: 'Team' });
+    expect(createClientStore({ file }).findByKey(undefined)).toBeUndefined();
+  });
+});
+
+describe('usage tracker', () => {
+  test('resets its counters', () => {
+    let clock = Date.UTC(2024, 5, 1);
+    const usage = createUsageTracker({ now: () => clock });
+
+    usage.record(null, 'GET /api/weather/current', 429);
+    expect(usage.get(null).totals).toEqual({ requests: 1, errors: 1, rejected: 1 });
+
+    clock += 1000;
+    usage.reset();
+    expect(usage.report()).toEqual({ since: '2024-06-01T00:00:01.000Z', clients: {}, routes: {} });
+  });
+});
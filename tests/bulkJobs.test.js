@@ -0,0 +1,279 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { createBulkJobs } = require('../lib/bulkJobs');
+const { createCache } = require('../lib/cache');
+const { createClientStore } = require('../lib/clientStore');
+const { createConverter, resolveUnits } = require('../lib/units');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+const units = createConverter(resolveUnits({}));
+
+// Let queued work and its promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createBulkJobs', () => {
+  let provider;
+  let jobs;
+
+  const createJobs = (options = {}) => createBulkJobs({ provider, cache: createCache(), concurrency: 2, ...options });
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    jobs = createJobs();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('fetches every location and keeps results in submission order', async () => {
+    const job = jobs.create({ locations: ['Tokyo', { lat: 51.51, lon: -0.13 }, 'Atlantis'], units });
+    expect(job).toMatchObject({ status: 'queued', total: 3, processed: 0, progress: 0, startedAt: null });
+
+    provider.getCurrentWeather.mockImplementation(async (query) => {
+      if (query.city === 'atlantis') throw upstreamError(404);
+      return createStubProvider().getCurrentWeather(query);
+    });
+    await flush();
+
+    expect(jobs.get(job.id)).toMatchObject({ status: 'completed', processed: 3, succeeded: 2, failed: 1, progress: 1 });
+    expect(jobs.results(job.id)).toEqual([
+      expect.objectContaining({ city: 'Tokyo', success: true, data: expect.objectContaining({ location: 'Tokyo, JP' }) }),
+      expect.objectContaining({ coordinates: { lat: 51.51, lon: -0.13 }, success: true }),
+      { city: 'Atlantis', success: false, error: expect.any(String), code: 'LOCATION_NOT_FOUND' }
+    ]);
+  });
+
+  test('runs at most `concurrency` fetches at a time across jobs', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const pending = [];
+    provider.getCurrentWeather.mockImplementation(() => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      return new Promise(resolve => pending.push(() => {
+        inFlight--;
+        resolve({ name: 'Somewhere' });
+      }));
+    });
+
+    jobs.create({ locations: ['a', 'b', 'c'], units });
+    const second = jobs.create({ locations: ['d', 'e'], units });
+    await flush();
+
+    expect(inFlight).toBe(2);
+    expect(jobs.get(second.id).status).toBe('queued');
+
+    while (pending.length > 0) {
+      pending.shift()();
+      await flush();
+    }
+
+    expect(peak).toBe(2);
+    expect(jobs.get(second.id).status).toBe('completed');
+  });
+
+  test('reports invalid entries as failures of that location only', async () => {
+    const job = jobs.create({ locations: [{ lat: 200, lon: 0 }, 'London'], units });
+    await flush();
+
+    expect(jobs.results(job.id)).toEqual([
+      expect.objectContaining({ success: false, code: 'INVALID_COORDINATES' }),
+      expect.objectContaining({ city: 'London', success: true })
+    ]);
+  });
+
+  test('pauses the queue when the provider rate-limits, then tries the location again', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    provider.getCurrentWeather.mockRejectedValueOnce(upstreamError(429, {}, { 'retry-after': '20' }));
+
+    const job = jobs.create({ locations: ['London'], units });
+    await flush();
+    await flush();
+
+    expect(jobs.get(job.id)).toMatchObject({ status: 'running', processed: 0 });
+
+    await jest.advanceTimersByTimeAsync(20000);
+    await flush();
+
+    expect(jobs.get(job.id)).toMatchObject({ status: 'completed', succeeded: 1 });
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up on a location after maxAttempts rate limits', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jobs = createJobs({ maxAttempts: 2, backoffMs: 1000 });
+    provider.getCurrentWeather.mockRejectedValue(upstreamError(429));
+
+    const job = jobs.create({ locations: ['London'], units });
+    await flush();
+    await jest.advanceTimersByTimeAsync(1000);
+    await flush();
+
+    expect(jobs.results(job.id)).toEqual([expect.objectContaining({ success: false, code: 'UPSTREAM_RATE_LIMITED' })]);
+  });
+
+  test('limits the number of unfinished jobs', () => {
+    jobs = createJobs({ maxActiveJobs: 1 });
+    jobs.create({ locations: ['London'], units });
+
+    expect(() => jobs.create({ locations: ['Tokyo'], units })).toThrow(expect.objectContaining({ code: 'TOO_MANY_JOBS' }));
+  });
+
+  test('limits the jobs and locations each owner may hold', async () => {
+    jobs = createJobs({ maxJobsPerOwner: 2, maxLocationsPerOwner: 3 });
+    const first = jobs.create({ locations: ['London', 'Tokyo'], units, owner: 'team' });
+
+    expect(() => jobs.create({ locations: ['Paris', 'Delhi'], units, owner: 'team' }))
+      .toThrow(expect.objectContaining({ code: 'JOB_LIMIT_REACHED' }));
+    jobs.create({ locations: ['Paris'], units, owner: 'team' });
+    await flush();
+    expect(() => jobs.create({ locations: ['Delhi'], units, owner: 'team' }))
+      .toThrow(expect.objectContaining({ code: 'JOB_LIMIT_REACHED' }));
+    expect(jobs.create({ locations: ['Delhi'], units, owner: 'other' })).toMatchObject({ total: 1 });
+
+    jobs.remove(first.id, 'team');
+    expect(jobs.create({ locations: ['Delhi'], units, owner: 'team' })).toMatchObject({ total: 1 });
+  });
+
+  test('discards finished jobs after the retention period', async () => {
+    let clock = 1000000;
+    jobs = createJobs({ retention: 60000, now: () => clock });
+
+    const job = jobs.create({ locations: ['London'], units });
+    await flush();
+    expect(jobs.get(job.id).expiresAt).toBe(new Date(1060000).toISOString());
+
+    clock += 60000;
+    expect(() => jobs.get(job.id)).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+  });
+});
+
+describe('bulk job routes', () => {
+  let provider;
+  let clients;
+  let app;
+  let asTeam;
+
+  // Poll a job until it is completed
+  const waitForJob = async (id) => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const res = await asTeam(request(app).get(`/api/weather/jobs/${id}`));
+      if (res.body.data?.status === 'completed') return res;
+      await flush();
+    }
+    throw new Error(`job ${id} did not complete`);
+  };
+
+  const keyFor = (id, quota) => clients.create({ id, name: id, tier: 'standard', quota, allowedOrigins: [] }).key;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    clients = createClientStore();
+    const key = keyFor('team');
+    asTeam = (req) => req.set('X-API-Key', key);
+    app = createApp({ provider, clients });
+  });
+
+  test('accepts a job and points to its status', async () => {
+    const res = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: ['London', 'Tokyo'] });
+
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/api/weather/jobs/${res.body.data.id}`);
+    expect(res.body.data).toMatchObject({ status: 'queued', total: 2, processed: 0 });
+  });
+
+  test('answers with 409 until the job is done, then returns its results', async () => {
+    let release;
+    const fixtures = createStubProvider();
+    provider.getCurrentWeather
+      .mockImplementationOnce((query) => new Promise(resolve => { release = () => resolve(fixtures.getCurrentWeather(query)); }))
+      .mockRejectedValueOnce(upstreamError(404));
+
+    const { body } = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: ['London', 'Atlantis'], units: 'imperial' });
+    await flush();
+
+    const early = await asTeam(request(app).get(`/api/weather/jobs/${body.data.id}/results`));
+    expect(early.status).toBe(409);
+    expect(early.body.code).toBe('JOB_NOT_FINISHED');
+
+    release();
+    const status = await waitForJob(body.data.id);
+    expect(status.body.data).toMatchObject({ status: 'completed', processed: 2, succeeded: 1, failed: 1 });
+
+    const results = await asTeam(request(app).get(`/api/weather/jobs/${body.data.id}/results`));
+    expect(results.status).toBe(200);
+    expect(results.body.data[0]).toMatchObject({ city: 'London', success: true });
+    expect(results.body.data[0].data.units.temperature).toBe('°F');
+    expect(results.body.data[1]).toMatchObject({ city: 'Atlantis', success: false, code: 'LOCATION_NOT_FOUND' });
+  });
+
+  test('exports results as NDJSON, one result per line', async () => {
+    const { body } = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: ['London', { lat: 35.68, lon: 139.69 }] });
+    await waitForJob(body.data.id);
+
+    const res = await asTeam(request(app).get(`/api/weather/jobs/${body.data.id}/results?format=ndjson`));
+    const lines = res.text.trimEnd().split('\n').map(line => JSON.parse(line));
+
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatchObject({ coordinates: { lat: 35.68, lon: 139.69 }, success: true });
+  });
+
+  test('validates the location list', async () => {
+    const empty = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: [] });
+    const tooMany = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: new Array(1001).fill('London') });
+    const invalid = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: ['London', 42] });
+
+    expect(empty.status).toBe(400);
+    expect(tooMany.body.error).toBe('Maximum 1000 locations allowed per job');
+    expect(invalid.body.error).toBe('Each entry must be a city name or an object with lat and lon');
+  });
+
+  test('requires an API key', async () => {
+    const res = await request(app).post('/api/weather/jobs').send({ cities: ['London'] });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('API_KEY_REQUIRED');
+  });
+
+  test('keeps jobs private to the API key that submitted them', async () => {
+    const other = keyFor('other');
+
+    const { body } = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: ['London'] });
+    await waitForJob(body.data.id);
+
+    const res = await request(app).get(`/api/weather/jobs/${body.data.id}/results`).set('X-API-Key', other);
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('JOB_NOT_FOUND');
+  });
+
+  test('counts each location against the API key quota', async () => {
+    const key = keyFor('small', 5);
+    const asSmall = (req) => req.set('X-API-Key', key);
+
+    const accepted = await asSmall(request(app).post('/api/weather/jobs')).send({ cities: ['London', 'Tokyo', 'Paris'] });
+    const refused = await asSmall(request(app).post('/api/weather/jobs')).send({ cities: ['London', 'Tokyo', 'Paris'] });
+    const last = await asSmall(request(app).get('/api/weather/current?city=London'));
+
+    expect(accepted.status).toBe(202);
+    expect(refused.status).toBe(429);
+    expect(refused.body).toMatchObject({
+      code: 'QUOTA_EXCEEDED',
+      error: 'This request counts as 3 requests, but only 2 are left in the quota'
+    });
+    expect(refused.headers['retry-after']).toBeDefined();
+    expect(last.status).toBe(200);
+    expect(last.headers['x-ratelimit-remaining']).toBe('0');
+  });
+
+  test('deletes a job', async () => {
+    const { body } = await asTeam(request(app).post('/api/weather/jobs')).send({ cities: ['London'] });
+
+    const res = await asTeam(request(app).delete(`/api/weather/jobs/${body.data.id}`));
+    const after = await asTeam(request(app).get(`/api/weather/jobs/${body.data.id}`));
+
+    expect(res.body.data).toEqual({ id: body.data.id, deleted: true });
+    expect(after.status).toBe(404);
+  });
+});
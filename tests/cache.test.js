@@ -0,0 +1,123 @@
+const { createCache } = require('../lib/cache');
+
+describe('createCache', () => {
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = 1000000;
+    cache = createCache({ maxEntries: 2, now: () => clock });
+  });
+
+  test('returns a miss first and a hit with its age afterwards', async () => {
+    const fetcher = jest.fn().mockResolvedValue('fresh');
+
+    await expect(cache.wrap('a', 60, fetcher)).resolves.toEqual({ value: 'fresh', hit: false, age: 0 });
+
+    clock += 5500;
+    await expect(cache.wrap('a', 60, fetcher)).resolves.toEqual({ value: 'fresh', hit: true, age: 5 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('refetches once the TTL has expired', async () => {
+    const fetcher = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+
+    await cache.wrap('a', 10, fetcher);
+    clock += 10000;
+
+    await expect(cache.wrap('a', 10, fetcher)).resolves.toMatchObject({ value: 'new', hit: false });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  test('refetches entries older than maxAge before their TTL expires', async () => {
+    const fetcher = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+
+    await cache.wrap('a', 600, fetcher);
+    clock += 20000;
+    await expect(cache.wrap('a', 600, fetcher, { maxAge: 30 })).resolves.toMatchObject({ value: 'old', hit: true });
+
+    clock += 10000;
+    await expect(cache.wrap('a', 600, fetcher, { maxAge: 30 })).resolves.toMatchObject({ value: 'new', hit: false });
+    await expect(cache.wrap('a', 600, fetcher)).resolves.toMatchObject({ value: 'new', hit: true, age: 0 });
+  });
+
+  test('coalesces concurrent fetches for the same key', async () => {
+    let resolveFetch;
+    const upstream = new Promise(resolve => { resolveFetch = resolve; });
+    const fetcher = jest.fn(() => upstream);
+
+    const first = cache.wrap('a', 60, fetcher);
+    const second = cache.wrap('a', 60, fetcher);
+    resolveFetch('shared');
+
+    await expect(first).resolves.toMatchObject({ value: 'shared', hit: false });
+    await expect(second).resolves.toMatchObject({ value: 'shared', hit: true });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not cache failures', async () => {
+    const fetcher = jest.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce('recovered');
+
+    await expect(cache.wrap('a', 60, fetcher)).rejects.toThrow('boom');
+    await expect(cache.wrap('a', 60, fetcher)).resolves.toMatchObject({ value: 'recovered', hit: false });
+  });
+
+  test('does not store entries with a TTL of zero', async () => {
+    await cache.wrap('a', 0, () => 'value');
+    expect(cache.size).toBe(0);
+  });
+
+  test('evicts the oldest entry beyond maxEntries', async () => {
+    await cache.wrap('a', 60, () => 1);
+    await cache.wrap('b', 60, () => 2);
+    await cache.wrap('c', 60, () => 3);
+
+    expect(cache.size).toBe(2);
+    await expect(cache.wrap('a', 60, () => 'refetched')).resolves.toMatchObject({ hit: false });
+  });
+
+  describe('stale-if-error', () => {
+    const failing = () => Promise.reject(new Error('down'));
+
+    beforeEach(() => {
+      cache = createCache({ staleTtl: 60, now: () => clock });
+    });
+
+    test('answers a failed fetch with the expired entry when staleIfError accepts the error', async () => {
+      await cache.wrap('current|city=london', 10, () => 'old');
+      clock += 30000;
+
+      const result = await cache.wrap('current|city=london', 10, failing, { staleIfError: () => true });
+
+      expect(result).toMatchObject({ value: 'old', hit: true, age: 30, stale: { storedAt: 1000000 } });
+      expect(result.stale.error.message).toBe('down');
+      expect(cache.stats()).toEqual({ current: { hits: 0, misses: 2, stale: 1 } });
+    });
+
+    test('passes the error on when staleIfError rejects it or is not given', async () => {
+      await cache.wrap('a', 10, () => 'old');
+      clock += 30000;
+
+      await expect(cache.wrap('a', 10, failing, { staleIfError: () => false })).rejects.toThrow('down');
+      await expect(cache.wrap('a', 10, failing)).rejects.toThrow('down');
+    });
+
+    test('drops entries once they are past their TTL and staleTtl', async () => {
+      await cache.wrap('a', 10, () => 'old');
+      clock += 70000;
+
+      await expect(cache.wrap('a', 10, failing, { staleIfError: () => true })).rejects.toThrow('down');
+      expect(cache.size).toBe(0);
+    });
+
+    test('never serves expired entries while the fetch succeeds', async () => {
+      await cache.wrap('a', 10, () => 'old');
+      clock += 30000;
+
+      await expect(cache.wrap('a', 10, () => 'new', { staleIfError: () => true }))
+        .resolves.toEqual({ value: 'new', hit: false, age: 0 });
+    });
+  });
+});
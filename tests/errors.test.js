@@ -0,0 +1,80 @@
+const { ApiError, mapUpstreamError, toApiError, errorBody } = require('../lib/errors');
+const { upstreamError } = require('./helpers/stubProvider');
+
+describe('ApiError', () => {
+  test('takes its status and message from the error code', () => {
+    const error = new ApiError('LOCATION_NOT_FOUND');
+
+    expect(error).toMatchObject({ code: 'LOCATION_NOT_FOUND', status: 404 });
+    expect(error.message).toMatch(/Location not found/);
+  });
+
+  test('accepts a custom message and status', () => {
+    const error = new ApiError('INVALID_REQUEST', 'Nope', { status: 422 });
+
+    expect(error).toMatchObject({ code: 'INVALID_REQUEST', status: 422, message: 'Nope' });
+  });
+});
+
+describe('mapUpstreamError', () => {
+  test.each([
+    [404, 'LOCATION_NOT_FOUND', 404],
+    [401, 'UPSTREAM_UNAUTHORIZED', 502],
+    [403, 'UPSTREAM_UNAUTHORIZED', 502],
+    [429, 'UPSTREAM_RATE_LIMITED', 429],
+    [500, 'UPSTREAM_ERROR', 502]
+  ])('maps status %i to %s', (status, code, mappedStatus) => {
+    expect(mapUpstreamError(upstreamError(status))).toMatchObject({ code, status: mappedStatus });
+  });
+
+  test.each(['ECONNABORTED', 'ETIMEDOUT'])('maps %s to UPSTREAM_TIMEOUT', (code) => {
+    const error = Object.assign(new Error('timeout'), { code });
+
+    expect(mapUpstreamError(error)).toMatchObject({ code: 'UPSTREAM_TIMEOUT', status: 504 });
+  });
+
+  test('keeps the upstream Retry-After value', () => {
+    const error = mapUpstreamError(upstreamError(429, {}, { 'retry-after': '30' }));
+
+    expect(error.retryAfter).toBe('30');
+  });
+
+  test('keeps the original error as the cause', () => {
+    const original = upstreamError(404);
+
+    expect(mapUpstreamError(original).cause).toBe(original);
+  });
+});
+
+describe('toApiError', () => {
+  test('passes ApiErrors through untouched', () => {
+    const error = new ApiError('INVALID_COORDINATES');
+
+    expect(toApiError(error)).toBe(error);
+  });
+
+  test('maps exposed client errors to INVALID_REQUEST', () => {
+    const error = Object.assign(new Error('Unexpected end of JSON input'), { status: 400, expose: true });
+
+    expect(toApiError(error)).toMatchObject({ code: 'INVALID_REQUEST', status: 400 });
+  });
+
+  test('hides unexpected errors', () => {
+    const error = toApiError(new Error('database exploded'));
+
+    expect(error).toMatchObject({ code: 'INTERNAL_ERROR', status: 500, message: 'Internal server error' });
+    expect(error.details).toBeUndefined();
+  });
+});
+
+describe('errorBody', () => {
+  test('renders the shared error envelope', () => {
+    expect(errorBody(new ApiError('ROUTE_NOT_FOUND'), 'req-1')).toEqual({
+      success: false,
+      error: 'Route not found',
+      code: 'ROUTE_NOT_FOUND',
+      details: undefined,
+      requestId: 'req-1'
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { createStubProvider } = require('./helpers/stubProvider');
+const { toCsv, oneCallToIcs, multipleToGeoJson } = require('../lib/exporters');
+
+// Split a CSV or iCalendar body into its lines
+const lines = (text) => text.split('\r\n').filter(Boolean);
+
+describe('exporters', () => {
+  describe('toCsv', () => {
+    test('quotes fields with separators and guards formula-like text', () => {
+      const csv = toCsv([
+        ['name', row => row.name],
+        ['value', row => row.value]
+      ], [
+        { name: 'London, GB', value: -3 },
+        { name: '=HYPERLINK("x")', value: null },
+        { name: '@sum', value: 'say "hi"' }
+      ]);
+
+      expect(lines(csv)).toEqual([
+        'name,value',
+        '"London, GB",-3',
+        '"\'=HYPERLINK(""x"")",',
+        '\'@sum,"say ""hi"""'
+      ]);
+      expect(csv.endsWith('\r\n')).toBe(true);
+    });
+  });
+
+  describe('oneCallToIcs', () => {
+    const oneCall = {
+      coordinates: { lat: 35.68, lon: 139.69 },
+      timezoneOffset: 32400,
+      units: { temperature: '°C', speed: 'm/s' },
+      daily: [{
+        datetime: '2024-06-01T03:00:00.000Z',
+        summary: 'A long, rainy day; bring an umbrella and expect showers in the afternoon and evening',
+        temperature: { min: 19, max: 26, day: 25 },
+        weather: { description: 'light rain' },
+        pop: 70,
+        humidity: 63,
+        windSpeed: 2.78,
+        uvIndex: 3.48
+      }]
+    };
+
+    test('writes an all-day event on the local date with a stable UID', () => {
+      const ics = oneCallToIcs(oneCall, Date.parse('2024-06-01T00:00:00Z'));
+
+      expect(lines(ics)).toEqual(expect.arrayContaining([
+        'BEGIN:VCALENDAR',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT3H',
+        'UID:20240601-35.68,139.69@weather-api',
+        'DTSTAMP:20240601T000000Z',
+        'DTSTART;VALUE=DATE:20240601',
+        'DTEND;VALUE=DATE:20240602',
+        'SUMMARY:19–26°C\\, light rain',
+        'GEO:35.68;139.69',
+        'END:VCALENDAR'
+      ]));
+    });
+
+    test('escapes text and folds lines at 75 octets', () => {
+      const ics = oneCallToIcs(oneCall);
+      const contentLines = lines(ics);
+
+      contentLines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(ics.replace(/\r\n /g, '')).toContain('DESCRIPTION:A long\\, rainy day\\; bring an umbrella');
+    });
+
+    test('uses the day before for locations west of UTC', () => {
+      const ics = oneCallToIcs({ ...oneCall, timezoneOffset: -14400 });
+
+      expect(ics).toContain('DTSTART;VALUE=DATE:20240531');
+    });
+  });
+
+  describe('multipleToGeoJson', () => {
+    test('keeps failed entries as features without geometry', () => {
+      const collection = multipleToGeoJson([
+        { city: 'London', success: true, data: { location: 'London, GB', coordinates: { lat: 51.5, lon: -0.12 }, temperature: 20 } },
+        { city: 'Atlantis', success: false, error: 'Location not found', code: 'LOCATION_NOT_FOUND' }
+      ]);
+
+      expect(collection).toEqual({
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [-0.12, 51.5] },
+            properties: { location: 'London, GB', temperature: 20, query: 'London' }
+          },
+          {
+            type: 'Feature',
+            geometry: null,
+            properties: { city: 'Atlantis', error: 'Location not found', code: 'LOCATION_NOT_FOUND' }
+          }
+        ]
+      });
+    });
+  });
+});
+
+describe('export routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp({ provider: createStubProvider() });
+  });
+
+  test('GET /forecast?format=csv downloads one row per forecast step', async () => {
+    const res = await request(app).get('/api/weather/forecast?city=London&format=csv&units=imperial');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv; charset=utf-8/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="forecast-london-gb.csv"');
+
+    const [header, first, ...rest] = lines(res.text);
+    expect(header).toMatch(/^location,datetime \(UTC\),temperature \(°F\),/);
+    expect(first).toMatch(/^"London, GB",2024-06-01 12:00:00,/);
+    expect(rest.length).toBeGreaterThan(0);
+  });
+
+  test('negotiates the format from the Accept header', async () => {
+    const res = await request(app).get('/api/weather/forecast?city=London').set('Accept', 'text/csv');
+
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers.vary).toMatch(/Accept/);
+  });
+
+  test('keeps JSON as the default for browsers and other clients', async () => {
+    const res = await request(app)
+      .get('/api/weather/forecast?city=London')
+      .set('Accept', 'text/html,application/xhtml+xml,*/*;q=0.8');
+
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.body.success).toBe(true);
+  });
+
+  test('rejects a format the route does not offer', async () => {
+    const res = await request(app).get('/api/weather/forecast?city=London&format=ics');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_REQUEST', error: 'format must be one of: json, csv' });
+  });
+
+  test('GET /onecall?format=ics returns a calendar feed of the daily forecast', async () => {
+    const res = await request(app).get('/api/weather/onecall?lat=35.68&lon=139.69&format=ics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/calendar; charset=utf-8/);
+    expect(res.headers['content-disposition']).toBeUndefined();
+    expect(res.text.match(/^BEGIN:VEVENT$/gm)).toHaveLength(res.text.match(/^UID:/gm).length);
+    expect(res.text).toContain('UID:20240601-35.68,139.69@weather-api');
+  });
+
+  test('GET /onecall?format=ics needs the daily forecast', async () => {
+    const res = await request(app).get('/api/weather/onecall?lat=35.68&lon=139.69&format=ics&exclude=daily');
+
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.body.code).toBe('INVALID_REQUEST');
+  });
+
+  test('GET /onecall?format=csv lists hourly steps', async () => {
+    const res = await request(app).get('/api/weather/onecall?lat=35.68&lon=139.69&format=csv');
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="onecall-35-68-139-69.csv"');
+    expect(lines(res.text)[0]).toMatch(/^lat,lon,datetime \(UTC\),temperature \(°C\),/);
+    expect(lines(res.text)[1]).toMatch(/^35\.68,139\.69,/);
+  });
+
+  test('GET /onecall answers application/geo+json with the current conditions', async () => {
+    const res = await request(app)
+      .get('/api/weather/onecall?lat=35.68&lon=139.69')
+      .set('Accept', 'application/geo+json');
+
+    expect(res.headers['content-type']).toMatch(/^application\/geo\+json/);
+    const collection = JSON.parse(res.text);
+    expect(collection.features).toHaveLength(1);
+    expect(collection.features[0]).toMatchObject({
+      geometry: { type: 'Point', coordinates: [139.69, 35.68] },
+      properties: { temperature: expect.any(Number), description: expect.any(String) }
+    });
+  });
+
+  test('POST /multiple exports CSV rows and GeoJSON features per location', async () => {
+    const body = { cities: ['London', 'Atlantis'] };
+
+    const csv = await request(app).post('/api/weather/multiple?format=csv').send(body);
+    const [, london, atlantis] = lines(csv.text);
+    expect(london).toMatch(/^London,true,"London, GB",51\.5085,-0\.1257,/);
+    expect(atlantis).toMatch(/^Atlantis,false,.*,LOCATION_NOT_FOUND$/);
+
+    const geojson = await request(app).post('/api/weather/multiple?format=geojson').send(body);
+    const { features } = JSON.parse(geojson.text);
+    expect(features.map(feature => feature.geometry && feature.geometry.type)).toEqual(['Point', null]);
+    expect(features[1].properties.code).toBe('LOCATION_NOT_FOUND');
+  });
+});
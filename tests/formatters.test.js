@@ -0,0 +1,305 @@
+const {
+  formatWeatherData,
+  formatForecastData,
+  formatOneCallData,
+  formatAlerts,
+  formatGeocodeData,
+  formatAirQualityData
+} = require('../lib/formatters');
+const { createConverter, resolveUnits } = require('../lib/units');
+
+const weather = { id: 500, main: 'Rain', description: 'light rain', icon: '10d' };
+const metricLabels = { temperature: '°C', speed: 'm/s', pressure: 'hPa', distance: 'km' };
+
+describe('formatWeatherData', () => {
+  const data = {
+    coord: { lat: 51.51, lon: -0.13 },
+    weather: [weather],
+    main: { temp: 14.6, feels_like: 13.2, pressure: 1012, humidity: 81 },
+    visibility: 8500,
+    wind: { speed: 4.12, deg: 250 },
+    clouds: { all: 90 },
+    sys: { country: 'GB', sunrise: 1717213200, sunset: 1717272000 },
+    timezone: 3600,
+    name: 'London'
+  };
+
+  test('maps an OpenWeatherMap current weather payload', () => {
+    expect(formatWeatherData(data)).toEqual({
+      location: 'London, GB',
+      coordinates: { lat: 51.51, lon: -0.13 },
+      temperature: 15,
+      feelsLike: 13,
+      description: 'light rain',
+      icon: '10d',
+      humidity: 81,
+      pressure: 1012,
+      windSpeed: 4.12,
+      windDirection: 250,
+      visibility: 8.5,
+      cloudiness: 90,
+      sunrise: '2024-06-01T03:40:00.000Z',
+      sunset: '2024-06-01T20:00:00.000Z',
+      timezone: 3600,
+      units: metricLabels
+    });
+  });
+
+  test('converts metric upstream values into the requested units', () => {
+    const formatted = formatWeatherData(data, createConverter(resolveUnits({ units: 'imperial', pressureUnit: 'inHg' })));
+
+    expect(formatted).toMatchObject({
+      temperature: 58,
+      feelsLike: 56,
+      pressure: 29.88,
+      windSpeed: 9.2,
+      visibility: 5.28,
+      units: { temperature: '°F', speed: 'mph', pressure: 'inHg', distance: 'mi' }
+    });
+  });
+});
+
+describe('formatForecastData', () => {
+  test('maps each forecast step', () => {
+    const data = {
+      city: { name: 'London', country: 'GB', coord: { lat: 51.51, lon: -0.13 } },
+      list: [{
+        dt: 1717232400,
+        dt_txt: '2024-06-01 09:00:00',
+        main: { temp: 16.4, feels_like: 15.5, pressure: 1011, humidity: 70 },
+        weather: [weather],
+        wind: { speed: 3.2, deg: 240 },
+        clouds: { all: 75 },
+        pop: 0.35
+      }]
+    };
+
+    expect(formatForecastData(data)).toEqual({
+      location: 'London, GB',
+      coordinates: { lat: 51.51, lon: -0.13 },
+      forecast: [{
+        datetime: '2024-06-01 09:00:00',
+        timestamp: 1717232400,
+        temperature: 16,
+        feelsLike: 16,
+        description: 'light rain',
+        icon: '10d',
+        humidity: 70,
+        pressure: 1011,
+        windSpeed: 3.2,
+        windDirection: 240,
+        cloudiness: 75,
+        precipitationProbability: 35
+      }],
+      units: metricLabels
+    });
+  });
+});
+
+describe('formatOneCallData', () => {
+  const current = {
+    dt: 1717236000,
+    sunrise: 1717213200,
+    sunset: 1717272000,
+    temp: 17.5,
+    feels_like: 16.9,
+    pressure: 1010,
+    humidity: 64,
+    dew_point: 10.6,
+    uvi: 4.1,
+    clouds: 40,
+    visibility: 10000,
+    wind_speed: 5.1,
+    wind_deg: 230,
+    weather: [weather]
+  };
+
+  const hour = (index) => ({ ...current, dt: current.dt + index * 3600, pop: 0.42 });
+
+  const day = (index) => ({
+    dt: 1717243200 + index * 86400,
+    sunrise: 1717213200 + index * 86400,
+    sunset: 1717272000 + index * 86400,
+    moonrise: 1717200000 + index * 86400,
+    moonset: 1717250000 + index * 86400,
+    moon_phase: 0.81,
+    summary: 'Expect a day of rain',
+    temp: { day: 18.4, min: 11.2, max: 19.6, night: 12.5, eve: 16.6, morn: 11.4 },
+    feels_like: { day: 17.9, night: 11.8, eve: 16.1, morn: 10.5 },
+    pressure: 1011,
+    humidity: 60,
+    dew_point: 9.5,
+    wind_speed: 6.2,
+    wind_deg: 220,
+    weather: [weather],
+    clouds: 80,
+    pop: 0.9,
+    uvi: 5.3
+  });
+
+  const data = {
+    lat: 51.51,
+    lon: -0.13,
+    timezone: 'Europe/London',
+    timezone_offset: 3600,
+    current,
+    hourly: Array.from({ length: 48 }, (_, index) => hour(index)),
+    daily: Array.from({ length: 8 }, (_, index) => day(index))
+  };
+
+  test('maps current conditions', () => {
+    const formatted = formatOneCallData(data);
+
+    expect(formatted).toMatchObject({
+      coordinates: { lat: 51.51, lon: -0.13 },
+      timezone: 'Europe/London',
+      timezoneOffset: 3600,
+      units: metricLabels
+    });
+    expect(formatted.current).toEqual({
+      datetime: '2024-06-01T10:00:00.000Z',
+      sunrise: '2024-06-01T03:40:00.000Z',
+      sunset: '2024-06-01T20:00:00.000Z',
+      temperature: 18,
+      feelsLike: 17,
+      pressure: 1010,
+      humidity: 64,
+      dewPoint: 11,
+      uvIndex: 4.1,
+      clouds: 40,
+      visibility: 10,
+      windSpeed: 5.1,
+      windDirection: 230,
+      weather
+    });
+  });
+
+  test('limits hourly data to 24 hours and daily data to 7 days', () => {
+    const formatted = formatOneCallData(data);
+
+    expect(formatted.hourly).toHaveLength(24);
+    expect(formatted.hourly[0]).toMatchObject({ datetime: '2024-06-01T10:00:00.000Z', pop: 42 });
+    expect(formatted.daily).toHaveLength(7);
+    expect(formatted.daily[0]).toMatchObject({
+      datetime: '2024-06-01T12:00:00.000Z',
+      moonPhase: 0.81,
+      summary: 'Expect a day of rain',
+      temperature: { day: 18, min: 11, max: 20, night: 13, evening: 17, morning: 11 },
+      feelsLike: { day: 18, night: 12, evening: 16, morning: 11 },
+      pop: 90
+    });
+  });
+
+  test('includes normalized alerts when upstream sends them', () => {
+    const alert = {
+      sender_name: 'NWS Tulsa',
+      event: 'Heat Advisory',
+      start: 1717236000,
+      end: 1717279200,
+      description: 'Heat index values up to 108.',
+      tags: ['Extreme temperature value']
+    };
+
+    expect(formatOneCallData({ ...data, alerts: [alert] }).alerts).toEqual(formatAlerts([alert]));
+    expect(formatOneCallData(data)).not.toHaveProperty('alerts');
+  });
+
+  test('omits sections that upstream excluded', () => {
+    const { hourly, daily, ...currentOnly } = data;
+    const formatted = formatOneCallData(currentOnly);
+
+    expect(formatted).not.toHaveProperty('hourly');
+    expect(formatted).not.toHaveProperty('daily');
+  });
+});
+
+describe('formatGeocodeData', () => {
+  test('maps candidates and builds a display label', () => {
+    const data = [
+      { name: 'Springfield', lat: 39.8, lon: -89.64, country: 'US', state: 'Illinois', local_names: { en: 'Springfield' } },
+      { name: 'Monaco', lat: 43.73, lon: 7.42, country: 'MC' }
+    ];
+
+    expect(formatGeocodeData(data)).toEqual([
+      {
+        name: 'Springfield',
+        state: 'Illinois',
+        country: 'US',
+        label: 'Springfield, Illinois, US',
+        coordinates: { lat: 39.8, lon: -89.64 }
+      },
+      {
+        name: 'Monaco',
+        state: undefined,
+        country: 'MC',
+        label: 'Monaco, MC',
+        coordinates: { lat: 43.73, lon: 7.42 }
+      }
+    ]);
+  });
+});
+
+describe('formatAirQualityData', () => {
+  const components = { co: 201.94, no: 0.02, no2: 0.77, o3: 68.66, so2: 0.64, pm2_5: 0.5, pm10: 0.54, nh3: 0.12 };
+
+  test('maps the current reading and the hourly forecast', () => {
+    const current = { coord: { lon: 50, lat: 50 }, list: [{ dt: 1717236000, main: { aqi: 2 }, components }] };
+    const forecast = {
+      coord: { lon: 50, lat: 50 },
+      list: [
+        { dt: 1717236000, main: { aqi: 2 }, components },
+        { dt: 1717239600, main: { aqi: 4 }, components }
+      ]
+    };
+
+    expect(formatAirQualityData(current, forecast)).toEqual({
+      coordinates: { lat: 50, lon: 50 },
+      current: {
+        datetime: '2024-06-01T10:00:00.000Z',
+        aqi: 2,
+        category: 'Fair',
+        pollutants: { pm2_5: 0.5, pm10: 0.54, o3: 68.66, no2: 0.77, so2: 0.64, co: 201.94 },
+        units: 'μg/m³'
+      },
+      forecast: [
+        { datetime: '2024-06-01T10:00:00.000Z', aqi: 2, category: 'Fair' },
+        { datetime: '2024-06-01T11:00:00.000Z', aqi: 4, category: 'Poor' }
+      ]
+    });
+  });
+});
+
+describe('formatAlerts', () => {
+  const alert = {
+    sender_name: 'NWS Tulsa',
+    event: 'Heat Advisory',
+    start: 1717236000,
+    end: 1717279200,
+    description: 'Heat index values up to 108.'
+  };
+
+  test('normalizes upstream alerts', () => {
+    expect(formatAlerts([alert])).toEqual([{
+      id: expect.stringMatching(/^[0-9a-f]{16}$/),
+      sender: 'NWS Tulsa',
+      event: 'Heat Advisory',
+      start: '2024-06-01T10:00:00.000Z',
+      end: '2024-06-01T22:00:00.000Z',
+      description: 'Heat index values up to 108.',
+      tags: []
+    }]);
+  });
+
+  test('derives a stable ID from the issuer, event and start time', () => {
+    const [first] = formatAlerts([alert]);
+    const [updated] = formatAlerts([{ ...alert, description: 'Updated text', end: alert.end + 3600 }]);
+    const [other] = formatAlerts([{ ...alert, start: alert.start + 86400 }]);
+
+    expect(updated.id).toBe(first.id);
+    expect(other.id).not.toBe(first.id);
+  });
+
+  test('treats a missing alerts array as no alerts', () => {
+    expect(formatAlerts()).toEqual([]);
+  });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const { parse } = require('graphql');
+const createApp = require('../app');
+const { schema, FIELD_COSTS, LIST_ARGUMENTS } = require('../lib/graphqlSchema');
+const { analyzeQuery } = require('../lib/queryLimits');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+describe('POST /graphql', () => {
+  let provider;
+  let app;
+
+  const graphql = (query, variables) => request(app).post('/graphql').send({ query, variables });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    app = createApp({ provider });
+  });
+
+  test('returns only the selected fields and makes only the calls they need', async () => {
+    const res = await graphql('{ location(city: "London") { name current { temperature description } } }');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      data: {
+        location: {
+          name: 'London, GB',
+          current: { temperature: expect.any(Number), description: expect.any(String) }
+        }
+      }
+    });
+    expect(provider.getCurrentWeather).toHaveBeenCalledWith({ city: 'london', units: 'metric' });
+    expect(provider.getOneCall).not.toHaveBeenCalled();
+    expect(provider.getForecast).not.toHaveBeenCalled();
+  });
+
+  test('serves hourly and daily from one One Call request in the requested units', async () => {
+    const res = await graphql(`{
+      location(lat: 35.6762, lon: 139.6503, units: "imperial", speedUnit: "kmh") {
+        coordinates { lat lon }
+        units { temperature speed }
+        hourly(limit: 3) { datetime temperature windSpeed weather { main icon } }
+        daily(limit: 2) { temperature { min max } }
+      }
+    }`);
+
+    expect(res.status).toBe(200);
+    const { location } = res.body.data;
+    expect(location.coordinates).toEqual({ lat: 35.68, lon: 139.65 });
+    expect(location.units).toEqual({ temperature: '°F', speed: 'km/h' });
+    expect(location.hourly).toHaveLength(3);
+    expect(location.daily).toHaveLength(2);
+    expect(provider.getOneCall).toHaveBeenCalledTimes(1);
+    expect(provider.getOneCall).toHaveBeenCalledWith({
+      lat: 35.68,
+      lon: 139.65,
+      units: 'metric',
+      exclude: 'alerts,minutely'
+    });
+  });
+
+  test('shares the response cache with the REST routes', async () => {
+    await request(app).get('/api/weather/forecast?city=London');
+    const res = await graphql('{ location(city: "London") { forecast(limit: 2) { datetime temperature } } }');
+
+    expect(res.body.data.location.forecast).toHaveLength(2);
+    expect(provider.getForecast).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves each location of a batch on its own', async () => {
+    const res = await graphql(
+      'query ($inputs: [LocationInput!]!) { locations(inputs: $inputs) { name current { temperature } } }',
+      { inputs: [{ city: 'London' }, { lat: 100, lon: 0 }] }
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.locations).toEqual([
+      { name: 'London, GB', current: { temperature: expect.any(Number) } },
+      null
+    ]);
+    expect(res.body.errors).toEqual([{
+      message: expect.stringMatching(/^Invalid coordinates/),
+      locations: [{ line: 1, column: 38 }],
+      path: ['locations', 1],
+      extensions: { code: 'INVALID_COORDINATES', requestId: expect.any(String) }
+    }]);
+  });
+
+  test('limits batches to ten locations', async () => {
+    const inputs = Array.from({ length: 11 }, () => ({ city: 'London' }));
+    const res = await graphql('query ($inputs: [LocationInput!]!) { locations(inputs: $inputs) { units { speed } } }', { inputs });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toBeNull();
+    expect(res.body.errors[0]).toMatchObject({
+      message: 'Maximum 10 locations allowed per request',
+      extensions: { code: 'INVALID_REQUEST' }
+    });
+  });
+
+  test('maps upstream failures like the REST routes', async () => {
+    provider.getCurrentWeather.mockRejectedValue(upstreamError(429, {}, { 'retry-after': '30' }));
+
+    const res = await graphql('{ location(city: "London") { current { temperature } } }');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['retry-after']).toBe('30');
+    expect(res.body.data).toEqual({ location: null });
+    expect(res.body.errors[0].extensions).toEqual({
+      code: 'UPSTREAM_RATE_LIMITED',
+      requestId: res.headers['x-request-id'],
+      retryAfter: '30'
+    });
+  });
+
+  test.each([
+    ['{ location(units: "metric") { name } }', 'MISSING_LOCATION'],
+    ['{ location(city: "London", units: "kelvin") { name } }', 'INVALID_REQUEST'],
+    ['{ location(city: "London") { hourly(limit: 48) { datetime } } }', 'INVALID_REQUEST']
+  ])('reports invalid arguments of %s', async (query, code) => {
+    const res = await graphql(query);
+
+    expect(res.status).toBe(200);
+    expect(res.body.errors[0].extensions.code).toBe(code);
+  });
+
+  test('rejects queries that do not validate', async () => {
+    const res = await graphql('{ location(city: "London") { humidity } }');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      errors: [{
+        message: 'Cannot query field "humidity" on type "Location".',
+        locations: [{ line: 1, column: 30 }],
+        extensions: { code: 'INVALID_REQUEST', requestId: expect.any(String) }
+      }]
+    });
+  });
+
+  test('requires a query', async () => {
+    const res = await request(app).post('/graphql').send({ variables: {} });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, code: 'INVALID_REQUEST', error: 'Please provide a GraphQL query' });
+  });
+
+  test('rejects queries over the cost limit before calling upstream', async () => {
+    const inputs = Array.from({ length: 10 }, () => ({ city: 'London' }));
+    const res = await graphql(`query ($inputs: [LocationInput!]!) {
+      locations(inputs: $inputs) { current { temperature } forecast { datetime } hourly { datetime } daily { datetime } }
+    }`, { inputs });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({
+      message: 'Query cost 441 exceeds the limit of 300',
+      extensions: { code: 'QUERY_TOO_COMPLEX' }
+    });
+    expect(provider.getCurrentWeather).not.toHaveBeenCalled();
+  });
+
+  test('rejects queries over the depth limit', async () => {
+    process.env.GRAPHQL_MAX_DEPTH = '3';
+    try {
+      app = createApp({ provider });
+    } finally {
+      delete process.env.GRAPHQL_MAX_DEPTH;
+    }
+
+    const res = await graphql('{ location(city: "London") { daily { temperature { max } } } }');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({
+      message: 'Query depth 4 exceeds the limit of 3',
+      extensions: { code: 'QUERY_TOO_COMPLEX' }
+    });
+  });
+});
+
+describe('analyzeQuery', () => {
+  const analyze = (query, options = {}) => analyzeQuery(schema, parse(query), {
+    costs: FIELD_COSTS,
+    listArguments: LIST_ARGUMENTS,
+    ...options
+  });
+
+  test('counts fields reached through fragments', () => {
+    const result = analyze(`
+      query { location(city: "Paris") { ...weather } }
+      fragment weather on Location { current { temperature } ... on Location { units { speed } } }
+    `);
+
+    expect(result).toEqual({ depth: 3, cost: 1 + 10 + 1 + 1 + 1 });
+  });
+
+  test('multiplies batch selections by the number of inputs', () => {
+    const literal = analyze('{ locations(inputs: [{ city: "A" }, { city: "B" }]) { current { temperature } } }');
+    const variable = analyze('query ($inputs: [LocationInput!]!) { locations(inputs: $inputs) { name } }', {
+      variables: { inputs: [{ city: 'A' }, { city: 'B' }, { city: 'C' }] }
+    });
+
+    expect(literal.cost).toBe(1 + 2 * 11);
+    expect(variable.cost).toBe(1 + 3 * 10);
+  });
+
+  test('measures the named operation and ignores introspection', () => {
+    const document = `
+      query Small { location(city: "A") { name } }
+      query Schema { __schema { types { fields { type { ofType { ofType { name } } } } } } }
+    `;
+
+    expect(analyze(document, { operationName: 'Small' })).toEqual({ depth: 2, cost: 11 });
+    expect(analyze(document, { operationName: 'Schema' })).toEqual({ depth: 0, cost: 0 });
+  });
+});
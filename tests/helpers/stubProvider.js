@@ -0,0 +1,32 @@
+const createMockProvider = require('../../providers/mock');
+
+// Fixed clock so generated fixture payloads are identical on every run
+const FIXED_NOW = Date.UTC(2024, 5, 1, 12, 0, 0);
+
+// Build an error shaped like an axios upstream failure
+const upstreamError = (status, data = {}, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+};
+
+// Provider whose methods are jest mocks backed by the deterministic mock provider
+const createStubProvider = () => {
+  const fixtures = createMockProvider({ now: () => FIXED_NOW });
+
+  return {
+    name: 'stub',
+    isConfigured: jest.fn(() => true),
+    getCurrentWeather: jest.fn(fixtures.getCurrentWeather),
+    getForecast: jest.fn(fixtures.getForecast),
+    getOneCall: jest.fn(fixtures.getOneCall),
+    getHistory: jest.fn(fixtures.getHistory),
+    getAirQuality: jest.fn(fixtures.getAirQuality),
+    getAirQualityForecast: jest.fn(fixtures.getAirQualityForecast),
+    geocode: jest.fn(fixtures.geocode),
+    reverseGeocode: jest.fn(fixtures.reverseGeocode),
+    getMapTile: jest.fn(fixtures.getMapTile)
+  };
+};
+
+module.exports = { FIXED_NOW, upstreamError, createStubProvider };
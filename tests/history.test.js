@@ -0,0 +1,314 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const createApp = require('../app');
+const { parseDateRange, aggregateDay, fetchHistory, summarizeHistory } = require('../lib/history');
+const { createHistoryStore } = require('../lib/historyStore');
+const { FIXED_NOW, upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+const hour = (iso, temp, windSpeed, rain) => ({
+  dt: Date.parse(iso) / 1000,
+  main: { temp },
+  wind: { speed: windSpeed },
+  ...(rain !== undefined && { rain: { '1h': rain } })
+});
+
+describe('parseDateRange', () => {
+  test('lists every UTC date in the range', () => {
+    expect(parseDateRange({ start: '2024-05-30', end: '2024-06-02' }, Date.UTC(2024, 5, 3)))
+      .toEqual(['2024-05-30', '2024-05-31', '2024-06-01', '2024-06-02']);
+  });
+
+  test.each([
+    [{}, 'Please provide a start and end date (YYYY-MM-DD)'],
+    [{ start: '2024-5-1', end: '2024-05-02' }, 'start must be a date in YYYY-MM-DD format'],
+    [{ start: '2024-05-01', end: '2024-02-30' }, 'end must be a date in YYYY-MM-DD format'],
+    [{ start: '2024-05-10', end: '2024-05-09' }, 'end must not be before start'],
+    [{ start: '2024-05-30', end: '2024-06-01' }, 'History is only available for completed days (end must be before today, UTC)'],
+    [{ start: '2024-04-01', end: '2024-05-15' }, 'A history range can span at most 31 days']
+  ])('rejects %j', (query, message) => {
+    expect(() => parseDateRange(query, FIXED_NOW)).toThrow(message);
+  });
+});
+
+describe('aggregateDay and summarizeHistory', () => {
+  const first = aggregateDay('2024-05-01', [
+    hour('2024-05-01T00:00:00Z', 10, 2),
+    hour('2024-05-01T12:00:00Z', 20, 4, 1.5),
+    hour('2024-05-01T18:00:00Z', 15, 3, 0.5)
+  ]);
+  const second = aggregateDay('2024-05-02', [hour('2024-05-02T12:00:00Z', 8, 6)]);
+
+  test('aggregates hourly observations into a day', () => {
+    expect(first).toEqual({
+      date: '2024-05-01',
+      samples: 3,
+      temperature: { min: 10, max: 20, mean: 15 },
+      precipitation: 2,
+      windSpeed: 3
+    });
+  });
+
+  test('summarizes the days that have data', () => {
+    expect(summarizeHistory([first, second, { date: '2024-05-03', samples: 0 }])).toEqual({
+      days: 3,
+      daysWithData: 2,
+      temperature: { min: 8, max: 20, mean: 11.5 },
+      precipitation: { total: 2, wetDays: 1 },
+      windSpeed: 4.5,
+      warmestDay: '2024-05-01',
+      coldestDay: '2024-05-02',
+      wettestDay: '2024-05-01'
+    });
+    expect(summarizeHistory([{ date: '2024-05-03', samples: 0 }])).toEqual({ days: 1, daysWithData: 0 });
+  });
+});
+
+describe('fetchHistory', () => {
+  const location = { lat: 51.51, lon: -0.13 };
+  let provider;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+  });
+
+  test('fetches missing days in week-long chunks and stores them', async () => {
+    const store = createHistoryStore();
+    const dates = parseDateRange({ start: '2024-05-20', end: '2024-05-31' }, FIXED_NOW);
+
+    const days = await fetchHistory(provider, store, location, dates);
+
+    expect(days).toHaveLength(12);
+    days.forEach(day => expect(day.samples).toBe(24));
+    expect(provider.getHistory).toHaveBeenCalledTimes(2);
+    expect(provider.getHistory).toHaveBeenCalledWith({
+      ...location,
+      start: Date.UTC(2024, 4, 20) / 1000,
+      end: Date.UTC(2024, 4, 27) / 1000 - 1,
+      units: 'metric'
+    });
+    expect(store.size()).toBe(12);
+  });
+
+  test('serves stored days without upstream calls, even when upstream fails', async () => {
+    const store = createHistoryStore();
+    const dates = parseDateRange({ start: '2024-05-28', end: '2024-05-31' }, FIXED_NOW);
+    const fetched = await fetchHistory(provider, store, location, dates);
+
+    provider.getHistory.mockRejectedValue(upstreamError(503));
+
+    await expect(fetchHistory(provider, store, location, dates)).resolves.toEqual(fetched);
+    expect(provider.getHistory).toHaveBeenCalledTimes(1);
+  });
+
+  test('marks days upstream could not provide and returns the stored ones', async () => {
+    const store = createHistoryStore();
+    const dates = parseDateRange({ start: '2024-05-28', end: '2024-05-31' }, FIXED_NOW);
+    const fetched = await fetchHistory(provider, store, location, dates);
+
+    provider.getHistory.mockRejectedValue(upstreamError(503));
+
+    await expect(fetchHistory(provider, store, location, ['2024-05-27', ...dates])).resolves.toEqual([
+      { date: '2024-05-27', samples: 0, unavailable: true },
+      ...fetched
+    ]);
+    await expect(fetchHistory(provider, store, location, ['2024-05-26', '2024-05-27'])).rejects.toThrow();
+  });
+
+  test('returns incomplete days without storing them', async () => {
+    const store = createHistoryStore();
+    const { list } = await provider.getHistory({ ...location, start: Date.UTC(2024, 4, 30) / 1000, end: Date.UTC(2024, 4, 31) / 1000 - 1 });
+    provider.getHistory.mockResolvedValue({ list: list.slice(0, 12) });
+
+    const [day] = await fetchHistory(provider, store, location, ['2024-05-30']);
+    await fetchHistory(provider, store, location, ['2024-05-30']);
+
+    expect(day.samples).toBe(12);
+    expect(store.size()).toBe(0);
+    expect(provider.getHistory).toHaveBeenCalledTimes(3);
+  });
+
+  test('refetches stored days with too few samples', async () => {
+    const store = createHistoryStore();
+    store.setMany(location, [{ date: '2024-05-30', samples: 6 }]);
+
+    const [day] = await fetchHistory(provider, store, location, ['2024-05-30']);
+
+    expect(day.samples).toBe(24);
+    expect(store.get(location, '2024-05-30').samples).toBe(24);
+  });
+
+  test('does not store a day until upstream has had time to catch up', async () => {
+    const store = createHistoryStore();
+
+    await fetchHistory(provider, store, location, ['2024-05-31'], { now: Date.UTC(2024, 5, 1, 1) });
+    expect(store.size()).toBe(0);
+
+    await fetchHistory(provider, store, location, ['2024-05-31'], { now: FIXED_NOW });
+    expect(store.size()).toBe(1);
+  });
+
+  test('only requests the gaps between stored days', async () => {
+    const store = createHistoryStore();
+    await fetchHistory(provider, store, location, ['2024-05-22']);
+    provider.getHistory.mockClear();
+
+    await fetchHistory(provider, store, location, parseDateRange({ start: '2024-05-21', end: '2024-05-23' }, FIXED_NOW));
+
+    expect(provider.getHistory.mock.calls.map(([query]) => [query.start, query.end])).toEqual([
+      [Date.UTC(2024, 4, 21) / 1000, Date.UTC(2024, 4, 22) / 1000 - 1],
+      [Date.UTC(2024, 4, 23) / 1000, Date.UTC(2024, 4, 24) / 1000 - 1]
+    ]);
+  });
+
+  test('reports days without observations and does not store them', async () => {
+    const store = createHistoryStore();
+    provider.getHistory.mockResolvedValue({ list: [] });
+
+    await expect(fetchHistory(provider, store, location, ['2024-05-01'])).resolves.toEqual([
+      { date: '2024-05-01', samples: 0 }
+    ]);
+    expect(store.size()).toBe(0);
+  });
+});
+
+describe('history store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('persists daily aggregates to a JSON file in the background', async () => {
+    const file = path.join(dir, 'history.json');
+    const day = { date: '2024-05-01', samples: 24 };
+    const store = createHistoryStore({ file });
+
+    store.setMany({ lat: 1, lon: 2 }, [day]);
+    store.setMany({ lat: 1, lon: 2 }, [{ ...day, date: '2024-05-02' }]);
+    await store.flush();
+
+    const reloaded = createHistoryStore({ file });
+    expect(reloaded.get({ lat: 1, lon: 2 }, '2024-05-01')).toEqual(day);
+    expect(reloaded.get({ lat: 2, lon: 1 }, '2024-05-01')).toBeUndefined();
+    expect(reloaded.size()).toBe(2);
+    expect(fs.readdirSync(dir)).toEqual(['history.json']);
+  });
+
+  test('keeps only the most recently used locations', async () => {
+    const file = path.join(dir, 'history.json');
+    const day = { date: '2024-05-01', samples: 24 };
+    const store = createHistoryStore({ file, maxLocations: 2 });
+
+    store.setMany({ lat: 1, lon: 1 }, [day]);
+    store.setMany({ lat: 2, lon: 2 }, [day]);
+    store.get({ lat: 1, lon: 1 }, day.date);
+    store.setMany({ lat: 3, lon: 3 }, [day]);
+    await store.flush();
+
+    expect(store.get({ lat: 2, lon: 2 }, day.date)).toBeUndefined();
+    expect(store.get({ lat: 1, lon: 1 }, day.date)).toEqual(day);
+    expect(store.size()).toBe(2);
+
+    const reloaded = createHistoryStore({ file, maxLocations: 1 });
+    expect(reloaded.get({ lat: 3, lon: 3 }, day.date)).toEqual(day);
+    expect(reloaded.size()).toBe(1);
+  });
+});
+
+describe('GET /api/weather/history', () => {
+  let provider;
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(FIXED_NOW);
+    provider = createStubProvider();
+    app = createApp({ provider });
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('returns daily aggregates and a summary for a city', async () => {
+    const res = await request(app).get('/api/weather/history?city=London&start=2024-05-25&end=2024-05-31');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      location: 'London, GB',
+      coordinates: { lat: 51.51, lon: -0.13 },
+      start: '2024-05-25',
+      end: '2024-05-31',
+      summary: {
+        days: 7,
+        daysWithData: 7,
+        temperature: { min: expect.any(Number), max: expect.any(Number), mean: expect.any(Number) },
+        precipitation: { total: expect.any(Number), wetDays: expect.any(Number) },
+        windSpeed: expect.any(Number)
+      },
+      units: { temperature: '°C', speed: 'm/s', precipitation: 'mm' }
+    });
+    expect(res.body.data.days).toHaveLength(7);
+    expect(res.body.data.days[0]).toEqual({
+      date: '2024-05-25',
+      samples: 24,
+      temperature: { min: expect.any(Number), max: expect.any(Number), mean: expect.any(Number) },
+      precipitation: expect.any(Number),
+      windSpeed: expect.any(Number)
+    });
+  });
+
+  test('converts aggregates into the requested units', async () => {
+    const metric = await request(app).get('/api/weather/history?lat=51.51&lon=-0.13&start=2024-05-31&end=2024-05-31');
+    const imperial = await request(app)
+      .get('/api/weather/history?lat=51.51&lon=-0.13&start=2024-05-31&end=2024-05-31&units=imperial');
+
+    const celsius = metric.body.data.days[0].temperature.max;
+    expect(imperial.body.data.days[0].temperature.max).toBeCloseTo(celsius * 9 / 5 + 32, 0);
+    expect(imperial.body.data.units.temperature).toBe('°F');
+    expect(provider.getHistory).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects invalid ranges before calling upstream', async () => {
+    const res = await request(app).get('/api/weather/history?city=London&start=2024-05-31&end=2024-06-01');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_REQUEST' });
+    expect(provider.geocode).not.toHaveBeenCalled();
+    expect(provider.getHistory).not.toHaveBeenCalled();
+  });
+
+  test('lists the days upstream could not provide next to the stored ones', async () => {
+    await request(app).get('/api/weather/history?lat=51.51&lon=-0.13&start=2024-05-31&end=2024-05-31');
+    provider.getHistory.mockRejectedValue(upstreamError(503));
+
+    const res = await request(app).get('/api/weather/history?lat=51.51&lon=-0.13&start=2024-05-30&end=2024-05-31');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.days[0]).toEqual({ date: '2024-05-30', samples: 0, unavailable: true });
+    expect(res.body.data.days[1].samples).toBe(24);
+    expect(res.body.data.summary).toMatchObject({ days: 2, daysWithData: 1 });
+  });
+
+  test('maps upstream failures when none of the days are stored', async () => {
+    provider.getHistory.mockRejectedValue(upstreamError(401));
+
+    const res = await request(app).get('/api/weather/history?lat=51.51&lon=-0.13&start=2024-05-01&end=2024-05-02');
+
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe('UPSTREAM_UNAUTHORIZED');
+  });
+});
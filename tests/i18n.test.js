@@ -0,0 +1,151 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { ERROR_TYPES, ApiError } = require('../lib/errors');
+const { resolveLanguage, createTranslator } = require('../lib/i18n');
+const { CATEGORY_NAMES } = require('../lib/indices');
+const hi = require('../lib/locales/hi');
+const ar = require('../lib/locales/ar');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+describe('resolveLanguage', () => {
+  test('defaults to English and rejects unsupported languages', () => {
+    expect(resolveLanguage({})).toBe('en');
+    expect(resolveLanguage({ lang: 'ar' })).toBe('ar');
+    expect(() => resolveLanguage({ lang: 'fr' })).toThrow('lang must be one of: en, hi, ar');
+  });
+});
+
+describe('createTranslator', () => {
+  test('translates conditions by ID and keeps unknown ones in English', () => {
+    const translator = createTranslator('hi');
+
+    expect(translator.condition({ id: 500, description: 'light rain' })).toBe('हल्की बारिश');
+    expect(translator.condition({ id: 999, description: 'meteor shower' })).toBe('meteor shower');
+    expect(createTranslator().condition({ id: 500, description: 'light rain' })).toBe('light rain');
+  });
+
+  test('translates default error messages only', () => {
+    const translator = createTranslator('ar');
+
+    expect(translator.error(new ApiError('LOCATION_NOT_FOUND'))).toBe(ar.errors.LOCATION_NOT_FOUND);
+    expect(translator.error(new ApiError('INVALID_REQUEST', 'limit must be an integer between 1 and 5')))
+      .toBe('limit must be an integer between 1 and 5');
+  });
+
+  test('every catalogue covers the same conditions and every error code', () => {
+    expect(Object.keys(ar.conditions)).toEqual(Object.keys(hi.conditions));
+    expect(Object.keys(hi.conditions)).toHaveLength(55);
+    [hi, ar].forEach(catalogue => {
+      expect(Object.keys(catalogue.errors).sort()).toEqual(Object.keys(ERROR_TYPES).sort());
+      expect(Object.keys(catalogue.indexCategories).sort()).toEqual(Object.values(CATEGORY_NAMES).sort());
+    });
+  });
+});
+
+describe('lang parameter', () => {
+  let provider;
+  let app;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    app = createApp({ provider });
+  });
+
+  test('localizes descriptions without a separate upstream call', async () => {
+    const english = await request(app).get('/api/weather/current?city=London');
+    const hindi = await request(app).get('/api/weather/current?city=London&lang=hi');
+
+    expect(english.body.data.description).toBe('light rain');
+    expect(hindi.body.data.description).toBe('हल्की बारिश');
+    expect(hindi.body.data.temperature).toBe(english.body.data.temperature);
+    expect(hindi.headers['x-cache']).toBe('HIT');
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+  });
+
+  test('localizes forecast and One Call conditions', async () => {
+    const forecast = await request(app).get('/api/weather/forecast?city=Tokyo&lang=ar');
+    const oneCall = await request(app).get('/api/weather/onecall?lat=35.68&lon=139.69&lang=ar');
+    const arabic = Object.values(ar.conditions);
+
+    forecast.body.data.forecast.forEach(step => expect(arabic).toContain(step.description));
+    expect(arabic).toContain(oneCall.body.data.current.weather.description);
+    expect(arabic).toContain(oneCall.body.data.daily[0].weather.description);
+    expect(oneCall.body.data.current.weather.main).toMatch(/^[A-Z]/);
+  });
+
+  test('localizes air quality categories, moon phases and place names', async () => {
+    const air = await request(app).get('/api/weather/air-quality?lat=28.61&lon=77.21&lang=hi');
+    const astronomy = await request(app).get('/api/weather/astronomy?lat=51.51&lon=-0.13&date=2024-06-22&lang=hi');
+    const places = await request(app).get('/api/weather/geocode?q=Delhi&lang=ar');
+
+    expect(Object.values(hi.airQuality)).toContain(air.body.data.current.category);
+    expect(astronomy.body.data.moon.phaseName).toBe('पूर्णिमा');
+    expect(places.body.data[0]).toMatchObject({ name: 'دلهي', label: 'دلهي, Delhi, IN' });
+  });
+
+  test('labels index categories and activity ratings, keeping the codes', async () => {
+    const english = await request(app).get('/api/weather/indices?city=Delhi');
+    const hindi = await request(app).get('/api/weather/indices?city=Delhi&lang=hi');
+    const { current } = hindi.body.data;
+
+    expect(current.uv.category).toBe(english.body.data.current.uv.category);
+    expect(english.body.data.current.uv.label).toBe(CATEGORY_NAMES[current.uv.category]);
+    expect(current.uv.label).toBe(hi.indexCategories[CATEGORY_NAMES[current.uv.category]]);
+    expect(current.activities.running.rating).toBe(english.body.data.current.activities.running.rating);
+    expect(Object.values(hi.indexCategories)).toContain(current.activities.running.label);
+  });
+
+  test('localizes results of location lists, including failures', async () => {
+    provider.getCurrentWeather.mockRejectedValueOnce(upstreamError(404));
+
+    const res = await request(app).post('/api/weather/multiple').send({ cities: ['Atlantis', 'London'], lang: 'hi' });
+
+    expect(res.body.data[0]).toMatchObject({ success: false, code: 'LOCATION_NOT_FOUND', error: hi.errors.LOCATION_NOT_FOUND });
+    expect(res.body.data[1].data.description).toBe('हल्की बारिश');
+  });
+
+  test('localizes default error messages', async () => {
+    provider.getCurrentWeather.mockRejectedValueOnce(upstreamError(404));
+
+    const notFound = await request(app).get('/api/weather/current?city=Atlantis&lang=ar');
+    const custom = await request(app).get('/api/weather/geocode?q=Delhi&limit=9&lang=ar');
+
+    expect(notFound.status).toBe(404);
+    expect(notFound.body.error).toBe(ar.errors.LOCATION_NOT_FOUND);
+    expect(custom.body.error).toMatch(/^limit must be/);
+  });
+
+  test.each([
+    '/api/weather/current?city=London&lang=fr',
+    '/api/weather/alerts?lat=28.67&lon=77.22&lang=zz',
+    '/api/weather/history?city=London&start=2024-05-30&end=2024-05-31&lang=zz'
+  ])('rejects an unsupported language in English (%s)', async (url) => {
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_REQUEST', error: 'lang must be one of: en, hi, ar' });
+  });
+
+  test('localizes GraphQL descriptions', async () => {
+    const res = await request(app).post('/graphql')
+      .send({ query: '{ location(city: "London", lang: "hi") { current { description } } }' });
+
+    expect(res.body.data.location.current.description).toBe('हल्की बारिश');
+  });
+
+  test('localizes GraphQL errors like the REST response for the same failure', async () => {
+    provider.getCurrentWeather.mockRejectedValue(upstreamError(404));
+
+    const rest = await request(app).get('/api/weather/current?lat=1&lon=1&lang=hi');
+    const graphql = await request(app).post('/graphql').send({
+      query: 'query ($lang: String) { here: location(lat: 1, lon: 1, lang: $lang) { current { temperature } } }',
+      variables: { lang: 'hi' }
+    });
+    const english = await request(app).post('/graphql')
+      .send({ query: '{ location(lat: 1, lon: 1) { current { temperature } } }' });
+
+    expect(graphql.body.errors[0].message).toBe(rest.body.error);
+    expect(graphql.body.errors[0].message).toBe(hi.errors.LOCATION_NOT_FOUND);
+    expect(english.body.errors[0].message).toBe(ERROR_TYPES.LOCATION_NOT_FOUND.message);
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { dewPoint, heatIndex, windChill, humidex, uvCategory, buildIndices } = require('../lib/indices');
+const { createConverter, resolveUnits } = require('../lib/units');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+describe('index calculations', () => {
+  test('dew point from temperature and humidity', () => {
+    expect(dewPoint(20, 50)).toBeCloseTo(9.3, 1);
+    expect(dewPoint(30, 100)).toBeCloseTo(30, 5);
+  });
+
+  test('heat index only from 27 °C', () => {
+    expect(heatIndex(32, 70)).toBeCloseTo(40.4, 1);
+    expect(heatIndex(25, 90)).toBeNull();
+  });
+
+  test('wind chill only when cold and windy', () => {
+    expect(windChill(-10, 20 / 3.6)).toBeCloseTo(-17.9, 1);
+    expect(windChill(15, 10)).toBeNull();
+    expect(windChill(-10, 1)).toBeNull();
+  });
+
+  test('humidex only from 20 °C', () => {
+    expect(humidex(30, 24)).toBeCloseTo(41.3, 1);
+    expect(humidex(18, 15)).toBeNull();
+  });
+
+  test('UV exposure categories', () => {
+    expect([0.4, 2.6, 5.2, 7.4, 10.4, 11].map(uvCategory))
+      .toEqual(['low', 'moderate', 'moderate', 'high', 'veryHigh', 'extreme']);
+  });
+});
+
+describe('buildIndices', () => {
+  const step = (dt, temp, overrides = {}) => ({
+    dt,
+    dt_txt: new Date(dt * 1000).toISOString().slice(0, 19).replace('T', ' '),
+    main: { temp, feels_like: temp, humidity: 40 },
+    wind: { speed: 3 },
+    clouds: { all: 0 },
+    pop: 0,
+    sys: { pod: 'd' },
+    ...overrides
+  });
+
+  const current = {
+    name: 'Testville',
+    sys: { country: 'TV', sunrise: 0, sunset: 2000000000 },
+    coord: { lat: 1, lon: 2 },
+    dt: 1717243200,
+    weather: [{ main: 'Clear' }],
+    main: { temp: 20, feels_like: 20, humidity: 40 },
+    wind: { speed: 3 },
+    clouds: { all: 0 }
+  };
+
+  // Two whole UTC days: 10-20 °C, then 20-30 °C
+  const forecast = {
+    city: { timezone: 0 },
+    list: Array.from({ length: 16 }, (_, index) =>
+      step(1717200000 + index * 10800, (index < 8 ? 10 : 20) + (index % 8 === 4 ? 10 : 0)))
+  };
+
+  test('scores activities and names what limits them', () => {
+    const wet = { ...forecast, list: [step(1717243200, 12, { pop: 0.9, sys: { pod: 'n' } })] };
+    const { forecast: [period] } = buildIndices(current, wet, null);
+
+    expect(period.activities.laundryDrying).toEqual({
+      score: 0,
+      rating: 'poor',
+      label: 'Poor',
+      limitedBy: ['precipitationProbability', 'daylight'],
+      inputs: { temperature: 12, humidity: 40, windSpeed: 3, precipitationProbability: 90, cloudiness: 0, daylight: false }
+    });
+    expect(period.activities.running).toMatchObject({ score: 6, rating: 'good', limitedBy: ['precipitationProbability'] });
+  });
+
+  test('treats the current period as certain rain while it is raining', () => {
+    const raining = { ...current, weather: [{ main: 'Rain' }] };
+
+    expect(buildIndices(raining, forecast, null).current.conditions.precipitationProbability).toBe(100);
+    expect(buildIndices(current, forecast, null).current.conditions.precipitationProbability).toBe(0);
+  });
+
+  test('uses upstream dew point and UV from One Call where it covers the period', () => {
+    const oneCall = {
+      current: { dew_point: 5, uvi: 6.2 },
+      hourly: [{ dt: forecast.list[0].dt, dew_point: 1, uvi: 0 }]
+    };
+    const indices = buildIndices(current, forecast, oneCall);
+
+    expect(indices.current.dewPoint).toEqual({ value: 5, source: 'upstream' });
+    expect(indices.current.uv).toEqual({ index: 6.2, category: 'high', label: 'High' });
+    expect(indices.forecast[0].uv).toEqual({ index: 0, category: 'low', label: 'Low' });
+    expect(indices.forecast[1].dewPoint.source).toBe('calculated');
+    expect(indices.forecast[1].uv).toBeNull();
+  });
+
+  test('converts growing degree days as a temperature difference', () => {
+    const metric = buildIndices(current, forecast, null).growingDegreeDays;
+    const imperial = buildIndices(current, forecast, null, createConverter(resolveUnits({ units: 'imperial' }))).growingDegreeDays;
+
+    expect(metric).toEqual({
+      base: 10,
+      days: [
+        { date: '2024-06-01', min: 10, max: 20, value: 5 },
+        { date: '2024-06-02', min: 20, max: 30, value: 15 }
+      ],
+      total: 20
+    });
+    expect(imperial).toMatchObject({ base: 50, total: 36 });
+    expect(imperial.days[0]).toEqual({ date: '2024-06-01', min: 50, max: 68, value: 9 });
+  });
+
+  test('counts only whole local days', () => {
+    const shifted = { ...forecast, city: { timezone: 3 * 3600 } };
+
+    expect(buildIndices(current, shifted, null).growingDegreeDays.days.map(day => day.date)).toEqual(['2024-06-02']);
+  });
+});
+
+describe('GET /api/weather/indices', () => {
+  let provider;
+  let app;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    app = createApp({ provider });
+  });
+
+  test('returns indices for the current conditions and every forecast step', async () => {
+    const res = await request(app).get('/api/weather/indices?city=Delhi');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      location: 'Delhi, IN',
+      current: {
+        heatIndex: { value: expect.any(Number), category: expect.any(String) },
+        dewPoint: { source: 'upstream' },
+        uv: { index: expect.any(Number) },
+        activities: { running: { score: expect.any(Number) }, cycling: expect.any(Object), laundryDrying: expect.any(Object) }
+      },
+      growingDegreeDays: { base: 10 }
+    });
+    expect(res.body.data.forecast).toHaveLength(40);
+    expect(provider.getOneCall).toHaveBeenCalledWith(expect.objectContaining({ exclude: 'alerts,daily,minutely' }));
+  });
+
+  test('converts to the requested units', async () => {
+    const res = await request(app).get('/api/weather/indices?lat=35.68&lon=139.69&units=imperial');
+
+    expect(res.body.data.units.temperature).toBe('°F');
+    expect(res.body.data.growingDegreeDays.base).toBe(50);
+  });
+
+  test('leaves UV out when One Call is not available', async () => {
+    provider.getOneCall.mockRejectedValue(upstreamError(401));
+
+    const res = await request(app).get('/api/weather/indices?city=London');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.current.uv).toBeNull();
+    expect(res.body.data.current.dewPoint.source).toBe('calculated');
+  });
+
+  test('fails when the weather itself cannot be fetched', async () => {
+    provider.getForecast.mockRejectedValueOnce(upstreamError(404));
+
+    const res = await request(app).get('/api/weather/indices?city=Atlantis');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('LOCATION_NOT_FOUND');
+  });
+});
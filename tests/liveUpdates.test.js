@@ -0,0 +1,262 @@
+const http = require('http');
+const request = require('supertest');
+const createApp = require('../app');
+const { createCache } = require('../lib/cache');
+const { createLiveUpdates } = require('../lib/liveUpdates');
+const { createWeatherData } = require('../lib/weatherData');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+// No caching, so every poll reaches the provider
+const NO_CACHE = { current: 0, forecast: 0, onecall: 0, geocode: 0, airQuality: 0, alerts: 0 };
+
+// Make the stub report `temp` (metric) for every location from now on
+const setTemperature = (provider, temp) => {
+  const fixture = createStubProvider().getCurrentWeather;
+  provider.getCurrentWeather.mockImplementation(async (query) => {
+    const data = await fixture(query);
+    return { ...data, main: { ...data.main, temp } };
+  });
+};
+
+// Let pending fetches and nextTick deliveries settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// The server notices a closed stream a little after the client hangs up
+const waitFor = async (condition) => {
+  while (!condition()) await new Promise(resolve => setTimeout(resolve, 10));
+};
+
+// Open an SSE stream against a listening server and read its `weather` events in order
+const openStream = (server, path) => new Promise((resolve, reject) => {
+  const events = [];
+  const waiting = [];
+  let buffer = '';
+
+  const req = http.get(`http://127.0.0.1:${server.address().port}${path}`, (res) => {
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(block => {
+        const event = /^event: (.+)$/m.exec(block);
+        const data = /^data: (.+)$/m.exec(block);
+        if (!event) return;
+        const parsed = { event: event[1], data: JSON.parse(data[1]) };
+        if (waiting.length > 0) waiting.shift()(parsed);
+        else events.push(parsed);
+      });
+    });
+
+    resolve({
+      res,
+      next: () => (events.length > 0 ? Promise.resolve(events.shift()) : new Promise(done => waiting.push(done))),
+      close: () => new Promise(done => {
+        res.on('close', done);
+        req.destroy();
+      })
+    });
+  });
+  req.on('error', reject);
+});
+
+describe('live updates', () => {
+  let provider;
+  let live;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    live = createLiveUpdates({ provider, cache: createCache(), cacheTtl: NO_CACHE, maxSubscribers: 2 });
+  });
+
+  afterEach(() => {
+    live.stop();
+  });
+
+  test('shares one fetch per location and only reports changes', async () => {
+    setTemperature(provider, 10);
+    const first = jest.fn();
+    const second = jest.fn();
+
+    const unsubscribeFirst = live.subscribe([{ city: 'london' }], first);
+    const unsubscribeSecond = live.subscribe([{ city: 'london' }], second);
+    await flush();
+
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+    expect(first).toHaveBeenCalledWith({ city: 'london' }, expect.objectContaining({
+      data: expect.objectContaining({ main: expect.objectContaining({ temp: 10 }) })
+    }));
+    expect(second).toHaveBeenCalledTimes(1);
+
+    await expect(live.poll()).resolves.toEqual({ locations: 1, changed: 0 });
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(2);
+    expect(first).toHaveBeenCalledTimes(1);
+
+    setTemperature(provider, 12);
+    await expect(live.poll()).resolves.toEqual({ locations: 1, changed: 1 });
+    expect(first).toHaveBeenCalledTimes(2);
+    expect(second.mock.calls[1][1].data.main.temp).toBe(12);
+
+    unsubscribeFirst();
+    unsubscribeSecond();
+    expect(live.subscribers).toBe(0);
+    expect(live.locations).toBe(0);
+  });
+
+  test('gives late subscribers the latest conditions without fetching again', async () => {
+    live.subscribe([{ lat: 51.51, lon: -0.13 }], jest.fn());
+    await flush();
+
+    const late = jest.fn();
+    live.subscribe([{ lat: 51.51, lon: -0.13 }], late);
+    await flush();
+
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+    expect(late).toHaveBeenCalledTimes(1);
+  });
+
+  test('polls past the cache TTL but reuses data younger than half the interval', async () => {
+    let clock = Date.now();
+    const cache = createCache({ now: () => clock });
+    const cached = createLiveUpdates({ provider, cache, interval: 60 * 1000 });
+    const { fetchCached } = createWeatherData({ provider, cache });
+
+    setTemperature(provider, 10);
+    const listener = jest.fn();
+    cached.subscribe([{ city: 'london' }], listener);
+    await flush();
+
+    clock += 20 * 1000;
+    await cached.poll();
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+
+    setTemperature(provider, 12);
+    clock += 40 * 1000;
+    await expect(cached.poll()).resolves.toEqual({ locations: 1, changed: 1 });
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[1][1].data.main.temp).toBe(12);
+
+    const current = await fetchCached(null, 'current', { city: 'london', units: 'metric' }, provider.getCurrentWeather);
+    expect(current.main.temp).toBe(12);
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(2);
+    cached.stop();
+  });
+
+  test('reports a failing location once and again when it recovers', async () => {
+    provider.getCurrentWeather.mockRejectedValue(upstreamError(500));
+    const listener = jest.fn();
+    live.subscribe([{ city: 'london' }], listener);
+    await flush();
+    await live.poll();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][1].error).toMatchObject({ code: 'UPSTREAM_ERROR' });
+
+    setTemperature(provider, 10);
+    await live.poll();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[1][1].data).toBeDefined();
+  });
+
+  test('refuses subscribers beyond the limit', () => {
+    live.subscribe([{ city: 'london' }], jest.fn());
+    const unsubscribe = live.subscribe([{ city: 'paris' }], jest.fn());
+
+    expect(() => live.subscribe([{ city: 'tokyo' }], jest.fn())).toThrow(expect.objectContaining({ code: 'TOO_MANY_STREAMS' }));
+
+    unsubscribe();
+    unsubscribe();
+    expect(live.subscribers).toBe(1);
+    expect(() => live.subscribe([{ city: 'tokyo' }], jest.fn())).not.toThrow();
+  });
+});
+
+describe('GET /api/weather/stream', () => {
+  let provider;
+  let liveUpdates;
+  let app;
+  let server;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach((done) => {
+    provider = createStubProvider();
+    const cache = createCache();
+    liveUpdates = createLiveUpdates({ provider, cache, cacheTtl: NO_CACHE, maxSubscribers: 1 });
+    app = createApp({ provider, cache, cacheTtl: NO_CACHE, liveUpdates });
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach((done) => {
+    liveUpdates.stop();
+    server.close(done);
+  });
+
+  test('pushes converted conditions on connect and when they change', async () => {
+    setTemperature(provider, 10);
+    const stream = await openStream(server, '/api/weather/stream?locations=London;48.853,2.349&units=imperial');
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const initial = [await stream.next(), await stream.next()];
+    expect(initial.map(({ data }) => data.city || data.coordinates)).toEqual(
+      expect.arrayContaining(['London', { lat: 48.85, lon: 2.35 }]));
+    expect(initial[0]).toMatchObject({ event: 'weather', data: { success: true, data: { temperature: 50 } } });
+    expect(initial[0].data.data.units.temperature).toBe('°F');
+
+    setTemperature(provider, 20);
+    await liveUpdates.poll();
+    const changed = await stream.next();
+    expect(changed.data.data.temperature).toBe(68);
+
+    await stream.close();
+    await waitFor(() => liveUpdates.subscribers === 0);
+    expect(liveUpdates.locations).toBe(0);
+  });
+
+  test('sends location failures as events without closing the stream', async () => {
+    provider.getCurrentWeather.mockRejectedValue(upstreamError(404));
+    const stream = await openStream(server, '/api/weather/stream?city=Atlantis');
+
+    await expect(stream.next()).resolves.toEqual({
+      event: 'weather',
+      data: { city: 'Atlantis', success: false, error: expect.any(String), code: 'LOCATION_NOT_FOUND' }
+    });
+    expect(stream.res.complete).toBe(false);
+
+    await stream.close();
+  });
+
+  test.each([
+    ['/api/weather/stream', 'MISSING_LOCATION'],
+    ['/api/weather/stream?locations=;', 'MISSING_LOCATION'],
+    ['/api/weather/stream?locations=95,0', 'INVALID_COORDINATES'],
+    [`/api/weather/stream?locations=${Array.from({ length: 11 }, (_, index) => `City${index}`).join(';')}`, 'INVALID_REQUEST']
+  ])('rejects %s before streaming', async (url, code) => {
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/json/);
+    expect(res.body.code).toBe(code);
+  });
+
+  test('answers 503 when every stream slot is taken', async () => {
+    const stream = await openStream(server, '/api/weather/stream?city=London');
+    await stream.next();
+
+    const res = await request(server).get('/api/weather/stream?city=Paris');
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('TOO_MANY_STREAMS');
+
+    await stream.close();
+  });
+});
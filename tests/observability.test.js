@@ -0,0 +1,218 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { instrumentProvider } = require('../providers');
+const { createLogger } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { createHealthCheck } = require('../lib/health');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+// Value of one sample in a Prometheus text exposition
+const sampleValue = (text, sample) => {
+  const line = text.split('\n').find(entry => entry.startsWith(`${sample} `));
+  return line === undefined ? undefined : Number(line.slice(sample.length + 1));
+};
+
+describe('metrics registry', () => {
+  test('renders counters, gauges and histograms in the text format', () => {
+    const metrics = createMetrics();
+    const hits = metrics.counter({ name: 'hits_total', help: 'Hits', labelNames: ['path'] });
+    metrics.gauge({ name: 'queue_size', help: 'Queue size', collect: () => 3 });
+    const latency = metrics.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] });
+
+    hits.inc({ path: '/a"b' });
+    hits.inc({ path: '/a"b' }, 2);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+
+    expect(metrics.render()).toBe([
+      '# HELP hits_total Hits',
+      '# TYPE hits_total counter',
+      'hits_total{path="/a\\"b"} 3',
+      '# HELP queue_size Queue size',
+      '# TYPE queue_size gauge',
+      'queue_size 3',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{le="0.1"} 1',
+      'latency_seconds_bucket{le="1"} 2',
+      'latency_seconds_bucket{le="+Inf"} 2',
+      'latency_seconds_sum 0.55',
+      'latency_seconds_count 2',
+      ''
+    ].join('\n'));
+  });
+
+  test('refuses to register a metric twice', () => {
+    const metrics = createMetrics();
+    metrics.counter({ name: 'hits_total', help: 'Hits' });
+
+    expect(() => metrics.gauge({ name: 'hits_total', help: 'Hits' })).toThrow('already registered');
+  });
+});
+
+describe('logger', () => {
+  test('writes JSON lines at or above its level, with bound fields and serialized errors', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)), now: () => 0 });
+
+    logger.debug('hidden');
+    logger.child({ requestId: 'abc' }).error('failed', { error: new Error('boom'), skipped: undefined });
+
+    expect(lines).toEqual([{
+      time: '1970-01-01T00:00:00.000Z',
+      level: 'error',
+      msg: 'failed',
+      requestId: 'abc',
+      error: { name: 'Error', message: 'boom', stack: expect.stringContaining('boom') }
+    }]);
+  });
+});
+
+describe('server observability', () => {
+  let provider;
+  let metrics;
+  let lines;
+  let app;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    metrics = createMetrics();
+    lines = [];
+    const logger = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+    app = createApp({ provider: instrumentProvider(provider, { metrics, logger }), metrics, logger });
+  });
+
+  test('logs each request as JSON with its request ID and route', async () => {
+    await request(app).get('/api/weather/current?city=London').set('X-Request-Id', 'trace-1');
+    await request(app).get('/api/weather/current?city=London&api_key=secret');
+
+    expect(lines).toContainEqual(expect.objectContaining({
+      level: 'info',
+      msg: 'request',
+      requestId: 'trace-1',
+      method: 'GET',
+      route: '/api/weather/current',
+      path: '/api/weather/current',
+      status: 200,
+      durationMs: expect.any(Number)
+    }));
+    expect(JSON.stringify(lines)).not.toContain('secret');
+  });
+
+  test('logs upstream failures at error level with the request ID', async () => {
+    provider.getCurrentWeather.mockRejectedValueOnce(upstreamError(500, { message: 'down' }));
+
+    await request(app).get('/api/weather/current?city=London').set('X-Request-Id', 'trace-2');
+
+    expect(lines).toContainEqual(expect.objectContaining({
+      level: 'error',
+      msg: 'request failed',
+      requestId: 'trace-2',
+      code: 'UPSTREAM_ERROR',
+      upstreamResponse: { message: 'down' }
+    }));
+  });
+
+  test('exposes request, upstream and cache metrics', async () => {
+    provider.getForecast.mockRejectedValueOnce(upstreamError(404));
+
+    await request(app).get('/api/weather/current?city=London');
+    await request(app).get('/api/weather/current?city=London');
+    await request(app).get('/api/weather/forecast?city=Atlantis');
+    await request(app).get('/api/weather/alerts/subscriptions/missing');
+
+    const res = await request(app).get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+
+    const text = res.text;
+    expect(sampleValue(text, 'http_requests_total{method="GET",route="/api/weather/current",status="200"}')).toBe(2);
+    expect(sampleValue(text, 'http_requests_total{method="GET",route="/api/weather/forecast",status="404"}')).toBe(1);
+    expect(sampleValue(text, 'http_requests_total{method="GET",route="/api/weather/alerts/subscriptions/:id",status="401"}')).toBe(1);
+    expect(sampleValue(text, 'http_request_duration_seconds_count{method="GET",route="/api/weather/current"}')).toBe(2);
+    expect(sampleValue(text, 'http_request_duration_seconds_bucket{method="GET",route="/api/weather/current",le="+Inf"}')).toBe(2);
+
+    expect(sampleValue(text, 'weather_upstream_requests_total{provider="stub",operation="getCurrentWeather",code="OK"}')).toBe(1);
+    expect(sampleValue(text, 'weather_upstream_requests_total{provider="stub",operation="getForecast",code="LOCATION_NOT_FOUND"}')).toBe(1);
+    expect(sampleValue(text, 'weather_upstream_request_duration_seconds_count{provider="stub",operation="getCurrentWeather"}')).toBe(1);
+
+    expect(sampleValue(text, 'weather_cache_lookups_total{kind="current",result="hit"}')).toBe(1);
+    expect(sampleValue(text, 'weather_cache_lookups_total{kind="current",result="miss"}')).toBe(1);
+    expect(sampleValue(text, 'weather_cache_hit_ratio{kind="current"}')).toBe(0.5);
+    expect(sampleValue(text, 'weather_cache_entries')).toBe(1);
+    expect(sampleValue(text, 'weather_live_streams')).toBe(0);
+  });
+
+  test('labels requests that match no route as unmatched', async () => {
+    await request(app).get('/nowhere');
+
+    const res = await request(app).get('/metrics');
+    expect(sampleValue(res.text, 'http_requests_total{method="GET",route="unmatched",status="404"}')).toBe(1);
+  });
+});
+
+describe('health checks', () => {
+  let provider;
+  let now;
+  let healthCheck;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    now = 0;
+    healthCheck = createHealthCheck({ provider, interval: 1000, now: () => now });
+  });
+
+  test('reports ready with a configured, reachable provider', async () => {
+    const res = await request(createApp({ provider, healthCheck })).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'OK',
+      uptime: expect.any(Number),
+      provider: 'stub',
+      checks: { apiKey: { status: 'pass' }, upstream: { status: 'pass', latencyMs: 0 } }
+    });
+  });
+
+  test('reports not ready without an API key, without probing upstream', async () => {
+    provider.isConfigured.mockReturnValue(false);
+
+    const res = await request(createApp({ provider, healthCheck })).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({
+      status: 'UNAVAILABLE',
+      checks: { apiKey: { status: 'fail', code: 'PROVIDER_NOT_CONFIGURED' }, upstream: { status: 'skipped' } }
+    });
+    expect(provider.getCurrentWeather).not.toHaveBeenCalled();
+  });
+
+  test('reports not ready while the provider fails, reusing the probe within the interval', async () => {
+    provider.getCurrentWeather.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+    const app = createApp({ provider, healthCheck });
+
+    const first = await request(app).get('/health');
+    const second = await request(app).get('/health');
+
+    expect(first.status).toBe(503);
+    expect(first.body.checks.upstream).toMatchObject({ status: 'fail', code: 'UPSTREAM_TIMEOUT' });
+    expect(second.body.checks.upstream).toEqual(first.body.checks.upstream);
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+
+    now = 1000;
+    provider.getCurrentWeather.mockResolvedValue({});
+    const recovered = await request(app).get('/health');
+
+    expect(recovered.status).toBe(200);
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps liveness independent of the provider', async () => {
+    provider.isConfigured.mockReturnValue(false);
+
+    const res = await request(createApp({ provider, healthCheck })).get('/health/live');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'OK', uptime: expect.any(Number) });
+  });
+});
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const createApp = require('../app');
+const createMockProvider = require('../providers/mock');
+const { createObservationStore } = require('../lib/observationStore');
+const { createObservationRecorder } = require('../lib/observationRecorder');
+const {
+  toObservation,
+  parseObservationLocations,
+  parseTimeRange,
+  parseInterval,
+  downsample,
+  buildSeries
+} = require('../lib/observations');
+const { FIXED_NOW, upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Recorded London observations every 10 minutes for the hours before FIXED_NOW
+const londonSeries = async (hours) => {
+  const count = hours * 6;
+  return Promise.all(Array.from({ length: count }, (_, index) => {
+    const at = FIXED_NOW - (count - 1 - index) * 10 * 60 * 1000;
+    return createMockProvider({ now: () => at })
+      .getCurrentWeather({ city: 'london', units: 'metric' })
+      .then(data => toObservation(data, 'schedule', at));
+  }));
+};
+
+describe('observation store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-observations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps each series ordered and skips duplicate observation times', async () => {
+    const store = createObservationStore({ now: () => FIXED_NOW });
+    const [first, second, third] = await londonSeries(1);
+
+    expect(store.append(third)).toBe(true);
+    expect(store.append(first)).toBe(true);
+    expect(store.append(second)).toBe(true);
+    expect(store.append({ ...second, source: 'request' })).toBe(false);
+
+    expect(store.query(first, first.observedAt, third.observedAt)).toEqual([first, second, third]);
+    expect(store.query(first, second.observedAt, second.observedAt)).toEqual([second]);
+    expect(store.query({ lat: 0, lon: 0 }, first.observedAt, third.observedAt)).toEqual([]);
+  });
+
+  test('matches locations to the nearest series within a few kilometres', async () => {
+    const store = createObservationStore({ now: () => FIXED_NOW });
+    const [first, second] = await londonSeries(1);
+
+    store.append(first);
+    store.append({ ...second, lat: 51.52, lon: -0.12 });
+
+    expect(store.query({ lat: 51.5073, lon: -0.1277 }, first.observedAt, second.observedAt)).toHaveLength(2);
+    expect(store.query({ lat: 51.75, lon: -1.26 }, first.observedAt, second.observedAt)).toEqual([]);
+  });
+
+  test('appends observations to an NDJSON file in batches and reloads them', async () => {
+    const file = path.join(dir, 'nested', 'observations.ndjson');
+    const observations = await londonSeries(1);
+    const store = createObservationStore({ file, now: () => FIXED_NOW });
+    const appendFile = jest.spyOn(fs.promises, 'appendFile');
+
+    observations.forEach(observation => store.append(observation));
+    expect(fs.existsSync(file)).toBe(false);
+    await store.flush();
+
+    expect(appendFile).toHaveBeenCalledTimes(1);
+    appendFile.mockRestore();
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(6);
+    const reloaded = createObservationStore({ file, now: () => FIXED_NOW });
+    expect(reloaded.size()).toBe(6);
+    expect(reloaded.append(observations[0])).toBe(false);
+  });
+
+  test('drops observations past the retention period and compacts the file', async () => {
+    const file = path.join(dir, 'observations.ndjson');
+    const observations = await londonSeries(2);
+    let now = FIXED_NOW;
+    const store = createObservationStore({ file, retention: HOUR_MS, now: () => now });
+
+    expect(store.append(observations[0])).toBe(false);
+    observations.slice(6).forEach(observation => store.append(observation));
+    await store.flush();
+    expect(store.size()).toBe(6);
+
+    now += 45 * 60 * 1000;
+    store.append({ ...observations[11], observedAt: new Date(now).toISOString() });
+    await store.flush();
+
+    expect(store.size()).toBe(3);
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(3);
+    expect(createObservationStore({ file, retention: HOUR_MS, now: () => now }).size()).toBe(3);
+  });
+});
+
+describe('observation helpers', () => {
+  test('parses configured sampling locations', () => {
+    expect(parseObservationLocations(' London,GB ; 40.71,-74.01;New York ;')).toEqual([
+      { city: 'London,GB' },
+      { lat: 40.71, lon: -74.01 },
+      { city: 'New York' }
+    ]);
+    expect(parseObservationLocations(undefined)).toEqual([]);
+    expect(() => parseObservationLocations('95,10')).toThrow('Invalid coordinates in OBSERVATION_LOCATIONS: 95,10');
+  });
+
+  test('defaults the time range to the last 24 hours', () => {
+    expect(parseTimeRange({}, FIXED_NOW)).toEqual({ start: FIXED_NOW - 24 * HOUR_MS, end: FIXED_NOW });
+    expect(parseTimeRange({ from: '2024-05-31' }, FIXED_NOW)).toEqual({ start: Date.UTC(2024, 4, 31), end: FIXED_NOW });
+    expect(() => parseTimeRange({ from: 'yesterday' })).toThrow('from must be an ISO 8601 date or date-time');
+    expect(() => parseTimeRange({ from: '2024-06-02', to: '2024-06-01' })).toThrow('to must not be before from');
+  });
+
+  test('parses intervals', () => {
+    expect(parseInterval('15m')).toBe(15 * 60 * 1000);
+    expect(parseInterval('1d')).toBe(24 * HOUR_MS);
+    expect(() => parseInterval('0h')).toThrow(/interval must be/);
+    expect(() => parseInterval('1w')).toThrow(/interval must be/);
+  });
+
+  test('averages observations into interval buckets', async () => {
+    const observations = await londonSeries(2);
+    const buckets = downsample(observations, HOUR_MS);
+
+    expect(buckets).toHaveLength(3);
+    expect(buckets.map(bucket => bucket.samples)).toEqual([5, 6, 1]);
+    expect(buckets[1]).toMatchObject({
+      observedAt: '2024-06-01T11:00:00.000Z',
+      temperature: expect.any(Number),
+      temperatureMin: Math.min(...observations.slice(5, 11).map(point => point.temperature)),
+      temperatureMax: Math.max(...observations.slice(5, 11).map(point => point.temperature))
+    });
+  });
+
+  test('downsamples long series automatically', async () => {
+    const observations = Array.from({ length: 600 }, (_, index) => ({
+      observedAt: new Date(FIXED_NOW - (599 - index) * 60 * 1000).toISOString(),
+      temperature: 20, feelsLike: 20, humidity: 50, pressure: 1010, windSpeed: 3, cloudiness: 10, visibility: 10
+    }));
+
+    const raw = buildSeries(observations.slice(0, 100), { start: FIXED_NOW - 10 * HOUR_MS, end: FIXED_NOW });
+    const auto = buildSeries(observations, { start: FIXED_NOW - 10 * HOUR_MS, end: FIXED_NOW });
+
+    expect(raw).toEqual({ interval: null, points: observations.slice(0, 100) });
+    expect(auto.interval).toBe('5m');
+    expect(auto.points.length).toBeLessThanOrEqual(121);
+  });
+});
+
+describe('observation recorder', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records nothing while disabled', async () => {
+    const provider = createStubProvider();
+    const recorder = createObservationRecorder({ provider, locations: [{ city: 'London' }] });
+
+    expect(recorder.record(await provider.getCurrentWeather({ city: 'london', units: 'metric' }), 'request')).toBe(false);
+    expect(recorder.store.size()).toBe(0);
+  });
+
+  test('samples every configured location and reports failures', async () => {
+    const provider = createStubProvider();
+    const recorder = createObservationRecorder({
+      provider,
+      enabled: true,
+      locations: [{ city: 'London' }, { lat: 35.6895, lon: 139.6917 }, { city: 'Atlantis' }],
+      now: () => FIXED_NOW
+    });
+
+    await expect(recorder.sample()).resolves.toEqual({ recorded: 2, failed: 1 });
+    expect(provider.getCurrentWeather).toHaveBeenCalledWith({ city: 'london', units: 'metric' });
+    expect(provider.getCurrentWeather).toHaveBeenCalledWith({ lat: 35.69, lon: 139.69, units: 'metric' });
+    expect(recorder.store.query({ lat: 35.69, lon: 139.69 }, '2024-06-01', '2024-06-02')).toEqual([
+      expect.objectContaining({ location: 'Tokyo, JP', source: 'schedule', observedAt: '2024-06-01T12:00:00.000Z' })
+    ]);
+  });
+
+  test('samples the configured locations as soon as it starts', async () => {
+    const provider = createStubProvider();
+    const recorder = createObservationRecorder({ provider, enabled: true, locations: [{ city: 'London' }], now: () => FIXED_NOW });
+
+    recorder.start();
+    recorder.stop();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+    expect(recorder.store.size()).toBe(1);
+  });
+
+  test('never fails the caller when storage fails', async () => {
+    const provider = createStubProvider();
+    const store = { append: jest.fn(() => { throw new Error('disk full'); }) };
+    const recorder = createObservationRecorder({ provider, store, enabled: true });
+
+    expect(recorder.record(await provider.getCurrentWeather({ city: 'london', units: 'metric' }), 'request')).toBe(false);
+  });
+});
+
+describe('GET /api/weather/observations', () => {
+  let provider;
+  let recorder;
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(FIXED_NOW);
+    provider = createStubProvider();
+    recorder = createObservationRecorder({ provider, enabled: true, now: () => FIXED_NOW });
+    app = createApp({ provider, recorder });
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('records /current and /multiple responses', async () => {
+    await request(app).get('/api/weather/current?city=London');
+    await request(app).post('/api/weather/multiple').send({ cities: ['London', 'Tokyo'] });
+
+    const res = await request(app).get('/api/weather/observations?lat=51.51&lon=-0.13');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      coordinates: { lat: 51.51, lon: -0.13 },
+      from: '2024-05-31T12:00:00.000Z',
+      to: '2024-06-01T12:00:00.000Z',
+      interval: null,
+      count: 1,
+      observations: [{
+        observedAt: '2024-06-01T12:00:00.000Z',
+        temperature: expect.any(Number),
+        feelsLike: expect.any(Number),
+        humidity: expect.any(Number),
+        pressure: expect.any(Number),
+        windSpeed: expect.any(Number),
+        cloudiness: expect.any(Number),
+        visibility: expect.any(Number),
+        windDirection: expect.any(Number),
+        description: expect.any(String),
+        icon: expect.any(String),
+        source: 'request'
+      }],
+      units: { temperature: '°C', speed: 'm/s', pressure: 'hPa', distance: 'km' }
+    });
+    expect(recorder.store.size()).toBe(2);
+  });
+
+  test('downsamples the series for a city on request', async () => {
+    (await londonSeries(3)).forEach(observation => recorder.store.append(observation));
+
+    const res = await request(app)
+      .get('/api/weather/observations?city=London&from=2024-06-01T09:00:00Z&interval=1h&units=imperial');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ location: 'London, GB', interval: '1h', count: 18 });
+    expect(res.body.data.observations.map(point => point.samples)).toEqual([5, 6, 6, 1]);
+    expect(res.body.data.observations[0]).not.toHaveProperty('source');
+    expect(res.body.data.units.temperature).toBe('°F');
+  });
+
+  test.each([
+    ['interval=5x', /interval must be/],
+    ['from=soon', /from must be/],
+    ['units=kelvin', /units must be one of/]
+  ])('rejects %s', async (query, message) => {
+    const res = await request(app).get(`/api/weather/observations?lat=51.51&lon=-0.13&${query}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(message);
+  });
+
+  test('finds the series recorded for a city under the geocoded coordinates', async () => {
+    await request(app).get('/api/weather/current?city=London');
+    provider.geocode.mockResolvedValue([{ name: 'London', country: 'GB', lat: 51.5073, lon: -0.1277 }]);
+
+    const res = await request(app).get('/api/weather/observations?city=London');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ location: 'London, GB', count: 1 });
+  });
+
+  test('needs a configured provider to look up a city only', async () => {
+    provider.isConfigured.mockReturnValue(false);
+
+    const city = await request(app).get('/api/weather/observations?city=London');
+    const coordinates = await request(app).get('/api/weather/observations?lat=51.51&lon=-0.13');
+
+    expect(city.status).toBe(503);
+    expect(city.body.code).toBe('PROVIDER_NOT_CONFIGURED');
+    expect(provider.geocode).not.toHaveBeenCalled();
+    expect(coordinates.status).toBe(200);
+    expect(coordinates.body.data.count).toBe(0);
+  });
+
+  test('maps geocoding failures', async () => {
+    provider.geocode.mockRejectedValue(upstreamError(401));
+
+    const res = await request(app).get('/api/weather/observations?city=London');
+
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe('UPSTREAM_UNAUTHORIZED');
+  });
+
+  test('is unavailable while recording is disabled', async () => {
+    const res = await request(createApp({ provider })).get('/api/weather/observations?lat=51.51&lon=-0.13');
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('RECORDER_DISABLED');
+  });
+});
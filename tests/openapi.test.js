@@ -0,0 +1,213 @@
+const request = require('supertest');
+const createApp = require('../app');
+const createWeatherRouter = require('../routes/weather');
+const createAlertSubscriptionsRouter = require('../routes/alerts');
+const createTilesRouter = require('../routes/tiles');
+const createBulkJobsRouter = require('../routes/jobs');
+const { createSubscriptionStore } = require('../lib/subscriptionStore');
+const { createClientStore } = require('../lib/clientStore');
+const { createWebhookGuard } = require('../lib/webhooks');
+const spec = require('../lib/openapi');
+const { validateSchema } = require('../lib/jsonSchema');
+const { createStubProvider } = require('./helpers/stubProvider');
+
+// Express route paths (":id") as OpenAPI paths ("{id}")
+const routesOf = (router, base) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+    `${method} ${base}${layer.route.path.replace(/\/$/, '').replace(/:(\w+)/g, '{$1}')}`));
+
+describe('OpenAPI document', () => {
+  let provider;
+  let app;
+
+  // Check a response body against the schema the document gives for its operation and status
+  const expectDocumented = (res, method, path) => {
+    const response = spec.paths[path][method].responses[res.status];
+    expect(response).toBeDefined();
+
+    const resolved = response.$ref ? spec.components.responses[response.$ref.split('/').pop()] : response;
+    const error = validateSchema(resolved.content['application/json'].schema, res.body, { root: spec, path: 'body' });
+    expect(error).toBeNull();
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    app = createApp({ provider });
+  });
+
+  test('describes every weather and map tile route', () => {
+    const documented = Object.entries(spec.paths).flatMap(([path, item]) =>
+      Object.keys(item).filter(method => method !== 'parameters').map(method => `${method} ${path}`));
+
+    const routes = [
+      ...routesOf(createWeatherRouter({ provider }), '/api/weather'),
+      ...routesOf(createAlertSubscriptionsRouter({ provider, store: createSubscriptionStore() }), '/api/weather/alerts/subscriptions'),
+      ...routesOf(createBulkJobsRouter({ provider, jobs: {} }), '/api/weather/jobs'),
+      ...routesOf(createTilesRouter({ provider }), '/tiles')
+    ];
+
+    expect(documented.sort()).toEqual(routes.sort());
+  });
+
+  test('is served as JSON', async () => {
+    const res = await request(app).get('/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ openapi: '3.0.3', info: { title: 'Weather API' } });
+  });
+
+  test('serves the docs page under the default CSP', async () => {
+    const res = await request(app).get('/docs');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-security-policy']).toMatch(/script-src 'self'/);
+    expect(res.text).toContain('<script src="docs.js"></script>');
+    expect(res.text).not.toMatch(/<script>|https?:\/\/[^"]*\.js/);
+  });
+
+  test.each([
+    ['get', '/api/weather/current', '/api/weather/current?city=London&units=imperial'],
+    ['get', '/api/weather/current', '/api/weather/current?city=Atlantis'],
+    ['get', '/api/weather/forecast', '/api/weather/forecast?lat=35.68&lon=139.69'],
+    ['get', '/api/weather/onecall', '/api/weather/onecall?lat=35.68&lon=139.69'],
+    ['get', '/api/weather/air-quality', '/api/weather/air-quality?city=Delhi'],
+    ['get', '/api/weather/alerts', '/api/weather/alerts?lat=28.67&lon=77.22'],
+    ['get', '/api/weather/history', '/api/weather/history?city=London&start=2024-05-30&end=2024-05-31'],
+    ['get', '/api/weather/observations', '/api/weather/observations?lat=51.51&lon=-0.13'],
+    ['get', '/api/weather/geocode', '/api/weather/geocode?q=Springfield'],
+    ['get', '/api/weather/geocode', '/api/weather/geocode?q=London&limit=9']
+  ])('documents the response of %s %s (%s)', async (method, path, url) => {
+    expectDocumented(await request(app).get(url), method, path);
+  });
+
+  test('documents multiple and subscription responses', async () => {
+    const multiple = await request(app).post('/api/weather/multiple')
+      .send({ cities: ['London', { lat: 95, lon: 0 }] });
+    expectDocumented(multiple, 'post', '/api/weather/multiple');
+
+    const clients = createClientStore();
+    const { key } = clients.create({ id: 'team', name: 'Team', tier: 'free', allowedOrigins: [] });
+    const webhookGuard = createWebhookGuard({ resolve: async () => [{ address: '93.184.215.14', family: 4 }] });
+    const keyed = createApp({ provider, clients, webhookGuard });
+    const subscriptions = '/api/weather/alerts/subscriptions';
+
+    expectDocumented(await request(keyed).post(subscriptions).send({ url: 'https://example.com/hook', lat: 1, lon: 1 }),
+      'post', subscriptions);
+
+    const created = await request(keyed).post(subscriptions).set('X-API-Key', key)
+      .send({ url: 'https://example.com/hook', city: 'Tokyo' });
+    expectDocumented(created, 'post', subscriptions);
+
+    const { id } = created.body.data;
+    expectDocumented(await request(keyed).get(`${subscriptions}/${id}`).set('X-API-Key', key), 'get', `${subscriptions}/{id}`);
+    expectDocumented(await request(keyed).delete(`${subscriptions}/${id}`).set('X-API-Key', key), 'delete', `${subscriptions}/{id}`);
+  });
+
+  describe('request validation', () => {
+    test.each([
+      ['/api/weather/current?city=London&city=Paris', 'INVALID_REQUEST', 'city must be a string'],
+      ['/api/weather/current?lat=north&lon=0', 'INVALID_COORDINATES', /^Invalid coordinates/],
+      ['/api/weather/geocode?q=London&limit=9', 'INVALID_REQUEST', 'limit must be an integer between 1 and 5'],
+      ['/api/weather/onecall?lat=35.68', 'MISSING_LOCATION', 'Please provide coordinates (lat, lon) for One Call API'],
+      ['/api/weather/history?city=London&start=2024-5-1&end=2024-05-02', 'INVALID_REQUEST', 'start must be a date in YYYY-MM-DD format'],
+      ['/api/weather/history?city=London', 'INVALID_REQUEST', 'Please provide a start and end date (YYYY-MM-DD)']
+    ])('rejects %s', async (url, code, message) => {
+      const res = await request(app).get(url);
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe(code);
+      expect(res.body.error).toEqual(typeof message === 'string' ? message : expect.stringMatching(message));
+      expect(provider.getCurrentWeather).not.toHaveBeenCalled();
+      expect(provider.geocode).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ cities: ['London'], units: 'nautical' }, 'units must be one of: metric, imperial, standard'],
+      [{ cities: [{ lat: '35.68', lon: '139.69' }] }, 'Each entry must be a city name or an object with lat and lon']
+    ])('rejects the body %j', async (body, message) => {
+      const res = await request(app).post('/api/weather/multiple').send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'INVALID_REQUEST', error: message });
+    });
+
+    test('leaves undocumented parameters and routes alone', async () => {
+      const extra = await request(app).get('/api/weather/current?city=London&api_key=&debug=1');
+      const unknown = await request(app).get('/api/weather/unknown?limit=oops');
+
+      expect(extra.status).toBe(200);
+      expect(unknown.status).toBe(404);
+    });
+  });
+});
+
+describe('validateSchema', () => {
+  const root = {
+    components: {
+      schemas: {
+        Point: { type: 'object', required: ['x'], properties: { x: { type: 'integer', minimum: 0 } } }
+      }
+    }
+  };
+  const validate = (schema, value) => validateSchema(schema, value, { root, path: 'value' });
+
+  test('follows references and reports the first failing path', () => {
+    const schema = { type: 'array', items: { $ref: '#/components/schemas/Point' } };
+
+    expect(validate(schema, [{ x: 1 }, { x: 2 }])).toBeNull();
+    expect(validate(schema, [{ x: 1 }, { x: -1 }])).toEqual({
+      path: 'value[1].x',
+      keyword: 'range',
+      code: 'INVALID_REQUEST',
+      message: 'value[1].x must be at least 0'
+    });
+    expect(validate(schema, [{}])).toMatchObject({ path: 'value[0].x', message: 'value[0].x is required' });
+  });
+
+  test('accepts exactly one matching oneOf option and null when nullable', () => {
+    const schema = { oneOf: [{ type: 'string' }, { type: 'number' }], 'x-error-message': 'string or number' };
+
+    expect(validate(schema, 'a')).toBeNull();
+    expect(validate(schema, true)).toMatchObject({ keyword: 'oneOf', message: 'string or number' });
+    expect(validate({ type: 'string', nullable: true }, null)).toBeNull();
+  });
+
+  test('uses per-keyword error codes and messages', () => {
+    const schema = {
+      type: 'object',
+      required: ['lat'],
+      additionalProperties: false,
+      properties: {
+        lat: {
+          type: 'number',
+          maximum: 90,
+          'x-error-code': { required: 'MISSING_LOCATION', default: 'INVALID_COORDINATES' },
+          'x-error-message': { required: 'lat is missing' }
+        }
+      }
+    };
+
+    expect(validate(schema, {})).toMatchObject({ code: 'MISSING_LOCATION', message: 'lat is missing' });
+    expect(validate(schema, { lat: 91 })).toEqual({
+      path: 'value.lat',
+      keyword: 'range',
+      code: 'INVALID_COORDINATES',
+      message: undefined
+    });
+    expect(validate(schema, { lat: 1, lon: 2 })).toMatchObject({ message: 'value.lon is not allowed' });
+  });
+
+  test('checks date formats', () => {
+    expect(validate({ type: 'string', format: 'date' }, '2024-02-29')).toBeNull();
+    expect(validate({ type: 'string', format: 'date' }, '2024-02-3')).toMatchObject({ message: 'value must be a valid date' });
+  });
+});
@@ -0,0 +1,297 @@
+const axios = require('axios');
+const { createProvider } = require('../providers');
+const createMockProvider = require('../providers/mock');
+const createOpenWeatherMapProvider = require('../providers/openweathermap');
+const { createLogger } = require('../lib/logger');
+const { FIXED_NOW, upstreamError } = require('./helpers/stubProvider');
+
+describe('createProvider', () => {
+  test('creates the provider selected by name', () => {
+    expect(createProvider('mock').name).toBe('mock');
+    expect(createProvider('OpenWeatherMap', { apiKey: 'key' }).name).toBe('openweathermap');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => createProvider('acme')).toThrow('Unknown weather provider "acme"');
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider({ now: () => FIXED_NOW });
+
+  test('is deterministic for a fixed clock', async () => {
+    const other = createMockProvider({ now: () => FIXED_NOW });
+
+    await expect(provider.getForecast({ city: 'London', units: 'metric' }))
+      .resolves.toEqual(await other.getForecast({ city: 'London', units: 'metric' }));
+  });
+
+  test('matches cities case-insensitively with an optional country code', async () => {
+    const data = await provider.getCurrentWeather({ city: 'new york,us', units: 'metric' });
+
+    expect(data).toMatchObject({ name: 'New York', sys: { country: 'US' }, dt: FIXED_NOW / 1000 });
+  });
+
+  test('rejects unknown cities with an upstream-style 404', async () => {
+    await expect(provider.getCurrentWeather({ city: 'Atlantis', units: 'metric' }))
+      .rejects.toMatchObject({ response: { status: 404 } });
+  });
+
+  test('answers coordinates with the nearest fixture location', async () => {
+    const data = await provider.getCurrentWeather({ lat: 48.85, lon: 2.35, units: 'metric' });
+
+    expect(data).toMatchObject({ name: 'London', coord: { lat: 48.85, lon: 2.35 } });
+  });
+
+  test('converts temperatures and wind speeds between units', async () => {
+    const metric = await provider.getCurrentWeather({ city: 'Sydney', units: 'metric' });
+    const imperial = await provider.getCurrentWeather({ city: 'Sydney', units: 'imperial' });
+    const standard = await provider.getCurrentWeather({ city: 'Sydney', units: 'standard' });
+
+    expect(imperial.main.temp).toBeCloseTo(metric.main.temp * 9 / 5 + 32, 1);
+    expect(imperial.wind.speed).toBeCloseTo(metric.wind.speed * 2.23694, 1);
+    expect(standard.main.temp).toBeCloseTo(metric.main.temp + 273.15, 1);
+  });
+
+  test('searches fixture locations by name prefix', async () => {
+    await expect(provider.geocode({ query: 'to', limit: 5 })).resolves.toEqual([
+      {
+        name: 'Tokyo',
+        lat: 35.6895,
+        lon: 139.6917,
+        country: 'JP',
+        state: 'Tokyo',
+        local_names: { en: 'Tokyo', hi: 'टोक्यो', ar: 'طوكيو' }
+      }
+    ]);
+  });
+
+  test('reverse geocodes to the nearest fixture locations', async () => {
+    const places = await provider.reverseGeocode({ lat: 41, lon: -73, limit: 2 });
+
+    expect(places.map(place => place.name)).toEqual(['New York', 'London']);
+  });
+
+  test('derives the AQI level from the worst pollutant', async () => {
+    const clean = await provider.getAirQuality({ lat: -33.87, lon: 151.21 });
+    const polluted = await provider.getAirQuality({ lat: 28.67, lon: 77.22 });
+
+    expect(clean.list[0].main.aqi).toBe(1);
+    expect(polluted.list[0].main.aqi).toBe(5);
+    expect(polluted.list[0].components).toHaveProperty('pm2_5');
+  });
+
+  test('returns hourly history up to the current time', async () => {
+    const start = Date.UTC(2024, 4, 31) / 1000;
+    const data = await provider.getHistory({ lat: 51.51, lon: -0.13, start, end: start + 2 * 86400, units: 'metric' });
+
+    expect(data.list).toHaveLength(37);
+    expect(data.list[0]).toMatchObject({ dt: start, main: { temp: expect.any(Number) }, wind: { speed: expect.any(Number) } });
+    await expect(provider.getHistory({ lat: 0, lon: 0, start: start + 2 * 86400, end: start + 3 * 86400 }))
+      .rejects.toMatchObject({ response: { status: 400 } });
+  });
+
+  test('drops excluded One Call sections', async () => {
+    const data = await provider.getOneCall({ lat: 0, lon: 0, units: 'metric', exclude: 'hourly, daily' });
+
+    expect(data).toHaveProperty('current');
+    expect(data).not.toHaveProperty('hourly');
+    expect(data).not.toHaveProperty('daily');
+  });
+
+  test('draws PNG map tiles offline', async () => {
+    const base = await provider.getMapTile({ layer: 'base', z: 1, x: 0, y: 0 });
+    const clouds = await provider.getMapTile({ layer: 'clouds', z: 1, x: 0, y: 0 });
+
+    expect(base.contentType).toBe('image/png');
+    expect(base.data.subarray(1, 4).toString()).toBe('PNG');
+    expect(base.data.readUInt32BE(16)).toBe(256);
+    expect(clouds.data.equals(base.data)).toBe(false);
+  });
+});
+
+describe('OpenWeatherMap provider', () => {
+  let get;
+
+  beforeEach(() => {
+    get = jest.spyOn(axios, 'get').mockResolvedValue({ data: { ok: true } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports whether an API key is configured', () => {
+    expect(createOpenWeatherMapProvider({ apiKey: 'key' }).isConfigured()).toBe(true);
+    expect(createOpenWeatherMapProvider({ apiKey: '' }).isConfigured()).toBe(false);
+  });
+
+  test('queries current weather by city', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret' });
+
+    await expect(provider.getCurrentWeather({ city: 'london', units: 'metric' })).resolves.toEqual({ ok: true });
+    expect(get).toHaveBeenCalledWith('https://api.openweathermap.org/data/2.5/weather', {
+      params: { q: 'london', units: 'metric', appid: 'secret' },
+      timeout: 5000
+    });
+  });
+
+  test('queries the forecast by coordinates', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret' });
+
+    await provider.getForecast({ lat: 1.5, lon: 2.5, units: 'imperial' });
+    expect(get).toHaveBeenCalledWith('https://api.openweathermap.org/data/2.5/forecast', {
+      params: { lat: 1.5, lon: 2.5, units: 'imperial', appid: 'secret' },
+      timeout: 5000
+    });
+  });
+
+  test('passes exclude to One Call only when set', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret' });
+
+    await provider.getOneCall({ lat: 1, lon: 2, units: 'metric' });
+    await provider.getOneCall({ lat: 1, lon: 2, units: 'metric', exclude: 'minutely' });
+
+    expect(get.mock.calls[0][1].params).toEqual({ lat: 1, lon: 2, units: 'metric', appid: 'secret' });
+    expect(get.mock.calls[1][1].params).toMatchObject({ exclude: 'minutely' });
+  });
+
+  test('uses the geocoding API for forward and reverse lookups', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret' });
+
+    await provider.geocode({ query: 'springfield', limit: 5 });
+    await provider.reverseGeocode({ lat: 1, lon: 2, limit: 1 });
+
+    expect(get.mock.calls[0][0]).toBe('https://api.openweathermap.org/geo/1.0/direct');
+    expect(get.mock.calls[0][1].params).toEqual({ q: 'springfield', limit: 5, appid: 'secret' });
+    expect(get.mock.calls[1][0]).toBe('https://api.openweathermap.org/geo/1.0/reverse');
+    expect(get.mock.calls[1][1].params).toEqual({ lat: 1, lon: 2, limit: 1, appid: 'secret' });
+  });
+
+  test('uses the air pollution API for readings and forecasts', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret' });
+
+    await provider.getAirQuality({ lat: 1, lon: 2 });
+    await provider.getAirQualityForecast({ lat: 1, lon: 2 });
+
+    expect(get.mock.calls.map(([url]) => url)).toEqual([
+      'https://api.openweathermap.org/data/2.5/air_pollution',
+      'https://api.openweathermap.org/data/2.5/air_pollution/forecast'
+    ]);
+  });
+
+  test('queries the History API by the hour', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret' });
+
+    await provider.getHistory({ lat: 1, lon: 2, start: 100, end: 200, units: 'metric' });
+    expect(get).toHaveBeenCalledWith('https://history.openweathermap.org/data/2.5/history/city', {
+      params: { lat: 1, lon: 2, type: 'hour', start: 100, end: 200, units: 'metric', appid: 'secret' },
+      timeout: 5000
+    });
+  });
+
+  test('fetches weather map tiles with the API key and the base map without it', async () => {
+    get.mockResolvedValue({ data: new Uint8Array([1, 2, 3]).buffer, headers: { 'content-type': 'image/png' } });
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret', baseTileUrl: 'https://tiles.example/{z}/{x}/{y}.png' });
+
+    const tile = await provider.getMapTile({ layer: 'precipitation', z: 3, x: 4, y: 2 });
+    await provider.getMapTile({ layer: 'base', z: 3, x: 4, y: 2 });
+
+    expect(tile).toEqual({ data: Buffer.from([1, 2, 3]), contentType: 'image/png' });
+    expect(get.mock.calls[0][0]).toBe('https://tile.openweathermap.org/map/precipitation_new/3/4/2.png');
+    expect(get.mock.calls[0][1]).toMatchObject({ params: { appid: 'secret' }, responseType: 'arraybuffer' });
+    expect(get.mock.calls[1][0]).toBe('https://tiles.example/3/4/2.png');
+    expect(get.mock.calls[1][1].params).toBeUndefined();
+    expect(get.mock.calls[1][1].headers['User-Agent']).toMatch(/^weather-api\//);
+  });
+
+  test('applies the configured upstream timeout', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret', timeout: 1500 });
+
+    await provider.getForecast({ city: 'london', units: 'metric' });
+    expect(get.mock.calls[0][1].timeout).toBe(1500);
+  });
+
+  test('logs upstream requests without the API key', async () => {
+    const lines = [];
+    const logger = createLogger({ level: 'debug', write: line => lines.push(JSON.parse(line)) });
+    const provider = createOpenWeatherMapProvider({ apiKey: 'secret', logger });
+
+    await provider.getCurrentWeather({ city: 'london', units: 'metric' });
+    expect(lines).toEqual([expect.objectContaining({
+      level: 'debug',
+      msg: 'upstream request',
+      url: 'https://api.openweathermap.org/data/2.5/weather',
+      params: { q: 'london', units: 'metric' }
+    })]);
+    expect(JSON.stringify(lines)).not.toContain('secret');
+  });
+
+  describe('API key rotation', () => {
+    let clock;
+    let lines;
+    let provider;
+
+    beforeEach(() => {
+      clock = 1000000;
+      lines = [];
+      provider = createOpenWeatherMapProvider({
+        apiKeys: ['first', 'second'],
+        logger: createLogger({ level: 'warn', write: line => lines.push(JSON.parse(line)) }),
+        now: () => clock
+      });
+    });
+
+    const keysUsed = () => get.mock.calls.map(([, config]) => config.params.appid);
+
+    test('moves on to the next key when one is rate-limited and comes back after Retry-After', async () => {
+      get.mockRejectedValueOnce(upstreamError(429, {}, { 'retry-after': '30' }));
+
+      await expect(provider.getCurrentWeather({ city: 'london', units: 'metric' })).resolves.toEqual({ ok: true });
+      await provider.getCurrentWeather({ city: 'london', units: 'metric' });
+      clock += 30000;
+      await provider.getCurrentWeather({ city: 'london', units: 'metric' });
+
+      expect(keysUsed()).toEqual(['first', 'second', 'second', 'first']);
+      expect(lines).toEqual([expect.objectContaining({ msg: 'upstream API key resting', api: 'weather', key: 1, of: 2, status: 429 })]);
+      expect(JSON.stringify(lines)).not.toContain('first');
+    });
+
+    test('rests a rejected key and tries the one that recovers first when all are resting', async () => {
+      get.mockRejectedValueOnce(upstreamError(401)).mockRejectedValueOnce(upstreamError(429));
+
+      await expect(provider.getForecast({ city: 'london', units: 'metric' })).rejects.toThrow('status code 429');
+      await provider.getForecast({ city: 'london', units: 'metric' });
+
+      expect(keysUsed()).toEqual(['first', 'second', 'second']);
+    });
+
+    test('rests a key only for the API that rejected it', async () => {
+      get.mockRejectedValueOnce(upstreamError(401));
+
+      await provider.getOneCall({ lat: 51.51, lon: -0.13, units: 'metric' });
+      await provider.getCurrentWeather({ city: 'london', units: 'metric' });
+      await provider.getOneCall({ lat: 51.51, lon: -0.13, units: 'metric' });
+
+      expect(keysUsed()).toEqual(['first', 'second', 'first', 'second']);
+    });
+
+    test('does not rotate on other errors', async () => {
+      get.mockRejectedValueOnce(upstreamError(404));
+
+      await expect(provider.getCurrentWeather({ city: 'nowhere', units: 'metric' })).rejects.toThrow('status code 404');
+      expect(keysUsed()).toEqual(['first']);
+    });
+
+    test('reads comma-separated keys from OPENWEATHER_API_KEYS', () => {
+      const saved = process.env.OPENWEATHER_API_KEYS;
+      process.env.OPENWEATHER_API_KEYS = ' one, two ,';
+      try {
+        expect(createOpenWeatherMapProvider().isConfigured()).toBe(true);
+      } finally {
+        if (saved === undefined) delete process.env.OPENWEATHER_API_KEYS;
+        else process.env.OPENWEATHER_API_KEYS = saved;
+      }
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { resilientProvider } = require('../providers');
+const { createCache } = require('../lib/cache');
+const { createLogger } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+const timeoutError = () => Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' });
+
+describe('resilientProvider', () => {
+  let clock;
+  let upstream;
+  let sleep;
+  let metrics;
+  let provider;
+
+  const wrap = (options = {}) => resilientProvider(upstream, {
+    metrics,
+    logger: createLogger({ level: 'silent' }),
+    retries: 2,
+    retryBaseMs: 100,
+    retryMaxMs: 1000,
+    failureThreshold: 3,
+    resetMs: 30000,
+    sleep,
+    now: () => clock,
+    random: () => 0.5,
+    ...options
+  });
+
+  beforeEach(() => {
+    clock = 1000000;
+    upstream = createStubProvider();
+    sleep = jest.fn().mockResolvedValue();
+    metrics = createMetrics();
+    provider = wrap();
+  });
+
+  test('passes through name and isConfigured untouched', () => {
+    expect(provider.name).toBe('stub');
+    expect(provider.isConfigured).toBe(upstream.isConfigured);
+  });
+
+  test('retries transient failures with jittered exponential backoff', async () => {
+    upstream.getCurrentWeather
+      .mockRejectedValueOnce(timeoutError())
+      .mockRejectedValueOnce(upstreamError(503));
+
+    await expect(provider.getCurrentWeather({ city: 'london' })).resolves.toBeDefined();
+    expect(upstream.getCurrentWeather).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls).toEqual([[50], [100]]);
+    expect(metrics.render()).toContain('weather_upstream_retries_total{provider="stub",operation="getCurrentWeather"} 2');
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    upstream.getForecast.mockRejectedValue(upstreamError(500));
+
+    await expect(provider.getForecast({ city: 'london' })).rejects.toThrow('status code 500');
+    expect(upstream.getForecast).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry errors that would fail the same way again', async () => {
+    upstream.getCurrentWeather.mockRejectedValueOnce(upstreamError(404));
+    upstream.getForecast.mockRejectedValueOnce(upstreamError(401));
+
+    await expect(provider.getCurrentWeather({ city: 'nowhere' })).rejects.toThrow('status code 404');
+    await expect(provider.getForecast({ city: 'london' })).rejects.toThrow('status code 401');
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('waits for Retry-After on rate limits, unless it is longer than the maximum delay', async () => {
+    upstream.getCurrentWeather
+      .mockRejectedValueOnce(upstreamError(429, {}, { 'retry-after': '1' }))
+      .mockRejectedValueOnce(upstreamError(429, {}, { 'retry-after': '60' }));
+
+    await expect(provider.getCurrentWeather({ city: 'london' })).rejects.toThrow('status code 429');
+    expect(sleep.mock.calls).toEqual([[1000]]);
+  });
+
+  describe('circuit breaker', () => {
+    beforeEach(() => {
+      metrics = createMetrics();
+      provider = wrap({ retries: 0 });
+      upstream.getCurrentWeather.mockRejectedValue(upstreamError(502));
+    });
+
+    const failTimes = async (count) => {
+      for (let i = 0; i < count; i++) {
+        await expect(provider.getCurrentWeather({ city: 'london' })).rejects.toThrow('status code 502');
+      }
+    };
+
+    test('opens after consecutive failures and fails fast with UPSTREAM_UNAVAILABLE', async () => {
+      await failTimes(3);
+      clock += 10000;
+
+      await expect(provider.getCurrentWeather({ city: 'london' })).rejects.toMatchObject({
+        code: 'UPSTREAM_UNAVAILABLE',
+        status: 503,
+        retryAfter: 20
+      });
+      expect(upstream.getCurrentWeather).toHaveBeenCalledTimes(3);
+      expect(metrics.render()).toContain('weather_upstream_circuit_state{provider="stub",operation="getCurrentWeather"} 2');
+    });
+
+    test('keeps a circuit per operation', async () => {
+      await failTimes(3);
+
+      await expect(provider.getForecast({ city: 'london' })).resolves.toBeDefined();
+    });
+
+    test('lets a single trial call through after the reset period and closes on success', async () => {
+      await failTimes(3);
+      clock += 30000;
+      upstream.getCurrentWeather.mockResolvedValueOnce({ name: 'London' });
+
+      await expect(provider.getCurrentWeather({ city: 'london' })).resolves.toEqual({ name: 'London' });
+      await expect(provider.getCurrentWeather({ city: 'london' })).rejects.toThrow('status code 502');
+      expect(metrics.render()).toContain('weather_upstream_circuit_state{provider="stub",operation="getCurrentWeather"} 0');
+    });
+
+    test('refuses calls while the trial call runs and reopens when it fails', async () => {
+      await failTimes(3);
+      clock += 30000;
+
+      const trial = provider.getCurrentWeather({ city: 'london' });
+      await expect(provider.getCurrentWeather({ city: 'london' })).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+      await expect(trial).rejects.toThrow('status code 502');
+
+      await expect(provider.getCurrentWeather({ city: 'london' })).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+      expect(upstream.getCurrentWeather).toHaveBeenCalledTimes(4);
+    });
+
+    test('does not count errors about the request itself', async () => {
+      upstream.getCurrentWeather.mockRejectedValue(upstreamError(404));
+
+      for (let i = 0; i < 5; i++) {
+        await expect(provider.getCurrentWeather({ city: 'nowhere' })).rejects.toThrow('status code 404');
+      }
+      expect(upstream.getCurrentWeather).toHaveBeenCalledTimes(5);
+    });
+  });
+});
+
+describe('stale-if-error', () => {
+  let clock;
+  let provider;
+  let app;
+
+  beforeEach(async () => {
+    clock = Date.UTC(2024, 5, 1, 12, 0, 0);
+    provider = createStubProvider();
+    app = createApp({ provider, cache: createCache({ staleTtl: 3600, now: () => clock }) });
+
+    await request(app).get('/api/weather/current?city=London');
+    clock += 15 * 60 * 1000; // past the 10 minute TTL for current weather
+  });
+
+  test('serves the last good data marked stale when the provider fails', async () => {
+    provider.getCurrentWeather.mockRejectedValueOnce(upstreamError(503));
+
+    const res = await request(app).get('/api/weather/current?city=London');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-cache']).toBe('STALE');
+    expect(res.headers.age).toBe('900');
+    expect(res.body.data.location).toBe('London, GB');
+    expect(res.body.stale).toEqual({ since: '2024-06-01T12:00:00.000Z', reason: 'UPSTREAM_ERROR' });
+  });
+
+  test('leaves fresh responses unmarked', async () => {
+    const res = await request(app).get('/api/weather/current?city=London');
+
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body.stale).toBeUndefined();
+  });
+
+  test('passes on errors about the request itself', async () => {
+    provider.getCurrentWeather.mockRejectedValueOnce(upstreamError(404));
+
+    const res = await request(app).get('/api/weather/current?city=London');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('LOCATION_NOT_FOUND');
+  });
+
+  test('fails when there is no earlier data to fall back on', async () => {
+    provider.getCurrentWeather.mockRejectedValueOnce(upstreamError(503));
+
+    const res = await request(app).get('/api/weather/current?city=Tokyo');
+
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe('UPSTREAM_ERROR');
+  });
+
+  test('marks stale entries of /multiple one by one', async () => {
+    provider.getCurrentWeather.mockRejectedValueOnce(timeoutError());
+
+    const res = await request(app).post('/api/weather/multiple').send({ cities: ['London', 'Tokyo'] });
+
+    expect(res.body.stale).toBeUndefined();
+    expect(res.body.data[0]).toMatchObject({ success: true, stale: { reason: 'UPSTREAM_TIMEOUT' } });
+    expect(res.body.data[1].success).toBe(true);
+    expect(res.body.data[1].stale).toBeUndefined();
+  });
+});
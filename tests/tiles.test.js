@@ -0,0 +1,87 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { parseTile, tileToLatLon } = require('../lib/tiles');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+describe('tile addresses', () => {
+  test('parses valid tiles and rejects ones outside the zoom level', () => {
+    expect(parseTile({ layer: 'clouds', z: '3', x: '7', y: '0' })).toEqual({ layer: 'clouds', z: 3, x: 7, y: 0 });
+    expect(() => parseTile({ layer: 'rain', z: '1', x: '0', y: '0' })).toThrow('layer must be one of');
+    expect(() => parseTile({ layer: 'base', z: '19', x: '0', y: '0' })).toThrow('z must be an integer between 0 and 18');
+    expect(() => parseTile({ layer: 'base', z: '3', x: '8', y: '0' })).toThrow('x and y must be between 0 and 7 at zoom 3');
+    expect(() => parseTile({ layer: 'base', z: '3', x: '1.5', y: '0' })).toThrow(/x and y/);
+  });
+
+  test('converts Web Mercator tile coordinates to latitude and longitude', () => {
+    expect(tileToLatLon(0, 0.5, 0.5)).toEqual({ lat: 0, lon: 0 });
+    expect(tileToLatLon(1, 0, 0).lat).toBeCloseTo(85.0511, 4);
+    expect(tileToLatLon(2, 3, 2).lon).toBe(90);
+  });
+});
+
+describe('GET /tiles/:layer/:z/:x/:y.png', () => {
+  let provider;
+  let app;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    app = createApp({ provider });
+  });
+
+  test('proxies a PNG tile with cache headers', async () => {
+    const res = await request(app).get('/tiles/temperature/2/1/1.png');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['cache-control']).toBe('public, max-age=600');
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body.subarray(1, 4).toString()).toBe('PNG');
+    expect(provider.getMapTile).toHaveBeenCalledWith({ layer: 'temperature', z: 2, x: 1, y: 1 });
+  });
+
+  test('serves repeated tiles from its cache', async () => {
+    await request(app).get('/tiles/base/1/0/0.png');
+    const res = await request(app).get('/tiles/base/1/0/0.png');
+
+    expect(res.headers['x-cache']).toBe('HIT');
+    expect(res.headers['cache-control']).toBe('public, max-age=86400');
+    expect(provider.getMapTile).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects unknown layers and tiles outside the zoom level', async () => {
+    const layer = await request(app).get('/tiles/wind/1/0/0.png');
+    const tile = await request(app).get('/tiles/clouds/2/4/0.png');
+
+    expect(layer.status).toBe(400);
+    expect(layer.body.code).toBe('INVALID_REQUEST');
+    expect(tile.status).toBe(400);
+    expect(tile.body.error).toBe('x and y must be between 0 and 3 at zoom 2');
+    expect(provider.getMapTile).not.toHaveBeenCalled();
+  });
+
+  test('reports tiles missing upstream as TILE_NOT_FOUND', async () => {
+    provider.getMapTile.mockRejectedValueOnce(upstreamError(404));
+
+    const res = await request(app).get('/tiles/clouds/1/0/0.png');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('TILE_NOT_FOUND');
+  });
+
+  test('needs no API key and does not use the API quota', async () => {
+    app = createApp({ provider, requireApiKey: true });
+
+    const tile = await request(app).get('/tiles/base/0/0/0.png');
+    const api = await request(app).get('/api/weather/current?city=London');
+
+    expect(tile.status).toBe(200);
+    expect(tile.headers['x-ratelimit-limit']).toBe('3000');
+    expect(api.status).toBe(401);
+  });
+
+  test('lets the page load images only from itself and the icon host', async () => {
+    const res = await request(app).get('/');
+
+    expect(res.headers['content-security-policy']).toContain("img-src 'self' data: https://openweathermap.org");
+  });
+});
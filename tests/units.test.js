@@ -0,0 +1,46 @@
+const { UNIT_SYSTEMS, resolveUnits, createConverter } = require('../lib/units');
+
+describe('resolveUnits', () => {
+  test('defaults to the metric system', () => {
+    expect(resolveUnits()).toEqual(UNIT_SYSTEMS.metric);
+    expect(resolveUnits({})).toEqual({ temperature: 'C', speed: 'm/s', pressure: 'hPa', distance: 'km' });
+  });
+
+  test('selects a units system and applies case-insensitive overrides', () => {
+    expect(resolveUnits({ units: 'standard', temperatureUnit: 'celsius', speedUnit: 'KNOTS', distanceUnit: 'mi' }))
+      .toEqual({ temperature: 'C', speed: 'kn', pressure: 'hPa', distance: 'mi' });
+  });
+
+  test('keeps pressure in hPa for imperial unless pressureUnit asks otherwise', () => {
+    expect(resolveUnits({ units: 'imperial' })).toEqual({ temperature: 'F', speed: 'mph', pressure: 'hPa', distance: 'mi' });
+    expect(resolveUnits({ units: 'imperial', pressureUnit: 'inHg' }).pressure).toBe('inHg');
+  });
+
+  test('rejects unknown systems and unit names', () => {
+    expect(() => resolveUnits({ units: 'Imperial' })).toThrow('units must be one of: metric, imperial, standard');
+    expect(() => resolveUnits({ units: ['metric'] })).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+    expect(() => resolveUnits({ speedUnit: 'furlongs' })).toThrow('speedUnit must be one of: m/s, km/h, mph, kn');
+    expect(() => resolveUnits({ pressureUnit: 'psi' })).toThrow('pressureUnit must be one of: hPa, inHg, mmHg');
+  });
+});
+
+describe('createConverter', () => {
+  test('leaves metric values untouched apart from rounding', () => {
+    const units = createConverter();
+
+    expect(units.temperature(14.6)).toBe(14.6);
+    expect(units.speed(4.126)).toBe(4.13);
+    expect(units.pressure(1012)).toBe(1012);
+    expect(units.distance(8.5)).toBe(8.5);
+  });
+
+  test('converts every quantity into the selected units', () => {
+    const units = createConverter({ temperature: 'K', speed: 'km/h', pressure: 'mmHg', distance: 'mi' });
+
+    expect(units.temperature(0)).toBeCloseTo(273.15);
+    expect(units.speed(10)).toBe(36);
+    expect(units.pressure(1013.25)).toBe(760);
+    expect(units.distance(10)).toBe(6.21);
+    expect(units.labels).toEqual({ temperature: 'K', speed: 'km/h', pressure: 'mmHg', distance: 'mi' });
+  });
+});
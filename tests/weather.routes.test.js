@@ -0,0 +1,585 @@
+const request = require('supertest');
+const createApp = require('../app');
+const { upstreamError, createStubProvider } = require('./helpers/stubProvider');
+
+describe('weather routes', () => {
+  let provider;
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    app = createApp({ provider });
+  });
+
+  describe('GET /api/weather/current', () => {
+    test('returns formatted weather for a city', async () => {
+      const res = await request(app).get('/api/weather/current?city=London');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        success: true,
+        data: {
+          location: 'London, GB',
+          coordinates: { lat: 51.5085, lon: -0.1257 },
+          description: expect.any(String),
+          temperature: expect.any(Number)
+        },
+        timestamp: expect.any(String)
+      });
+      expect(provider.getCurrentWeather).toHaveBeenCalledWith({ city: 'london', units: 'metric' });
+    });
+
+    test('looks up weather by coordinates', async () => {
+      const res = await request(app).get('/api/weather/current?lat=40.71278&lon=-74.00597&units=imperial');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.location).toBe('New York, US');
+      expect(res.body.data.units.temperature).toBe('°F');
+      expect(provider.getCurrentWeather).toHaveBeenCalledWith({ lat: 40.71, lon: -74.01, units: 'metric' });
+    });
+
+    test('rejects a request without a location', async () => {
+      const res = await request(app).get('/api/weather/current');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        success: false,
+        error: 'Please provide either city name or coordinates (lat, lon)',
+        code: 'MISSING_LOCATION',
+        requestId: expect.any(String)
+      });
+      expect(provider.getCurrentWeather).not.toHaveBeenCalled();
+    });
+
+    test('rejects out of range coordinates', async () => {
+      const res = await request(app).get('/api/weather/current?lat=91&lon=0');
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.code).toBe('INVALID_COORDINATES');
+      expect(res.body.error).toMatch(/Invalid coordinates/);
+    });
+
+    test('fails when the provider is not configured', async () => {
+      provider.isConfigured.mockReturnValue(false);
+
+      const res = await request(app).get('/api/weather/current?city=London');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toMatchObject({
+        success: false,
+        error: 'OpenWeatherMap API key not configured',
+        code: 'PROVIDER_NOT_CONFIGURED'
+      });
+    });
+
+    test('serves repeated requests from the cache', async () => {
+      const first = await request(app).get('/api/weather/current?city=London');
+      const second = await request(app).get('/api/weather/current?city=%20LONDON');
+
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.headers.age).toBe('0');
+      expect(second.body.data).toEqual(first.body.data);
+      expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+    });
+
+    test('shares one upstream call between concurrent requests', async () => {
+      await Promise.all([
+        request(app).get('/api/weather/current?city=Tokyo'),
+        request(app).get('/api/weather/current?city=Tokyo'),
+        request(app).get('/api/weather/current?city=Tokyo')
+      ]);
+
+      expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+    });
+
+    test('converts one cached upstream response into each units system', async () => {
+      const metric = await request(app).get('/api/weather/current?city=London');
+      const imperial = await request(app).get('/api/weather/current?city=London&units=imperial');
+
+      expect(imperial.headers['x-cache']).toBe('HIT');
+      expect(provider.getCurrentWeather).toHaveBeenCalledTimes(1);
+      expect(metric.body.data.units).toEqual({ temperature: '°C', speed: 'm/s', pressure: 'hPa', distance: 'km' });
+      expect(imperial.body.data.units).toEqual({ temperature: '°F', speed: 'mph', pressure: 'hPa', distance: 'mi' });
+      expect(imperial.body.data.pressure).toBe(metric.body.data.pressure);
+      expect(imperial.body.data.temperature).toBe(Math.round(metric.body.data.temperature * 9 / 5 + 32));
+    });
+
+    test('applies per-quantity unit overrides on top of the units system', async () => {
+      const res = await request(app)
+        .get('/api/weather/current?city=London&units=imperial&speedUnit=kmh&pressureUnit=inHg');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.units).toEqual({ temperature: '°F', speed: 'km/h', pressure: 'inHg', distance: 'mi' });
+    });
+
+    test('rejects unknown units', async () => {
+      const system = await request(app).get('/api/weather/current?city=London&units=nautical');
+      const override = await request(app).get('/api/weather/current?city=London&temperatureUnit=R');
+
+      expect(system.status).toBe(400);
+      expect(system.body).toMatchObject({ code: 'INVALID_REQUEST', error: 'units must be one of: metric, imperial, standard' });
+      expect(override.status).toBe(400);
+      expect(override.body).toMatchObject({ code: 'INVALID_REQUEST', error: 'temperatureUnit must be one of: C, F, K' });
+      expect(provider.getCurrentWeather).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/weather/forecast', () => {
+    test('returns formatted forecast steps', async () => {
+      const res = await request(app).get('/api/weather/forecast?city=Delhi');
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.location).toBe('Delhi, IN');
+      expect(res.body.data.forecast).toHaveLength(40);
+      expect(res.body.data.forecast[0]).toEqual({
+        datetime: expect.stringMatching(/^\d{4}-\d{2}-\d{2} \d{2}:00:00$/),
+        timestamp: expect.any(Number),
+        temperature: expect.any(Number),
+        feelsLike: expect.any(Number),
+        description: expect.any(String),
+        icon: expect.any(String),
+        humidity: expect.any(Number),
+        pressure: expect.any(Number),
+        windSpeed: expect.any(Number),
+        windDirection: expect.any(Number),
+        cloudiness: expect.any(Number),
+        precipitationProbability: expect.any(Number)
+      });
+    });
+
+    test('rejects a request without a location', async () => {
+      const res = await request(app).get('/api/weather/forecast');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, code: 'MISSING_LOCATION' });
+    });
+
+    test('rejects out of range coordinates', async () => {
+      const res = await request(app).get('/api/weather/forecast?lat=0&lon=181');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/Invalid coordinates/);
+    });
+
+  });
+
+  describe('POST /api/weather/multiple', () => {
+    test('returns weather for every city', async () => {
+      const res = await request(app)
+        .post('/api/weather/multiple')
+        .send({ cities: ['London', 'Tokyo'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([
+        { city: 'London', success: true, data: expect.objectContaining({ location: 'London, GB' }) },
+        { city: 'Tokyo', success: true, data: expect.objectContaining({ location: 'Tokyo, JP' }) }
+      ]);
+    });
+
+    test('reports per-city failures without failing the request', async () => {
+      provider.getCurrentWeather.mockImplementation(async ({ city }) => {
+        if (city === 'atlantis') throw upstreamError(404);
+        if (city === 'tokyo') throw upstreamError(500);
+        return createStubProvider().getCurrentWeather({ city, units: 'metric' });
+      });
+
+      const res = await request(app)
+        .post('/api/weather/multiple')
+        .send({ cities: ['London', 'Atlantis', 'Tokyo'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toEqual([
+        { city: 'London', success: true, data: expect.objectContaining({ location: 'London, GB' }) },
+        {
+          city: 'Atlantis',
+          success: false,
+          error: 'Location not found. Please check the city name and try again.',
+          code: 'LOCATION_NOT_FOUND'
+        },
+        {
+          city: 'Tokyo',
+          success: false,
+          error: 'Failed to fetch data from the weather provider',
+          code: 'UPSTREAM_ERROR'
+        }
+      ]);
+    });
+
+    test.each([
+      [undefined],
+      ['London'],
+      [[]]
+    ])('rejects cities=%j', async (cities) => {
+      const res = await request(app).post('/api/weather/multiple').send({ cities });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        success: false,
+        error: 'Please provide an array of city names or coordinates',
+        code: 'INVALID_REQUEST'
+      });
+    });
+
+    test('accepts coordinates alongside city names', async () => {
+      const res = await request(app)
+        .post('/api/weather/multiple')
+        .send({ cities: ['London', { lat: 40.71278, lon: -74.00597 }, { lat: 0, lon: 0 }], units: 'imperial' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([
+        { city: 'London', success: true, data: expect.objectContaining({ location: 'London, GB' }) },
+        {
+          coordinates: { lat: 40.71278, lon: -74.00597 },
+          success: true,
+          data: expect.objectContaining({ location: 'New York, US' })
+        },
+        { coordinates: { lat: 0, lon: 0 }, success: true, data: expect.any(Object) }
+      ]);
+      expect(res.body.data[1].data.units.temperature).toBe('°F');
+      expect(provider.getCurrentWeather).toHaveBeenCalledWith({ lat: 40.71, lon: -74.01, units: 'metric' });
+      expect(provider.getCurrentWeather).toHaveBeenCalledWith({ lat: 0, lon: 0, units: 'metric' });
+    });
+
+    test('reports invalid coordinates per entry', async () => {
+      const res = await request(app)
+        .post('/api/weather/multiple')
+        .send({ cities: [{ lat: 95, lon: 0 }, { lat: 10 }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([
+        expect.objectContaining({ coordinates: { lat: 95, lon: 0 }, success: false, code: 'INVALID_COORDINATES' }),
+        expect.objectContaining({ coordinates: { lat: 10 }, success: false, code: 'MISSING_LOCATION' })
+      ]);
+    });
+
+    test.each([
+      [['London', 42]],
+      [['  ']],
+      [[null]],
+      [[['London']]]
+    ])('rejects malformed entries in cities=%j', async (cities) => {
+      const res = await request(app).post('/api/weather/multiple').send({ cities });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        code: 'INVALID_REQUEST',
+        error: 'Each entry must be a city name or an object with lat and lon'
+      });
+      expect(provider.getCurrentWeather).not.toHaveBeenCalled();
+    });
+
+    test('rejects more than 10 cities', async () => {
+      const cities = Array.from({ length: 11 }, (_, index) => `City ${index}`);
+      const res = await request(app).post('/api/weather/multiple').send({ cities });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, error: 'Maximum 10 cities allowed per request' });
+    });
+  });
+
+  describe('GET /api/weather/onecall', () => {
+    test('returns current, hourly and daily data', async () => {
+      const res = await request(app).get('/api/weather/onecall?lat=35.68&lon=139.69');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        coordinates: { lat: 35.68, lon: 139.69 },
+        timezone: 'Asia/Tokyo',
+        timezoneOffset: 32400,
+        current: expect.objectContaining({ temperature: expect.any(Number) })
+      });
+      expect(res.body.data.hourly).toHaveLength(24);
+      expect(res.body.data.daily).toHaveLength(7);
+    });
+
+    test('passes a normalized exclude list to the provider', async () => {
+      const res = await request(app).get('/api/weather/onecall?lat=35.68&lon=139.69&exclude=hourly, daily,hourly');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).not.toHaveProperty('hourly');
+      expect(provider.getOneCall).toHaveBeenCalledWith({
+        lat: 35.68,
+        lon: 139.69,
+        units: 'metric',
+        exclude: 'daily,hourly'
+      });
+    });
+
+    test.each(['weekly', 'current'])('rejects exclude=%s', async (exclude) => {
+      const res = await request(app).get(`/api/weather/onecall?lat=35.68&lon=139.69&exclude=${exclude}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('exclude may only list: minutely, hourly, daily, alerts');
+      expect(provider.getOneCall).not.toHaveBeenCalled();
+    });
+
+    test('requires coordinates', async () => {
+      const res = await request(app).get('/api/weather/onecall?city=London');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        error: 'Please provide coordinates (lat, lon) for One Call API',
+        code: 'MISSING_LOCATION'
+      });
+    });
+
+    test('rejects out of range coordinates', async () => {
+      const res = await request(app).get('/api/weather/onecall?lat=-100&lon=0');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/Invalid coordinates/);
+    });
+  });
+
+  describe('GET /api/weather/air-quality', () => {
+    test('returns current AQI, pollutants and an hourly forecast', async () => {
+      const res = await request(app).get('/api/weather/air-quality?lat=28.67&lon=77.22');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, timestamp: expect.any(String) });
+      expect(res.body.data).toMatchObject({
+        coordinates: { lat: 28.67, lon: 77.22 },
+        current: {
+          aqi: 5,
+          category: 'Very Poor',
+          pollutants: {
+            pm2_5: expect.any(Number),
+            pm10: expect.any(Number),
+            o3: expect.any(Number),
+            no2: expect.any(Number),
+            so2: expect.any(Number),
+            co: expect.any(Number)
+          },
+          units: 'μg/m³'
+        }
+      });
+      expect(res.body.data.forecast).toHaveLength(96);
+      expect(res.body.data.forecast[0]).toEqual({
+        datetime: expect.any(String),
+        aqi: expect.any(Number),
+        category: expect.any(String)
+      });
+      expect(res.body.data).not.toHaveProperty('location');
+    });
+
+    test('geocodes a city before looking up air quality', async () => {
+      const res = await request(app).get('/api/weather/air-quality?city=Sydney');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.location).toBe('Sydney, AU');
+      expect(provider.geocode).toHaveBeenCalledWith({ query: 'sydney', limit: 1 });
+      expect(provider.getAirQuality).toHaveBeenCalledWith({ lat: -33.87, lon: 151.21 });
+    });
+
+    test('reports unknown cities as LOCATION_NOT_FOUND', async () => {
+      const res = await request(app).get('/api/weather/air-quality?city=Atlantis');
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('LOCATION_NOT_FOUND');
+      expect(provider.getAirQuality).not.toHaveBeenCalled();
+    });
+
+    test('caches the current reading and forecast together', async () => {
+      await request(app).get('/api/weather/air-quality?lat=51.51&lon=-0.13');
+      const res = await request(app).get('/api/weather/air-quality?lat=51.509&lon=-0.126');
+
+      expect(res.headers['x-cache']).toBe('HIT');
+      expect(provider.getAirQuality).toHaveBeenCalledTimes(1);
+      expect(provider.getAirQualityForecast).toHaveBeenCalledTimes(1);
+    });
+
+    test('requires a location', async () => {
+      const res = await request(app).get('/api/weather/air-quality');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('MISSING_LOCATION');
+    });
+  });
+
+  describe('GET /api/weather/geocode', () => {
+    test('returns candidate locations for a search', async () => {
+      const res = await request(app).get('/api/weather/geocode?q=New%20York');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([{
+        name: 'New York',
+        state: 'New York',
+        country: 'US',
+        label: 'New York, New York, US',
+        coordinates: { lat: 40.7143, lon: -74.006 }
+      }]);
+      expect(provider.geocode).toHaveBeenCalledWith({ query: 'new york', limit: 5 });
+    });
+
+    test('returns an empty list when nothing matches', async () => {
+      const res = await request(app).get('/api/weather/geocode?q=Atlantis');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([]);
+    });
+
+    test('looks up places near coordinates', async () => {
+      const res = await request(app).get('/api/weather/geocode?lat=-33.9&lon=151.2&limit=2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.data[0].name).toBe('Sydney');
+      expect(provider.reverseGeocode).toHaveBeenCalledWith({ lat: -33.9, lon: 151.2, limit: 2 });
+    });
+
+    test('caches search results', async () => {
+      await request(app).get('/api/weather/geocode?q=London');
+      const res = await request(app).get('/api/weather/geocode?q=london');
+
+      expect(res.headers['x-cache']).toBe('HIT');
+      expect(provider.geocode).toHaveBeenCalledTimes(1);
+    });
+
+    test('requires a query or coordinates', async () => {
+      const res = await request(app).get('/api/weather/geocode?q=%20');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'MISSING_LOCATION' });
+    });
+
+    test('rejects out of range coordinates', async () => {
+      const res = await request(app).get('/api/weather/geocode?lat=0&lon=200');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'INVALID_COORDINATES' });
+    });
+
+    test.each(['0', '6', '2.5', 'all'])('rejects limit=%s', async (limit) => {
+      const res = await request(app).get(`/api/weather/geocode?q=London&limit=${limit}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'INVALID_REQUEST' });
+      expect(provider.geocode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upstream error mapping', () => {
+    const routes = [
+      ['/current', 'getCurrentWeather', '/api/weather/current?city=London'],
+      ['/forecast', 'getForecast', '/api/weather/forecast?city=London'],
+      ['/onecall', 'getOneCall', '/api/weather/onecall?lat=51.5&lon=-0.13'],
+      ['/geocode', 'geocode', '/api/weather/geocode?q=London'],
+      ['/air-quality', 'getAirQuality', '/api/weather/air-quality?lat=51.5&lon=-0.13']
+    ];
+
+    const timeout = Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' });
+
+    describe.each(routes)('%s', (route, method, url) => {
+      test.each([
+        ['404', upstreamError(404), 404, 'LOCATION_NOT_FOUND'],
+        ['401', upstreamError(401), 502, 'UPSTREAM_UNAUTHORIZED'],
+        ['429', upstreamError(429), 429, 'UPSTREAM_RATE_LIMITED'],
+        ['503', upstreamError(503), 502, 'UPSTREAM_ERROR'],
+        ['timeout', timeout, 504, 'UPSTREAM_TIMEOUT']
+      ])('maps an upstream %s', async (name, error, status, code) => {
+        provider[method].mockRejectedValue(error);
+
+        const res = await request(app).get(url);
+
+        expect(res.status).toBe(status);
+        expect(res.body).toEqual({
+          success: false,
+          error: expect.any(String),
+          code,
+          requestId: res.headers['x-request-id']
+        });
+      });
+    });
+
+    test('passes the upstream Retry-After header through', async () => {
+      provider.getCurrentWeather.mockRejectedValue(upstreamError(429, {}, { 'retry-after': '120' }));
+
+      const res = await request(app).get('/api/weather/current?city=London');
+
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe('120');
+    });
+
+    test('hides unexpected errors behind INTERNAL_ERROR', async () => {
+      provider.getCurrentWeather.mockImplementation(() => {
+        throw new TypeError('Cannot read properties of undefined');
+      });
+
+      const res = await request(app).get('/api/weather/current?city=London');
+
+      expect(res.status).toBe(500);
+      expect(res.body).toMatchObject({ code: 'INTERNAL_ERROR', error: 'Internal server error' });
+    });
+  });
+
+  describe('request IDs', () => {
+    test('generates a request ID for every response', async () => {
+      const res = await request(app).get('/api/weather/current?city=London');
+
+      expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('reuses a well-formed incoming request ID', async () => {
+      const res = await request(app).get('/api/weather/current').set('X-Request-Id', 'trace-123');
+
+      expect(res.headers['x-request-id']).toBe('trace-123');
+      expect(res.body.requestId).toBe('trace-123');
+    });
+
+    test('replaces a malformed incoming request ID', async () => {
+      const res = await request(app).get('/health').set('X-Request-Id', 'not a valid id!');
+
+      expect(res.headers['x-request-id']).not.toBe('not a valid id!');
+    });
+  });
+
+  describe('server routes', () => {
+    test('GET /health reports status', async () => {
+      const res = await request(app).get('/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'OK', uptime: expect.any(Number) });
+    });
+
+    test('rejects malformed JSON bodies', async () => {
+      const res = await request(app)
+        .post('/api/weather/multiple')
+        .set('Content-Type', 'application/json')
+        .send('{"cities": [');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ success: false, code: 'INVALID_REQUEST' });
+    });
+
+    test('serves the web app manifest and service worker', async () => {
+      const manifest = await request(app).get('/manifest.webmanifest');
+      const worker = await request(app).get('/sw.js');
+
+      expect(manifest.status).toBe(200);
+      expect(manifest.headers['content-type']).toMatch(/application\/manifest\+json/);
+      expect(JSON.parse(manifest.text)).toMatchObject({ start_url: '/', display: 'standalone' });
+      expect(worker.status).toBe(200);
+      expect(worker.headers['content-security-policy']).toMatch(/connect-src 'self' https:\/\/openweathermap.org/);
+    });
+
+    test('unknown routes return a 404', async () => {
+      const res = await request(app).get('/api/unknown');
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ success: false, error: 'Route not found', code: 'ROUTE_NOT_FOUND' });
+    });
+  });
+});
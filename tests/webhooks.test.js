@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signPayload, verifySignature, isBlockedAddress, createWebhookGuard } = require('../lib/webhooks');
+const { createSubscriptionStore } = require('../lib/subscriptionStore');
+
+describe('webhook signatures', () => {
+  const now = Date.UTC(2024, 5, 1);
+  const timestamp = now / 1000;
+
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    expect(signPayload('secret', timestamp, '{"a":1}')).toMatch(new RegExp(`^t=${timestamp},v1=[0-9a-f]{64}$`));
+  });
+
+  test('verifies an untampered payload', () => {
+    const header = signPayload('secret', timestamp, '{"a":1}');
+
+    expect(verifySignature('secret', header, '{"a":1}', 300, now)).toBe(true);
+  });
+
+  test('rejects a tampered body', () => {
+    const header = signPayload('secret', timestamp, '{"a":1}');
+
+    expect(verifySignature('secret', header, '{"a":2}', 300, now)).toBe(false);
+  });
+
+  test('rejects stale signatures', () => {
+    const header = signPayload('secret', timestamp, '{"a":1}');
+
+    expect(verifySignature('secret', header, '{"a":1}', 300, now + 301 * 1000)).toBe(false);
+  });
+
+  test('rejects malformed headers', () => {
+    expect(verifySignature('secret', 'garbage', '{}', 300, now)).toBe(false);
+  });
+});
+
+describe('subscription store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-subscriptions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('persists subscriptions and delivered alerts to a JSON file in the background', async () => {
+    const file = path.join(dir, 'nested', 'subscriptions.json');
+    const store = createSubscriptionStore({ file });
+
+    store.create({ id: 'a', deliveredAlerts: {} });
+    store.create({ id: 'b', deliveredAlerts: {} });
+    store.update('a', { deliveredAlerts: { alert1: '2024-06-02T00:00:00.000Z' } });
+    store.remove('b');
+    await store.flush();
+
+    expect(fs.readdirSync(path.join(dir, 'nested'))).toEqual(['subscriptions.json']);
+    const reloaded = createSubscriptionStore({ file });
+    expect(reloaded.list()).toEqual([{ id: 'a', deliveredAlerts: { alert1: '2024-06-02T00:00:00.000Z' } }]);
+  });
+
+  test('keeps subscriptions in memory without a file', () => {
+    const store = createSubscriptionStore();
+
+    store.create({ id: 'a' });
+    expect(store.get('a')).toEqual({ id: 'a' });
+    expect(store.update('missing', {})).toBeUndefined();
+  });
+});
+
+describe('webhook guard', () => {
+  const resolve = jest.fn(async (hostname) => (hostname === 'rebind.example'
+    ? [{ address: '93.184.215.14', family: 4 }, { address: '127.0.0.1', family: 4 }]
+    : [{ address: '93.184.215.14', family: 4 }]));
+
+  test('allows hosts that resolve to public addresses', async () => {
+    await expect(createWebhookGuard({ resolve }).check('https://example.com/hook')).resolves.toBeUndefined();
+  });
+
+  test.each([
+    'ftp://example.com/hook',
+    'http://localhost.:80',
+    'http://10.0.0.1/hook',
+    'http://172.20.0.1/hook',
+    'http://100.64.0.1/hook',
+    'http://[fd00:ec2::254]/hook',
+    'http://[fe80::1]/hook',
+    'https://rebind.example/hook'
+  ])('rejects %s', async (url) => {
+    const guard = createWebhookGuard({ resolve: async (hostname) => (hostname === 'localhost.'
+      ? [{ address: '127.0.0.1', family: 4 }]
+      : resolve(hostname)) });
+
+    await expect(guard.check(url)).rejects.toThrow();
+  });
+
+  test('skips the check for allowed hosts', async () => {
+    const guard = createWebhookGuard({ allowedHosts: ['127.0.0.1', 'Receiver.local'], resolve: async () => [{ address: '10.0.0.5', family: 4 }] });
+
+    await expect(guard.check('http://127.0.0.1:8080/hook')).resolves.toBeUndefined();
+    await expect(guard.lookup('receiver.local')).resolves.toEqual([{ address: '10.0.0.5', family: 4 }]);
+  });
+
+  test.each([
+    ['127.0.0.1', true],
+    ['169.254.169.254', true],
+    ['::ffff:127.0.0.1', true],
+    ['8.8.8.8', false],
+    ['2606:4700::1111', false]
+  ])('isBlockedAddress(%s) is %s', (address, blocked) => {
+    expect(isBlockedAddress(address)).toBe(blocked);
+  });
+});